@@ -0,0 +1,515 @@
+/**
+ * Type declarations for the public API (api.js) and the slide data model
+ * (schema/slide-data.schema.json, version 1).
+ *
+ * Positions are in inches on a 10 x 5.625 in slide, font sizes in points,
+ * colors are RRGGBB hex strings without '#'.
+ */
+
+import type { Browser } from 'playwright';
+
+// ============ Slide data (schema version 1) ============
+
+export type HexColor = string;
+
+export type Link = { url: string } | { slide: number };
+
+export interface Position {
+    x: number;
+    y: number;
+    w: number;
+    h: number;
+    /** Inside one column of a two-column slide */
+    inColumn?: boolean;
+}
+
+export interface ElementStyle {
+    fontSize?: number;
+    fontFace?: string;
+    color?: HexColor;
+    bold?: boolean;
+    italic?: boolean;
+    underline?: boolean;
+    align?: 'left' | 'center' | 'right';
+    lineSpacing?: number | null;
+    backgroundColor?: HexColor | null;
+}
+
+export interface MathInfo {
+    id?: number;
+    /** TeX source */
+    tex: string;
+    mathml?: string | null;
+    display?: boolean;
+    /** PNG screenshot fallback ("image/png;base64,..."), for formulas that do not convert to equations */
+    image?: string;
+    /** Where a formula in running text with an image was rendered */
+    position?: Position;
+}
+
+export interface TextRun {
+    text: string;
+    options?: {
+        bold?: boolean;
+        italic?: boolean;
+        underline?: boolean;
+        /** Inline code (monospace font) */
+        code?: boolean;
+        color?: HexColor;
+        highlightColor?: HexColor;
+    };
+    link?: Link;
+    math?: MathInfo;
+}
+
+export interface HeadingElement {
+    type: 'heading';
+    level: 1 | 2 | 3 | 4 | 5 | 6;
+    text: TextRun[];
+    /** CSS selector locating the element in its slide */
+    selector?: string;
+    position: Position;
+    style?: ElementStyle;
+}
+
+export interface ParagraphElement {
+    type: 'paragraph';
+    text: TextRun[];
+    /** CSS selector locating the element in its slide */
+    selector?: string;
+    position: Position;
+    style?: ElementStyle;
+}
+
+export interface ListElement {
+    type: 'list';
+    ordered?: boolean;
+    /** Number of the first item of an ordered list (default 1) */
+    start?: number;
+    /** step: click on which the item appears, in lists revealed item by item */
+    items: Array<{ text: TextRun[]; level?: number; step?: number }>;
+    /** CSS selector locating the element in its slide */
+    selector?: string;
+    position: Position;
+    style?: ElementStyle;
+}
+
+export interface MathElement {
+    type: 'math';
+    math: MathInfo;
+    /** CSS selector locating the element in its slide */
+    selector?: string;
+    position: Position;
+    style?: ElementStyle;
+}
+
+export interface DiagramPrimitive {
+    tag: 'path' | 'line' | 'polyline' | 'polygon' | 'circle' | 'ellipse' | 'rect' | 'text';
+    /** Maps SVG user units to slide inches: [a, b, c, d, e, f] */
+    matrix?: number[];
+    [key: string]: unknown;
+}
+
+export interface DiagramElement {
+    type: 'diagram';
+    primitives: DiagramPrimitive[];
+    /** CSS selector locating the element in its slide */
+    selector?: string;
+    position: Position;
+    style?: ElementStyle;
+}
+
+export interface ImageElement {
+    type: 'image';
+    /** file://, http(s)://, data: URI or path relative to the page */
+    src: string;
+    alt?: string;
+    naturalWidth?: number | null;
+    naturalHeight?: number | null;
+    /** CSS selector locating the element in its slide */
+    selector?: string;
+    position: Position;
+}
+
+export interface AdmonitionElement {
+    type: 'admonition';
+    admonitionType: string;
+    title?: string | null;
+    /** Plain text of the body */
+    content: string;
+    /** Formatted body (older extractions only have `content`) */
+    body?: AdmonitionBlock[];
+    /** From the page's CSS; used for custom types and in fidelity mode */
+    colors?: { bg?: HexColor; border?: HexColor; text?: HexColor };
+    /** CSS selector locating the element in its slide */
+    selector?: string;
+    position: Position;
+}
+
+export type AdmonitionBlock =
+    | { type: 'paragraph'; text: TextRun[] }
+    | { type: 'list'; ordered?: boolean; start?: number; items: Array<{ text: TextRun[]; level?: number }> }
+    | { type: 'code'; code: string; tokens?: CodeToken[]; language?: string };
+
+export interface CodeToken {
+    text: string;
+    color?: HexColor | null;
+    bold?: boolean;
+    italic?: boolean;
+    /** highlight.js scope without the "hljs-" prefix */
+    scope?: string | null;
+}
+
+export interface CodeElement {
+    type: 'code';
+    code: string;
+    tokens?: CodeToken[];
+    language?: string;
+    /** Number of the first line, for listings continued from the previous slide (default 1) */
+    startLine?: number;
+    /** CSS selector locating the element in its slide */
+    selector?: string;
+    position: Position;
+    style?: ElementStyle;
+}
+
+export interface TableCell {
+    /** Plain text of the cell */
+    text: string;
+    /** Formatted text (falls back to `text`) */
+    runs?: TextRun[];
+    isHeader?: boolean;
+    /** Merged cells: cells covered by a span are left out of the following cells and rows, as in HTML */
+    colspan?: number;
+    rowspan?: number;
+    align?: 'left' | 'center' | 'right';
+    /** Background from the page's CSS (cell or row, e.g. zebra stripes) */
+    fill?: HexColor | null;
+    color?: HexColor;
+}
+
+export interface TableElement {
+    type: 'table';
+    rows: TableCell[][];
+    /** Rendered width of each column (in) */
+    columnWidths?: number[];
+    caption?: {
+        text: TextRun[];
+        side?: 'top' | 'bottom';
+        position?: Position;
+    } | null;
+    /** CSS selector locating the element in its slide */
+    selector?: string;
+    position: Position;
+    style?: ElementStyle;
+}
+
+export interface BlockquoteElement {
+    type: 'blockquote';
+    text: TextRun[];
+    /** CSS selector locating the element in its slide */
+    selector?: string;
+    position: Position;
+    style?: ElementStyle;
+}
+
+export interface ShapeElement {
+    type: 'shape';
+    fill?: HexColor | null;
+    border?: { color: HexColor; width: number } | null;
+    borderRadius?: number;
+    /** CSS selector locating the element in its slide */
+    selector?: string;
+    position: Position;
+}
+
+export type SlideElement =
+    | HeadingElement
+    | ParagraphElement
+    | ListElement
+    | MathElement
+    | DiagramElement
+    | ImageElement
+    | AdmonitionElement
+    | CodeElement
+    | TableElement
+    | BlockquoteElement
+    | ShapeElement;
+
+/** Properties shared by all elements */
+export interface ElementReveal {
+    /** Click of the slide's incremental reveals on which the element appears (absent: always shown) */
+    step?: number;
+}
+
+/** Element of a type added by a plugin */
+export interface PluginElement {
+    type: string;
+    /** CSS selector locating the element in its slide */
+    selector?: string;
+    position: Position;
+    style?: ElementStyle;
+    [key: string]: unknown;
+}
+
+export interface SlideMetadata {
+    isH1TitleSlide?: boolean;
+    isTwoColumn?: boolean;
+    isSmallText?: boolean;
+    isTinyText?: boolean;
+    chapterLabel?: string | null;
+    slideNumber?: string | null;
+    navChapters?: string[] | null;
+    /** Target of each navigation tab, parallel to navChapters */
+    navLinks?: Array<Link | null> | null;
+    tocLink?: Link | null;
+    activeChapterIndex?: number | null;
+}
+
+export interface Slide {
+    index: number;
+    /** Position in the original deck when only a range was converted */
+    sourceIndex?: number;
+    id?: string | null;
+    classes?: string[];
+    elements: Array<(SlideElement | PluginElement) & ElementReveal>;
+    notes?: string | null;
+    /** Content not extracted faithfully */
+    diagnostics?: Array<Omit<Diagnostic, 'slide'>>;
+    /** Continuation slide holding content that did not fit the previous one */
+    continued?: boolean;
+    /** Step of an incremental reveal the slide shows, when each step is a slide (0: before the first click) */
+    revealStep?: number;
+    metadata?: SlideMetadata;
+}
+
+export interface SlideData {
+    /** Absent: the current version */
+    schemaVersion?: 1;
+    title: string;
+    source?: string | null;
+    aspectRatio?: number;
+    dimensions?: { width: number; height: number };
+    styles?: { fonts?: Record<string, string | null>; colors?: Record<string, string | null> } | null;
+    slides: Slide[];
+}
+
+// ============ Themes ============
+
+export interface Theme {
+    name?: string;
+    /** Theme this one is merged over (files and objects only) */
+    extends?: string;
+    codeTheme?: string;
+    fonts?: { body?: string; code?: string; quote?: string };
+    fontSizes?: Record<string, number>;
+    colors?: Record<string, HexColor>;
+}
+
+// ============ Plugins ============
+
+/** Helpers passed to plugin extractors (in the page) */
+export interface PluginExtractHelpers {
+    position(el: Element): Position;
+    style(el: Element): ElementStyle;
+    text(el: Element): TextRun[];
+    /** CSS color to RRGGBB */
+    color(cssColor: string): HexColor;
+    /** Extract the children with the built-in handlers, after (on top of) this element */
+    processChildren(parent?: Element): void;
+}
+
+export interface PluginElementType {
+    /** Element type name; must not be a built-in type */
+    type: string;
+    /** CSS selector of the elements this plugin extracts */
+    selector: string;
+    /**
+     * Runs in the browser: it cannot use imports or outer variables. Returns the
+     * element's properties (JSON; position defaults to the element's box), or null
+     */
+    extract(el: Element, helpers: PluginExtractHelpers): Record<string, unknown> | null;
+    /** Runs in Node; context holds the theme, warn() and the other render state */
+    render(slide: unknown, element: PluginElement, pptx: unknown, context: { theme: Theme; warn(message: string): void; [key: string]: unknown }): void;
+    /** Extra element properties for validation (JSON Schema; may use "#/$defs/..." of the slide data schema) */
+    schema?: { properties?: Record<string, object>; required?: string[] };
+}
+
+export interface Plugin {
+    name: string;
+    elements: PluginElementType[];
+}
+
+// ============ API ============
+
+export type StyleMode = 'normalized' | 'fidelity';
+/** shrink: smaller font; autofit: PowerPoint's shrink text on overflow; split: continuation slides; none: leave as is */
+export type FitStrategy = 'shrink' | 'autofit' | 'split' | 'none';
+/** Ratio ("4:3"), dimensions ("13.33x7.5in", "25.4x19.05cm") or { width, height } in inches */
+export type SlideSize = string | { width: number; height: number };
+/** Incremental reveals: click animations (appear, fade), one slide per step, or everything at once */
+export type RevealMode = 'appear' | 'fade' | 'slides' | 'none';
+
+export interface NotesOptions {
+    /** Elements holding notes (removed from the slide) */
+    selector?: string | null;
+    /** Paragraph starting the trailing notes section */
+    separator?: string | null;
+    /** HTML comments with this prefix (true: all comments, false: none) */
+    comments?: string | boolean;
+}
+
+export interface ExtractOptions {
+    notes?: NotesOptions;
+    /** Default: 1920 wide at the deck's aspect ratio */
+    viewport?: { width: number; height: number };
+    /** Page load timeout (ms) */
+    timeout?: number;
+    /** Time allowed for the slides to appear (ms) */
+    renderTimeout?: number;
+    /** Extra wait after the slides appear (ms) */
+    renderWait?: number;
+    browser?: Browser;
+    plugins?: Plugin[];
+    /** Markdeep runtime directory used for .md / .md.html sources (default: the package's runtime/) */
+    runtime?: string;
+    onWarning?: (message: string) => void;
+}
+
+export interface BuildOptions {
+    author?: string;
+    baseUrl?: string;
+    /** Time allowed for loading a remote image (ms, default 60000) */
+    timeout?: number;
+    theme?: Theme | string;
+    codeTheme?: string;
+    lineNumbers?: boolean;
+    styleMode?: StyleMode;
+    /** What to do with text that does not fit the slide (default 'shrink') */
+    fit?: FitStrategy;
+    /** Slide size (default: the slide data's dimensions) */
+    size?: SlideSize;
+    /** Incremental reveals (default 'appear') */
+    reveal?: RevealMode;
+    plugins?: Plugin[];
+    onWarning?: (message: string) => void;
+    /** Receives each element not converted faithfully, including extraction diagnostics */
+    onDiagnostic?: (diagnostic: Diagnostic) => void;
+    /** Receives the slides as laid out (one per PPTX slide), including `continued` continuation slides */
+    onSlides?: (slides: Slide[]) => void;
+}
+
+export interface ConvertOptions {
+    /** Also write the PPTX to this path */
+    output?: string;
+    /** Read the input path as saved slide data, whatever its extension */
+    fromJson?: boolean;
+    author?: string;
+    /** Built-in theme name, theme file path, theme object, or 'auto' */
+    theme?: Theme | string;
+    style?: StyleMode;
+    /** What to do with text that does not fit the slide (default 'shrink') */
+    fit?: FitStrategy;
+    /** Slide size (default: the deck's aspect ratio) */
+    size?: SlideSize;
+    /** Incremental reveals (default 'appear') */
+    reveal?: RevealMode;
+    codeTheme?: string;
+    lineNumbers?: boolean;
+    /** Slides to convert, e.g. "1-5,8" (1-based) */
+    slides?: string | number;
+    /** Default: 1920 wide at the deck's aspect ratio */
+    viewport?: string | { width: number; height: number };
+    /** Page load timeout, also for each remote image (ms) */
+    timeout?: number;
+    renderWait?: number;
+    notes?: NotesOptions;
+    browser?: Browser;
+    /** Markdeep runtime directory used for .md / .md.html sources (default: the package's runtime/) */
+    runtime?: string;
+    /** Module paths (relative to the working directory), package names or plugin objects */
+    plugins?: Array<string | Plugin>;
+    /** Also called with each warning as it happens */
+    onWarning?: (message: string) => void;
+    /** Receives the slides as laid out (see BuildOptions.onSlides) */
+    onSlides?: (slides: Slide[]) => void;
+}
+
+export interface ConvertResult {
+    /** PPTX file contents */
+    buffer: Buffer;
+    /** Slide data the presentation was built from */
+    slideData: SlideData;
+    warnings: string[];
+    /** Content that was skipped, degraded, clamped or approximated */
+    diagnostics: Diagnostic[];
+}
+
+export type DiagnosticKind = 'skipped' | 'degraded' | 'clamped' | 'approximated';
+
+export interface Diagnostic {
+    /** 1-based slide number in the presentation */
+    slide: number;
+    kind: DiagnosticKind;
+    /** Element type or tag */
+    element?: string | null;
+    /** CSS selector locating the element in its slide */
+    selector?: string | null;
+    message: string;
+}
+
+export interface DiagnosticsReport {
+    input: string;
+    output: string | null;
+    title: string | null;
+    /** ISO date */
+    created: string;
+    counts: Record<DiagnosticKind, number>;
+    slides: Array<{ slide: number; diagnostics: Diagnostic[] }>;
+}
+
+/** input: HTML path or URL, Markdeep source (.md / .md.html), saved slide data (*.json) or slide data */
+export function convert(input: string | SlideData, options?: ConvertOptions): Promise<ConvertResult>;
+
+export function extractSlides(htmlPath: string, options?: ExtractOptions): Promise<SlideData>;
+export function launchBrowser(): Promise<Browser>;
+export function buildPptx(slideData: SlideData, options?: BuildOptions): Promise<Buffer>;
+export function generatePptx(slideData: SlideData, outputPath: string, options?: BuildOptions): Promise<string>;
+
+export const STYLE_MODES: StyleMode[];
+export const FIT_STRATEGIES: FitStrategy[];
+export const REVEAL_MODES: RevealMode[];
+export const THEMES: Record<string, Theme>;
+export const CODE_THEMES: Record<string, unknown>;
+
+export const SCHEMA_VERSION: number;
+/** The JSON Schema describing SlideData */
+export const SLIDE_DATA_SCHEMA: object;
+
+export class SlideDataError extends Error {
+    /** One message per problem, e.g. "slides[2].elements[0].position: missing w" */
+    errors: string[];
+}
+
+/** Save slide data as JSON (*.slides.json) with its schemaVersion */
+export function writeSlideDataFile(slideData: SlideData, filePath: string): Promise<void>;
+/** Read saved slide data; rejects files without schemaVersion or of another version */
+export function readSlideDataFile(filePath: string, options?: ValidateOptions): Promise<SlideData>;
+
+export interface ValidateOptions {
+    /** Plugins whose element types are allowed */
+    plugins?: Plugin[];
+}
+
+/** Problems found in slide data (empty when valid) */
+export function validateSlideData(slideData: unknown, options?: ValidateOptions): string[];
+export function assertValidSlideData(slideData: unknown, options?: ValidateOptions): asserts slideData is SlideData;
+
+/** Import and check plugins given as module paths, package names or plugin objects */
+export function loadPlugins(specs?: Array<string | Plugin>, baseDir?: string): Promise<Plugin[]>;
+
+export const DIAGNOSTIC_KINDS: DiagnosticKind[];
+export function createReport(diagnostics: Diagnostic[], info: { input: string; output?: string; title?: string }): DiagnosticsReport;
+export function writeReport(report: DiagnosticsReport, filePath: string, format: 'json' | 'html'): Promise<void>;
+/** One line per slide, e.g. "Slide 4: 2 degraded (admonition, table)" */
+export function summarizeDiagnostics(diagnostics: Diagnostic[]): string[];
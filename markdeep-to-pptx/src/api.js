@@ -0,0 +1,163 @@
+/**
+ * Public API - Convert Markdeep Slides from JavaScript
+ *
+ * This is the package entry point. `convert` takes an HTML file (or slide
+ * data extracted earlier) and returns the PPTX file contents together with
+ * the warnings raised on the way and the diagnostics of content that was not
+ * converted faithfully, without printing anything:
+ *
+ *   import { convert } from 'markdeep-to-pptx';
+ *   const { buffer, warnings, diagnostics } = await convert('talk.html', { theme: 'dark', slides: '1-10' });
+ *
+ * The lower-level steps and the slide data schema are exported as well;
+ * types are declared in api.d.ts.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { extractSlides, launchBrowser } from './slide-extractor.js';
+import { buildPptx, STYLE_MODES } from './pptx-generator.js';
+import { FIT_STRATEGIES } from './text-fit.js';
+import { REVEAL_MODES } from './reveal.js';
+import { loadTheme, resolveTheme, deriveTheme, THEMES } from './themes.js';
+import { getCodeTheme, CODE_THEMES } from './code-themes.js';
+import { parseViewport } from './config.js';
+import { parseSlideSize } from './slide-size.js';
+import { parseSlideRange, checkSlideRange, selectSlides } from './slide-range.js';
+import { loadPlugins } from './plugins.js';
+import { isMarkdeepSource, checkRuntime } from './markdeep-source.js';
+import { DIAGNOSTIC_KINDS, createReport, writeReport, summarizeDiagnostics } from './diagnostics.js';
+import {
+    SCHEMA_VERSION, SLIDE_DATA_SCHEMA, SlideDataError, validateSlideData, assertValidSlideData,
+    readSlideDataFile, writeSlideDataFile, isSlideDataFile
+} from './slide-schema.js';
+
+export { extractSlides, launchBrowser, buildPptx, STYLE_MODES, FIT_STRATEGIES, REVEAL_MODES, THEMES, CODE_THEMES };
+export { SCHEMA_VERSION, SLIDE_DATA_SCHEMA, SlideDataError, validateSlideData, assertValidSlideData };
+export { readSlideDataFile, writeSlideDataFile, loadPlugins };
+export { DIAGNOSTIC_KINDS, createReport, writeReport, summarizeDiagnostics };
+export { generatePptx } from './pptx-generator.js';
+
+/**
+ * Convert Markdeep Slides to a PowerPoint presentation
+ * @param {string|Object} input - Path or URL of the HTML file, path of Markdeep source (.md, .md.html;
+ *     rendered offline with the local runtime), path of saved slide data (*.json),
+ *     or slide data (see schema/slide-data.schema.json)
+ * @param {Object} [options]
+ * @param {string} [options.output] - Also write the PPTX to this path
+ * @param {boolean} [options.fromJson] - Read the input path as saved slide data, whatever its extension
+ * @param {string} [options.author] - Presentation author
+ * @param {string|Object} [options.theme] - Built-in theme name, theme file, theme object, or 'auto'
+ * @param {string} [options.style] - Style mode: 'normalized' (default) or 'fidelity'
+ * @param {string} [options.fit] - Text that does not fit the slide: 'shrink' (default), 'autofit',
+ *     'split' (continuation slides) or 'none'
+ * @param {string} [options.reveal] - Incremental reveals: 'appear' (click animations, default), 'fade',
+ *     'slides' (one slide per step) or 'none'
+ * @param {string|{width: number, height: number}} [options.size] - Slide size: a ratio ("4:3"),
+ *     dimensions ("13.33x7.5in") or { width, height } in inches (default: the deck's aspect ratio)
+ * @param {string} [options.codeTheme] - Code block color theme, overrides the theme's
+ * @param {boolean} [options.lineNumbers] - Number the lines of code blocks
+ * @param {string|number} [options.slides] - Slides to convert, e.g. "1-5,8" (default: all)
+ * @param {string|{width: number, height: number}} [options.viewport] - Browser viewport, e.g. "1920x1080"
+ *     (default: 1920 wide at the deck's aspect ratio)
+ * @param {number} [options.timeout] - Page load timeout, also for each remote image (ms)
+ * @param {number} [options.renderWait] - Extra wait for MathJax and other rendering (ms)
+ * @param {Object} [options.notes] - Speaker notes conventions (selector, separator, comments)
+ * @param {string} [options.runtime] - Markdeep runtime directory for sources (default: runtime/)
+ * @param {Array<string|Object>} [options.plugins] - Plugins adding element types: module paths
+ *     (relative to the working directory), package names or plugin objects (see plugins.js)
+ * @param {import('playwright').Browser} [options.browser] - Browser to reuse (see launchBrowser)
+ * @param {function(string): void} [options.onWarning] - Also called with each warning as it happens
+ * @param {function(Object[]): void} [options.onSlides] - Receives the slides as laid out (see buildPptx)
+ * @returns {Promise<{buffer: Buffer, slideData: Object, warnings: string[], diagnostics: Object[]}>}
+ *     diagnostics: content not converted faithfully (see diagnostics.js)
+ * @throws {SlideDataError} - If slide data given as input does not match the schema (or version)
+ */
+export async function convert(input, options = {}) {
+    const warnings = [];
+    const diagnostics = [];
+    const onWarning = (message) => {
+        warnings.push(message);
+        options.onWarning?.(message);
+    };
+
+    // Check options first so mistakes fail before the browser starts
+    const style = options.style || 'normalized';
+    if (!STYLE_MODES.includes(style)) {
+        throw new Error(`Unknown style mode "${style}" (available: ${STYLE_MODES.join(', ')})`);
+    }
+    const fit = options.fit || 'shrink';
+    if (!FIT_STRATEGIES.includes(fit)) {
+        throw new Error(`Unknown fit strategy "${fit}" (available: ${FIT_STRATEGIES.join(', ')})`);
+    }
+    if (options.codeTheme) getCodeTheme(options.codeTheme);
+    const reveal = options.reveal || 'appear';
+    if (!REVEAL_MODES.includes(reveal)) {
+        throw new Error(`Unknown reveal mode "${reveal}" (available: ${REVEAL_MODES.join(', ')})`);
+    }
+    const size = options.size ? parseSlideSize(options.size) : undefined;
+    if (options.slides !== undefined) checkSlideRange(options.slides);
+    const fromJson = typeof input === 'string' && (options.fromJson || isSlideDataFile(input));
+    if (typeof input === 'string' && !fromJson && isMarkdeepSource(input)) checkRuntime(input, options.runtime);
+    const autoTheme = options.theme === 'auto';
+    let theme = options.theme && !autoTheme ? await loadThemeOption(options.theme) : undefined;
+    const plugins = await loadPlugins(options.plugins);
+
+    let slideData;
+    if (fromJson) {
+        slideData = await readSlideDataFile(input, { plugins });
+    } else if (typeof input === 'string') {
+        slideData = await extractSlides(input, {
+            viewport: options.viewport && parseViewport(options.viewport),
+            timeout: options.timeout,
+            renderWait: options.renderWait,
+            notes: options.notes,
+            browser: options.browser,
+            runtime: options.runtime,
+            plugins,
+            onWarning
+        });
+    } else {
+        assertValidSlideData(input, { plugins });
+        slideData = input;
+    }
+
+    if (options.slides !== undefined) {
+        slideData = selectSlides(slideData, parseSlideRange(options.slides, slideData.slides.length));
+    }
+    if (autoTheme) {
+        theme = deriveTheme(slideData.styles);
+    }
+
+    const buffer = await buildPptx(slideData, {
+        author: options.author,
+        theme,
+        styleMode: style,
+        fit,
+        reveal,
+        size,
+        codeTheme: options.codeTheme,
+        lineNumbers: options.lineNumbers,
+        timeout: options.timeout,
+        plugins,
+        onWarning,
+        onDiagnostic: diagnostic => diagnostics.push(diagnostic),
+        onSlides: options.onSlides
+    });
+
+    if (options.output) {
+        await fs.mkdir(path.dirname(path.resolve(options.output)), { recursive: true });
+        await fs.writeFile(options.output, buffer);
+    }
+
+    return { buffer, slideData, warnings, diagnostics };
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Load a theme given as built-in name, theme file or theme object
+ */
+function loadThemeOption(theme) {
+    return typeof theme === 'object' ? resolveTheme(theme) : loadTheme(theme);
+}
@@ -0,0 +1,189 @@
+/**
+ * Batch - Convert many decks in one run
+ *
+ * Inputs are files, directories (every .html file in them, recursively)
+ * or glob patterns (`*`, `?` and `**`), so quoted patterns work on
+ * shells that do not expand them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Directories never searched for input files
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+/**
+ * Expand files, directories and glob patterns into a list of HTML files
+ * @param {string[]} inputs - Input arguments
+ * @returns {{files: string[], unmatched: string[]}} - Unique files in argument order,
+ *     and the inputs that matched nothing
+ */
+export function expandInputs(inputs) {
+    const files = new Set();
+    const unmatched = [];
+
+    for (const input of inputs) {
+        let matches;
+        if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            matches = walk(input).filter(isHtmlFile);
+        } else if (/[*?]/.test(input)) {
+            matches = expandGlob(input);
+        } else {
+            matches = fs.existsSync(input) ? [input] : [];
+        }
+
+        if (matches.length === 0) unmatched.push(input);
+        matches.sort().forEach(file => files.add(path.normalize(file)));
+    }
+
+    return { files: [...files], unmatched };
+}
+
+/**
+ * Output path for each input, mirroring the inputs' layout below their common directory
+ * @param {string[]} files - Input files
+ * @param {string} outputDir - Output directory
+ * @param {string} extension - Output extension (e.g. '.pptx')
+ * @returns {string[]} - Output paths, parallel to files
+ */
+export function batchOutputPaths(files, outputDir, extension) {
+    const dirs = files.map(file => path.dirname(path.resolve(file)));
+    const base = dirs.reduce(commonDirectory, dirs[0] || '');
+
+    return files.map(file => {
+        const relative = path.relative(base, path.resolve(file));
+        return path.join(outputDir, relative.replace(/(\.slides)?\.json$|(\.md)?\.[^.]*$/i, '') + extension);
+    });
+}
+
+/**
+ * Run an async task for each item with at most `concurrency` tasks at a time
+ * A failing task does not stop the others; its error is returned in its result.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @param {function(*, number): Promise<*>} task - Task for one item (item, index)
+ * @returns {Promise<Array<{item: *, ok: boolean, value?: *, error?: Error, duration: number}>>}
+ *     Results in item order
+ */
+export async function runWithConcurrency(items, concurrency, task) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            const start = Date.now();
+            try {
+                const value = await task(items[index], index);
+                results[index] = { item: items[index], ok: true, value, duration: Date.now() - start };
+            } catch (error) {
+                results[index] = { item: items[index], ok: false, error, duration: Date.now() - start };
+            }
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Format rows as a plain-text table with aligned columns
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array<string>>} rows - Table rows
+ * @returns {string}
+ */
+export function formatTable(headers, rows) {
+    const widths = headers.map((header, col) =>
+        Math.max(displayWidth(header), ...rows.map(row => displayWidth(String(row[col])))));
+    const line = cells => cells.map((cell, col) => padDisplay(String(cell), widths[col])).join('  ').trimEnd();
+
+    return [
+        line(headers),
+        widths.map(width => '─'.repeat(width)).join('  '),
+        ...rows.map(line)
+    ].join('\n');
+}
+
+// ============ Helper Functions ============
+
+/**
+ * List all files below a directory
+ */
+function walk(dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!SKIPPED_DIRECTORIES.has(entry.name)) files.push(...walk(fullPath));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Files matching a glob pattern
+ */
+function expandGlob(pattern) {
+    const segments = pattern.split(/[\\/]/);
+    const firstWildcard = segments.findIndex(segment => /[*?]/.test(segment));
+    const baseDir = segments.slice(0, firstWildcard).join('/') || '.';
+    if (!fs.existsSync(baseDir)) return [];
+
+    const matcher = globToRegExp(segments.slice(firstWildcard).join('/'));
+    return walk(baseDir).filter(file => matcher.test(path.relative(baseDir, file).split(path.sep).join('/')));
+}
+
+/**
+ * Convert a glob (relative to its base directory) to a regular expression
+ */
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" matches any number of directories, including none
+            source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += glob[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function isHtmlFile(file) {
+    return /\.html?$/i.test(file);
+}
+
+/**
+ * Longest directory containing both directories
+ */
+function commonDirectory(a, b) {
+    const partsA = a.split(path.sep);
+    const partsB = b.split(path.sep);
+    let i = 0;
+    while (i < partsA.length && i < partsB.length && partsA[i] === partsB[i]) i++;
+    return partsA.slice(0, i).join(path.sep) || path.sep;
+}
+
+/**
+ * Terminal width of a string (CJK characters take two columns)
+ */
+function displayWidth(text) {
+    let width = 0;
+    for (const char of text) {
+        width += /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/.test(char) ? 2 : 1;
+    }
+    return width;
+}
+
+function padDisplay(text, width) {
+    return text + ' '.repeat(Math.max(0, width - displayWidth(text)));
+}
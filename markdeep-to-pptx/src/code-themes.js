@@ -0,0 +1,137 @@
+/**
+ * Code Themes - Color schemes for syntax-highlighted code blocks
+ *
+ * Markdeep highlights listings with highlight.js; the extractor records
+ * each token's rendered color and its hljs scope (keyword, string, ...).
+ * The `markdeep` theme keeps the rendered colors, the other themes
+ * recolor tokens by scope.
+ */
+
+export const CODE_THEMES = {
+    // Colors exactly as rendered in the HTML page
+    markdeep: {
+        background: 'F5F5F5',
+        text: '333333',
+        lineNumber: '999999',
+        scopes: null
+    },
+    github: {
+        background: 'F6F8FA',
+        text: '24292E',
+        lineNumber: '959DA5',
+        scopes: {
+            keyword: { color: 'D73A49' },
+            built_in: { color: '005CC5' },
+            type: { color: 'D73A49' },
+            literal: { color: '005CC5' },
+            number: { color: '005CC5' },
+            string: { color: '032F62' },
+            regexp: { color: '032F62' },
+            symbol: { color: '005CC5' },
+            comment: { color: '6A737D', italic: true },
+            doctag: { color: 'D73A49' },
+            meta: { color: '005CC5' },
+            title: { color: '6F42C1' },
+            section: { color: '005CC5', bold: true },
+            attr: { color: '005CC5' },
+            attribute: { color: '005CC5' },
+            variable: { color: 'E36209' },
+            params: { color: '24292E' },
+            tag: { color: '22863A' },
+            name: { color: '22863A' },
+            selector: { color: '22863A' },
+            addition: { color: '22863A' },
+            deletion: { color: 'B31D28' }
+        }
+    },
+    monokai: {
+        background: '272822',
+        text: 'F8F8F2',
+        lineNumber: '75715E',
+        scopes: {
+            keyword: { color: 'F92672' },
+            built_in: { color: '66D9EF' },
+            type: { color: '66D9EF', italic: true },
+            literal: { color: 'AE81FF' },
+            number: { color: 'AE81FF' },
+            string: { color: 'E6DB74' },
+            regexp: { color: 'E6DB74' },
+            symbol: { color: 'AE81FF' },
+            comment: { color: '75715E' },
+            doctag: { color: '75715E' },
+            meta: { color: '75715E' },
+            title: { color: 'A6E22E' },
+            section: { color: 'A6E22E', bold: true },
+            attr: { color: 'A6E22E' },
+            attribute: { color: 'A6E22E' },
+            variable: { color: 'F8F8F2' },
+            params: { color: 'FD971F' },
+            tag: { color: 'F92672' },
+            name: { color: 'F92672' },
+            selector: { color: 'A6E22E' },
+            addition: { color: 'A6E22E' },
+            deletion: { color: 'F92672' }
+        }
+    },
+    'solarized-light': {
+        background: 'FDF6E3',
+        text: '657B83',
+        lineNumber: '93A1A1',
+        scopes: {
+            keyword: { color: '859900' },
+            built_in: { color: 'DC322F' },
+            type: { color: 'B58900' },
+            literal: { color: '2AA198' },
+            number: { color: '2AA198' },
+            string: { color: '2AA198' },
+            regexp: { color: '2AA198' },
+            symbol: { color: 'CB4B16' },
+            comment: { color: '93A1A1', italic: true },
+            doctag: { color: '859900' },
+            meta: { color: 'CB4B16' },
+            title: { color: '268BD2' },
+            section: { color: '268BD2', bold: true },
+            attr: { color: 'B58900' },
+            attribute: { color: 'B58900' },
+            variable: { color: 'B58900' },
+            params: { color: '657B83' },
+            tag: { color: '268BD2' },
+            name: { color: '268BD2' },
+            selector: { color: '859900' },
+            addition: { color: '859900' },
+            deletion: { color: 'DC322F' }
+        }
+    }
+};
+
+/**
+ * Look up a code theme by name
+ * @param {string} [name] - Theme name (default: markdeep)
+ * @returns {Object} - Theme definition
+ */
+export function getCodeTheme(name = 'markdeep') {
+    const theme = CODE_THEMES[name];
+    if (!theme) {
+        throw new Error(`Unknown code theme "${name}" (available: ${Object.keys(CODE_THEMES).join(', ')})`);
+    }
+    return theme;
+}
+
+/**
+ * Resolve the color and font style of one highlighted token
+ * @param {Object} token - Extracted token ({ text, color, bold, italic, scope })
+ * @param {Object} theme - Code theme
+ * @returns {{color: string, bold: boolean, italic: boolean}}
+ */
+export function tokenStyle(token, theme) {
+    if (!theme.scopes) {
+        return { color: token.color || theme.text, bold: !!token.bold, italic: !!token.italic };
+    }
+
+    const scoped = token.scope ? theme.scopes[token.scope] : null;
+    return {
+        color: scoped?.color || theme.text,
+        bold: !!scoped?.bold,
+        italic: !!scoped?.italic
+    };
+}
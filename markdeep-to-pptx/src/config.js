@@ -0,0 +1,184 @@
+/**
+ * Config - Conversion options from a markdeep-to-pptx.config.json/.js file
+ *
+ * The config file is looked up next to the input file (or given with
+ * --config). Its keys are the camelCase names of the CLI options; CLI
+ * flags override config values, which override the defaults. Relative
+ * paths in the config are resolved against the config file's directory.
+ *
+ *   {
+ *     "author": "Jane Doe",
+ *     "theme": "dark",
+ *     "style": "fidelity",
+ *     "fit": "split",
+ *     "size": "4:3",
+ *     "slides": "1-10",
+ *     "viewport": "1600x900",
+ *     "outputDir": "build",
+ *     "plugins": ["./plugins/timeline.js"]
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { resolvePluginPath } from './plugins.js';
+
+export const CONFIG_FILE_NAMES = [
+    'markdeep-to-pptx.config.json',
+    'markdeep-to-pptx.config.js',
+    'markdeep-to-pptx.config.mjs'
+];
+
+// Option defaults (paths are resolved by the CLI)
+export const DEFAULT_OPTIONS = {
+    style: 'normalized',
+    fit: 'shrink',
+    reveal: 'appear',
+    verbosity: 'normal',
+    lineNumbers: false
+};
+
+// Known config keys and the type of their values
+const CONFIG_KEYS = {
+    author: 'string',
+    theme: ['string', 'object'],
+    style: 'string',
+    fit: 'string',
+    reveal: 'string',
+    size: ['string', 'object'],
+    codeTheme: 'string',
+    lineNumbers: 'boolean',
+    emitJson: 'boolean',
+    report: 'string',
+    slides: ['string', 'number'],
+    timeout: 'number',
+    renderWait: 'number',
+    viewport: ['string', 'object'],
+    outputDir: 'string',
+    verbosity: 'string',
+    notes: 'object',
+    plugins: 'object',
+    runtime: 'string'
+};
+
+// Config keys holding paths
+const PATH_KEYS = ['outputDir', 'runtime'];
+
+/**
+ * Find the config file for an input file
+ * @param {string} inputPath - Path to the input HTML file
+ * @returns {string|null} - Path to the config file, or null if there is none
+ */
+export function findConfigFile(inputPath) {
+    const dir = path.dirname(path.resolve(inputPath));
+    for (const name of CONFIG_FILE_NAMES) {
+        const candidate = path.join(dir, name);
+        if (fs.existsSync(candidate)) return candidate;
+    }
+    return null;
+}
+
+/**
+ * Load and validate a config file
+ * JS config files export the config as default export (or as `config`).
+ * @param {string} configPath - Path to the config file
+ * @returns {Promise<Object>} - Config options with paths made absolute
+ */
+export async function loadConfig(configPath) {
+    const ext = path.extname(configPath).toLowerCase();
+    let config;
+
+    try {
+        if (ext === '.json') {
+            config = JSON.parse(await fs.promises.readFile(configPath, 'utf8'));
+        } else {
+            const module = await import(pathToFileURL(path.resolve(configPath)).href);
+            config = module.default || module.config;
+        }
+    } catch (error) {
+        throw new Error(`Could not read config file ${configPath} (${error.message})`);
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Config file ${configPath} does not define a config object`);
+    }
+
+    validateConfig(config, configPath);
+    return resolveConfigPaths(config, path.dirname(path.resolve(configPath)));
+}
+
+/**
+ * Combine defaults, config file options and CLI options
+ * Undefined CLI options do not override the config.
+ * @param {Object} config - Options from the config file
+ * @param {Object} cliOptions - Options from the command line
+ * @returns {Object} - Effective options
+ */
+export function mergeOptions(config, cliOptions) {
+    const defined = Object.fromEntries(Object.entries(cliOptions).filter(([, value]) => value !== undefined));
+    return { ...DEFAULT_OPTIONS, ...config, ...defined };
+}
+
+/**
+ * Parse a viewport size ("1920x1080" or { width, height })
+ * @param {string|Object} value - Viewport size
+ * @returns {{width: number, height: number}}
+ */
+export function parseViewport(value) {
+    if (value && typeof value === 'object') {
+        const { width, height } = value;
+        if (Number.isInteger(width) && Number.isInteger(height) && width > 0 && height > 0) {
+            return { width, height };
+        }
+    } else {
+        const match = String(value).match(/^\s*(\d+)\s*[x×]\s*(\d+)\s*$/i);
+        if (match && Number(match[1]) > 0 && Number(match[2]) > 0) {
+            return { width: Number(match[1]), height: Number(match[2]) };
+        }
+    }
+    throw new Error(`Invalid viewport "${typeof value === 'object' ? JSON.stringify(value) : value}" (expected WIDTHxHEIGHT, e.g. 1920x1080)`);
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Reject unknown keys and values of the wrong type
+ */
+function validateConfig(config, configPath) {
+    for (const [key, value] of Object.entries(config)) {
+        const expected = CONFIG_KEYS[key];
+        if (!expected) {
+            throw new Error(`Unknown option "${key}" in config file ${configPath} (available: ${Object.keys(CONFIG_KEYS).join(', ')})`);
+        }
+        const types = [].concat(expected);
+        if (!types.includes(typeof value) || value === null) {
+            throw new Error(`Option "${key}" in config file ${configPath} must be a ${types.join(' or ')}`);
+        }
+    }
+    // Module paths, or plugin objects in JS config files
+    const { plugins } = config;
+    if (plugins !== undefined && (!Array.isArray(plugins) ||
+        !plugins.every(plugin => typeof plugin === 'string' || (plugin && typeof plugin === 'object')))) {
+        throw new Error(`Option "plugins" in config file ${configPath} must be an array of module paths`);
+    }
+}
+
+/**
+ * Resolve relative paths against the config file's directory
+ */
+function resolveConfigPaths(config, baseDir) {
+    const resolved = { ...config };
+    for (const key of PATH_KEYS) {
+        if (resolved[key]) resolved[key] = path.resolve(baseDir, resolved[key]);
+    }
+    // Theme files, but not built-in theme names or inline theme objects
+    if (typeof resolved.theme === 'string' && /\.(json|m?js)$/i.test(resolved.theme)) {
+        resolved.theme = path.resolve(baseDir, resolved.theme);
+    }
+    if (resolved.plugins) {
+        resolved.plugins = resolved.plugins.map(plugin =>
+            typeof plugin === 'string' ? resolvePluginPath(plugin, baseDir) : plugin);
+    }
+    return resolved;
+}
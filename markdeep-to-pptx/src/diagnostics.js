@@ -0,0 +1,158 @@
+/**
+ * Diagnostics - Report of content that did not make it into the PPTX as it was
+ *
+ * The extractor and the generator record a diagnostic for every element
+ * that is not converted faithfully:
+ *
+ *   skipped       Left out of the presentation (unsupported tag, image that did not load, ...)
+ *   degraded      Present, but formatting was lost (e.g. bold text in blockquotes)
+ *   clamped       Shrunk or moved to fit the slide (font size reduced, continuation slide)
+ *   approximated  Replaced by a near equivalent (formula as image or TeX, SVG as picture)
+ *
+ * A diagnostic is { slide, kind, element, selector, message }: the 1-based
+ * slide number in the presentation, the element type (or tag), a CSS
+ * selector locating the element in its slide and what happened. Extraction
+ * diagnostics travel with the slide data (slide.diagnostics, without the
+ * slide number); the generator reports them together with its own.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DIAGNOSTIC_KINDS = ['skipped', 'degraded', 'clamped', 'approximated'];
+
+export const REPORT_FORMATS = ['json', 'html'];
+
+/**
+ * Count diagnostics by kind
+ * @param {Object[]} diagnostics - Diagnostics
+ * @returns {Object<string, number>} - Count per kind (all kinds present)
+ */
+export function countDiagnostics(diagnostics) {
+    const counts = Object.fromEntries(DIAGNOSTIC_KINDS.map(kind => [kind, 0]));
+    diagnostics.forEach(diagnostic => counts[diagnostic.kind]++);
+    return counts;
+}
+
+/**
+ * One line per slide with diagnostics, for the console
+ * e.g. "Slide 4: 2 degraded (blockquote, list), 1 skipped (details)"
+ * @param {Object[]} diagnostics - Diagnostics
+ * @returns {string[]} - Lines, in slide order
+ */
+export function summarizeDiagnostics(diagnostics) {
+    return groupBySlide(diagnostics).map(({ slide, diagnostics: slideDiagnostics }) => {
+        const parts = DIAGNOSTIC_KINDS.map(kind => {
+            const ofKind = slideDiagnostics.filter(diagnostic => diagnostic.kind === kind);
+            if (ofKind.length === 0) return null;
+            const elements = [...new Set(ofKind.map(diagnostic => diagnostic.element || 'slide'))];
+            return `${ofKind.length} ${kind} (${elements.join(', ')})`;
+        });
+        return `Slide ${slide}: ${parts.filter(Boolean).join(', ')}`;
+    });
+}
+
+/**
+ * Build the diagnostics report of one conversion
+ * @param {Object[]} diagnostics - Diagnostics
+ * @param {Object} info
+ * @param {string} info.input - Converted file
+ * @param {string} [info.output] - Written PPTX file
+ * @param {string} [info.title] - Presentation title
+ * @returns {Object} - { input, output, title, created, counts, slides: [{ slide, diagnostics }] }
+ */
+export function createReport(diagnostics, { input, output = null, title = null }) {
+    return {
+        input,
+        output,
+        title,
+        created: new Date().toISOString(),
+        counts: countDiagnostics(diagnostics),
+        slides: groupBySlide(diagnostics)
+    };
+}
+
+/**
+ * Write a report as JSON or HTML
+ * @param {Object} report - Report from createReport
+ * @param {string} filePath - Where to write it
+ * @param {string} format - One of REPORT_FORMATS
+ */
+export async function writeReport(report, filePath, format) {
+    if (!REPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown report format "${format}" (available: ${REPORT_FORMATS.join(', ')})`);
+    }
+    const contents = format === 'html' ? formatReportHtml(report) : JSON.stringify(report, null, 2);
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.writeFile(filePath, contents);
+}
+
+/**
+ * Render a report as a standalone HTML page
+ * @param {Object} report - Report from createReport
+ * @returns {string}
+ */
+export function formatReportHtml(report) {
+    const total = Object.values(report.counts).reduce((sum, count) => sum + count, 0);
+    const counts = DIAGNOSTIC_KINDS.map(kind =>
+        `<span class="kind ${kind}">${report.counts[kind]} ${kind}</span>`).join(' ');
+
+    const rows = report.slides.flatMap(({ slide, diagnostics }) => diagnostics.map((diagnostic, idx) => `
+        <tr>
+            ${idx === 0 ? `<th rowspan="${diagnostics.length}">${slide}</th>` : ''}
+            <td><span class="kind ${diagnostic.kind}">${diagnostic.kind}</span></td>
+            <td>${escapeHtml(diagnostic.element || '')}</td>
+            <td><code>${escapeHtml(diagnostic.selector || '')}</code></td>
+            <td>${escapeHtml(diagnostic.message)}</td>
+        </tr>`)).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Conversion report: ${escapeHtml(report.title || report.input)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ddd; padding: 0.4em 0.6em; text-align: left; vertical-align: top; }
+    thead th { background: #f4f4f4; }
+    tbody th { font-size: 1.2em; }
+    code { font-size: 0.85em; color: #555; }
+    .kind { display: inline-block; padding: 0.1em 0.5em; border-radius: 0.8em; font-size: 0.85em; }
+    .skipped { background: #FFEBEE; color: #C62828; }
+    .degraded { background: #FFF8E1; color: #F57F17; }
+    .clamped { background: #E8F4FD; color: #1565C0; }
+    .approximated { background: #E8F5E9; color: #2E7D32; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title || report.input)}</h1>
+<p>${escapeHtml(report.input)}${report.output ? ` → ${escapeHtml(report.output)}` : ''} · ${escapeHtml(report.created)}</p>
+<p>${total === 0 ? 'Everything was converted as it is.' : `${total} issues: ${counts}`}</p>
+${total === 0 ? '' : `<table>
+    <thead><tr><th>Slide</th><th>Kind</th><th>Element</th><th>Selector</th><th>What happened</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+</table>`}
+</body>
+</html>
+`;
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Diagnostics grouped by slide, in slide order
+ */
+function groupBySlide(diagnostics) {
+    const slides = new Map();
+    for (const diagnostic of diagnostics) {
+        if (!slides.has(diagnostic.slide)) slides.set(diagnostic.slide, []);
+        slides.get(diagnostic.slide).push(diagnostic);
+    }
+    return [...slides.keys()].sort((a, b) => a - b).map(slide => ({ slide, diagnostics: slides.get(slide) }));
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
@@ -0,0 +1,175 @@
+/**
+ * Image Resolver - Load slide images into a form PptxGenJS can embed
+ *
+ * Image sources extracted from the rendered HTML may be file:// URLs,
+ * paths relative to the presentation, data: URIs or remote URLs. This
+ * module loads each source into a base64 data string, reads its pixel
+ * size (for aspect ratio) and rasterizes formats PowerPoint cannot
+ * display natively (e.g. SVG) to PNG with sharp.
+ */
+
+import sharp from 'sharp';
+import fs from 'fs/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { printWarning } from './logger.js';
+
+// Formats PowerPoint displays without conversion
+const NATIVE_FORMATS = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif'
+};
+
+// Rasterization density for vector sources (SVG default is 72 DPI)
+const VECTOR_DENSITY = 192;
+
+// Time allowed for loading a remote image (ms), unless given (as the page load timeout)
+const FETCH_TIMEOUT = 60000;
+
+/**
+ * Resolve an image source to embeddable data
+ * BMP images are not supported: PowerPoint does not display them reliably and sharp cannot convert them.
+ * @param {string} src - Image source (file://, http(s)://, data: URI or relative path)
+ * @param {string} [baseUrl] - URL relative sources are resolved against (usually the HTML file)
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Time allowed for loading a remote image (ms, default 60000)
+ * @returns {Promise<{data: string, width: number, height: number}>} - PptxGenJS data string and pixel size
+ */
+export async function resolveImage(src, baseUrl, options = {}) {
+    const buffer = await loadImageBuffer(src, baseUrl, options.timeout || FETCH_TIMEOUT);
+    if (isBmp(buffer)) {
+        throw new Error('BMP images are not supported (convert it to PNG)');
+    }
+    const isVector = isSvg(buffer);
+
+    const image = sharp(buffer, isVector ? { density: VECTOR_DENSITY } : {});
+    const metadata = await image.metadata();
+
+    let format = metadata.format;
+    let output = buffer;
+
+    if (isVector || !NATIVE_FORMATS[format]) {
+        output = await image.png().toBuffer();
+        format = 'png';
+    }
+
+    return {
+        data: `${NATIVE_FORMATS[format]};base64,${output.toString('base64')}`,
+        width: metadata.width,
+        height: metadata.height
+    };
+}
+
+/**
+ * Resolve every image element in the slide data
+ * Images that cannot be loaded are reported and left out of the result.
+ * @param {Object} slideData - Extracted slide data
+ * @param {string} [baseUrl] - URL relative sources are resolved against
+ * @param {function(string): void} [warn] - Receives warnings about images that cannot be loaded
+ * @param {Object} [options] - See resolveImage
+ * @returns {Promise<Map<Object, Object>>} - Map from image element to resolved image
+ */
+export async function resolveSlideImages(slideData, baseUrl, warn = printWarning, options = {}) {
+    const resolved = new Map();
+
+    for (const slideInfo of slideData.slides) {
+        for (const element of slideInfo.elements) {
+            if (element.type !== 'image' || !element.src) continue;
+
+            try {
+                resolved.set(element, await resolveImage(element.src, baseUrl, options));
+            } catch (error) {
+                warn(`Slide ${slideInfo.index + 1}: could not load image ${shortenSource(element.src)} (${error.message})`);
+            }
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Shorten long sources (data URIs) for log output
+ * @param {string} src - Image source
+ * @returns {string}
+ */
+export function shortenSource(src) {
+    return src.length > 80 ? `${src.substring(0, 77)}...` : src;
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Read the raw bytes of an image source
+ */
+async function loadImageBuffer(src, baseUrl, timeout) {
+    if (src.startsWith('data:')) {
+        return decodeDataUri(src);
+    }
+
+    const url = toUrl(src, baseUrl);
+
+    if (url.protocol === 'file:') {
+        return fs.readFile(fileURLToPath(url));
+    }
+
+    if (url.protocol === 'http:' || url.protocol === 'https:') {
+        try {
+            const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return Buffer.from(await response.arrayBuffer());
+        } catch (error) {
+            if (error.name === 'TimeoutError') throw new Error(`timed out after ${timeout} ms`);
+            throw error;
+        }
+    }
+
+    throw new Error(`unsupported protocol ${url.protocol}`);
+}
+
+/**
+ * Turn an image source into an absolute URL
+ */
+function toUrl(src, baseUrl) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(src)) {
+        return new URL(src);
+    }
+
+    const base = baseUrl || pathToFileURL(`${process.cwd()}/`).href;
+    return new URL(src, base);
+}
+
+/**
+ * Decode a data: URI (base64 or URL-encoded)
+ */
+function decodeDataUri(uri) {
+    const commaIndex = uri.indexOf(',');
+    if (commaIndex === -1) {
+        throw new Error('malformed data URI');
+    }
+
+    const header = uri.substring(5, commaIndex);
+    const payload = uri.substring(commaIndex + 1);
+
+    if (header.split(';').includes('base64')) {
+        return Buffer.from(payload, 'base64');
+    }
+    return Buffer.from(decodeURIComponent(payload), 'utf8');
+}
+
+/**
+ * Check whether a buffer holds a BMP image ("BM" and a known DIB header size)
+ */
+function isBmp(buffer) {
+    return buffer.length >= 18 && buffer.toString('latin1', 0, 2) === 'BM' &&
+        [12, 40, 52, 56, 64, 108, 124].includes(buffer.readUInt32LE(14));
+}
+
+/**
+ * Check whether a buffer holds SVG markup
+ */
+function isSvg(buffer) {
+    const head = buffer.subarray(0, 1024).toString('utf8').trimStart();
+    return head.startsWith('<') && head.includes('<svg');
+}
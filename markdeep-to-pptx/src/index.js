@@ -2,48 +2,217 @@
 
 /**
  * Markdeep Slides to PPTX Converter
- * 
+ *
  * Main entry point for the converter.
- * 
+ *
  * Usage:
- *   node src/index.js <input.html> [output.pptx]
- *   
+ *   node src/index.js [convert] <input.html> [output.pptx] [options]
+ *   node src/index.js [convert] <input.slides.json> [output.pptx] [options]
+ *   node src/index.js [convert] <input.md> [output.pptx] [options]
+ *   node src/index.js inspect <input.html> [--json]
+ *   node src/index.js screenshots <input.html> [options]
+ *   node src/index.js compare <input.html> [options]
+ *   node src/index.js batch <inputs...> [--concurrency <n>] [options]
+ *
  * Examples:
  *   node src/index.js presentation.html
  *   node src/index.js presentation.html output/my-presentation.pptx
+ *   node src/index.js presentation.html --theme dark --slides 1-5
  */
 
-import { extractSlides } from './slide-extractor.js';
-import { generatePptx } from './pptx-generator.js';
+import { extractSlides, captureSlideScreenshots, launchBrowser, openExtractionSession } from './slide-extractor.js';
+import { convert } from './api.js';
+import { STYLE_MODES } from './pptx-generator.js';
+import { FIT_STRATEGIES } from './text-fit.js';
+import { REVEAL_MODES } from './reveal.js';
+import { THEMES } from './themes.js';
+import { CODE_THEMES } from './code-themes.js';
+import { findConfigFile, loadConfig, mergeOptions, parseViewport, CONFIG_FILE_NAMES } from './config.js';
+import { parseSlideRange, selectSlides } from './slide-range.js';
+import { readSlideDataFile, writeSlideDataFile, isSlideDataFile, SLIDE_DATA_EXTENSION } from './slide-schema.js';
+import { expandInputs, batchOutputPaths, runWithConcurrency, formatTable } from './batch.js';
+import { watchFiles, diffSlides } from './watch.js';
+import { loadPlugins } from './plugins.js';
+import { REPORT_FORMATS, createReport, writeReport, summarizeDiagnostics } from './diagnostics.js';
+import { findRenderer, renderPptxSlides, compareImages, writeCompareReport } from './visual-compare.js';
+import { log, setVerbosity, printWarning } from './logger.js';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-async function main() {
-    const args = process.argv.slice(2);
+// Default output directory (inside the package)
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'output');
+
+const COMMANDS = {
+    convert: convertCommand,
+    inspect: inspectCommand,
+    screenshots: screenshotsCommand,
+    compare: compareCommand,
+    batch: batchCommand
+};
+
+// Decks converted at once in batch mode
+const DEFAULT_CONCURRENCY = 2;
 
-    if (args.length === 0) {
-        console.log(`
+const CLI_OPTIONS = {
+    output: { type: 'string', short: 'o' },
+    'output-dir': { type: 'string' },
+    config: { type: 'string' },
+    author: { type: 'string' },
+    theme: { type: 'string' },
+    style: { type: 'string' },
+    fit: { type: 'string' },
+    reveal: { type: 'string' },
+    size: { type: 'string' },
+    'code-theme': { type: 'string' },
+    'line-numbers': { type: 'boolean' },
+    slides: { type: 'string' },
+    timeout: { type: 'string' },
+    'render-wait': { type: 'string' },
+    'emit-json': { type: 'boolean' },
+    'from-json': { type: 'boolean' },
+    report: { type: 'string' },
+    viewport: { type: 'string' },
+    runtime: { type: 'string' },
+    plugin: { type: 'string', multiple: true },
+    watch: { type: 'boolean', short: 'w' },
+    json: { type: 'boolean' },
+    concurrency: { type: 'string' },
+    verbose: { type: 'boolean', short: 'v' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const HELP = `
 Markdeep Slides to PPTX Converter
 =================================
 
 Usage:
-  node src/index.js <input.html> [output.pptx]
+  node src/index.js [convert] <input.html> [output.pptx] [options]
+  node src/index.js inspect <input.html> [--json] [options]
+  node src/index.js screenshots <input.html> [options]
+  node src/index.js compare <input.html> [options]
+  node src/index.js batch <file|dir|glob>... [options]
+
+Commands:
+  convert      - Convert the slides to a PPTX file (default)
+  inspect      - List the extracted slides; --json prints the extracted data
+  screenshots  - Save a PNG screenshot of each slide
+  compare      - Convert, render the PPTX slides with LibreOffice and pdftoppm,
+                 and score them against screenshots of the HTML slides
+                 (SSIM and differing pixels, in an HTML report)
+  batch        - Convert many decks with one browser; inputs are files,
+                 directories (all .html files below them) or glob patterns
 
 Arguments:
-  input.html   - Path to the Markdeep Slides HTML file
+  input.html   - Path to the Markdeep Slides HTML file, Markdeep source
+                 (.md / .md.html, rendered offline with the local runtime),
+                 or slide data saved with --emit-json (*${SLIDE_DATA_EXTENSION})
   output.pptx  - Optional output path for the PPTX file (default: same name as input)
 
+Options:
+  -o, --output <path>    - Output file (convert, inspect --json) or directory
+                           (screenshots, compare)
+  --output-dir <dir>     - Directory for default output paths (default: output/)
+  --config <file>        - Config file (default: ${CONFIG_FILE_NAMES[0]}
+                           or .js/.mjs next to the input file)
+  --author <name>        - Presentation author
+  --theme <theme>        - Built-in theme (${Object.keys(THEMES).join(', ')}),
+                           path to a .json/.js theme file, or "auto" to derive
+                           the theme from the page's CSS (default: markdeep)
+  --style <mode>         - ${STYLE_MODES.join(' | ')}: "normalized" uses the theme's
+                           fixed font sizes and colors, "fidelity" uses the sizes,
+                           colors, alignment and line spacing computed in the page
+                           (default: normalized)
+  --fit <strategy>       - Text that does not fit the slide: ${FIT_STRATEGIES.join(' | ')}
+                           ("shrink" lowers the font size, "autofit" turns on
+                           PowerPoint's shrink on overflow, "split" moves the rest
+                           to continuation slides) (default: shrink); long tables
+                           and code listings are paginated unless "none"
+  --reveal <mode>        - Incremental reveals (fragments, .incremental lists):
+                           ${REVEAL_MODES.join(' | ')} ("appear" and "fade" are click
+                           animations, "slides" makes each step a slide, "none"
+                           shows everything at once) (default: appear)
+  --size <size>          - Slide size: a ratio (4:3, 16:10) or dimensions
+                           (13.33x7.5in, 25.4x19.05cm) (default: the deck's
+                           aspect ratio)
+  --code-theme <name>    - Code block colors (${Object.keys(CODE_THEMES).join(', ')})
+                           (default: the theme's)
+  --line-numbers         - Number the lines of code blocks
+  --emit-json            - Also save the slide data next to the PPTX
+                           (<name>${SLIDE_DATA_EXTENSION}), to edit it or convert it later
+  --from-json            - Read the input as saved slide data instead of HTML
+                           (implied for .json inputs); no browser is started
+  --report <format>      - Also save a report of content that was skipped,
+                           degraded, clamped or approximated next to the PPTX
+                           (<name>.report.json or .html; ${REPORT_FORMATS.join(' | ')})
+  --slides <range>       - Slides to convert, e.g. 1-5,8 or 10- (default: all)
+  --timeout <ms>         - Page load timeout, also for each remote image (default: 60000)
+  --render-wait <ms>     - Extra wait for MathJax and other rendering (default: 2000)
+  --viewport <WxH>       - Browser viewport size (default: 1920 wide at the
+                           deck's aspect ratio)
+  --runtime <dir>        - Local Markdeep and slides runtime used for .md sources
+                           (default: runtime/ in this package; files missing
+                           there come from the local copies the source loads)
+  --plugin <module>      - Load a plugin adding element types for custom
+                           containers (repeatable; added to the config's "plugins")
+  --concurrency <n>      - Decks converted at once in batch mode (default: ${DEFAULT_CONCURRENCY})
+  -w, --watch            - Convert again whenever the input or a file it loads
+                           (images, CSS, ...) changes
+  -v, --verbose          - Print debugging detail
+  -q, --quiet            - Print warnings and errors only
+  -h, --help             - Show this help
+
+Every option can also be set in the config file, using camelCase keys
+(e.g. "codeTheme", "renderWait", "outputDir"); command line flags win.
+
 Examples:
   node src/index.js presentation.html
   node src/index.js ../markdeep-slides-project/Tutorial.html output/Tutorial.pptx
-`);
+  node src/index.js presentation.html --theme dark --author "Jane Doe"
+  node src/index.js presentation.html --theme my-theme.json --slides 1-10
+  node src/index.js presentation.html --style fidelity
+  node src/index.js presentation.html --fit split
+  node src/index.js presentation.html --watch
+  node src/index.js presentation.html --emit-json
+  node src/index.js presentation.html --report html
+  node src/index.js talk.md.html --runtime vendor/markdeep-runtime
+  node src/index.js output/presentation${SLIDE_DATA_EXTENSION} --theme dark
+  node src/index.js inspect presentation.html
+  node src/index.js screenshots presentation.html --slides 3 --viewport 1280x720
+  node src/index.js compare presentation.html --slides 1-10
+  node src/index.js batch "course/**/*.html" --output-dir build --concurrency 3
+`;
+
+async function main() {
+    let flags, args;
+    try {
+        ({ values: flags, positionals: args } = parseArgs({
+            options: CLI_OPTIONS,
+            allowPositionals: true
+        }));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    // The command may be omitted: "node src/index.js input.html" converts
+    const commandName = COMMANDS[args[0]] ? args.shift() : 'convert';
+
+    if (flags.help || args.length === 0) {
+        console.log(HELP);
         process.exit(0);
     }
 
+    if (commandName === 'batch') {
+        await batchCommand(args, flags).catch(error => reportError(commandName, error));
+        return;
+    }
+
     const inputPath = args[0];
 
     // Check if input file exists
@@ -52,60 +221,518 @@ Examples:
         process.exit(1);
     }
 
-    // Determine output path
-    let outputPath = args[1];
-    if (!outputPath) {
-        const inputBasename = path.basename(inputPath, path.extname(inputPath));
-        const outputDir = path.join(path.dirname(__filename), '..', 'output');
-
-        // Ensure output directory exists
-        if (!fs.existsSync(outputDir)) {
-            fs.mkdirSync(outputDir, { recursive: true });
-        }
+    let options;
+    try {
+        options = await resolveOptions(inputPath, flags);
+        if (!options.output && args[1]) options.output = args[1];
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
 
-        outputPath = path.join(outputDir, `${inputBasename}.pptx`);
+    try {
+        await COMMANDS[commandName](inputPath, options);
+    } catch (error) {
+        reportError(commandName, error);
     }
+}
 
-    console.log(`
+/**
+ * Print a command's error and exit
+ */
+function reportError(commandName, error) {
+    log.error('');
+    log.error(`❌ Error during ${commandName}:`);
+    log.error(error.message);
+    log.error('');
+    log.debug('Stack trace:');
+    log.debug(error.stack);
+    process.exit(1);
+}
+
+// ============ Commands ============
+
+/**
+ * Convert the slides to a PPTX file
+ */
+async function convertCommand(inputPath, options) {
+    const outputPath = options.output || defaultOutputPath(inputPath, options, '.pptx');
+
+    log.info(`
 ╔════════════════════════════════════════════════════════════════════╗
 ║           Markdeep Slides to PPTX Converter                        ║
 ╚════════════════════════════════════════════════════════════════════╝
 `);
 
-    console.log(`📄 Input:  ${inputPath}`);
-    console.log(`📦 Output: ${outputPath}`);
+    log.info(`📄 Input:  ${inputPath}`);
+    log.info(`📦 Output: ${outputPath}`);
+    log.info(`🎨 Style:  ${options.style}`);
+    log.info('');
+
+    if (options.watch) {
+        await watchDeck(inputPath, outputPath, options);
+        return;
+    }
+
+    const { diagnostics } = await convertDeck(inputPath, outputPath, options, log.info);
+
+    // Content that did not convert as it is
+    if (diagnostics.length > 0) {
+        log.info(`📋 ${diagnostics.length} issues${options.report ? '' : ' (details: --report html)'}:`);
+        summarizeDiagnostics(diagnostics).forEach(line => log.info(`   ${line}`));
+        log.info('');
+    }
+
+    // Summary
+    log.info('═══════════════════════════════════════════════════════════════════');
+    log.info(`✅ Conversion complete!`);
+    log.info(`   Open ${outputPath} to view your presentation.`);
+    log.info('');
+}
+
+/**
+ * Convert, then convert again whenever the input or a file it loads changes
+ * The page stays open between builds and is only reloaded. Runs until Ctrl+C.
+ */
+async function watchDeck(inputPath, outputPath, options) {
+    // Saved slide data is simply read again; HTML keeps its page open
+    const plugins = await loadPlugins(options.plugins);
+    const session = options.fromJson
+        ? null
+        : await openExtractionSession(inputPath, extractOptions({ ...options, plugins }));
+    const watchOptions = { ...options, plugins, session };
+    let watcher = null;
+    let previous = null;
+    let building = false;
+    let pending = false;
+
+    async function build(changedFiles) {
+        if (building) {
+            pending = true;
+            return;
+        }
+        building = true;
+
+        do {
+            pending = false;
+            const start = Date.now();
+            try {
+                const { slideData, diagnostics } = await convertDeck(inputPath, outputPath, watchOptions, log.debug);
+                reportBuild(slideData, diagnostics, previous, Date.now() - start, changedFiles);
+                previous = slideData;
+
+                // Files the page loads may have changed (e.g. a new image)
+                const files = session ? await session.dependencies() : [inputPath];
+                if (typeof options.theme === 'string' && /\.(json|m?js)$/i.test(options.theme)) {
+                    files.push(options.theme);
+                }
+                log.debug(`   Watching: ${files.join(', ')}`);
+                watcher.update(files);
+            } catch (error) {
+                log.error(`❌ Build failed: ${error.message}`);
+            }
+        } while (pending);
+
+        building = false;
+    }
+
+    watcher = watchFiles([inputPath], changedFiles => {
+        log.info(`🔄 Changed: ${changedFiles.map(file => path.relative(process.cwd(), file)).join(', ')}`);
+        build(changedFiles);
+    });
+
+    process.on('SIGINT', async () => {
+        watcher.close();
+        await session?.close();
+        log.info('');
+        log.info('👋 Stopped watching');
+        process.exit(0);
+    });
+
+    log.info(`👀 Watching ${inputPath} (Ctrl+C to stop)`);
+    log.info('');
+    await build(null);
+}
+
+/**
+ * Print the result of one watch-mode build
+ */
+function reportBuild(slideData, diagnostics, previous, duration, changedFiles) {
+    const time = new Date().toLocaleTimeString();
+    const issues = diagnostics.length > 0 ? ` (${diagnostics.length} issues)` : '';
+    log.info(`✅ [${time}] Built ${slideData.slides.length} slides in ${(duration / 1000).toFixed(1)}s${issues}`);
+    if (!changedFiles) return;
+
+    const { changed, added, removed } = diffSlides(previous, slideData);
+    const parts = [
+        changed.length > 0 && `changed: ${changed.join(', ')}`,
+        added.length > 0 && `added: ${added.join(', ')}`,
+        removed.length > 0 && `removed: ${removed.join(', ')}`
+    ].filter(Boolean);
+    log.info(`   Slides ${parts.length > 0 ? parts.join('; ') : 'unchanged'}`);
+}
+
+/**
+ * Convert many decks, sharing one browser, and print a summary table
+ * Each deck uses the config file next to it; failures do not stop the batch.
+ */
+async function batchCommand(inputs, flags) {
+    const concurrency = flags.concurrency === undefined ? DEFAULT_CONCURRENCY : Number(flags.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        console.error(`Error: --concurrency expects a positive whole number, got "${flags.concurrency}"`);
+        process.exit(1);
+    }
+    if (flags.output) {
+        console.error('Error: batch writes one file per deck; use --output-dir instead of --output');
+        process.exit(1);
+    }
+
+    const { files, unmatched } = expandInputs(inputs);
+    unmatched.forEach(input => log.warn(`   ⚠️  No input files match ${input}`));
+    if (files.length === 0) {
+        console.error('Error: No input files found');
+        process.exit(1);
+    }
+
+    // Mirror the input folders below the output directory so equal file names don't collide
+    const outputPaths = batchOutputPaths(files, flags['output-dir'] || DEFAULT_OUTPUT_DIR, '.pptx');
+
+    setVerbosity(flags.verbose ? 'verbose' : flags.quiet ? 'quiet' : 'normal');
+    log.info(`📚 Converting ${files.length} decks (${Math.min(concurrency, files.length)} at a time)...`);
+    log.info('');
+
+    const browser = await launchBrowser();
+    let results;
+    try {
+        results = await runWithConcurrency(files, concurrency, async (inputPath, index) => {
+            const options = await resolveOptions(inputPath, flags);
+            const { slideData, diagnostics } = await convertDeck(inputPath, outputPaths[index], { ...options, browser }, log.debug);
+            log.info(`   ✓ ${inputPath} (${slideData.slides.length} slides)`);
+            return { slides: slideData.slides.length, issues: diagnostics.length };
+        });
+    } finally {
+        await browser.close();
+    }
+
+    const failures = results.filter(result => !result.ok);
+    failures.forEach(result => log.info(`   ✗ ${result.item}: ${result.error.message}`));
+
+    // Summary
+    const rows = results.map((result, index) => [
+        result.item,
+        result.ok ? '✓ ok' : '✗ failed',
+        result.ok ? result.value.slides : '-',
+        result.ok ? result.value.issues : '-',
+        `${(result.duration / 1000).toFixed(1)}s`,
+        result.ok ? outputPaths[index] : result.error.message.split('\n')[0]
+    ]);
+    const totalSlides = results.reduce((sum, result) => sum + (result.ok ? result.value.slides : 0), 0);
+
+    console.log('');
+    console.log(formatTable(['File', 'Status', 'Slides', 'Issues', 'Time', 'Output / Error'], rows));
     console.log('');
+    console.log(`${results.length - failures.length} converted, ${failures.length} failed, ${totalSlides} slides`);
+
+    if (failures.length > 0) process.exit(1);
+}
+
+/**
+ * Print a summary of the extracted slides, or the extracted data as JSON
+ */
+async function inspectCommand(inputPath, options) {
+    const slideData = await extractSelectedSlides(inputPath, options);
 
+    if (options.json) {
+        const json = JSON.stringify(slideData, null, 2);
+        if (options.output) {
+            fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+            fs.writeFileSync(options.output, json);
+            log.info(`✓ Slide data written to ${options.output}`);
+        } else {
+            console.log(json);
+        }
+        return;
+    }
+
+    console.log('');
+    console.log(`📄 ${slideData.title}`);
+    console.log(`   ${slideData.slides.length} slides${slideData.aspectRatio ? `, aspect ratio ${slideData.aspectRatio.toFixed(2)}` : ''}`);
+    console.log('');
+
+    for (const slide of slideData.slides) {
+        const number = (slide.sourceIndex ?? slide.index) + 1;
+        const heading = slide.elements.find(e => e.type === 'heading');
+        const title = heading ? heading.text.map(run => run.text).join('').trim() : '(no heading)';
+        const counts = {};
+        for (const element of slide.elements) {
+            counts[element.type] = (counts[element.type] || 0) + 1;
+        }
+        const contents = Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ');
+
+        console.log(`  ${String(number).padStart(3)}. ${title}`);
+        const issues = slide.diagnostics?.length ? ` · ${slide.diagnostics.length} extraction issues` : '';
+        console.log(`       ${contents || 'empty'}${slide.notes ? ' · notes' : ''}${issues}`);
+    }
+    console.log('');
+}
+
+/**
+ * Save a PNG screenshot of each slide
+ */
+async function screenshotsCommand(inputPath, options) {
+    if (options.fromJson) {
+        throw new Error('screenshots needs the HTML page, not saved slide data');
+    }
+
+    const outputDir = options.output ||
+        defaultOutputPath(inputPath, options, '-screenshots');
+
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    log.info(`📸 Capturing slides of ${inputPath}...`);
+    const screenshots = await captureSlideScreenshots(inputPath, outputDir, {
+        ...pageOptions(options),
+        slides: options.slides
+    });
+    log.info(`   ✓ Saved ${screenshots.length} screenshots to ${outputDir}`);
+}
+
+/**
+ * Convert the slides, render the PPTX and score each slide against its HTML screenshot
+ * Writes <name>.pptx, html/, pptx/ and diff/ images and index.html (the report)
+ * to the output directory.
+ */
+async function compareCommand(inputPath, options) {
+    if (options.fromJson) {
+        throw new Error('compare needs the HTML page, not saved slide data');
+    }
+    // Fail before the slow steps if the PPTX cannot be rendered
+    const renderer = findRenderer();
+
+    const outputDir = options.output || defaultOutputPath(inputPath, options, '-compare');
+    const inputBasename = path.basename(defaultOutputPath(inputPath, {}, ''));
+    const pptxPath = path.join(outputDir, `${inputBasename}.pptx`);
+    const dirs = {
+        html: path.join(outputDir, 'html'),
+        pptx: path.join(outputDir, 'pptx'),
+        diff: path.join(outputDir, 'diff')
+    };
+    Object.values(dirs).forEach(dir => fs.mkdirSync(dir, { recursive: true }));
+
+    // The HTML slides are captured with every reveal step shown, as are animated PPTX slides
+    // once rendered, so steps are not expanded into slides
+    const reveal = options.reveal === 'slides' ? 'appear' : options.reveal;
+
+    // One browser for extraction and screenshots
+    const browser = await launchBrowser();
+    let slides, slideData, htmlScreenshots;
     try {
-        // Step 1: Extract slides
-        console.log('🔍 Step 1: Extracting slides from HTML...');
-        const slideData = await extractSlides(inputPath);
-        console.log(`   ✓ Extracted ${slideData.slides.length} slides`);
-        console.log(`   ✓ Title: "${slideData.title}"`);
-        console.log(`   ✓ Aspect ratio: ${slideData.aspectRatio.toFixed(2)}`);
-        console.log('');
-
-        // Step 2: Generate PPTX
-        console.log('📊 Step 2: Generating PowerPoint presentation...');
-        await generatePptx(slideData, outputPath);
-        console.log(`   ✓ Presentation saved successfully`);
-        console.log('');
-
-        // Summary
-        console.log('═══════════════════════════════════════════════════════════════════');
-        console.log(`✅ Conversion complete!`);
-        console.log(`   Open ${outputPath} to view your presentation.`);
-        console.log('');
+        ({ slideData } = await convertDeck(inputPath, pptxPath,
+            { ...options, reveal, browser, onSlides: laidOut => { slides = laidOut; } }, log.info));
 
-    } catch (error) {
-        console.error('');
-        console.error('❌ Error during conversion:');
-        console.error(error.message);
-        console.error('');
-        console.error('Stack trace:');
-        console.error(error.stack);
-        process.exit(1);
+        log.info(`📸 Capturing the HTML slides...`);
+        htmlScreenshots = await captureSlideScreenshots(inputPath, dirs.html, {
+            ...pageOptions({ ...options, browser }),
+            slides: options.slides
+        });
+    } finally {
+        await browser.close();
+    }
+
+    log.info(`🖨️  Rendering the PPTX slides with ${path.basename(renderer.soffice)}...`);
+    const pptxRenderings = await renderPptxSlides(pptxPath, dirs.pptx, renderer);
+    if (pptxRenderings.length !== slides.length) {
+        log.warn(`   ⚠️  Rendered ${pptxRenderings.length} PPTX slides, expected ${slides.length}`);
+    }
+
+    // Continuation slides are shown next to the HTML slide they continue, unscored
+    log.info('🔎 Comparing...');
+    const results = [];
+    let htmlIndex = -1;
+    for (const [idx, slide] of slides.entries()) {
+        if (!slide.continued) htmlIndex++;
+        const number = String(idx + 1).padStart(3, '0');
+        const result = {
+            slide: idx + 1,
+            htmlSlide: htmlIndex + 1,
+            html: htmlScreenshots[htmlIndex],
+            pptx: pptxRenderings[idx],
+            diff: null,
+            ssim: null,
+            pixelDiff: null,
+            continued: !!slide.continued
+        };
+        if (!slide.continued && result.html && result.pptx) {
+            result.diff = path.join(dirs.diff, `slide-${number}.png`);
+            Object.assign(result, await compareImages(result.html, result.pptx, result.diff));
+        }
+        results.push(result);
+    }
+
+    const reportPath = path.join(outputDir, 'index.html');
+    const worst = writeCompareReport(results, reportPath, { input: inputPath, output: pptxPath, title: slideData.title });
+
+    const rows = results.map(result => [
+        result.slide,
+        result.ssim === null ? '-' : result.ssim.toFixed(3),
+        result.pixelDiff === null ? '-' : `${(result.pixelDiff * 100).toFixed(1)}%`,
+        result.continued ? `continues HTML slide ${result.htmlSlide}` : worst.includes(result) ? 'worst' : ''
+    ]);
+    console.log('');
+    console.log(formatTable(['Slide', 'SSIM', 'Differing', ''], rows));
+    console.log('');
+    if (worst.length > 0) {
+        console.log(`Worst: ${worst.map(result => `slide ${result.slide} (SSIM ${result.ssim.toFixed(3)})`).join(', ')}`);
+    }
+    log.info(`📋 Report saved to ${reportPath}`);
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Convert one deck with convert() and do the CLI's own extras: saving the slide data and the report
+ * @param {function(...*)} progress - Where step messages go (log.info, or log.debug in batch mode)
+ * @returns {Promise<{slideData: Object, diagnostics: Object[]}>} - The converted slide data and
+ *     the content not converted faithfully
+ */
+async function convertDeck(inputPath, outputPath, options, progress) {
+    progress(options.fromJson
+        ? '🔍 Reading saved slide data and generating the presentation...'
+        : '🔍 Extracting slides from HTML and generating the presentation...');
+
+    // Watch mode keeps the page open between builds and converts what it extracted
+    const input = options.session ? await options.session.extract() : inputPath;
+    const { slideData, diagnostics } = await convert(input, { ...options, output: outputPath, onWarning: printWarning });
+
+    progress(`   ✓ ${options.fromJson ? 'Read' : 'Extracted'} ${slideData.slides.length} slides`);
+    progress(`   ✓ Title: "${slideData.title}"`);
+    if (slideData.aspectRatio) {
+        progress(`   ✓ Aspect ratio: ${slideData.aspectRatio.toFixed(2)}`);
+    }
+    if (options.theme === 'auto') {
+        progress('   ✓ Theme derived from page CSS');
+    }
+    progress(`   ✓ Presentation saved successfully`);
+
+    if (options.emitJson) {
+        const jsonPath = outputPath.replace(/\.pptx$/i, '') + SLIDE_DATA_EXTENSION;
+        await writeSlideDataFile(slideData, jsonPath);
+        progress(`   ✓ Slide data saved to ${jsonPath}`);
+    }
+    if (options.report) {
+        const reportPath = outputPath.replace(/\.pptx$/i, '') + `.report.${options.report}`;
+        const report = createReport(diagnostics, { input: inputPath, output: outputPath, title: slideData.title });
+        await writeReport(report, reportPath, options.report);
+        progress(`   ✓ Report (${diagnostics.length} issues) saved to ${reportPath}`);
+    }
+    progress('');
+
+    return { slideData, diagnostics };
+}
+
+/**
+ * Combine the config file and command line flags into the effective options
+ */
+async function resolveOptions(inputPath, flags) {
+    const configPath = flags.config || findConfigFile(inputPath);
+    const config = configPath ? await loadConfig(configPath) : {};
+
+    const options = mergeOptions(config, {
+        output: flags.output,
+        outputDir: flags['output-dir'],
+        author: flags.author,
+        theme: flags.theme,
+        style: flags.style,
+        fit: flags.fit,
+        reveal: flags.reveal,
+        size: flags.size,
+        codeTheme: flags['code-theme'],
+        lineNumbers: flags['line-numbers'],
+        emitJson: flags['emit-json'],
+        report: flags.report,
+        fromJson: flags['from-json'] || isSlideDataFile(inputPath) || undefined,
+        slides: flags.slides,
+        timeout: parseMilliseconds('--timeout', flags.timeout),
+        renderWait: parseMilliseconds('--render-wait', flags['render-wait']),
+        viewport: flags.viewport,
+        runtime: flags.runtime,
+        watch: flags.watch,
+        json: flags.json,
+        verbosity: flags.verbose ? 'verbose' : flags.quiet ? 'quiet' : undefined
+    });
+
+    // Keep stdout clean when inspect prints JSON
+    const jsonToStdout = options.json && !options.output;
+    setVerbosity(jsonToStdout && options.verbosity === 'normal' ? 'quiet' : options.verbosity);
+    if (configPath) log.info(`⚙️  Config: ${configPath}`);
+
+    // The conversion options are checked by convert(); only the CLI's own are checked here
+    if (options.report && !REPORT_FORMATS.includes(options.report)) {
+        throw new Error(`Unknown report format "${options.report}" (available: ${REPORT_FORMATS.join(', ')})`);
+    }
+
+    // Config plugins are resolved against the config file, --plugin ones against the working directory
+    options.plugins = [...(options.plugins || []), ...(flags.plugin || [])];
+    if (options.plugins.length > 0) {
+        log.info(`🧩 Plugins: ${options.plugins.map(plugin => typeof plugin === 'string' ? path.basename(plugin) : plugin.name).join(', ')}`);
+    }
+
+    log.debug('Options:', JSON.stringify(options, null, 2));
+    return options;
+}
+
+/**
+ * Extract the slides (or read saved slide data) for inspection, keeping only the selected range
+ */
+async function extractSelectedSlides(inputPath, options) {
+    const plugins = await loadPlugins(options.plugins);
+    const slideData = options.fromJson
+        ? await readSlideDataFile(inputPath, { plugins })
+        : await extractSlides(inputPath, extractOptions({ ...options, plugins }));
+    if (options.slides === undefined) return slideData;
+
+    const indices = parseSlideRange(options.slides, slideData.slides.length);
+    log.debug(`Selected slides: ${indices.map(i => i + 1).join(', ')}`);
+    return selectSlides(slideData, indices);
+}
+
+/**
+ * Options for loading the page in the browser
+ */
+function pageOptions(options) {
+    return {
+        browser: options.browser,
+        viewport: options.viewport && parseViewport(options.viewport),
+        timeout: options.timeout,
+        renderWait: options.renderWait
+    };
+}
+
+/**
+ * Options for extracting the slides from the page
+ */
+function extractOptions(options) {
+    return { ...pageOptions(options), notes: options.notes, plugins: options.plugins, runtime: options.runtime };
+}
+
+/**
+ * Default output path: <output dir>/<input name><suffix>
+ */
+function defaultOutputPath(inputPath, options, suffix) {
+    const inputBasename = path.basename(inputPath).replace(/(\.slides)?\.json$|(\.md)?\.[^.]*$/i, '');
+    return path.join(options.outputDir || DEFAULT_OUTPUT_DIR, `${inputBasename}${suffix}`);
+}
+
+/**
+ * Parse a non-negative millisecond count given on the command line
+ */
+function parseMilliseconds(flag, value) {
+    if (value === undefined) return undefined;
+    const ms = Number(value);
+    if (!Number.isFinite(ms) || ms < 0) {
+        throw new Error(`${flag} expects a number of milliseconds, got "${value}"`);
     }
+    return ms;
 }
 
 main();
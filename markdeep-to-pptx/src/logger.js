@@ -0,0 +1,41 @@
+/**
+ * Logger - Console output filtered by the CLI verbosity level
+ *
+ * quiet:   warnings and errors only
+ * normal:  progress messages (default)
+ * verbose: progress plus debugging detail
+ */
+
+export const VERBOSITY_LEVELS = ['quiet', 'normal', 'verbose'];
+
+let level = 1;
+
+/**
+ * Set how much is printed
+ * @param {string} verbosity - One of VERBOSITY_LEVELS
+ */
+export function setVerbosity(verbosity) {
+    const index = VERBOSITY_LEVELS.indexOf(verbosity);
+    if (index < 0) {
+        throw new Error(`Unknown verbosity "${verbosity}" (available: ${VERBOSITY_LEVELS.join(', ')})`);
+    }
+    level = index;
+}
+
+export const log = {
+    // Progress messages
+    info: (...args) => { if (level >= 1) console.log(...args); },
+    // Debugging detail
+    debug: (...args) => { if (level >= 2) console.log(...args); },
+    // Always printed
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+/**
+ * Default warning handler: print the warning under the current step
+ * @param {string} message - Warning text
+ */
+export function printWarning(message) {
+    log.warn(`   ⚠️  ${message}`);
+}
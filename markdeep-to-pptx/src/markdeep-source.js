@@ -0,0 +1,210 @@
+/**
+ * Markdeep Source - Render .md / .md.html sources offline
+ *
+ * Instead of opening a page that loads Markdeep and the slides script from
+ * the network, the source is wrapped in a page that loads them from local
+ * files, and every other network request is blocked:
+ *
+ *   runtime/
+ *   ├── markdeep.min.js      Markdeep
+ *   ├── markdeep-slides.js   Slides runtime (defines initSlides)
+ *   ├── *.css                Slides styles (all are loaded)
+ *   └── mathjax/             Optional: MathJax 2, served for Markdeep's CDN requests
+ *
+ * The runtime directory is runtime/ in this package unless another one is
+ * given (--runtime). Markdeep and the slides runtime are not on npm, so the
+ * package does not ship them: a file missing from the runtime directory is
+ * taken from the local copy the source itself loads (markdeep-slides decks
+ * ship lib/markdeep/markdeep.min.js and markdeep-slides.js), together with
+ * the source's local slides styles. MathJax comes from the mathjax package
+ * when the runtime directory has no copy.
+ *
+ * Script and style tags in the source that load Markdeep
+ * or the slides runtime are dropped; other markup, such as the source's own
+ * markdeepOptions and markdeepSlidesOptions, is kept. Options without an
+ * onLoad get one that starts the slides runtime.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { createRequire } from 'module';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_RUNTIME_DIR = path.join(__dirname, '..', 'runtime');
+
+// MathJax 2 from the mathjax package (null when it is not installed)
+export const MATHJAX_DIR = findPackageDir('mathjax');
+
+// Files the runtime directory must hold
+export const RUNTIME_FILES = {
+    markdeep: 'markdeep.min.js',
+    slides: 'markdeep-slides.js'
+};
+
+// <script src> and <link href> tags loading Markdeep or the slides runtime
+const RUNTIME_TAG_PATTERN =
+    /<script\b[^>]*\bsrc\s*=\s*["'][^"']*markdeep[^"']*["'][^>]*>\s*<\/script>|<link\b[^>]*\bhref\s*=\s*["'][^"']*(?:markdeep|relativize)[^"']*["'][^>]*>/gi;
+
+// URL of a <script src> or <link href> tag
+const TAG_URL_PATTERN = /\b(?:src|href)\s*=\s*["']([^"']*)["']/i;
+
+// MathJax on a CDN: .../mathjax/<version>/<file>
+const MATHJAX_URL_PATTERN = /\/mathjax\/[^/]+\/(.+)$/i;
+
+/**
+ * Whether an input is Markdeep source to be rendered with the local runtime
+ * @param {string} filePath - Input path
+ * @returns {boolean}
+ */
+export function isMarkdeepSource(filePath) {
+    return /\.md(\.html)?$/i.test(filePath);
+}
+
+/**
+ * Check that the runtime files needed to render a source can be found
+ * @param {string} sourcePath - Path to the .md / .md.html file
+ * @param {string} [runtimeDir] - Runtime directory (default: DEFAULT_RUNTIME_DIR)
+ * @throws {Error} - Naming the missing files
+ */
+export function checkRuntime(sourcePath, runtimeDir = DEFAULT_RUNTIME_DIR) {
+    resolveRuntime(sourcePath, fs.readFileSync(sourcePath, 'utf8'), runtimeDir);
+}
+
+/**
+ * Write (or rewrite) the page rendering a source with the local runtime
+ * The page lives in the temp directory; its <base> is the source file, so
+ * relative images and links resolve as if the source were opened directly.
+ * @param {string} sourcePath - Path to the .md / .md.html file
+ * @param {string} [runtimeDir] - Runtime directory (default: DEFAULT_RUNTIME_DIR)
+ * @returns {Promise<string>} - Path of the page
+ */
+export async function writeSourcePage(sourcePath, runtimeDir = DEFAULT_RUNTIME_DIR) {
+    const source = await fs.promises.readFile(sourcePath, 'utf8');
+    const runtime = resolveRuntime(sourcePath, source, runtimeDir);
+    const fileUrl = (file) => pathToFileURL(file).href;
+
+    const html = `<meta charset="utf-8">
+<base href="${fileUrl(path.resolve(sourcePath))}">
+${source.replace(RUNTIME_TAG_PATTERN, '')}
+
+<!-- Local Markdeep Slides runtime (markdeep-to-pptx) -->
+${runtime.styles.map(file => `<link rel="stylesheet" href="${fileUrl(file)}">`).join('\n')}
+<script src="${fileUrl(runtime.slides)}"></script>
+<script>
+    window.markdeepOptions = window.markdeepOptions || { tocStyle: 'none', detectMath: false };
+    if (!window.markdeepOptions.onLoad) {
+        window.markdeepOptions.onLoad = function () { initSlides(); };
+    }
+</script>
+<script src="${fileUrl(runtime.markdeep)}" charset="utf-8"></script>
+`;
+
+    const pagePath = sourcePagePath(sourcePath);
+    await fs.promises.writeFile(pagePath, html);
+    return pagePath;
+}
+
+/**
+ * Delete the page written by writeSourcePage
+ * @param {string} sourcePath - Path to the .md / .md.html file
+ */
+export async function removeSourcePage(sourcePath) {
+    await fs.promises.rm(sourcePagePath(sourcePath), { force: true });
+}
+
+/**
+ * Path of the page rendering a source (one per source and process)
+ * @param {string} sourcePath - Path to the .md / .md.html file
+ * @returns {string}
+ */
+export function sourcePagePath(sourcePath) {
+    const hash = crypto.createHash('sha1').update(path.resolve(sourcePath)).digest('hex').substring(0, 12);
+    return path.join(os.tmpdir(), `markdeep-to-pptx-${process.pid}-${hash}.html`);
+}
+
+/**
+ * Keep a page off the network: serve MathJax from the runtime when it has
+ * a copy, else from the mathjax package, block everything else (one
+ * warning per host)
+ * @param {import('playwright').Page} page - Page to route
+ * @param {string} [runtimeDir] - Runtime directory (default: DEFAULT_RUNTIME_DIR)
+ * @param {function(string): void} warn - Receives blocked hosts
+ */
+export async function routeOffline(page, runtimeDir = DEFAULT_RUNTIME_DIR, warn) {
+    const blockedHosts = new Set();
+
+    await page.route(/^https?:\/\//i, (route) => {
+        const url = new URL(route.request().url());
+
+        const mathJaxFile = url.pathname.match(MATHJAX_URL_PATTERN)?.[1];
+        const localFile = mathJaxFile && [path.join(path.resolve(runtimeDir), 'mathjax'), MATHJAX_DIR]
+            .filter(Boolean)
+            .map(dir => path.join(dir, mathJaxFile))
+            .find(file => fs.existsSync(file));
+        if (localFile) {
+            return route.fulfill({ path: localFile });
+        }
+
+        if (!blockedHosts.has(url.host)) {
+            blockedHosts.add(url.host);
+            warn(`Offline rendering: blocked request to ${url.host} (${url.href})`);
+        }
+        return route.abort('internetdisconnected');
+    });
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Find the runtime files for a source: each file from the runtime directory,
+ * else from the local copy the source loads
+ * @param {string} sourcePath - Path to the .md / .md.html file
+ * @param {string} source - Its content
+ * @param {string} runtimeDir - Runtime directory
+ * @returns {{markdeep: string, slides: string, styles: string[]}} - File paths
+ * @throws {Error} - Naming the files found in neither place
+ */
+function resolveRuntime(sourcePath, source, runtimeDir) {
+    const dir = path.resolve(runtimeDir);
+    const runtimeFile = (name) => fs.existsSync(path.join(dir, name)) ? path.join(dir, name) : null;
+
+    // Local files loaded by the source's Markdeep / slides runtime tags
+    const localFiles = [...source.matchAll(RUNTIME_TAG_PATTERN)]
+        .map(match => match[0].match(TAG_URL_PATTERN)?.[1])
+        .filter(url => url && !/^([a-z][a-z\d+.-]*:|\/\/)/i.test(url))
+        .map(url => path.resolve(path.dirname(sourcePath), decodeURI(url.split(/[?#]/)[0])))
+        .filter(file => fs.existsSync(file));
+    const localFile = (name) => localFiles.find(file => path.basename(file) === name) || null;
+
+    const markdeep = runtimeFile(RUNTIME_FILES.markdeep) || localFile(RUNTIME_FILES.markdeep);
+    const slides = runtimeFile(RUNTIME_FILES.slides) || localFile(RUNTIME_FILES.slides);
+    const missing = Object.entries({ markdeep, slides }).filter(([, file]) => !file).map(([key]) => RUNTIME_FILES[key]);
+    if (missing.length > 0) {
+        throw new Error(`Markdeep runtime for ${sourcePath} is incomplete (missing ${missing.join(', ')}); ` +
+            `put the files in ${dir}, give another runtime directory with --runtime, ` +
+            'or load local copies from the source');
+    }
+
+    // Styles go with the slides runtime
+    const styles = slides.startsWith(dir + path.sep)
+        ? fs.readdirSync(dir).filter(name => /\.css$/i.test(name)).sort().map(name => path.join(dir, name))
+        : localFiles.filter(file => /\.css$/i.test(file));
+    return { markdeep, slides, styles };
+}
+
+/**
+ * Directory of an installed package
+ * @param {string} name - Package name
+ * @returns {string|null} - null when it is not installed
+ */
+function findPackageDir(name) {
+    try {
+        return path.dirname(createRequire(import.meta.url).resolve(`${name}/package.json`));
+    } catch {
+        return null;
+    }
+}
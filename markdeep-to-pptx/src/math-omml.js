@@ -0,0 +1,490 @@
+/**
+ * Math OMML - Convert MathML (as produced by MathJax) to Office Math Markup
+ *
+ * PowerPoint stores editable equations as OMML (`m:oMath`). This module
+ * parses the MathML that MathJax exposes for each formula and translates
+ * the common presentation elements (tokens, scripts, fractions, radicals,
+ * fences, large operators, accents and matrices) into OMML.
+ *
+ * Conversion throws on anything it does not understand so that callers
+ * can fall back to a rendered image or the TeX source.
+ */
+
+// Large operators that become n-ary objects (∑ with limits etc.)
+const NARY_OPERATORS = new Set(['∑', '∏', '∐', '∫', '∬', '∭', '∮', '∯', '∰', '⋃', '⋂', '⋁', '⋀', '⨁', '⨂', '⨀']);
+
+// Accent characters used by MathJax mapped to combining characters
+const ACCENTS = {
+    '^': '\u0302', '\u02C6': '\u0302', '\u0302': '\u0302',
+    '~': '\u0303', '\u02DC': '\u0303', '\u0303': '\u0303',
+    '\u2192': '\u20D7', '\u20D7': '\u20D7',
+    '\u02D9': '\u0307', '\u0307': '\u0307',
+    '\u00A8': '\u0308', '\u0308': '\u0308',
+    '\u02C7': '\u030C', '\u030C': '\u030C',
+    '\u00B4': '\u0301', '\u02CA': '\u0301',
+    '`': '\u0300', '\u02CB': '\u0300',
+    '\u02D8': '\u0306'
+};
+
+// Characters that draw a bar over or under the base
+const BARS = new Set(['\u00AF', '\u203E', '_', '\u2015', '\u0305']);
+
+// Brace characters that become group characters (\overbrace, \underbrace)
+const GROUP_CHARS = new Set(['⏞', '⏟', '︷', '︸']);
+
+/**
+ * Convert a MathML string to an OMML `m:oMath` element
+ * @param {string} mathml - Serialized `<math>` element
+ * @param {string} [runProps] - DrawingML run properties (`<a:rPr .../>`) applied to every math run
+ * @returns {string} - OMML markup
+ */
+export function mathmlToOmml(mathml, runProps = '') {
+    const root = parseXml(mathml);
+    if (root.name !== 'math') {
+        throw new Error(`expected <math> root, got <${root.name}>`);
+    }
+
+    const converter = new OmmlConverter(runProps);
+    return `<m:oMath>${converter.children(root)}</m:oMath>`;
+}
+
+/**
+ * Check whether a MathML string can be converted
+ * @param {string} mathml - Serialized `<math>` element
+ * @returns {{ok: boolean, error?: string}}
+ */
+export function checkMathml(mathml) {
+    try {
+        mathmlToOmml(mathml);
+        return { ok: true };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+}
+
+// ============ Slide Integration ============
+
+const MATH_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/math';
+const MC_NS = 'http://schemas.openxmlformats.org/markup-compatibility/2006';
+const A14_NS = 'http://schemas.microsoft.com/office/drawing/2010/main';
+
+const TOKEN_PATTERN = /\{\{pptx-math:(\d+)\}\}/g;
+
+// Width of a no-break space in ems, to leave room in the text for formula pictures
+const NBSP_WIDTH = 0.25;
+
+/**
+ * Placeholder text written into a text run where an equation goes
+ * @param {number} id - Formula id assigned by the extractor
+ * @returns {string}
+ */
+export function mathToken(id) {
+    return `{{pptx-math:${id}}}`;
+}
+
+/**
+ * Collect every formula in the slide data and check whether it converts
+ * @param {Object} slideData - Extracted slide data
+ * @returns {Map<number, {math: Object, ok: boolean, error?: string}>} - Formulas by id
+ */
+export function prepareEquations(slideData) {
+    const equations = new Map();
+
+    const visit = (value) => {
+        if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value && typeof value === 'object') {
+            if (value.math && typeof value.math.id === 'number') {
+                const math = value.math;
+                const result = math.mathml ? checkMathml(math.mathml) : { ok: false, error: 'no MathML source' };
+                equations.set(math.id, { math, ...result });
+            }
+            Object.values(value).forEach(visit);
+        }
+    };
+
+    visit(slideData.slides);
+    return equations;
+}
+
+/**
+ * Replace equation placeholders in a slide's XML with OMML
+ * Formulas that cannot be converted are replaced by their TeX source, or by blank
+ * space where the slide has a picture of the formula over the text.
+ * @param {string} xml - Slide XML
+ * @param {Map} equations - Result of prepareEquations()
+ * @param {Set<number>} [pictures] - Ids of the formulas drawn as pictures on this slide
+ * @returns {string} - Slide XML with equations
+ */
+export function replaceMathTokens(xml, equations, pictures = new Set()) {
+    if (!xml.includes('{{pptx-math:')) return xml;
+
+    return xml.replace(/<a:p>([\s\S]*?)<\/a:p>/g, (paragraph, body) => {
+        if (!body.includes('{{pptx-math:')) return paragraph;
+
+        // A paragraph holding nothing but one display formula becomes an equation paragraph
+        const text = [...body.matchAll(/<a:t>([^<]*)<\/a:t>/g)].map(m => m[1]).join('').trim();
+        const single = text.match(/^\{\{pptx-math:(\d+)\}\}$/);
+        const displayId = single && equations.get(parseInt(single[1]))?.math.display ? parseInt(single[1]) : null;
+
+        const runPattern = /<a:r>(<a:rPr[^>]*\/>|<a:rPr[^>]*>[\s\S]*?<\/a:rPr>)?<a:t>([^<]*)<\/a:t><\/a:r>/g;
+        const newBody = body.replace(runPattern, (run, rPr = '', runText) => {
+            if (!runText.includes('{{pptx-math:')) return run;
+
+            let result = '';
+            let last = 0;
+            for (const match of runText.matchAll(TOKEN_PATTERN)) {
+                if (match.index > last) {
+                    result += `<a:r>${rPr}<a:t>${runText.substring(last, match.index)}</a:t></a:r>`;
+                }
+                const id = parseInt(match[1]);
+                result += pictures.has(id)
+                    ? pictureSpaceRun(equations.get(id), rPr)
+                    : equationXml(equations.get(id), rPr, id === displayId);
+                last = match.index + match[0].length;
+            }
+            if (last < runText.length) {
+                result += `<a:r>${rPr}<a:t>${runText.substring(last)}</a:t></a:r>`;
+            }
+            return result;
+        });
+
+        return `<a:p>${newBody}</a:p>`;
+    });
+}
+
+/**
+ * Build the XML for one equation (with a TeX text fallback for older readers)
+ */
+function equationXml(equation, rPr, asParagraph) {
+    const tex = escapeXml(equation?.math.tex || '');
+    const fallbackRun = `<a:r>${rPr}<a:t>${tex}</a:t></a:r>`;
+    if (!equation?.ok) return fallbackRun;
+
+    let omml;
+    try {
+        omml = mathmlToOmml(equation.math.mathml, mathRunProps(rPr));
+    } catch {
+        return fallbackRun;
+    }
+
+    const body = asParagraph
+        ? `<m:oMathPara xmlns:m="${MATH_NS}"><m:oMathParaPr><m:jc m:val="centerGroup"/></m:oMathParaPr>${omml}</m:oMathPara>`
+        : omml.replace('<m:oMath>', `<m:oMath xmlns:m="${MATH_NS}">`);
+
+    return `<mc:AlternateContent xmlns:mc="${MC_NS}">` +
+        `<mc:Choice xmlns:a14="${A14_NS}" Requires="a14"><a14:m>${body}</a14:m></mc:Choice>` +
+        `<mc:Fallback>${fallbackRun}</mc:Fallback>` +
+        '</mc:AlternateContent>';
+}
+
+/**
+ * Run of no-break spaces as wide as the picture of a formula (at the run's font size)
+ */
+function pictureSpaceRun(equation, rPr) {
+    const size = parseInt(rPr.match(/\ssz="(\d+)"/)?.[1] || '1800') / 100;
+    const count = Math.max(1, Math.round(equation.math.position.w * 72 / (size * NBSP_WIDTH)));
+    return `<a:r>${rPr}<a:t>${'\u00A0'.repeat(count)}</a:t></a:r>`;
+}
+
+/**
+ * Derive math run properties (size and color of the placeholder run, Cambria Math font)
+ */
+function mathRunProps(rPr) {
+    const size = rPr.match(/\ssz="(\d+)"/);
+    const fill = rPr.match(/<a:solidFill>[\s\S]*?<\/a:solidFill>/);
+    return `<a:rPr lang="en-US"${size ? ` sz="${size[1]}"` : ''}>${fill ? fill[0] : ''}` +
+        '<a:latin typeface="Cambria Math" panose="02040503050406030204" pitchFamily="18" charset="0"/>' +
+        '<a:cs typeface="Cambria Math" panose="02040503050406030204" pitchFamily="18" charset="0"/></a:rPr>';
+}
+
+// ============ Converter ============
+
+class OmmlConverter {
+    constructor(runProps) {
+        this.runProps = runProps;
+    }
+
+    /**
+     * Convert a list of sibling nodes (handles n-ary operators that take the next sibling as operand)
+     */
+    sequence(nodes) {
+        let xml = '';
+        for (let i = 0; i < nodes.length; i++) {
+            const node = nodes[i];
+            if (isNaryScript(node)) {
+                const operand = i + 1 < nodes.length ? this.node(nodes[++i]) : '';
+                xml += this.nary(node, operand);
+            } else {
+                xml += this.node(node);
+            }
+        }
+        return xml;
+    }
+
+    children(node) {
+        return this.sequence(node.children);
+    }
+
+    /**
+     * Convert an argument that must be a single element in MathML (wrapped in m:e, m:sub, ...)
+     */
+    arg(node, index) {
+        const child = node.children[index];
+        if (!child) {
+            throw new Error(`<${node.name}> is missing argument ${index + 1}`);
+        }
+        return this.node(child);
+    }
+
+    node(node) {
+        switch (node.name) {
+            case 'mrow':
+                return this.row(node);
+            case 'mstyle':
+            case 'mpadded':
+            case 'semantics':
+                // semantics: first child is the presentation markup, the rest are annotations
+                return node.name === 'semantics' ? this.node(node.children[0]) : this.children(node);
+            case 'mi':
+                return this.run(node.text.trim(), isItalicIdentifier(node));
+            case 'mn':
+            case 'mo':
+            case 'ms':
+                return this.run(node.text.trim(), false);
+            case 'mtext':
+                return this.run(node.text, false);
+            case 'mspace':
+                return '';
+            case 'msub':
+                return `<m:sSub><m:e>${this.arg(node, 0)}</m:e><m:sub>${this.arg(node, 1)}</m:sub></m:sSub>`;
+            case 'msup':
+                return `<m:sSup><m:e>${this.arg(node, 0)}</m:e><m:sup>${this.arg(node, 1)}</m:sup></m:sSup>`;
+            case 'msubsup':
+                return `<m:sSubSup><m:e>${this.arg(node, 0)}</m:e><m:sub>${this.arg(node, 1)}</m:sub><m:sup>${this.arg(node, 2)}</m:sup></m:sSubSup>`;
+            case 'mfrac': {
+                const noBar = node.attrs.linethickness === '0' || node.attrs.linethickness === '0px';
+                const props = noBar ? '<m:fPr><m:type m:val="noBar"/></m:fPr>' : '';
+                return `<m:f>${props}<m:num>${this.arg(node, 0)}</m:num><m:den>${this.arg(node, 1)}</m:den></m:f>`;
+            }
+            case 'msqrt':
+                return `<m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg/><m:e>${this.children(node)}</m:e></m:rad>`;
+            case 'mroot':
+                return `<m:rad><m:deg>${this.arg(node, 1)}</m:deg><m:e>${this.arg(node, 0)}</m:e></m:rad>`;
+            case 'mover':
+                return this.over(node);
+            case 'munder':
+                return this.under(node);
+            case 'munderover':
+                return `<m:limUpp><m:e><m:limLow><m:e>${this.arg(node, 0)}</m:e><m:lim>${this.arg(node, 1)}</m:lim></m:limLow></m:e><m:lim>${this.arg(node, 2)}</m:lim></m:limUpp>`;
+            case 'mfenced':
+                return this.fenced(node);
+            case 'mtable':
+                return this.table(node);
+            case 'menclose':
+                return `<m:borderBox><m:e>${this.children(node)}</m:e></m:borderBox>`;
+            case 'mphantom':
+                return `<m:phant><m:e>${this.children(node)}</m:e></m:phant>`;
+            case 'annotation':
+            case 'annotation-xml':
+                return '';
+            default:
+                throw new Error(`unsupported MathML element <${node.name}>`);
+        }
+    }
+
+    /**
+     * mrow - becomes a delimiter object when it is wrapped in stretchy fences (\left( ... \right))
+     */
+    row(node) {
+        const kids = node.children;
+        if (kids.length >= 2 && isFence(kids[0]) && isFence(kids[kids.length - 1])) {
+            const open = kids[0].text;
+            const close = kids[kids.length - 1].text;
+            const inner = this.sequence(kids.slice(1, -1));
+            return delimiter(open, close, [inner]);
+        }
+        return this.sequence(kids);
+    }
+
+    over(node) {
+        const base = this.arg(node, 0);
+        const mark = node.children[1];
+        const char = mark?.name === 'mo' ? mark.text.trim() : null;
+
+        if (char && BARS.has(char)) {
+            return `<m:bar><m:barPr><m:pos m:val="top"/></m:barPr><m:e>${base}</m:e></m:bar>`;
+        }
+        if (char && GROUP_CHARS.has(char)) {
+            return `<m:groupChr><m:groupChrPr><m:chr m:val="${escapeXml(char)}"/><m:pos m:val="top"/><m:vertJc m:val="bot"/></m:groupChrPr><m:e>${base}</m:e></m:groupChr>`;
+        }
+        if (char && ACCENTS[char]) {
+            return `<m:acc><m:accPr><m:chr m:val="${ACCENTS[char]}"/></m:accPr><m:e>${base}</m:e></m:acc>`;
+        }
+        return `<m:limUpp><m:e>${base}</m:e><m:lim>${this.arg(node, 1)}</m:lim></m:limUpp>`;
+    }
+
+    under(node) {
+        const base = this.arg(node, 0);
+        const mark = node.children[1];
+        const char = mark?.name === 'mo' ? mark.text.trim() : null;
+
+        if (char && BARS.has(char)) {
+            return `<m:bar><m:barPr><m:pos m:val="bot"/></m:barPr><m:e>${base}</m:e></m:bar>`;
+        }
+        if (char && GROUP_CHARS.has(char)) {
+            return `<m:groupChr><m:groupChrPr><m:chr m:val="${escapeXml(char)}"/><m:pos m:val="bot"/><m:vertJc m:val="top"/></m:groupChrPr><m:e>${base}</m:e></m:groupChr>`;
+        }
+        return `<m:limLow><m:e>${base}</m:e><m:lim>${this.arg(node, 1)}</m:lim></m:limLow>`;
+    }
+
+    fenced(node) {
+        const open = node.attrs.open ?? '(';
+        const close = node.attrs.close ?? ')';
+        const args = node.children.map(child => this.node(child));
+        return delimiter(open, close, args.length > 0 ? args : ['']);
+    }
+
+    table(node) {
+        const rows = node.children
+            .filter(row => row.name === 'mtr' || row.name === 'mlabeledtr')
+            .map(row => {
+                // mlabeledtr: the first cell is the equation label
+                const cells = row.name === 'mlabeledtr' ? row.children.slice(1) : row.children;
+                return `<m:mr>${cells.map(cell => `<m:e>${this.children(cell)}</m:e>`).join('')}</m:mr>`;
+            });
+        if (rows.length === 0) {
+            throw new Error('empty <mtable>');
+        }
+        return `<m:m>${rows.join('')}</m:m>`;
+    }
+
+    /**
+     * Large operator with limits, e.g. <munderover><mo>∑</mo>...</munderover> followed by its operand
+     */
+    nary(node, operand) {
+        const op = node.children[0].text.trim();
+        const limitsUnderOver = node.name.startsWith('munder') || node.name === 'mover';
+        const hasSub = node.name === 'msub' || node.name === 'msubsup' || node.name === 'munder' || node.name === 'munderover';
+        const hasSup = node.name === 'msup' || node.name === 'msubsup' || node.name === 'mover' || node.name === 'munderover';
+
+        const sub = hasSub ? this.arg(node, 1) : '';
+        const sup = node.name === 'msup' || node.name === 'mover' ? this.arg(node, 1) : (hasSup ? this.arg(node, 2) : '');
+
+        let props = `<m:chr m:val="${escapeXml(op)}"/><m:limLoc m:val="${limitsUnderOver ? 'undOvr' : 'subSup'}"/>`;
+        if (!hasSub) props += '<m:subHide m:val="1"/>';
+        if (!hasSup) props += '<m:supHide m:val="1"/>';
+
+        return `<m:nary><m:naryPr>${props}</m:naryPr><m:sub>${sub}</m:sub><m:sup>${sup}</m:sup><m:e>${operand}</m:e></m:nary>`;
+    }
+
+    run(text, italic) {
+        const value = text.replace(/\s+/g, ' ');
+        if (!value) return '';
+        const style = italic ? '' : '<m:rPr><m:sty m:val="p"/></m:rPr>';
+        return `<m:r>${style}${this.runProps}<m:t xml:space="preserve">${escapeXml(value)}</m:t></m:r>`;
+    }
+}
+
+// ============ Helper Functions ============
+
+function delimiter(open, close, args) {
+    const props = `<m:dPr><m:begChr m:val="${escapeXml(open)}"/><m:endChr m:val="${escapeXml(close)}"/></m:dPr>`;
+    return `<m:d>${props}${args.map(arg => `<m:e>${arg}</m:e>`).join('')}</m:d>`;
+}
+
+/**
+ * Single-letter identifiers are italic unless mathvariant says otherwise
+ */
+function isItalicIdentifier(node) {
+    const variant = node.attrs.mathvariant;
+    if (variant) return variant.includes('italic');
+    return [...node.text.trim()].length === 1;
+}
+
+function isFence(node) {
+    if (node.name !== 'mo') return false;
+    const texClass = node.attrs['data-mjx-texclass'];
+    return node.attrs.fence === 'true' || node.attrs.stretchy === 'true' ||
+        texClass === 'OPEN' || texClass === 'CLOSE';
+}
+
+function isNaryScript(node) {
+    if (!['msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover'].includes(node.name)) return false;
+    const base = node.children[0];
+    return base?.name === 'mo' && NARY_OPERATORS.has(base.text.trim());
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Minimal XML parser for serialized MathML
+ * Returns a tree of { name, attrs, children, text } with namespace prefixes removed.
+ */
+function parseXml(xml) {
+    const root = { name: '#document', attrs: {}, children: [], text: '' };
+    const stack = [root];
+    const tagPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+    let match;
+    while ((match = tagPattern.exec(xml)) !== null) {
+        const [, cdata, closing, rawName, rawAttrs, selfClosing, text] = match;
+        const current = stack[stack.length - 1];
+
+        if (text !== undefined || cdata !== undefined) {
+            current.text += cdata ?? decodeEntities(text);
+            continue;
+        }
+        if (!rawName) continue; // comment or processing instruction
+
+        const name = rawName.replace(/^.*:/, '');
+        if (closing) {
+            if (stack.length === 1 || current.name !== name) {
+                throw new Error(`malformed MathML near </${rawName}>`);
+            }
+            stack.pop();
+            continue;
+        }
+
+        const node = { name, attrs: parseAttributes(rawAttrs), children: [], text: '' };
+        current.children.push(node);
+        if (!selfClosing) stack.push(node);
+    }
+
+    if (stack.length !== 1 || root.children.length === 0) {
+        throw new Error('malformed MathML');
+    }
+    return root.children[0];
+}
+
+function parseAttributes(raw) {
+    const attrs = {};
+    const attrPattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attrPattern.exec(raw || '')) !== null) {
+        attrs[match[1].replace(/^.*:/, '')] = decodeEntities(match[2] ?? match[3]);
+    }
+    return attrs;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos|nbsp);/gi, (_, entity) => {
+        switch (entity.toLowerCase()) {
+            case 'lt': return '<';
+            case 'gt': return '>';
+            case 'amp': return '&';
+            case 'quot': return '"';
+            case 'apos': return '\'';
+            case 'nbsp': return ' ';
+        }
+        return String.fromCodePoint(entity[1].toLowerCase() === 'x'
+            ? parseInt(entity.substring(2), 16)
+            : parseInt(entity.substring(1), 10));
+    });
+}
@@ -0,0 +1,152 @@
+/**
+ * Plugins - Element types for custom Markdeep containers
+ *
+ * A plugin is an ES module whose default export adds element types. Each
+ * element type pairs an extractor, run in the page on elements matching
+ * `selector`, with a renderer that draws the extracted element on the slide:
+ *
+ *   export default {
+ *       name: 'timeline',
+ *       elements: [{
+ *           type: 'timeline',
+ *           selector: 'div.timeline',
+ *           // Runs in the browser: it cannot use imports or outer variables,
+ *           // and must return JSON data (or null to drop the element)
+ *           extract(el, helpers) {
+ *               return { events: Array.from(el.querySelectorAll('li'), li => li.textContent.trim()) };
+ *           },
+ *           // Runs in Node with the generator's render context (theme, warn, ...)
+ *           render(slide, element, pptx, context) {
+ *               slide.addText(element.events.join(' → '), { ...element.position, fontSize: 14 });
+ *           }
+ *       }]
+ *   };
+ *
+ * Extractor helpers: position(el), style(el), text(el) (formatted runs),
+ * color(cssColor) and processChildren([parent]), which extracts the
+ * children with the built-in handlers after the element, so they are drawn
+ * on top of it. Plugin selectors are tried before the built-in handling.
+ * An optional `schema` ({ properties, required }, which may reference the
+ * slide data schema's $defs, e.g. "#/$defs/runs") describes the extra
+ * element properties for slide data validation.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ELEMENT_TYPES } from './slide-schema.js';
+
+/**
+ * Load and check plugins
+ * @param {Array<string|Object>} specs - Module paths, package names or plugin objects
+ * @param {string} [baseDir] - Directory relative module paths are resolved against
+ * @returns {Promise<Object[]>} - Plugins ({ name, elements })
+ */
+export async function loadPlugins(specs = [], baseDir = process.cwd()) {
+    const plugins = [];
+    const types = new Map();
+
+    for (const spec of specs) {
+        const plugin = typeof spec === 'string' ? await importPlugin(spec, baseDir) : spec;
+        checkPlugin(plugin, typeof spec === 'string' ? spec : 'object');
+
+        for (const element of plugin.elements) {
+            if (types.has(element.type)) {
+                throw new Error(`Plugin "${plugin.name}" defines element type "${element.type}", ` +
+                    `which plugin "${types.get(element.type)}" already defines`);
+            }
+            types.set(element.type, plugin.name);
+        }
+        plugins.push(plugin);
+    }
+
+    return plugins;
+}
+
+/**
+ * Make a plugin module path absolute; package names are kept as they are
+ * @param {string} spec - Module path or package name
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {string}
+ */
+export function resolvePluginPath(spec, baseDir) {
+    const isPath = spec.startsWith('.') || path.isAbsolute(spec) || /\.m?js$/i.test(spec);
+    return isPath ? path.resolve(baseDir, spec) : spec;
+}
+
+/**
+ * Extractors to run in the page, as serializable data
+ * @param {Object[]} plugins - Loaded plugins
+ * @returns {Array<{type: string, selector: string, source: string}>}
+ */
+export function pluginExtractors(plugins = []) {
+    return plugins.flatMap(plugin => plugin.elements.map(element => ({
+        type: element.type,
+        selector: element.selector,
+        source: element.extract.toString()
+    })));
+}
+
+/**
+ * Renderers by element type
+ * @param {Object[]} plugins - Loaded plugins
+ * @returns {Map<string, {plugin: string, render: Function}>}
+ */
+export function pluginRenderers(plugins = []) {
+    return new Map(plugins.flatMap(plugin => plugin.elements.map(element =>
+        [element.type, { plugin: plugin.name, render: element.render }])));
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Import a plugin module: a path (relative to baseDir) or an installed package
+ */
+async function importPlugin(spec, baseDir) {
+    const resolved = resolvePluginPath(spec, baseDir);
+    const specifier = path.isAbsolute(resolved) ? pathToFileURL(resolved).href : resolved;
+
+    let module;
+    try {
+        module = await import(specifier);
+    } catch (error) {
+        throw new Error(`Could not load plugin ${spec} (${error.message})`);
+    }
+    return module.default || module.plugin;
+}
+
+/**
+ * Reject plugins that do not have the expected shape
+ */
+function checkPlugin(plugin, source) {
+    if (!plugin || typeof plugin !== 'object') {
+        throw new Error(`Plugin ${source} does not export a plugin object`);
+    }
+    if (typeof plugin.name !== 'string' || !plugin.name) {
+        throw new Error(`Plugin ${source} has no name`);
+    }
+    if (!Array.isArray(plugin.elements) || plugin.elements.length === 0) {
+        throw new Error(`Plugin "${plugin.name}" defines no elements`);
+    }
+
+    for (const element of plugin.elements) {
+        const what = `Element type "${element?.type}" of plugin "${plugin.name}"`;
+        if (typeof element?.type !== 'string' || !/^[A-Za-z][\w-]*$/.test(element.type)) {
+            throw new Error(`Plugin "${plugin.name}" has an element without a valid type name`);
+        }
+        if (ELEMENT_TYPES.includes(element.type)) {
+            throw new Error(`${what} is a built-in element type (built-in: ${ELEMENT_TYPES.join(', ')})`);
+        }
+        if (typeof element.selector !== 'string' || !element.selector) {
+            throw new Error(`${what} has no selector`);
+        }
+        if (typeof element.extract !== 'function') {
+            throw new Error(`${what} has no extract function`);
+        }
+        if (typeof element.render !== 'function') {
+            throw new Error(`${what} has no render function`);
+        }
+        if (element.schema !== undefined && (typeof element.schema !== 'object' || element.schema === null)) {
+            throw new Error(`${what} has a schema that is not an object`);
+        }
+    }
+}
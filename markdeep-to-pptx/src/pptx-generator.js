@@ -8,125 +8,433 @@
  */
 
 import pptxgen from 'pptxgenjs';
+import fs from 'fs/promises';
+import { resolveSlideImages, shortenSource } from './image-resolver.js';
+import { mathToken, prepareEquations, replaceMathTokens } from './math-omml.js';
+import { translateDiagram, diagramShapeName, groupDiagramShapes } from './svg-diagram.js';
+import { getCodeTheme, tokenStyle } from './code-themes.js';
+import { resolveTheme } from './themes.js';
+import { transformSlides, scaleSlideParts } from './pptx-postprocess.js';
+import { parseSlideSize, resolveSlideSize, layoutFrame, fitSlidesToFrame } from './slide-size.js';
+import {
+    REVEAL_MODES, ANIMATED_REVEAL_MODES, revealShapeName, expandRevealSteps, applyRevealAnimations
+} from './reveal.js';
+import { assertValidSlideData } from './slide-schema.js';
+import { pluginRenderers } from './plugins.js';
+import {
+    FIT_STRATEGIES, TEXT_BOX_INSETS, estimateTextHeight, paragraphHeights, fitScale,
+    autofitShapeName, applyAutofitScales, splitOverflowingSlides, codeLines, tableRowGroups, MAX_CONTINUATIONS
+} from './text-fit.js';
+import { log, printWarning } from './logger.js';
 
 // Conversion factor: HTML pixels to PPTX inches (based on 1920px = 10 inches)
 const PX_TO_INCH = 10 / 1920;
 
-// Fixed font sizes for consistent output (in points)
-const FONT_SIZES = {
-    titleSlideTitle: 36,
-    titleSlideSubtitle: 18,
-    sectionTitle: 32,
-    slideTitle: 24,
-    body: 16,
-    listItem: 16,
-    smallText: 14,
-    code: 12,
-    footer: 9
-};
+// Space kept free below slide content for the footer
+const FOOTER_HEIGHT = 0.5;
+
+// Navigation bar height
+const NAV_BAR_HEIGHT = 0.35;
 
-// Font face - use Microsoft YaHei for Chinese text
-const FONT_FACE = 'Microsoft YaHei';
-
-// Color palette based on Markdeep default theme
-const COLORS = {
-    primary: '2980B9',          // Blue (from screenshots)
-    titleText: '2980B9',        // Blue title
-    bodyText: '333333',         // Dark gray
-    lightText: '666666',        // Light gray
-    white: 'FFFFFF',
-    // Admonition colors
-    noteBackground: 'E3F2FD',
-    noteBorder: '2196F3',
-    noteText: '1565C0',
-    tipBackground: 'E8F5E9',
-    tipBorder: '4CAF50',
-    tipText: '2E7D32',
-    warningBackground: 'FFF8E1',
-    warningBorder: 'FFC107',
-    warningText: 'F57F17',
-    errorBackground: 'FFEBEE',
-    errorBorder: 'F44336',
-    errorText: 'C62828',
-    questionBackground: 'FFF3E0',
-    questionBorder: 'FF9800',
-    questionText: 'E65100',
-    // Bullet point color
-    bulletColor: '2980B9'
+// Width of the "目录" button at the left end of the navigation bar
+const TOC_BUTTON_WIDTH = 0.5;
+
+// Slide master names (shown in PowerPoint's layout list), one per kind of slide
+const MASTERS = {
+    title: 'Markdeep Title',
+    section: 'Markdeep Section',
+    toc: 'Markdeep TOC',
+    content: 'Markdeep Content',
+    blank: 'Markdeep Blank'     // Content slide without an H2 title
 };
 
-// Standard slide dimensions
-const SLIDE_WIDTH = 10;  // inches
-const SLIDE_HEIGHT = 5.625; // 16:9
+// Rendering style modes: fixed theme font sizes and colors, or the styles computed in the page
+export const STYLE_MODES = ['normalized', 'fidelity'];
 
-// Navigation bar height
-const NAV_BAR_HEIGHT = 0.35;
+// Code blocks: monospace advance width (em) and the smallest size long listings shrink to
+const CODE_CHAR_WIDTH = 0.6;
+const MIN_CODE_FONT_SIZE = 7;
+
+// Elements continued on the next slide when too long, whatever the fit strategy (except 'none')
+const PAGINATED_TYPES = ['table', 'code'];
 
 /**
- * Create a PowerPoint presentation from extracted slide data
+ * Create a PowerPoint presentation from extracted slide data and write it to a file
+ * @param {Object} slideData - Extracted slide data (see schema/slide-data.schema.json)
+ * @param {string} outputPath - Where to write the PPTX file
+ * @param {Object} [options] - Same options as buildPptx
+ * @returns {Promise<string>} - The output path
  */
 export async function generatePptx(slideData, outputPath, options = {}) {
+    const output = await buildPptx(slideData, options);
+    await fs.writeFile(outputPath, output);
+    log.info(`Presentation saved to: ${outputPath}`);
+    return outputPath;
+}
+
+/**
+ * Create a PowerPoint presentation from extracted slide data
+ * @param {Object} slideData - Extracted slide data (see schema/slide-data.schema.json)
+ * @param {Object} [options]
+ * @param {string} [options.author] - Presentation author
+ * @param {string} [options.baseUrl] - URL relative image sources are resolved against
+ * @param {number} [options.timeout] - Time allowed for loading a remote image (ms, default 60000)
+ * @param {Object|string} [options.theme] - Theme object or built-in theme name (see themes.js)
+ * @param {string} [options.codeTheme] - Code block color theme (see code-themes.js), overrides the theme's
+ * @param {boolean} [options.lineNumbers] - Number the lines of code blocks
+ * @param {string} [options.styleMode] - 'normalized' (theme font sizes and colors, default) or
+ *     'fidelity' (font sizes, colors, alignment and line spacing computed in the page)
+ * @param {string|Object} [options.size] - Slide size (see slide-size.js), e.g. "4:3" or "13.33x7.5in"
+ *     (default: the deck's own aspect ratio)
+ * @param {string} [options.fit] - What to do with text that does not fit the slide (see text-fit.js):
+ *     'shrink' (default), 'autofit', 'split' or 'none'
+ * @param {string} [options.reveal] - Incremental reveals (see reveal.js): 'appear' (click animations,
+ *     default), 'fade', 'slides' (one slide per step) or 'none'
+ * @param {Object[]} [options.plugins] - Loaded plugins (see plugins.js) rendering their element types
+ * @param {function(string): void} [options.onWarning] - Receives warnings (default: printed)
+ * @param {function(Object): void} [options.onDiagnostic] - Receives a diagnostic for each element not
+ *     converted faithfully, including those recorded during extraction (see diagnostics.js)
+ * @param {function(Object[]): void} [options.onSlides] - Receives the slides as laid out, including
+ *     continuation slides (marked `continued`), one per PPTX slide
+ * @returns {Promise<Buffer>} - The PPTX file contents
+ * @throws {SlideDataError} - If the slide data does not match the schema
+ */
+export async function buildPptx(slideData, options = {}) {
+    assertValidSlideData(slideData, { plugins: options.plugins });
+
     const pptx = new pptxgen();
+    const warn = options.onWarning || printWarning;
+    const onDiagnostic = options.onDiagnostic || (() => {});
+    const theme = resolveTheme(options.theme);
+    const size = resolveSlideSize(slideData, options.size && parseSlideSize(options.size));
+    const frame = layoutFrame(size);
+    let slideIndex = null;  // Slide being rendered, for diagnostics
+
+    // Extracted positions are rescaled when the slide size has another aspect ratio than the deck
+    slideData = fitSlidesToFrame(slideData, frame);
+
+    // Per-presentation state shared by the renderers (images and equations are added below)
+    const context = {
+        theme,
+        frame,  // Slide area everything is laid out in (10 inches wide, see slide-size.js)
+        contentBottom: frame.height - FOOTER_HEIGHT,
+        fidelity: resolveStyleMode(options.styleMode) === 'fidelity',
+        codeTheme: getCodeTheme(options.codeTheme || theme.codeTheme),
+        lineNumbers: !!options.lineNumbers,
+        fit: resolveFitStrategy(options.fit),
+        reveal: resolveRevealMode(options.reveal),
+        overflows: [],  // Text boxes of the current slide that did not fit
+        renderers: pluginRenderers(options.plugins),
+        warn,
+        // Record an element that is not converted faithfully (kind: see DIAGNOSTIC_KINDS)
+        diagnose: (kind, element, message) => onDiagnostic({
+            slide: slideIndex + 1,
+            kind,
+            element: element?.type || null,
+            selector: element?.selector || null,
+            message
+        })
+    };
+
+    // Each step of an incremental reveal can be a slide of its own
+    if (context.reveal === 'slides') {
+        slideData = expandRevealSteps(slideData);
+    }
+
+    // Content that does not fit moves to continuation slides before anything is laid out:
+    // any content with fit 'split', else only tables and code listings (text is shrunk instead)
+    if (context.fit !== 'none') {
+        slideData = splitOverflowingSlides(slideData, {
+            measure: element => measureElement(element, context),
+            bottom: context.contentBottom,
+            splittable: slide => ['content', 'blank'].includes(slideLayout(slide).kind),
+            paginate: element => context.fit === 'split' || PAGINATED_TYPES.includes(element.type),
+            onSplit: (index, moved) => {
+                warn(`Slide ${index + 1}: content does not fit (${moved.map(element => element.type).join(', ')}), ` +
+                    'moved to a continuation slide');
+                slideIndex = index;
+                moved.forEach(element => context.diagnose('clamped', element, 'Moved to a continuation slide'));
+            },
+            onLimit: (index, left) => {
+                warn(`Slide ${index + 1}: content still does not fit after ${MAX_CONTINUATIONS} continuation slides ` +
+                    `(${left.map(element => element.type).join(', ')}), left on the last one`);
+                slideIndex = index;
+                left.forEach(element => context.diagnose('clamped', element,
+                    `Still does not fit after ${MAX_CONTINUATIONS} continuation slides`));
+            }
+        });
+    }
+
+    options.onSlides?.(slideData.slides);
 
     // Set presentation metadata
     pptx.title = slideData.title || 'Markdeep Slides Presentation';
     pptx.author = options.author || 'Markdeep to PPTX Converter';
 
-    // Set layout
-    pptx.layout = 'LAYOUT_16x9';
+    // Page size; the slides are drawn in the layout frame and scaled to it at the end
+    pptx.defineLayout({ name: 'MARKDEEP', width: size.width, height: size.height });
+    pptx.layout = 'MARKDEEP';
+
+    // Load all images up front (file reads and SVG rasterization are async)
+    context.images = await resolveSlideImages(slideData, options.baseUrl || slideData.source, warn,
+        { timeout: options.timeout });
+
+    // Check which formulas convert to native equations
+    const equations = prepareEquations(slideData);
+    const failedEquations = [...equations.values()].filter(eq => !eq.ok);
+    if (failedEquations.length > 0) {
+        warn(`${failedEquations.length} of ${equations.size} formulas could not be converted to equations (using image/TeX fallback)`);
+    }
+    context.equations = equations;
+    const formulaPictures = [];  // Per slide: ids of the formulas drawn as pictures over running text
+
+    // Slide chrome (background, nav bar, title, footer) lives in slide masters
+    const layouts = slideData.slides.map(slideLayout);
+    defineSlideMasters(pptx, layouts, context);
+
+    // Each H1 section slide starts a PowerPoint section named after its chapter
+    const sectionTitles = planSections(slideData, layouts);
+    new Set(sectionTitles.filter(Boolean)).forEach(title => pptx.addSection({ title }));
 
     // Process each slide
-    for (const slideInfo of slideData.slides) {
-        const slide = pptx.addSlide();
-        slide.background = { color: COLORS.white };
-
-        const isFirstSlide = slideInfo.index === 0;
-        const isH1TitleSlide = slideInfo.metadata?.isH1TitleSlide;
-        const isTocSlide = slideInfo.elements.some(e =>
-            e.type === 'heading' && e.text?.[0]?.text?.includes('目录'));
-
-        // Add navigation bar for content slides (not first slide or section slides)
-        if (!isFirstSlide && !isH1TitleSlide && slideInfo.metadata?.navChapters) {
-            renderNavBar(slide, slideInfo, pptx);
+    slideData.slides.forEach((slideInfo, idx) => {
+        slideIndex = idx;
+        context.formulaPictures = formulaPictures[idx] = new Set();
+        (slideInfo.diagnostics || []).forEach(diagnostic => onDiagnostic({ slide: idx + 1, ...diagnostic }));
+
+        const layout = layouts[idx];
+        const slide = pptx.addSlide({ masterName: layout.master, sectionTitle: sectionTitles[idx] || undefined });
+
+        const isFirstSlide = layout.kind === 'title';
+        const isH1TitleSlide = layout.kind === 'section';
+
+        // Navigation tabs highlight the current chapter, so they are drawn per slide
+        if (layout.hasNavBar) {
+            renderNavBar(slide, slideInfo, pptx, context);
         }
 
         // Determine slide type and render accordingly
-        if (isFirstSlide) {
-            renderTitleSlide(slide, slideInfo, pptx);
-        } else if (isH1TitleSlide) {
-            renderSectionSlide(slide, slideInfo, pptx);
-        } else if (isTocSlide) {
-            renderTocSlide(slide, slideInfo, pptx);
+        let drawn;
+        if (layout.kind === 'title') {
+            drawn = renderTitleSlide(slide, slideInfo, pptx, context);
+        } else if (layout.kind === 'section') {
+            drawn = renderSectionSlide(slide, slideInfo, pptx, context);
+        } else if (layout.kind === 'toc') {
+            drawn = renderTocSlide(slide, slideInfo, pptx, context);
         } else {
-            renderContentSlide(slide, slideInfo, pptx);
+            drawn = renderContentSlide(slide, slideInfo, pptx, context);
         }
+        reportOverflows(slideInfo, context);
+        diagnoseSlide(slideInfo, layout, drawn, context);
 
         // Add footer elements (chapter label, slide number, and progress bar)
-        addFooter(slide, slideInfo, isFirstSlide, isH1TitleSlide, pptx, slideData.slides.length);
+        addFooter(slide, slideInfo, isFirstSlide, isH1TitleSlide, pptx, slideData.slides.length, context);
+
+        // Speaker notes for presenter view
+        if (slideInfo.notes) {
+            slide.addNotes(slideInfo.notes);
+        }
+    });
+
+    // Equations are inserted into the slide XML after PptxGenJS has written it
+    const buffer = await pptx.write({ outputType: 'nodebuffer' });
+    const patched = await transformSlides(buffer, [
+        (xml, slideNumber) => replaceMathTokens(xml, equations, formulaPictures[slideNumber - 1]),
+        groupDiagramShapes,
+        applyAutofitScales,
+        xml => applyRevealAnimations(xml, context.reveal)
+    ]);
+
+    // Pages of another width than the layout frame get the drawing scaled to fit
+    return scaleSlideParts(patched, frame.scale);
+}
+
+/**
+ * Decide which slide master a slide uses
+ * @returns {{kind: string, hasNavBar: boolean, master: string}}
+ */
+function slideLayout(slideInfo) {
+    let kind;
+    // The deck's first slide, even when only a range of slides is converted
+    if ((slideInfo.sourceIndex ?? slideInfo.index) === 0) {
+        kind = 'title';
+    } else if (slideInfo.metadata?.isH1TitleSlide) {
+        kind = 'section';
+    } else if (slideInfo.elements.some(e => e.type === 'heading' && e.text?.[0]?.text?.includes('目录'))) {
+        kind = 'toc';
+    } else if (slideInfo.elements.some(e => e.type === 'heading' && e.level === 2)) {
+        kind = 'content';
+    } else {
+        kind = 'blank';
     }
 
-    await pptx.writeFile({ fileName: outputPath });
-    console.log(`Presentation saved to: ${outputPath}`);
-    return outputPath;
+    // Title and section slides never show the navigation bar
+    const hasNavBar = kind !== 'title' && kind !== 'section' && slideInfo.metadata?.navChapters?.length > 0;
+    const master = hasNavBar || kind === 'title' || kind === 'section' ? MASTERS[kind] : `${MASTERS[kind]} (No Nav)`;
+
+    return { kind, hasNavBar, master };
 }
 
 /**
- * Add footer with chapter label, slide number, and progress bar
+ * Define the slide masters used by the presentation
+ * Masters hold the background, navigation bar, title/body/footer placeholders
+ * and slide number, so the look can be changed once in Slide Master view.
  */
-function addFooter(slide, slideInfo, isFirstSlide, isH1TitleSlide, pptx, totalSlides) {
+function defineSlideMasters(pptx, layouts, context) {
+    const { theme, frame } = context;
+    const defined = new Set();
+
+    const placeholder = (name, type, options) => ({
+        placeholder: { options: { name, type, fontFace: theme.fonts.body, ...options }, text: '' }
+    });
+    const rect = (x, y, w, h, color) => ({
+        rect: { x, y, w, h, fill: { color }, line: { type: 'none' } }
+    });
+
+    for (const { kind, hasNavBar, master } of layouts) {
+        if (defined.has(master)) continue;
+        defined.add(master);
+
+        const objects = [];
+        const titleY = hasNavBar ? NAV_BAR_HEIGHT + 0.1 : 0.3;
+
+        if (hasNavBar) {
+            objects.push(rect(0, 0, frame.width, NAV_BAR_HEIGHT, theme.colors.primary));
+            objects.push(rect(0, 0, TOC_BUTTON_WIDTH, NAV_BAR_HEIGHT, theme.colors.onPrimary));
+        }
+
+        if (kind === 'title') {
+            const centerY = frame.height / 2 - 0.8;
+            objects.push(placeholder('title', 'title', {
+                x: 0.5, y: centerY, w: frame.width - 1, h: 1,
+                fontSize: theme.fontSizes.titleSlideTitle,
+                color: theme.colors.primary,
+                bold: true,
+                align: 'center',
+                valign: 'middle'
+            }));
+            objects.push(placeholder('subtitle', 'body', {
+                x: 0.5, y: centerY + 1.2, w: frame.width - 1, h: 0.8,
+                fontSize: theme.fontSizes.titleSlideSubtitle,
+                color: theme.colors.lightText,
+                align: 'center',
+                valign: 'top'
+            }));
+        } else if (kind === 'section') {
+            objects.push(placeholder('title', 'title', {
+                x: 0.5, y: frame.height / 2 - 0.5, w: frame.width - 1, h: 1,
+                fontSize: theme.fontSizes.sectionTitle,
+                color: theme.colors.primary,
+                bold: true,
+                align: 'center',
+                valign: 'middle'
+            }));
+        } else if (kind === 'toc') {
+            objects.push(placeholder('title', 'title', {
+                x: 0.5, y: titleY, w: frame.width - 1, h: 0.5,
+                fontSize: theme.fontSizes.slideTitle,
+                color: theme.colors.primary,
+                bold: true,
+                valign: 'middle'
+            }));
+            objects.push(placeholder('body', 'body', {
+                x: 1.5, y: titleY + 0.8, w: frame.width - 3, h: frame.height - titleY - 1.5,
+                fontSize: theme.fontSizes.body + 2,
+                color: theme.colors.bodyText,
+                valign: 'top',
+                lineSpacing: 32
+            }));
+        } else if (kind === 'content') {
+            // Title with underline
+            objects.push(placeholder('title', 'title', {
+                x: 0.5, y: titleY, w: frame.width - 1, h: 0.5,
+                fontSize: theme.fontSizes.slideTitle,
+                color: theme.colors.titleText,
+                bold: true,
+                valign: 'middle'
+            }));
+            objects.push(rect(0.5, titleY + 0.55, frame.width - 1, 0.025, theme.colors.primary));
+        }
+
+        // Footer: chapter label (bottom left) and slide number (bottom right)
+        const footer = kind !== 'title' && kind !== 'section';
+        if (footer) {
+            objects.push(placeholder('footer', 'body', {
+                x: 0.3, y: frame.height - 0.4, w: 3, h: 0.25,
+                fontSize: theme.fontSizes.footer,
+                color: theme.colors.primary,
+                valign: 'middle'
+            }));
+        }
+
+        pptx.defineSlideMaster({
+            title: master,
+            background: { color: theme.colors.background },
+            objects,
+            slideNumber: footer ? {
+                x: frame.width - 1.2, y: frame.height - 0.4, w: 1, h: 0.25,
+                fontFace: theme.fonts.body,
+                fontSize: theme.fontSizes.footer,
+                color: theme.colors.lightText,
+                align: 'right'
+            } : undefined
+        });
+    }
+}
+
+/**
+ * Name the PowerPoint section of every slide
+ * Slides before the first H1 section slide form an opening section named after
+ * the presentation. Returns nulls when the deck has no H1 sections.
+ * @returns {Array<string|null>} - Section title per slide
+ */
+function planSections(slideData, layouts) {
+    if (!layouts.some(layout => layout.kind === 'section')) {
+        return slideData.slides.map(() => null);
+    }
+
+    // PptxGenJS matches sections by title, so repeated chapter names get a counter
+    const counts = new Map();
+    const uniqueTitle = (title) => {
+        const count = (counts.get(title) || 0) + 1;
+        counts.set(title, count);
+        return count > 1 ? `${title} (${count})` : title;
+    };
+
+    let current = uniqueTitle(slideData.title || 'Markdeep Slides Presentation');
+    return slideData.slides.map((slideInfo, idx) => {
+        if (layouts[idx].kind === 'section') {
+            const heading = slideInfo.elements.find(e => e.type === 'heading' && e.level === 1);
+            const metadata = slideInfo.metadata || {};
+            const chapter = extractPlainText(heading?.text) ||
+                metadata.navChapters?.[metadata.activeChapterIndex] ||
+                `Section ${idx + 1}`;
+            current = uniqueTitle(chapter);
+        }
+        return current;
+    });
+}
+
+/**
+ * Add footer with chapter label and progress bar
+ * The slide number is a field on the slide master.
+ */
+function addFooter(slide, slideInfo, isFirstSlide, isH1TitleSlide, pptx, totalSlides, context) {
+    const { theme, frame } = context;
+
     // Progress bar at the very bottom (shown on ALL slides)
     const progressBarHeight = 0.04;
     const currentSlide = slideInfo.index + 1;
     const progress = currentSlide / totalSlides;
-    const progressWidth = SLIDE_WIDTH * progress;
+    const progressWidth = frame.width * progress;
 
     // Progress bar (blue, shows current progress)
     slide.addShape(pptx.ShapeType.rect, {
         x: 0,
-        y: SLIDE_HEIGHT - progressBarHeight,
+        y: frame.height - progressBarHeight,
         w: progressWidth,
         h: progressBarHeight,
-        fill: { color: COLORS.primary },
+        fill: { color: theme.colors.primary },
         line: { type: 'none' }
     });
 
@@ -135,71 +443,31 @@ function addFooter(slide, slideInfo, isFirstSlide, isH1TitleSlide, pptx, totalSl
 
     // Chapter label (bottom left)
     if (slideInfo.metadata?.chapterLabel) {
-        slide.addText(slideInfo.metadata.chapterLabel, {
-            x: 0.3,
-            y: SLIDE_HEIGHT - 0.4,
-            w: 3,
-            h: 0.25,
-            fontSize: FONT_SIZES.footer,
-            color: COLORS.primary,
-            fontFace: FONT_FACE
-        });
-    }
-
-    // Slide number (bottom right) - wider to prevent line wrap
-    if (slideInfo.metadata?.slideNumber) {
-        slide.addText(slideInfo.metadata.slideNumber, {
-            x: SLIDE_WIDTH - 1.2,
-            y: SLIDE_HEIGHT - 0.4,
-            w: 1,
-            h: 0.25,
-            fontSize: FONT_SIZES.footer,
-            color: COLORS.lightText,
-            fontFace: FONT_FACE,
-            align: 'right'
-        });
+        slide.addText(slideInfo.metadata.chapterLabel, { placeholder: 'footer' });
     }
 }
 
 /**
- * Render navigation bar at the top of the slide
+ * Render navigation bar labels on top of the master's bar
  * Layout: [目录] on left (white bg), chapter tabs right-aligned with auto width
  * Active tab: inverted colors (white background, blue text)
  */
-function renderNavBar(slide, slideInfo, pptx) {
+function renderNavBar(slide, slideInfo, pptx, context) {
+    const { theme, frame } = context;
     const chapters = slideInfo.metadata?.navChapters || [];
     const activeIndex = slideInfo.metadata?.activeChapterIndex;
 
     if (chapters.length === 0) return;
 
-    // Background bar
-    slide.addShape(pptx.ShapeType.rect, {
+    // "目录" label on the master's button (jumps to the TOC slide)
+    slide.addText([{ text: '目录', options: { hyperlink: hyperlinkOptions(slideInfo.metadata?.tocLink) } }], {
         x: 0,
         y: 0,
-        w: SLIDE_WIDTH,
-        h: NAV_BAR_HEIGHT,
-        fill: { color: COLORS.primary },
-        line: { type: 'none' }
-    });
-
-    // "目录" button on left (white background)
-    const tocWidth = 0.5;
-    slide.addShape(pptx.ShapeType.rect, {
-        x: 0,
-        y: 0,
-        w: tocWidth,
-        h: NAV_BAR_HEIGHT,
-        fill: { color: COLORS.white },
-        line: { type: 'none' }
-    });
-    slide.addText('目录', {
-        x: 0,
-        y: 0,
-        w: tocWidth,
+        w: TOC_BUTTON_WIDTH,
         h: NAV_BAR_HEIGHT,
         fontSize: 8,
-        fontFace: FONT_FACE,
-        color: COLORS.primary,
+        fontFace: theme.fonts.body,
+        color: theme.colors.primary,
         align: 'center',
         valign: 'middle'
     });
@@ -213,7 +481,7 @@ function renderNavBar(slide, slideInfo, pptx) {
     const totalTabWidth = tabWidths.reduce((a, b) => a + b, 0);
 
     // Start from right side
-    let currentX = SLIDE_WIDTH - totalTabWidth;
+    let currentX = frame.width - totalTabWidth;
 
     chapters.forEach((chapter, idx) => {
         const isActive = idx === activeIndex;
@@ -226,20 +494,21 @@ function renderNavBar(slide, slideInfo, pptx) {
                 y: 0,
                 w: tabWidth,
                 h: NAV_BAR_HEIGHT,
-                fill: { color: COLORS.white },
+                fill: { color: theme.colors.onPrimary },
                 line: { type: 'none' }
             });
         }
 
-        // Tab text
-        slide.addText(chapter, {
+        // Tab text (jumps to the chapter)
+        const link = hyperlinkOptions(slideInfo.metadata?.navLinks?.[idx]);
+        slide.addText([{ text: chapter, options: { hyperlink: link } }], {
             x: currentX,
             y: 0,
             w: tabWidth,
             h: NAV_BAR_HEIGHT,
             fontSize: 8,
-            fontFace: FONT_FACE,
-            color: isActive ? COLORS.primary : COLORS.white,
+            fontFace: theme.fonts.body,
+            color: isActive ? theme.colors.primary : theme.colors.onPrimary,
             bold: false,
             align: 'center',
             valign: 'middle'
@@ -251,96 +520,54 @@ function renderNavBar(slide, slideInfo, pptx) {
 
 /**
  * Render title slide (first slide)
+ * @returns {Object[]} - The elements drawn (here and in the other slide renderers)
  */
-function renderTitleSlide(slide, slideInfo, pptx) {
+function renderTitleSlide(slide, slideInfo, pptx, context) {
     const titleElement = slideInfo.elements.find(e => e.type === 'heading' && e.level === 1);
     const subtitleElement = slideInfo.elements.find(e => e.type === 'paragraph');
 
-    // Center title
-    const centerY = SLIDE_HEIGHT / 2 - 0.8;
-
     if (titleElement) {
         const titleText = extractPlainText(titleElement.text);
         slide.addText(titleText, {
-            x: 0.5,
-            y: centerY,
-            w: SLIDE_WIDTH - 1,
-            h: 1,
-            fontSize: FONT_SIZES.titleSlideTitle,
-            fontFace: FONT_FACE,
-            color: COLORS.primary,
-            bold: true,
-            align: 'center',
-            valign: 'middle'
+            placeholder: 'title',
+            ...fidelityOptions(titleElement, context, { align: false })
         });
     }
 
     if (subtitleElement) {
         const subtitleText = extractPlainText(subtitleElement.text);
         slide.addText(subtitleText, {
-            x: 0.5,
-            y: centerY + 1.2,
-            w: SLIDE_WIDTH - 1,
-            h: 0.8,
-            fontSize: FONT_SIZES.titleSlideSubtitle,
-            fontFace: FONT_FACE,
-            color: COLORS.lightText,
-            align: 'center'
+            placeholder: 'subtitle',
+            ...fidelityOptions(subtitleElement, context, { align: false })
         });
     }
+    return [titleElement, subtitleElement].filter(Boolean);
 }
 
 /**
  * Render section slide (H1 chapter transition)
  */
-function renderSectionSlide(slide, slideInfo, pptx) {
+function renderSectionSlide(slide, slideInfo, pptx, context) {
     const titleElement = slideInfo.elements.find(e => e.type === 'heading' && e.level === 1);
 
     if (titleElement) {
         const titleText = extractPlainText(titleElement.text);
         slide.addText(titleText, {
-            x: 0.5,
-            y: SLIDE_HEIGHT / 2 - 0.5,
-            w: SLIDE_WIDTH - 1,
-            h: 1,
-            fontSize: FONT_SIZES.sectionTitle,
-            fontFace: FONT_FACE,
-            color: COLORS.primary,
-            bold: true,
-            align: 'center',
-            valign: 'middle'
+            placeholder: 'title',
+            ...fidelityOptions(titleElement, context, { align: false })
         });
     }
+    return [titleElement].filter(Boolean);
 }
 
 /**
  * Render TOC slide
  */
-function renderTocSlide(slide, slideInfo, pptx) {
-    // Check if this slide has navbar
-    const hasNavBar = slideInfo.metadata?.navChapters?.length > 0;
-
-    // Add navigation bar if present
-    if (hasNavBar) {
-        renderNavBar(slide, slideInfo, pptx);
-    }
+function renderTocSlide(slide, slideInfo, pptx, context) {
+    const { theme } = context;
 
-    const titleY = hasNavBar ? NAV_BAR_HEIGHT + 0.1 : 0.3;
-
-    // Title - "目录" with underline
-    const titleX = 0.5;
-    const titleWidth = 2;
-
-    slide.addText('目录', {
-        x: titleX,
-        y: titleY,
-        w: titleWidth,
-        h: 0.5,
-        fontSize: FONT_SIZES.slideTitle,
-        fontFace: FONT_FACE,
-        color: COLORS.primary,
-        bold: true
-    });
+    // Title - "目录"
+    slide.addText('目录', { placeholder: 'title' });
 
     // TOC list - use text runs with explicit line breaks
     const listElement = slideInfo.elements.find(e => e.type === 'list');
@@ -352,19 +579,21 @@ function renderTocSlide(slide, slideInfo, pptx) {
             textRuns.push({
                 text: `${idx + 1}. `,
                 options: {
-                    fontSize: FONT_SIZES.body + 2,
-                    color: COLORS.primary,
-                    bold: true
+                    fontSize: theme.fontSizes.body + 2,
+                    color: theme.colors.primary,
+                    bold: true,
+                    bullet: false
                 }
             });
 
-            // Add item text
+            // Add item text (jumps to the chapter)
             textRuns.push({
                 text: extractPlainText(item.text),
                 options: {
-                    fontSize: FONT_SIZES.body + 2,
-                    color: COLORS.bodyText,
-                    bold: false
+                    fontSize: theme.fontSizes.body + 2,
+                    color: theme.colors.bodyText,
+                    bold: false,
+                    hyperlink: hyperlinkOptions(item.text?.find(run => run.link)?.link)
                 }
             });
 
@@ -372,103 +601,100 @@ function renderTocSlide(slide, slideInfo, pptx) {
             if (idx < listElement.items.length - 1) {
                 textRuns.push({
                     text: '\n',
-                    options: { fontSize: FONT_SIZES.body + 2 }
+                    options: { fontSize: theme.fontSizes.body + 2 }
                 });
             }
         });
 
-        slide.addText(textRuns, {
-            x: 1.5,
-            y: titleY + 0.8,
-            w: SLIDE_WIDTH - 3,
-            h: SLIDE_HEIGHT - titleY - 1.5,
-            fontFace: FONT_FACE,
-            valign: 'top',
-            lineSpacing: 32
-        });
+        slide.addText(textRuns, { placeholder: 'body' });
     }
+
+    // The TOC title is drawn as the fixed "目录"
+    return slideInfo.elements.filter(e => e === listElement || e.type === 'heading');
 }
 
 /**
  * Render content slide (H2 title + content)
  * Uses actual positions from HTML extraction
  */
-function renderContentSlide(slide, slideInfo, pptx) {
-    // Find slide title (H2)
+function renderContentSlide(slide, slideInfo, pptx, context) {
+    // Find slide title (H2); its position and underline come from the slide master
     const titleElement = slideInfo.elements.find(e => e.type === 'heading' && e.level === 2);
 
-    // Check if this slide has navbar (to adjust title position)
-    const hasNavBar = slideInfo.metadata?.navChapters?.length > 0;
-    const titleY = hasNavBar ? NAV_BAR_HEIGHT + 0.1 : 0.3;
-
-    // Add slide title using extracted position
     if (titleElement) {
-        const pos = titleElement.position;
-        const titleText = extractPlainText(titleElement.text);
-        const titleWidth = Math.min(pos.w, SLIDE_WIDTH - 0.6);
-        const titleX = Math.max(pos.x, 0.3);
-
-        slide.addText(titleText, {
-            x: titleX,
-            y: titleY,
-            w: titleWidth,
-            h: 0.5,
-            fontSize: FONT_SIZES.slideTitle,
-            fontFace: FONT_FACE,
-            color: COLORS.titleText,
-            bold: true
-        });
-
-        // Add underline below title
-        const underlineY = titleY + 0.55;
-        slide.addShape(pptx.ShapeType.rect, {
-            x: titleX,
-            y: underlineY,
-            w: titleWidth,
-            h: 0.025,
-            fill: { color: COLORS.primary },
-            line: { type: 'none' }
+        slide.addText(extractPlainText(titleElement.text), {
+            placeholder: 'title',
+            ...fidelityOptions(titleElement, context, { align: false })
         });
     }
 
     // Process other content elements
+    let diagramCount = 0;
     for (const element of slideInfo.elements) {
         if (element.type === 'heading' && element.level <= 2) continue; // Skip H1/H2
 
+        // Shapes of elements revealed incrementally are named for their animation
+        const target = revealTarget(slide, element, context);
+
         switch (element.type) {
             case 'heading':
                 // Render H3+ as section subheadings
-                renderSubheading(slide, element, pptx);
+                renderSubheading(target, element, pptx, context);
                 break;
             case 'list':
-                renderList(slide, element, pptx);
+                renderList(target, element, pptx, context);
                 break;
             case 'paragraph':
-                renderParagraph(slide, element, pptx);
+                renderParagraph(target, element, pptx, context);
                 break;
             case 'admonition':
-                renderAdmonition(slide, element, pptx);
+                renderAdmonition(target, element, pptx, context);
                 break;
             case 'table':
-                renderTable(slide, element, pptx);
+                renderTable(target, element, pptx, context);
                 break;
             case 'code':
-                renderCode(slide, element, pptx);
+                renderCode(target, element, pptx, context);
                 break;
             case 'blockquote':
-                renderBlockquote(slide, element, pptx);
+                renderBlockquote(target, element, pptx, context);
                 break;
             case 'shape':
-                renderShape(slide, element, pptx);
+                renderShape(target, element, pptx, context);
+                break;
+            case 'image':
+                if (!context.images.has(element)) {
+                    context.diagnose('skipped', element, `Image ${shortenSource(element.src || '')} could not be loaded`);
+                }
+                renderImage(target, element, pptx, context.images.get(element));
+                break;
+            case 'math':
+                renderMath(target, element, pptx, context.equations.get(element.math.id), context);
                 break;
+            case 'diagram':
+                renderDiagram(target, element, pptx, ++diagramCount, context);
+                break;
+            default:
+                renderPluginElement(target, slideInfo, element, pptx, context);
+                break;
+        }
+
+        // Paragraphs laid out as in the page (fidelity mode, not resized or moved) keep room
+        // for the formulas drawn as pictures; elsewhere such formulas stay TeX text
+        if (context.fidelity && element.type === 'paragraph' && !slideInfo.continued &&
+            !context.overflows.some(overflow => overflow.element === element)) {
+            renderFormulaPictures(target, element, context);
         }
     }
+
+    return slideInfo.elements.filter(e => e === titleElement || !(e.type === 'heading' && e.level <= 2));
 }
 
 /**
  * Render background shape (used for column backgrounds)
  */
-function renderShape(slide, element, pptx) {
+function renderShape(slide, element, pptx, context) {
+    const { theme } = context;
     const pos = element.position;
 
     // Add a bit of extra height to fully cover text
@@ -479,7 +705,7 @@ function renderShape(slide, element, pptx) {
         y: pos.y,
         w: pos.w,
         h: pos.h + extraHeight,
-        fill: element.fill ? { color: element.fill } : { color: 'F5F5F5' },
+        fill: element.fill ? { color: element.fill } : { color: theme.colors.surface },
         line: element.border ? {
             color: element.border.color,
             width: element.border.width
@@ -488,160 +714,365 @@ function renderShape(slide, element, pptx) {
     });
 }
 
+/**
+ * Render image, fitted into the extracted box with its aspect ratio preserved
+ */
+function renderImage(slide, element, pptx, image) {
+    if (!image) return;
+
+    const pos = element.position;
+    const naturalWidth = image.width || element.naturalWidth;
+    const naturalHeight = image.height || element.naturalHeight;
+    const ratio = naturalWidth && naturalHeight ? naturalWidth / naturalHeight : pos.w / pos.h;
+
+    // Contain: use the full width unless that makes the image too tall
+    let w = pos.w;
+    let h = w / ratio;
+    if (h > pos.h) {
+        h = pos.h;
+        w = h * ratio;
+    }
+
+    slide.addImage({
+        data: image.data,
+        x: pos.x + (pos.w - w) / 2,
+        y: pos.y + (pos.h - h) / 2,
+        w,
+        h,
+        altText: element.alt || ''
+    });
+}
+
+/**
+ * Render display formula as a native equation, falling back to the rendered image
+ */
+function renderMath(slide, element, pptx, equation, context) {
+    const { theme } = context;
+    const pos = element.position;
+    const math = element.math;
+
+    if (equation?.ok) {
+        // Placeholder run, replaced with OMML when the file is written
+        slide.addText(mathToken(math.id), {
+            x: pos.x,
+            y: pos.y,
+            w: pos.w,
+            h: Math.max(pos.h, 0.4),
+            fontSize: theme.fontSizes.body,
+            fontFace: theme.fonts.body,
+            color: theme.colors.bodyText,
+            align: 'center',
+            valign: 'middle',
+            ...fidelityOptions(element, context, { align: false })
+        });
+    } else if (math.image) {
+        slide.addImage({
+            data: math.image,
+            x: pos.x,
+            y: pos.y,
+            w: pos.w,
+            h: pos.h,
+            altText: math.tex || ''
+        });
+    } else {
+        slide.addText(math.tex || '', {
+            x: pos.x,
+            y: pos.y,
+            w: pos.w,
+            h: Math.max(pos.h, 0.4),
+            fontSize: theme.fontSizes.body,
+            fontFace: 'Cambria Math',
+            color: theme.colors.bodyText,
+            align: 'center',
+            valign: 'middle'
+        });
+    }
+}
+
+/**
+ * Draw the formulas in a paragraph that do not convert to equations as their pictures,
+ * where the page rendered them relative to the start of the text; replaceMathTokens
+ * leaves room for them in the text
+ */
+function renderFormulaPictures(slide, element, context) {
+    const box = element.position;
+    if (!box) return;
+
+    // The text box starts where the page's text does, give or take its position and insets
+    const layout = textLayout(element, context);
+    const dx = layout.x + TEXT_BOX_INSETS.x - box.x;
+    const dy = layout.y + TEXT_BOX_INSETS.y - box.y;
+
+    for (const math of runFormulas(element)) {
+        const pos = math.position;
+        if (!math.image || !pos || context.equations.get(math.id)?.ok) continue;
+
+        // Formulas outside the element's box belong to content moved elsewhere
+        const tolerance = 0.05;
+        if (pos.x < box.x - tolerance || pos.y < box.y - tolerance ||
+            pos.x + pos.w > box.x + box.w + tolerance || pos.y + pos.h > box.y + box.h + tolerance) continue;
+
+        slide.addImage({ data: math.image, x: pos.x + dx, y: pos.y + dy, w: pos.w, h: pos.h, altText: math.tex || '' });
+        context.formulaPictures.add(math.id);
+    }
+}
+
+/**
+ * Render an element type added by a plugin with the plugin's renderer
+ * A failing renderer skips the element instead of the whole presentation.
+ */
+function renderPluginElement(slide, slideInfo, element, pptx, context) {
+    const renderer = context.renderers.get(element.type);
+    if (!renderer) {
+        context.diagnose('skipped', element, `No renderer for element type "${element.type}"`);
+        return;
+    }
+
+    try {
+        renderer.render(slide, element, pptx, context);
+    } catch (error) {
+        context.warn(`Slide ${slideInfo.index + 1}: plugin "${renderer.plugin}" could not render ` +
+            `"${element.type}" (${error.message})`);
+        context.diagnose('skipped', element, `Plugin "${renderer.plugin}" could not render it (${error.message})`);
+    }
+}
+
+/**
+ * Render Markdeep diagram as native lines, freeforms, ellipses and text
+ * Shapes are named per diagram and grouped when the file is written.
+ */
+function renderDiagram(slide, element, pptx, diagramNumber, context) {
+    const { theme } = context;
+    let shapes;
+    try {
+        shapes = translateDiagram(element);
+    } catch (error) {
+        context.warn(`Could not translate diagram (${error.message})`);
+        return;
+    }
+
+    const lineProps = (shape) => shape.color ? {
+        color: shape.color,
+        width: shape.width,
+        dashType: shape.dashed ? 'dash' : 'solid'
+    } : { type: 'none' };
+
+    shapes.forEach((shape, idx) => {
+        const objectName = diagramShapeName(diagramNumber, `${shape.kind} ${idx + 1}`);
+
+        switch (shape.kind) {
+            case 'line':
+                // Line geometry runs top-left to bottom-right; flips give the actual direction
+                slide.addShape(pptx.ShapeType.line, {
+                    x: Math.min(shape.x1, shape.x2),
+                    y: Math.min(shape.y1, shape.y2),
+                    w: Math.abs(shape.x2 - shape.x1),
+                    h: Math.abs(shape.y2 - shape.y1),
+                    flipH: shape.x1 > shape.x2,
+                    flipV: shape.y1 > shape.y2,
+                    line: {
+                        ...lineProps(shape),
+                        beginArrowType: shape.beginArrow || undefined,
+                        endArrowType: shape.endArrow || undefined
+                    },
+                    objectName
+                });
+                break;
+            case 'freeform':
+                slide.addShape(pptx.ShapeType.custGeom, {
+                    x: shape.x,
+                    y: shape.y,
+                    w: shape.w,
+                    h: shape.h,
+                    points: shape.points,
+                    fill: shape.fill ? { color: shape.fill } : { type: 'none' },
+                    line: lineProps(shape),
+                    objectName
+                });
+                break;
+            case 'ellipse':
+                slide.addShape(pptx.ShapeType.ellipse, {
+                    x: shape.x,
+                    y: shape.y,
+                    w: shape.w,
+                    h: shape.h,
+                    fill: shape.fill ? { color: shape.fill } : { type: 'none' },
+                    line: lineProps(shape),
+                    objectName
+                });
+                break;
+            case 'text':
+                slide.addText(shape.text, {
+                    x: shape.x,
+                    y: shape.y,
+                    w: shape.w,
+                    h: shape.h,
+                    fontSize: shape.fontSize,
+                    fontFace: shape.fontFace || theme.fonts.body,
+                    color: shape.color,
+                    bold: shape.bold,
+                    italic: shape.italic,
+                    align: shape.align,
+                    valign: 'middle',
+                    margin: 0,
+                    wrap: false,
+                    objectName
+                });
+                break;
+        }
+    });
+}
+
 /**
  * Render H3+ subheadings
  */
-function renderSubheading(slide, element, pptx) {
+function renderSubheading(slide, element, pptx, context) {
+    const { theme } = context;
     const pos = element.position;
     const text = extractPlainText(element.text);
 
     // Font size decreases for deeper levels
     const fontSizeMap = {
-        3: FONT_SIZES.body + 2,  // H3: slightly larger than body
-        4: FONT_SIZES.body,      // H4: same as body
-        5: FONT_SIZES.smallText, // H5: smaller
-        6: FONT_SIZES.smallText  // H6: smaller
+        3: theme.fontSizes.body + 2,  // H3: slightly larger than body
+        4: theme.fontSizes.body,      // H4: same as body
+        5: theme.fontSizes.smallText, // H5: smaller
+        6: theme.fontSizes.smallText  // H6: smaller
     };
-    const fontSize = fontSizeMap[element.level] || FONT_SIZES.body;
+    const fidelity = fidelityOptions(element, context);
+    const fontSize = fidelity.fontSize || fontSizeMap[element.level] || theme.fontSizes.body;
 
     // Use text runs for proper bold styling
     slide.addText([{
         text: text,
         options: {
             fontSize: fontSize,
-            fontFace: FONT_FACE,
-            color: COLORS.primary,
+            fontFace: theme.fonts.body,
+            color: fidelity.color || theme.colors.primary,
             bold: true
         }
     }], {
         x: Math.max(pos.x, 0.5),
         y: pos.y,
-        w: Math.min(pos.w, SLIDE_WIDTH - 1),
+        w: Math.min(pos.w, context.frame.width - 1),
         h: 0.35,  // Fixed smaller height
-        valign: 'top'
+        valign: 'top',
+        align: fidelity.align
     });
 }
 
 /**
  * Render list using extracted position
  */
-function renderList(slide, element, pptx) {
-    const pos = element.position;
+function renderList(slide, element, pptx, context) {
+    const { theme } = context;
     if (!element.items || element.items.length === 0) return;
 
-    // Use smaller font for column content
-    const fontSize = pos.inColumn ? FONT_SIZES.smallText : FONT_SIZES.listItem;
+    const fidelity = fidelityOptions(element, context);
+    const layout = textLayout(element, context);
+    const fit = fitText(element, layout, context);
+    const fontSize = fit.fontSize;
 
     // Build list items with explicit bullet characters and indentation
     const allTextRuns = [];
-    const INDENT_SIZE = '    ';  // 4 spaces per level
 
     element.items.forEach((item, idx) => {
-        const level = item.level || 0;
-        const indent = INDENT_SIZE.repeat(level);
-
         // Add indentation + bullet character or number prefix
-        if (element.ordered && level === 0) {
-            // Only number top-level items in ordered lists
-            const topLevelIndex = element.items.slice(0, idx + 1)
-                .filter(i => (i.level || 0) === 0).length;
-            allTextRuns.push({
-                text: `${indent}${topLevelIndex}. `,
-                options: {
-                    color: COLORS.bulletColor,
-                    fontSize: fontSize,
-                    bold: false
-                }
-            });
-        } else {
-            // Use bullet for unordered lists and nested items
-            allTextRuns.push({
-                text: `${indent}• `,
-                options: {
-                    color: COLORS.bulletColor,
-                    fontSize: fontSize,
-                    bold: false
-                }
-            });
-        }
-
-        // Format each text run with bold/italic preserved
-        item.text.forEach((run) => {
-            allTextRuns.push({
-                text: run.text || '',
-                options: {
-                    bold: run.options?.bold,
-                    italic: run.options?.italic,
-                    color: run.options?.bold ? COLORS.primary : COLORS.bodyText,
-                    fontSize: fontSize
-                }
-            });
+        allTextRuns.push({
+            text: listItemPrefix(element, idx),
+            options: {
+                color: theme.colors.bulletColor,
+                fontSize: fontSize,
+                bold: false
+            }
         });
 
-        // Add line break after each item except last
+        // Format each text run with bold/italic preserved; line breaks stay within the item's paragraph
+        allTextRuns.push(...softBreakRuns(item.text.map(run => ({
+            text: runText(run),
+            options: {
+                bold: run.options?.bold,
+                italic: run.options?.italic,
+                color: runColor(run, fidelity.color, context),
+                fontSize: fontSize,
+                hyperlink: hyperlinkOptions(run.link)
+            }
+        }))));
+
+        // One paragraph per item: breakLine ends every item but the last
         if (idx < element.items.length - 1) {
-            allTextRuns.push({
-                text: '\n',
-                options: { fontSize: fontSize }
-            });
+            allTextRuns[allTextRuns.length - 1].options.breakLine = true;
         }
     });
 
     slide.addText(allTextRuns, {
-        x: Math.max(pos.x, 0.5),
-        y: Math.max(pos.y, 0.9),
-        w: Math.min(pos.w, SLIDE_WIDTH - 1),
-        h: Math.min(pos.h, SLIDE_HEIGHT - pos.y - 0.5),
-        fontFace: FONT_FACE,
+        x: layout.x,
+        y: layout.y,
+        w: layout.w,
+        h: fit.h,
+        fontFace: theme.fonts.body,
         valign: 'top',
         paraSpaceAfter: 8,
-        lineSpacingMultiple: 1.5
+        lineSpacingMultiple: 1.5,
+        ...fidelity,
+        ...fit.options
     });
 }
 
 /**
  * Render paragraph
  */
-function renderParagraph(slide, element, pptx) {
-    const pos = element.position;
-    // Use smaller font for column content
-    const fontSize = pos.inColumn ? FONT_SIZES.smallText : FONT_SIZES.body;
-    const textRuns = formatTextRuns(element.text, fontSize);
+function renderParagraph(slide, element, pptx, context) {
+    const { theme } = context;
+    const fidelity = fidelityOptions(element, context);
+    const layout = textLayout(element, context);
+    const fit = fitText(element, layout, context);
+    const textRuns = formatTextRuns(element.text, fit.fontSize, context, fidelity.color);
 
     slide.addText(textRuns, {
-        x: Math.max(pos.x, 0.5),
-        y: pos.y,
-        w: Math.min(pos.w, SLIDE_WIDTH - 1),
-        h: Math.max(pos.h, 0.4),
-        fontFace: FONT_FACE,
+        x: layout.x,
+        y: layout.y,
+        w: layout.w,
+        h: fit.h,
+        fontFace: theme.fonts.body,
         valign: 'top',
-        lineSpacingMultiple: 1.5
+        lineSpacingMultiple: 1.5,
+        ...fidelity,
+        ...fit.options
     });
 }
 
 /**
  * Render admonition (callout box)
+ * The body keeps its formatting: paragraphs, lists and code lines share one text box.
+ * Built-in types take the theme's colors; custom types (and all types in fidelity mode)
+ * the colors the page's CSS gives them.
  */
-function renderAdmonition(slide, element, pptx) {
+function renderAdmonition(slide, element, pptx, context) {
+    const { theme } = context;
     const pos = element.position;
 
     // Get colors based on type
     const typeColors = {
-        note: { bg: COLORS.noteBackground, border: COLORS.noteBorder, text: COLORS.noteText },
-        tip: { bg: COLORS.tipBackground, border: COLORS.tipBorder, text: COLORS.tipText },
-        warning: { bg: COLORS.warningBackground, border: COLORS.warningBorder, text: COLORS.warningText },
-        error: { bg: COLORS.errorBackground, border: COLORS.errorBorder, text: COLORS.errorText },
-        question: { bg: COLORS.questionBackground, border: COLORS.questionBorder, text: COLORS.questionText }
+        note: { bg: theme.colors.noteBackground, border: theme.colors.noteBorder, text: theme.colors.noteText },
+        tip: { bg: theme.colors.tipBackground, border: theme.colors.tipBorder, text: theme.colors.tipText },
+        warning: { bg: theme.colors.warningBackground, border: theme.colors.warningBorder, text: theme.colors.warningText },
+        error: { bg: theme.colors.errorBackground, border: theme.colors.errorBorder, text: theme.colors.errorText },
+        question: { bg: theme.colors.questionBackground, border: theme.colors.questionBorder, text: theme.colors.questionText }
     };
 
-    const colors = typeColors[element.admonitionType] || typeColors.note;
-    const height = Math.max(pos.h, 0.8);
+    const themed = typeColors[element.admonitionType];
+    const colors = themed && !context.fidelity ? themed : { ...(themed || typeColors.note), ...element.colors };
+
+    // The box grows (down to the content bottom) when the content needs more room than in the page
+    const layout = textLayout(element, context);
+    const fit = layout.paragraphs.some(Boolean) ? fitText(element, layout, context) : null;
+    const height = Math.max(pos.h, 0.8, fit ? layout.y - pos.y + fit.h + layout.padding : 0);
 
     // Background shape with rounded corners
     slide.addShape(pptx.ShapeType.roundRect, {
         x: Math.max(pos.x, 0.5),
         y: pos.y,
-        w: Math.min(pos.w, SLIDE_WIDTH - 1),
+        w: Math.min(pos.w, context.frame.width - 1),
         h: height,
         fill: { color: colors.bg },
         line: { type: 'none' },
@@ -658,24 +1089,24 @@ function renderAdmonition(slide, element, pptx) {
         line: { type: 'none' }
     });
 
-    // Title (if present)
-    let contentY = pos.y + 0.12;
+    // Title (if present); the content below it is placed by textLayout
+    const titleY = pos.y + 0.12;
     const titleX = Math.max(pos.x, 0.5) + 0.2;
-    const titleW = Math.min(pos.w, SLIDE_WIDTH - 1) - 0.4;
+    const titleW = Math.min(pos.w, context.frame.width - 1) - 0.4;
 
     if (element.title) {
         // Use text runs format for proper bold styling
         slide.addText([{
             text: element.title,
             options: {
-                fontSize: FONT_SIZES.body,
-                fontFace: FONT_FACE,
+                fontSize: theme.fontSizes.body,
+                fontFace: theme.fonts.body,
                 bold: true,
                 color: colors.text
             }
         }], {
             x: titleX,
-            y: contentY,
+            y: titleY,
             w: titleW,
             h: 0.35,
             valign: 'top'
@@ -684,91 +1115,175 @@ function renderAdmonition(slide, element, pptx) {
         // Underline below title
         slide.addShape(pptx.ShapeType.rect, {
             x: titleX,
-            y: contentY + 0.32,
+            y: titleY + 0.32,
             w: titleW * 0.3,  // Partial underline for better visual
             h: 0.02,
             fill: { color: colors.border },
             line: { type: 'none' }
         });
-
-        contentY += 0.45;
     }
 
     // Content
-    if (element.content) {
-        slide.addText(element.content, {
-            x: Math.max(pos.x, 0.5) + 0.2,
-            y: contentY,
-            w: Math.min(pos.w, SLIDE_WIDTH - 1) - 0.4,
-            h: height - (contentY - pos.y) - 0.1,
-            fontSize: FONT_SIZES.smallText,
-            fontFace: FONT_FACE,
+    if (fit) {
+        slide.addText(admonitionTextRuns(element, fit.fontSize, colors, context), {
+            x: layout.x,
+            y: layout.y,
+            w: layout.w,
+            h: height - (layout.y - pos.y) - layout.padding,
+            fontFace: theme.fonts.body,
             color: colors.text,
-            valign: 'top'
+            valign: 'top',
+            ...fidelityOptions(element, context, { color: false }),
+            fontSize: fit.fontSize,
+            ...fit.options
         });
     }
 }
 
 /**
- * Render table
+ * Render table with merged cells, formatted cell text, per-cell alignment and the page's column widths
+ * Header cells use the theme's primary color; body cells the page shades (zebra stripes) get the
+ * theme's surface color. Fidelity mode keeps the page's cell backgrounds and text colors.
  */
-function renderTable(slide, element, pptx) {
+function renderTable(slide, element, pptx, context) {
+    const { theme } = context;
     const pos = element.position;
     if (!element.rows || element.rows.length === 0) return;
 
-    const tableRows = element.rows.map((row) => {
-        return row.map(cell => ({
-            text: cell.text,
+    const fidelity = fidelityOptions(element, context, { color: false });
+    const fontSize = fidelity.fontSize || theme.fontSizes.smallText;
+    const x = Math.max(pos.x, 0.5);
+    const tableWidth = Math.min(pos.w, context.frame.width - 1);
+    let y = pos.y;
+
+    // Caption at the top of the table's box (or the bottom, as laid out in the page)
+    const caption = element.caption;
+    if (caption?.text?.length > 0) {
+        const below = caption.side === 'bottom';
+        const h = caption.position?.h || fontSize * 1.6 / 72;
+        const captionY = below ? pos.y + Math.max(pos.h, h) - h : pos.y;
+        slide.addText(formatTextRuns(caption.text, fontSize, context), {
+            x,
+            y: captionY,
+            w: tableWidth,
+            h,
+            fontFace: theme.fonts.body,
+            align: 'center',
+            valign: 'middle',
+            margin: 0
+        });
+        if (!below) y = Math.max(y, captionY + h);
+    }
+
+    const striped = element.rows.some(row => row.some(cell => !cell.isHeader && cell.fill));
+    const tableRows = element.rows.map(row => row.map(cell => {
+        const color = cell.isHeader && !context.fidelity
+            ? theme.colors.onPrimary
+            : (context.fidelity && cell.color) || theme.colors.bodyText;
+        const runs = formatTextRuns(tableCellRuns(cell), fontSize, context, color);
+        // Header text is all bold, which would otherwise pick the primary color of the fill
+        if (cell.isHeader && !context.fidelity) runs.forEach(run => { run.options.color = color; });
+
+        return {
+            text: runs,
             options: {
                 bold: cell.isHeader,
-                fill: cell.isHeader ? COLORS.primary : 'F5F5F5',
-                color: cell.isHeader ? 'FFFFFF' : COLORS.bodyText,
-                fontSize: FONT_SIZES.smallText,
-                align: 'center',
-                valign: 'middle'
+                fill: tableCellFill(cell, striped, context),
+                color,
+                fontSize,
+                align: cell.align || 'center',
+                valign: 'middle',
+                colspan: cell.colspan,
+                rowspan: cell.rowspan
             }
-        }));
-    });
-
-    const colCount = element.rows[0]?.length || 1;
-    const tableWidth = Math.min(pos.w, SLIDE_WIDTH - 1);
+        };
+    }));
 
     slide.addTable(tableRows, {
-        x: Math.max(pos.x, 0.5),
-        y: pos.y,
+        x,
+        y,
         w: tableWidth,
-        colW: Array(colCount).fill(tableWidth / colCount),
-        fontFace: FONT_FACE,
-        border: { color: COLORS.lightText, pt: 0.5 }
+        colW: tableColumnWidths(element, tableWidth),
+        fontFace: theme.fonts.body,
+        border: { color: theme.colors.lightText, pt: 0.5 }
     });
 }
 
 /**
- * Render code block
+ * Render code block with per-token colors
+ * The font shrinks so that the longest line and all lines fit inside the box.
  */
-function renderCode(slide, element, pptx) {
+function renderCode(slide, element, pptx, context) {
     const pos = element.position;
-    const height = Math.max(pos.h, 0.5);
+    // Long listings are paginated, so the box stays on the slide
+    const height = Math.max(context.fit === 'none' ? pos.h : Math.min(pos.h, context.contentBottom - pos.y), 0.5);
+    const codeTheme = context.codeTheme;
+    const x = Math.max(pos.x, 0.5);
+    const w = Math.min(pos.w, context.frame.width - 1);
 
     // Background
     slide.addShape(pptx.ShapeType.rect, {
-        x: Math.max(pos.x, 0.5),
+        x,
         y: pos.y,
-        w: Math.min(pos.w, SLIDE_WIDTH - 1),
+        w,
         h: height,
-        fill: { color: 'F5F5F5' },
+        fill: { color: codeTheme.background },
         line: { type: 'none' }
     });
 
+    // Continued listings go on numbering their lines
+    const lines = codeLines(element);
+    const startLine = element.startLine || 1;
+
+    const numberWidth = context.lineNumbers ? String(startLine + lines.length - 1).length + 1 : 0;
+    const longestLine = Math.max(1, ...lines.map(line =>
+        displayWidth(line.map(token => token.text).join('')) + numberWidth));
+
+    // Text box insets are 0.1" on each side
+    const textW = w - 0.2;
+    const textH = height - 0.16;
+    const fitWidth = (textW - 0.2) * 72 / (longestLine * CODE_CHAR_WIDTH);
+    const fitHeight = (textH - 0.1) * 72 / (lines.length * 1.2);
+    const preferredSize = fidelityOptions(element, context).fontSize || context.theme.fontSizes.code;
+    // A page of a paginated listing fits its box exactly, up to rounding
+    const fontSize = Math.max(MIN_CODE_FONT_SIZE, Math.floor(Math.min(preferredSize, fitWidth, fitHeight) * 2 + 1e-6) / 2);
+    if (fontSize < preferredSize) {
+        const stillTooBig = fontSize > Math.min(fitWidth, fitHeight);
+        context.diagnose('clamped', element, `Font reduced from ${preferredSize} to ${fontSize} pt to fit the box` +
+            (stillTooBig ? ', still too large' : ''));
+    }
+
+    const textRuns = [];
+    lines.forEach((line, idx) => {
+        if (context.lineNumbers) {
+            textRuns.push({
+                text: `${String(startLine + idx).padStart(numberWidth - 1)} `,
+                options: { color: codeTheme.lineNumber }
+            });
+        }
+
+        line.forEach(token => {
+            textRuns.push({ text: token.text, options: tokenStyle(token, codeTheme) });
+        });
+
+        // Empty runs keep blank lines; breakLine ends every line but the last
+        if (line.length === 0 && !context.lineNumbers) {
+            textRuns.push({ text: ' ', options: {} });
+        }
+        if (idx < lines.length - 1) {
+            textRuns[textRuns.length - 1].options.breakLine = true;
+        }
+    });
+
     // Code text
-    slide.addText(element.code, {
-        x: Math.max(pos.x, 0.5) + 0.1,
+    slide.addText(textRuns, {
+        x: x + 0.1,
         y: pos.y + 0.08,
-        w: Math.min(pos.w, SLIDE_WIDTH - 1) - 0.2,
-        h: height - 0.16,
-        fontSize: FONT_SIZES.code,
-        fontFace: 'Courier New',
-        color: '333333',
+        w: textW,
+        h: textH,
+        fontSize,
+        fontFace: context.theme.fonts.code,
+        color: codeTheme.text,
         valign: 'top'
     });
 }
@@ -776,7 +1291,8 @@ function renderCode(slide, element, pptx) {
 /**
  * Render blockquote
  */
-function renderBlockquote(slide, element, pptx) {
+function renderBlockquote(slide, element, pptx, context) {
+    const { theme } = context;
     const pos = element.position;
     const height = Math.max(pos.h, 0.4);
 
@@ -786,7 +1302,7 @@ function renderBlockquote(slide, element, pptx) {
         y: pos.y,
         w: 0.04,
         h: height,
-        fill: { color: COLORS.primary },
+        fill: { color: theme.colors.primary },
         line: { type: 'none' }
     });
 
@@ -795,40 +1311,551 @@ function renderBlockquote(slide, element, pptx) {
     slide.addText(text, {
         x: Math.max(pos.x, 0.5) + 0.15,
         y: pos.y,
-        w: Math.min(pos.w, SLIDE_WIDTH - 1) - 0.15,
+        w: Math.min(pos.w, context.frame.width - 1) - 0.15,
         h: height,
-        fontSize: FONT_SIZES.body,
-        fontFace: 'Georgia',
+        fontSize: theme.fontSizes.body,
+        fontFace: theme.fonts.quote,
         italic: true,
-        color: COLORS.lightText,
-        valign: 'top'
+        color: theme.colors.lightText,
+        valign: 'top',
+        ...fidelityOptions(element, context)
     });
 }
 
 // ============ Helper Functions ============
 
+/**
+ * Width of a line in monospace cells (CJK characters take two)
+ */
+function displayWidth(text) {
+    let width = 0;
+    for (const char of text) {
+        width += char.codePointAt(0) >= 0x2E80 ? 2 : 1;
+    }
+    return width;
+}
+
 /**
  * Extract plain text from text runs
  */
 function extractPlainText(runs) {
     if (!runs || !Array.isArray(runs)) return '';
-    return runs.map(r => r.text || '').join('').trim();
+    return runs.map(runText).join('').trim();
+}
+
+/**
+ * Text of a single run (formulas become equation placeholders)
+ */
+function runText(run) {
+    return run.math ? mathToken(run.math.id) : (run.text || '');
+}
+
+/**
+ * Convert an extracted link ({ url } or { slide: index }) to PptxGenJS hyperlink options
+ */
+function hyperlinkOptions(link) {
+    if (link?.url) return { url: link.url, tooltip: link.url };
+    if (Number.isInteger(link?.slide)) return { slide: link.slide + 1 };
+    return undefined;
+}
+
+/**
+ * Formulas in the text runs of an element (list items, table cells, admonition blocks, ...)
+ */
+function runFormulas(element) {
+    const formulas = [];
+    const visit = (value) => {
+        if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value && typeof value === 'object') {
+            if (value !== element && value.math) formulas.push(value.math);
+            Object.values(value).forEach(visit);
+        }
+    };
+    visit(element);
+    return formulas;
+}
+
+/**
+ * Validate a style mode name
+ */
+function resolveStyleMode(mode = 'normalized') {
+    if (!STYLE_MODES.includes(mode)) {
+        throw new Error(`Unknown style mode "${mode}" (available: ${STYLE_MODES.join(', ')})`);
+    }
+    return mode;
+}
+
+/**
+ * Validate a fit strategy name
+ */
+function resolveFitStrategy(fit = 'shrink') {
+    if (!FIT_STRATEGIES.includes(fit)) {
+        throw new Error(`Unknown fit strategy "${fit}" (available: ${FIT_STRATEGIES.join(', ')})`);
+    }
+    return fit;
+}
+
+/**
+ * Validate an incremental reveal mode
+ */
+function resolveRevealMode(mode = 'appear') {
+    if (!REVEAL_MODES.includes(mode)) {
+        throw new Error(`Unknown reveal mode "${mode}" (available: ${REVEAL_MODES.join(', ')})`);
+    }
+    return mode;
+}
+
+/**
+ * The slide, or for an element revealed incrementally, the slide with the shapes
+ * added for the element named with their reveal step (animated when written, see reveal.js)
+ */
+function revealTarget(slide, element, context) {
+    const steps = ANIMATED_REVEAL_MODES.includes(context.reveal) ? elementRevealSteps(element) : null;
+    if (!steps) return slide;
+
+    const named = (options = {}) => ({ ...options, objectName: revealShapeName(options.objectName || element.type, steps) });
+    const target = Object.create(slide);
+    target.addText = (text, options) => slide.addText(text, named(options));
+    target.addShape = (shape, options) => slide.addShape(shape, named(options));
+    target.addImage = (options) => slide.addImage(named(options));
+    target.addTable = (rows, options) => slide.addTable(rows, named(options));
+    return target;
+}
+
+/**
+ * Reveal step of an element's shapes, or of each paragraph of a list revealed item by item
+ * (null: always shown)
+ */
+function elementRevealSteps(element) {
+    const step = element.step || 0;
+    if (element.type === 'list' && element.items.some(item => item.step)) {
+        // One paragraph per item (line breaks within an item are <a:br/>)
+        return element.items.map(item => Math.max(step, item.step || 0));
+    }
+    return step > 0 ? step : null;
+}
+
+/**
+ * Where a text element's text box goes and what it holds
+ * @returns {{top: number, x: number, y: number, w: number, h: number, paragraphs: string[],
+ *     fontSize: number, spacing: Object, padding: number}} - top is the top of the element,
+ *     y the top of its text box; padding is kept free below the text box
+ */
+function textLayout(element, context) {
+    const { theme } = context;
+    const pos = element.position;
+    const fidelity = fidelityOptions(element, context);
+    const x = Math.max(pos.x, 0.5);
+    const w = Math.min(pos.w, context.frame.width - 1);
+    const lineSpacing = fidelity.lineSpacing ? { lineSpacing: fidelity.lineSpacing } : { lineSpacingMultiple: 1.5 };
+
+    if (element.type === 'list') {
+        const y = Math.max(pos.y, 0.9);
+        return {
+            top: y, x, y, w,
+            h: Math.min(pos.h, context.contentBottom - pos.y),
+            paragraphs: element.items.map((item, idx) => listItemPrefix(element, idx) + plainText(item.text)),
+            // Use smaller font for column content
+            fontSize: fidelity.fontSize || (pos.inColumn ? theme.fontSizes.smallText : theme.fontSizes.listItem),
+            spacing: { ...lineSpacing, paraSpaceAfter: 8 },
+            padding: 0
+        };
+    }
+
+    if (element.type === 'admonition') {
+        // Content sits below the title and its underline, inside the accent bar
+        const y = pos.y + 0.12 + (element.title ? 0.45 : 0);
+        const padding = 0.1;
+        return {
+            top: pos.y, x: x + 0.2, y, w: w - 0.4,
+            h: Math.max(pos.h, 0.8) - (y - pos.y) - padding,
+            paragraphs: admonitionParagraphs(element).map(paragraph => paragraph.text),
+            fontSize: fidelity.fontSize || theme.fontSizes.smallText,
+            spacing: fidelity.lineSpacing ? { lineSpacing: fidelity.lineSpacing } : {},
+            padding
+        };
+    }
+
+    return {
+        top: pos.y, x, y: pos.y, w,
+        h: Math.max(pos.h, 0.4),
+        paragraphs: [plainText(element.text)],
+        // Use smaller font for column content
+        fontSize: fidelity.fontSize || (pos.inColumn ? theme.fontSizes.smallText : theme.fontSizes.body),
+        spacing: lineSpacing,
+        padding: 0
+    };
+}
+
+/**
+ * Estimated top and height of an element, per list item for lists (used to split slides)
+ */
+function measureElement(element, context) {
+    if (element.type === 'code') return measureCode(element, context);
+    if (element.type === 'table' && element.rows?.length > 0) return measureTable(element, context);
+    if (!['list', 'paragraph', 'admonition'].includes(element.type)) {
+        return { top: element.position.y, heights: [element.position.h] };
+    }
+
+    const layout = textLayout(element, context);
+    const heights = paragraphHeights(layout.paragraphs, layout.fontSize, layout.w, layout.spacing);
+    // The first part carries what surrounds the text: title, insets and padding
+    heights[0] += layout.y - layout.top + 2 * TEXT_BOX_INSETS.y + layout.padding;
+    return { top: layout.top, heights };
+}
+
+/**
+ * Estimated height of each line of a code block, the first with the box padding
+ * Listings are paginated at their preferred font size (see renderCode).
+ */
+function measureCode(element, context) {
+    const fontSize = fidelityOptions(element, context).fontSize || context.theme.fontSizes.code;
+    const heights = codeLines(element).map(() => fontSize * 1.2 / 72);
+    heights[0] += 0.26;     // Box padding and text insets (see renderCode)
+    return { top: element.position.y, heights };
+}
+
+/**
+ * Estimated height of each row group of a table (see tableRowGroups)
+ * The header rows and a caption count towards the first group (a caption below the table, the last).
+ */
+function measureTable(element, context) {
+    const pos = element.position;
+    const fontSize = fidelityOptions(element, context, { color: false }).fontSize || context.theme.fontSizes.smallText;
+    const columnWidths = tableColumnWidths(element, Math.min(pos.w, context.frame.width - 1));
+
+    // Cells spanning rows are left out: their height is shared by the rows they span
+    const covered = [];
+    const rowHeights = element.rows.map((row, rowIdx) => {
+        let height = estimateTextHeight([''], fontSize, 1);
+        let col = 0;
+        row.forEach(cell => {
+            while (covered[rowIdx]?.[col]) col++;
+            const colspan = cell.colspan || 1;
+            for (let r = 1; r < (cell.rowspan || 1); r++) {
+                covered[rowIdx + r] = covered[rowIdx + r] || [];
+                for (let c = 0; c < colspan; c++) covered[rowIdx + r][col + c] = true;
+            }
+            if (!(cell.rowspan > 1)) {
+                const width = columnWidths.slice(col, col + colspan).reduce((sum, w) => sum + w, 0);
+                height = Math.max(height, estimateTextHeight([plainText(tableCellRuns(cell))], fontSize, width));
+            }
+            col += colspan;
+        });
+        return height;
+    });
+
+    const { header, groups } = tableRowGroups(element);
+    const heights = groups.map(group => group.reduce((sum, idx) => sum + rowHeights[idx], 0));
+    const headerHeight = rowHeights.slice(0, header).reduce((sum, height) => sum + height, 0);
+    if (heights.length === 0) return { top: pos.y, heights: [headerHeight] };
+
+    const captionHeight = element.caption?.text?.length > 0 ? element.caption.position?.h || fontSize * 1.6 / 72 : 0;
+    const captionBelow = element.caption?.side === 'bottom';
+    heights[0] += headerHeight + (captionBelow ? 0 : captionHeight);
+    heights[heights.length - 1] += captionBelow ? captionHeight : 0;
+    return { top: pos.y, heights };
+}
+
+/**
+ * Fit a text box above the content bottom with the presentation's fit strategy
+ * Boxes that do not fit are recorded in context.overflows.
+ * @returns {{fontSize: number, h: number, options: Object}} - Font size, box height and
+ *     text box options to spread over the renderer's
+ */
+function fitText(element, layout, context) {
+    const { paragraphs, fontSize, w, spacing } = layout;
+    const available = context.contentBottom - layout.y - layout.padding;
+    const needed = estimateTextHeight(paragraphs, fontSize, w, spacing);
+
+    if (needed <= available) {
+        return { fontSize, h: Math.min(Math.max(layout.h, needed), available), options: {} };
+    }
+
+    const { scale, fits } = context.fit === 'none' ?
+        { scale: 1, fits: false } :
+        fitScale(paragraphs, fontSize, w, available, spacing);
+    context.overflows.push({ element, needed, available, fontSize, scale, fits });
+
+    if (context.fit === 'none') {
+        return { fontSize, h: Math.max(layout.h, 0.4), options: {} };
+    }
+    if (context.fit === 'autofit') {
+        // PowerPoint shrinks the text itself; the scale is written into the file (applyAutofitScales)
+        return {
+            fontSize,
+            h: available,
+            options: { fit: 'shrink', objectName: autofitShapeName(scale, element.type) }
+        };
+    }
+    // shrink, and split for content that could not be moved to a continuation slide
+    return {
+        fontSize: Math.round(fontSize * scale * 2) / 2,
+        h: available,
+        options: spacing.lineSpacing ? { lineSpacing: Math.round(spacing.lineSpacing * scale) } : {}
+    };
+}
+
+/**
+ * Warn about the text boxes of a slide that did not fit, and what was done about them
+ */
+function reportOverflows(slideInfo, context) {
+    for (const overflow of context.overflows) {
+        const size = (inches) => `${inches.toFixed(1)} in`;
+        let action;
+        if (context.fit === 'none') {
+            action = 'left as is';
+        } else if (context.fit === 'autofit') {
+            action = `PowerPoint autofit at ${Math.round(overflow.scale * 100)}%`;
+        } else {
+            action = `font reduced from ${overflow.fontSize} to ${Math.round(overflow.fontSize * overflow.scale * 2) / 2} pt`;
+        }
+        const detail = `(${size(overflow.needed)} needed, ${size(overflow.available)} available); ${action}` +
+            (overflow.fits || context.fit === 'none' ? '' : ', still too tall');
+        context.warn(`Slide ${slideInfo.index + 1}: ${overflow.element.type} does not fit ${detail}`);
+        context.diagnose(context.fit === 'none' ? 'degraded' : 'clamped', overflow.element, `Text does not fit ${detail}`);
+    }
+    context.overflows = [];
+}
+
+/**
+ * Record what the renderers lose on a slide: elements its layout does not draw,
+ * formulas that are not native equations, highlight colors and flattened quotes
+ */
+function diagnoseSlide(slideInfo, layout, drawn, context) {
+    for (const element of slideInfo.elements) {
+        if (!drawn.includes(element)) {
+            context.diagnose('skipped', element, element.type === 'heading'
+                ? `Heading not drawn (${layout.kind} slides show a single title)`
+                : `Not drawn on ${layout.kind} slides`);
+            continue;
+        }
+
+        const runs = [
+            ...(Array.isArray(element.text) ? element.text : []),
+            ...(Array.isArray(element.items) ? element.items.flatMap(item => item.text || []) : []),
+            ...(Array.isArray(element.rows) ? element.rows.flat().flatMap(cell => cell.runs || []) : []),
+            ...(element.caption?.text || []),
+            ...(Array.isArray(element.body) ? element.body.flatMap(block =>
+                block.text || (block.items || []).flatMap(item => item.text || [])) : [])
+        ];
+        const formulas = [element.math, ...runs.map(run => run.math)].filter(Boolean);
+        for (const math of formulas) {
+            if (context.equations.get(math.id)?.ok) continue;
+            const picture = math === element.math ? !!math.image : context.formulaPictures.has(math.id);
+            const fallback = picture ? 'a picture' : 'TeX text';
+            context.diagnose('approximated', element, `Formula ${math.tex.substring(0, 40)} is ${fallback}, not an equation`);
+        }
+
+        if (runs.some(run => run.options?.highlightColor)) {
+            context.diagnose('degraded', element, 'Highlight color dropped');
+        }
+        if (element.type === 'blockquote' && runs.some(run => run.options?.bold || run.options?.italic || run.link)) {
+            context.diagnose('degraded', element, 'Formatting flattened to plain text');
+        }
+    }
+}
+
+/**
+ * Text runs of a table cell, with the HTML source's whitespace collapsed
+ * (older extractions only have the plain text)
+ */
+function tableCellRuns(cell) {
+    const runs = (cell.runs?.length > 0 ? cell.runs : [{ text: cell.text, options: {} }])
+        .map(run => run.math || run.text === '\n' ? run : { ...run, text: run.text.replace(/\s+/g, ' ') });
+
+    const last = runs.length - 1;
+    return runs.map((run, idx) => run.math ? run : {
+        ...run,
+        text: idx === 0 && idx === last ? run.text.trim() :
+            idx === 0 ? run.text.trimStart() :
+                idx === last ? run.text.trimEnd() : run.text
+    });
+}
+
+/**
+ * Background of a table cell
+ * Without stripes in the page, all body cells are surface-colored as before.
+ */
+function tableCellFill(cell, striped, context) {
+    const { colors } = context.theme;
+    if (context.fidelity && cell.fill) return cell.fill;
+    if (cell.isHeader && !context.fidelity) return colors.primary;
+    return cell.fill || !striped ? colors.surface : colors.background;
+}
+
+/**
+ * Column widths (in): the widths measured in the page scaled to the table width,
+ * or equal columns for older extractions
+ */
+function tableColumnWidths(element, tableWidth) {
+    const colCount = Math.max(1, ...element.rows.map(row =>
+        row.reduce((count, cell) => count + (cell.colspan || 1), 0)));
+    const measured = element.columnWidths || [];
+    const total = measured.reduce((sum, width) => sum + width, 0);
+
+    if (measured.length !== colCount || total <= 0) {
+        return Array(colCount).fill(tableWidth / colCount);
+    }
+    return measured.map(width => width / total * tableWidth);
+}
+
+/**
+ * Paragraphs of an admonition body: text, list items behind their bullet or number,
+ * and code lines (older extractions only have the plain content)
+ * @returns {{text: string, runs?: Object[], prefix?: string, tokens?: Object[]}[]} - Plain text
+ *     (for height estimates) and runs, or the tokens of a code line
+ */
+function admonitionParagraphs(element) {
+    if (!element.body?.length) {
+        return [{ text: element.content || '', runs: [{ text: element.content || '', options: {} }] }];
+    }
+
+    return element.body.flatMap(block => {
+        if (block.type === 'list') {
+            return block.items.map((item, idx) => {
+                const prefix = listItemPrefix(block, idx);
+                return { text: prefix + plainText(item.text), prefix, runs: item.text };
+            });
+        }
+        if (block.type === 'code') {
+            return codeLines(block).map(tokens => ({ text: tokens.map(token => token.text).join(''), tokens }));
+        }
+        return [{ text: plainText(block.text), runs: block.text }];
+    });
+}
+
+/**
+ * Text runs of an admonition body, one paragraph per body paragraph, list item or code line
+ * Text takes the admonition's text color (the page's colors in fidelity mode), bullets the
+ * accent color and code lines the code theme's colors in the code font.
+ */
+function admonitionTextRuns(element, fontSize, colors, context) {
+    const runs = [];
+
+    admonitionParagraphs(element).forEach((paragraph, idx, paragraphs) => {
+        const start = runs.length;
+        if (paragraph.tokens) {
+            paragraph.tokens.forEach(token => runs.push({
+                text: token.text,
+                options: { ...tokenStyle(token, context.codeTheme), fontFace: context.theme.fonts.code, fontSize }
+            }));
+        } else {
+            if (paragraph.prefix) runs.push({ text: paragraph.prefix, options: { color: colors.border, fontSize } });
+            formatTextRuns(paragraph.runs, fontSize, context, colors.text).forEach(run => {
+                if (!context.fidelity) run.options.color = colors.text;
+                runs.push(run);
+            });
+        }
+
+        // Empty runs keep blank lines; breakLine ends every paragraph but the last
+        if (runs.length === start) runs.push({ text: ' ', options: { fontSize } });
+        if (idx < paragraphs.length - 1) runs[runs.length - 1].options.breakLine = true;
+    });
+    return runs;
+}
+
+/**
+ * Bullet or number (with indentation) in front of a list item
+ * Only top-level items of ordered lists are numbered, counting on from `start`.
+ */
+function listItemPrefix(element, idx) {
+    const level = element.items[idx].level || 0;
+    const indent = '    '.repeat(level);  // 4 spaces per level
+
+    if (element.ordered && level === 0) {
+        const number = (element.start || 1) + element.items.slice(0, idx).filter(item => !item.level).length;
+        return `${indent}${number}. `;
+    }
+    return `${indent}• `;
+}
+
+/**
+ * Split text runs at their line breaks into runs starting with a soft break (<a:br/>)
+ * PptxGenJS would otherwise start a new paragraph at a line break inside a run,
+ * and keep a run that ends with one as text.
+ */
+function softBreakRuns(runs) {
+    const split = [];
+    let breakBefore = false;
+
+    runs.forEach(run => {
+        run.text.split('\n').forEach((part, idx) => {
+            if (idx > 0) breakBefore = true;
+            if (!part) return;
+            split.push({ text: part, options: breakBefore ? { ...run.options, softBreakBefore: true } : run.options });
+            breakBefore = false;
+        });
+    });
+    return split;
+}
+
+/**
+ * Text of runs as shown, for height estimates
+ */
+function plainText(runs) {
+    return (runs || []).map(run => run.math ? run.math.tex || '' : run.text || '').join('');
+}
+
+/**
+ * Color of a text run: bold text in the primary color, or in fidelity mode the rendered color
+ */
+function runColor(run, defaultColor, context) {
+    const { theme } = context;
+    if (context.fidelity) {
+        return run.options?.color || defaultColor || theme.colors.bodyText;
+    }
+    return run.options?.bold ? theme.colors.primary : theme.colors.bodyText;
+}
+
+/**
+ * Text box options from the styles computed in the page (fidelity mode only)
+ * @param {Object} element - Extracted element with `style`
+ * @param {Object} context - Render context
+ * @param {Object} [include] - Set a property to false to keep the renderer's value (e.g. { align: false })
+ * @returns {Object} - fontSize, color, align and line spacing options to spread over the defaults
+ */
+function fidelityOptions(element, context, include = {}) {
+    const style = element?.style;
+    if (!context.fidelity || !style) return {};
+
+    const options = {};
+    if (style.fontSize && include.fontSize !== false) {
+        options.fontSize = Math.round(style.fontSize * 2) / 2;
+    }
+    if (style.color && include.color !== false) {
+        options.color = style.color;
+    }
+    if (style.align && include.align !== false) {
+        options.align = style.align;
+    }
+    if (style.lineSpacing && include.lineSpacing !== false) {
+        options.lineSpacing = Math.round(style.lineSpacing);
+        options.lineSpacingMultiple = undefined;
+    }
+    return options;
 }
 
 /**
  * Format text runs for PptxGenJS with proper styling
  */
-function formatTextRuns(runs, defaultSize) {
+function formatTextRuns(runs, defaultSize, context, defaultColor) {
+    const { theme } = context;
     if (!runs || !Array.isArray(runs)) return [{ text: '', options: {} }];
 
-    return runs.map(run => ({
-        text: run.text || '',
+    return runs.map((run, idx) => ({
+        text: runText(run),
         options: {
             bold: run.options?.bold,
             italic: run.options?.italic,
-            underline: run.options?.underline ? { style: 'sng', color: COLORS.primary } : undefined,
-            color: run.options?.bold ? COLORS.primary : COLORS.bodyText, // Bold text in blue
-            fontSize: defaultSize
+            underline: run.options?.underline ? { style: 'sng', color: theme.colors.primary } : undefined,
+            color: runColor(run, defaultColor, context),
+            fontSize: defaultSize,
+            fontFace: run.options?.code ? theme.fonts.code : undefined,
+            hyperlink: hyperlinkOptions(run.link),
+            // Display formulas inside running text get their own line
+            breakLine: run.math?.display || runs[idx + 1]?.math?.display ? true : undefined
         }
     }));
 }
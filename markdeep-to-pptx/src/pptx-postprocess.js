@@ -0,0 +1,96 @@
+/**
+ * PPTX Post-processing - Patch slide XML that PptxGenJS cannot produce
+ *
+ * PptxGenJS builds the presentation package; features it has no API for
+ * (equations, ...) are written as placeholders and then patched directly
+ * in the slide XML parts of the generated package.
+ */
+
+import JSZip from 'jszip';
+
+/**
+ * Apply XML transforms to every slide of a generated PPTX package
+ * @param {Buffer} buffer - PPTX file contents
+ * @param {Array<function(string, number): string>} transforms - Called with (slideXml, slideNumber), return the new XML
+ * @returns {Promise<Buffer>} - Patched PPTX file contents
+ */
+export async function transformSlides(buffer, transforms) {
+    if (transforms.length === 0) return buffer;
+
+    const zip = await JSZip.loadAsync(buffer);
+    const slideFiles = Object.keys(zip.files)
+        .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name));
+
+    for (const name of slideFiles) {
+        const slideNumber = parseInt(name.match(/slide(\d+)\.xml$/)[1]);
+        const original = await zip.file(name).async('string');
+
+        const xml = transforms.reduce((current, transform) => transform(current, slideNumber), original);
+        if (xml !== original) {
+            zip.file(name, xml);
+        }
+    }
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// Lengths (EMU) and point sizes written by PptxGenJS, per element: scaled with the page
+const SCALED_ATTRIBUTES = {
+    'a:off': ['x', 'y'],
+    'a:ext': ['cx', 'cy'],
+    'a:chOff': ['x', 'y'],
+    'a:chExt': ['cx', 'cy'],
+    'a:bodyPr': ['lIns', 'tIns', 'rIns', 'bIns'],
+    'a:rPr': ['sz'],
+    'a:defRPr': ['sz'],
+    'a:endParaRPr': ['sz'],
+    'a:pPr': ['marL', 'indent', 'defTabSz'],
+    'a:spcPts': ['val'],
+    'a:ln': ['w'],
+    'a:lnL': ['w'],
+    'a:lnR': ['w'],
+    'a:lnT': ['w'],
+    'a:lnB': ['w'],
+    'a:gridCol': ['w'],
+    'a:tr': ['h'],
+    'a:tcPr': ['marL', 'marR', 'marT', 'marB']
+};
+
+/**
+ * Scale everything drawn on the slides, layouts and masters of a PPTX package
+ * Slides are laid out in a 10 inch wide frame (see slide-size.js); pages of
+ * another width get the same drawing, enlarged or reduced uniformly.
+ * @param {Buffer} buffer - PPTX file contents
+ * @param {number} factor - Scale factor (1: unchanged)
+ * @returns {Promise<Buffer>} - Scaled PPTX file contents
+ */
+export async function scaleSlideParts(buffer, factor) {
+    if (Math.abs(factor - 1) < 1e-6) return buffer;
+
+    const zip = await JSZip.loadAsync(buffer);
+    const parts = Object.keys(zip.files)
+        .filter(name => /^ppt\/(slides|slideLayouts|slideMasters)\/[^/]+\.xml$/.test(name));
+
+    for (const name of parts) {
+        const xml = await zip.file(name).async('string');
+        zip.file(name, scaleXml(xml, factor));
+    }
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Scale the length attributes of one XML part
+ */
+function scaleXml(xml, factor) {
+    return xml.replace(/<(a:\w+)\b([^>]*)>/g, (tag, name, attributes) => {
+        // Paragraph properties of the master's text styles: a:lvl1pPr ... a:lvl9pPr
+        const scaled = SCALED_ATTRIBUTES[/^a:lvl\dpPr$/.test(name) ? 'a:pPr' : name];
+        if (!scaled) return tag;
+        const patched = attributes.replace(/\b(\w+)="(-?\d+)"/g, (attribute, key, value) =>
+            scaled.includes(key) ? `${key}="${Math.round(Number(value) * factor)}"` : attribute);
+        return `<${name}${patched}>`;
+    });
+}
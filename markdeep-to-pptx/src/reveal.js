@@ -0,0 +1,231 @@
+/**
+ * Reveal - Incremental reveals as click animations or step slides
+ *
+ * The extractor numbers the steps of a slide's incremental reveals (fragments
+ * and .incremental lists and blocks, see slide-extractor.js): elements and
+ * list items revealed on the n-th click carry `step: n`. One of REVEAL_MODES
+ * turns them into PowerPoint builds:
+ *
+ *   appear  Each step appears on click, in step order (default)
+ *   fade    Each step fades in on click
+ *   slides  Each step becomes a slide of its own, showing the steps up to it
+ *   none    Everything is shown at once
+ *
+ * Shapes to animate are named with their step (see revealShapeName) and the
+ * animation timeline is added to the slide XML after PptxGenJS has written it.
+ * List items are revealed paragraph by paragraph within their text box.
+ */
+
+import { expandSlides } from './slide-range.js';
+
+export const REVEAL_MODES = ['appear', 'fade', 'slides', 'none'];
+
+// Modes animating the shapes on the slide
+export const ANIMATED_REVEAL_MODES = ['appear', 'fade'];
+
+// Duration of the fade effect (ms)
+const FADE_DURATION = 500;
+
+/**
+ * Name of a shape revealed incrementally
+ * @param {string} name - Shape name
+ * @param {number|number[]} steps - Step of the shape, or of each of its paragraphs (0: always shown)
+ * @returns {string}
+ */
+export function revealShapeName(name, steps) {
+    return `${name} [reveal ${[].concat(steps).join(',')}]`;
+}
+
+/**
+ * Steps a slide's elements and list items are revealed in
+ * @param {Object} slide - Slide data
+ * @returns {number[]} - Distinct steps, ascending (empty: nothing is revealed incrementally)
+ */
+export function slideRevealSteps(slide) {
+    const steps = new Set();
+    for (const element of slide.elements) {
+        if (element.step) steps.add(element.step);
+        (element.type === 'list' ? element.items : []).forEach(item => item.step && steps.add(item.step));
+    }
+    return [...steps].sort((a, b) => a - b);
+}
+
+/**
+ * Replace each slide with incremental reveals by one slide per step
+ * The first slide shows what is visible before the first click, each next one
+ * adds a step; they are marked with `revealStep`. Links to the slide point at
+ * the first of them.
+ * @param {Object} slideData - Slide data
+ * @returns {Object} - Slide data with the step slides
+ */
+export function expandRevealSteps(slideData) {
+    return expandSlides(slideData, (slide, index) => {
+        const steps = slideRevealSteps(slide);
+        if (steps.length === 0) return [slide];
+
+        return [0, ...steps].map((step, n) => ({
+            ...slide,
+            id: n === 0 ? slide.id : null,
+            sourceIndex: slide.sourceIndex ?? index,
+            diagnostics: n === 0 ? slide.diagnostics : [],  // Extraction diagnostics stay with the first step
+            revealStep: n,
+            elements: slide.elements.flatMap(element => revealedPart(element, step))
+        }));
+    });
+}
+
+/**
+ * Add click animations for the shapes named with revealShapeName to a slide
+ * Shapes inside a group shape (diagrams) are revealed with their group.
+ * @param {string} xml - Slide XML
+ * @param {string} effect - 'appear' or 'fade'
+ * @returns {string} - Slide XML with an animation timeline
+ */
+export function applyRevealAnimations(xml, effect) {
+    if (!xml.includes(' [reveal ')) return xml;
+
+    xml = uniqueRevealIds(xml);
+    const targets = revealTargets(xml);
+    const steps = [...new Set(targets.map(target => target.step))].sort((a, b) => a - b);
+    if (steps.length === 0) return xml;
+
+    let nextId = 3;  // 1 and 2 are the timeline root and main sequence
+    const clicks = steps.map(step => {
+        const clickId = nextId++;
+        const groupId = nextId++;
+        const effects = targets.filter(target => target.step === step).map((target, idx) => {
+            const effectId = nextId++;
+            const behaviors = revealBehaviors(target, effect, () => nextId++);
+            return `<p:par><p:cTn id="${effectId}" presetID="${effect === 'fade' ? 10 : 1}" presetClass="entr" ` +
+                `presetSubtype="0" fill="hold" grpId="0" nodeType="${idx === 0 ? 'clickEffect' : 'withEffect'}">` +
+                '<p:stCondLst><p:cond delay="0"/></p:stCondLst>' +
+                `<p:childTnLst>${behaviors}</p:childTnLst></p:cTn></p:par>`;
+        });
+        return `<p:par><p:cTn id="${clickId}" fill="hold"><p:stCondLst><p:cond delay="indefinite"/></p:stCondLst>` +
+            `<p:childTnLst><p:par><p:cTn id="${groupId}" fill="hold"><p:stCondLst><p:cond delay="0"/></p:stCondLst>` +
+            `<p:childTnLst>${effects.join('')}</p:childTnLst></p:cTn></p:par></p:childTnLst></p:cTn></p:par>`;
+    });
+
+    const timing = '<p:timing><p:tnLst><p:par>' +
+        '<p:cTn id="1" dur="indefinite" restart="never" nodeType="tmRoot"><p:childTnLst>' +
+        '<p:seq concurrent="1" nextAc="seek"><p:cTn id="2" dur="indefinite" nodeType="mainSeq">' +
+        `<p:childTnLst>${clicks.join('')}</p:childTnLst></p:cTn>` +
+        '<p:prevCondLst><p:cond evt="onPrev" delay="0"><p:tgtEl><p:sldTgt/></p:tgtEl></p:cond></p:prevCondLst>' +
+        '<p:nextCondLst><p:cond evt="onNext" delay="0"><p:tgtEl><p:sldTgt/></p:tgtEl></p:cond></p:nextCondLst>' +
+        '</p:seq></p:childTnLst></p:cTn></p:par></p:tnLst>' +
+        `<p:bldLst>${buildList(targets)}</p:bldLst></p:timing>`;
+
+    return xml.replace('</p:sld>', `${timing}</p:sld>`);
+}
+
+// ============ Helper Functions ============
+
+/**
+ * What of an element is shown once the given step is revealed (nothing, or the element
+ * with the list items revealed so far)
+ */
+function revealedPart(element, step) {
+    if ((element.step || 0) > step) return [];
+    if (element.type !== 'list' || !element.items.some(item => item.step)) return [element];
+
+    const items = element.items.filter(item => (item.step || 0) <= step);
+    return items.length > 0 ? [{ ...element, items }] : [];
+}
+
+/**
+ * Give the shapes to animate ids of their own
+ * PptxGenJS numbers tables apart from the other shapes, so their ids can collide.
+ */
+function uniqueRevealIds(xml) {
+    const ids = [...xml.matchAll(/<p:cNvPr id="(\d+)"/g)].map(m => Number(m[1]));
+    const counts = new Map();
+    ids.forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+    let nextId = Math.max(0, ...ids) + 1;
+
+    return xml.replace(/<p:cNvPr id="(\d+)" name="([^"]* \[reveal [\d,]+\])"/g, (tag, id, name) =>
+        counts.get(Number(id)) > 1 ? `<p:cNvPr id="${nextId++}" name="${name}"` : tag);
+}
+
+/**
+ * Shapes of a slide to animate: { id, kind, step, paragraph } with paragraph set for
+ * the paragraphs of a text box revealed one by one
+ * Shape kinds: sp (shape or text box), pic, graphicFrame (table), cxnSp, grpSp.
+ */
+function revealTargets(xml) {
+    const targets = [];
+    const groups = [];      // Ids of the enclosing group shapes
+    const seen = new Set();
+    let enteringGroup = false;
+
+    const pattern = /<p:grpSp>|<\/p:grpSp>|<p:nv(Sp|Pic|GraphicFrame|CxnSp|GrpSp)Pr>\s*<p:cNvPr id="(\d+)" name="([^"]*)"/g;
+    for (const [token, kind, id, name] of xml.matchAll(pattern)) {
+        if (token === '<p:grpSp>') {
+            enteringGroup = true;
+            continue;
+        }
+        if (token === '</p:grpSp>') {
+            groups.pop();
+            continue;
+        }
+        if (enteringGroup && kind === 'GrpSp') {
+            groups.push(id);
+            enteringGroup = false;
+            continue;
+        }
+
+        const steps = name.match(/ \[reveal ([\d,]+)\]$/)?.[1].split(',').map(Number);
+        if (!steps) continue;
+
+        if (groups.length > 0) {
+            // The outermost group is revealed with the latest of its shapes
+            const group = targets.find(target => target.id === groups[0]);
+            const step = Math.max(...steps);
+            if (group) {
+                group.step = Math.max(group.step, step);
+            } else if (step > 0) {
+                targets.push({ id: groups[0], kind: 'grpSp', step });
+            }
+        } else if (steps.length > 1 && kind === 'Sp') {
+            steps.forEach((step, paragraph) => {
+                if (step > 0) targets.push({ id, kind: 'sp', step, paragraph });
+            });
+        } else if (Math.max(...steps) > 0 && !seen.has(id)) {
+            targets.push({ id, kind: kind.charAt(0).toLowerCase() + kind.slice(1), step: Math.max(...steps) });
+        }
+        seen.add(id);
+    }
+    return targets;
+}
+
+/**
+ * Animation behaviors revealing one target: make it visible, fading it in for 'fade'
+ */
+function revealBehaviors(target, effect, newId) {
+    const element = target.paragraph === undefined
+        ? `<p:spTgt spid="${target.id}"/>`
+        : `<p:spTgt spid="${target.id}"><p:txEl><p:pRg st="${target.paragraph}" end="${target.paragraph}"/></p:txEl></p:spTgt>`;
+
+    const visible = `<p:set><p:cBhvr><p:cTn id="${newId()}" dur="1" fill="hold"><p:stCondLst><p:cond delay="0"/></p:stCondLst></p:cTn>` +
+        `<p:tgtEl>${element}</p:tgtEl><p:attrNameLst><p:attrName>style.visibility</p:attrName></p:attrNameLst></p:cBhvr>` +
+        '<p:to><p:strVal val="visible"/></p:to></p:set>';
+    if (effect !== 'fade') return visible;
+
+    return visible + `<p:animEffect transition="in" filter="fade"><p:cBhvr><p:cTn id="${newId()}" dur="${FADE_DURATION}"/>` +
+        `<p:tgtEl>${element}</p:tgtEl></p:cBhvr></p:animEffect>`;
+}
+
+/**
+ * Build list entries: text shapes (by paragraph when revealed paragraph by paragraph) and tables
+ */
+function buildList(targets) {
+    const entries = new Map();
+    for (const target of targets) {
+        if (target.kind === 'sp') {
+            const byParagraph = target.paragraph !== undefined;
+            entries.set(target.id, `<p:bldP spid="${target.id}" grpId="0"${byParagraph ? ' build="p"' : ' animBg="1"'}/>`);
+        } else if (target.kind === 'graphicFrame') {
+            entries.set(target.id, `<p:bldGraphic spid="${target.id}" grpId="0"><p:bldAsOne/></p:bldGraphic>`);
+        }
+    }
+    return [...entries.values()].join('');
+}
@@ -8,50 +8,136 @@
 
 import { chromium } from 'playwright';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { log, printWarning } from './logger.js';
+import { SCHEMA_VERSION } from './slide-schema.js';
+import { parseSlideRange } from './slide-range.js';
+import { viewportFor } from './slide-size.js';
+import { pluginExtractors } from './plugins.js';
+import { checkMathml } from './math-omml.js';
+import { isMarkdeepSource, writeSourcePage, removeSourcePage, sourcePagePath, routeOffline } from './markdeep-source.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Where speaker notes are written in the Markdeep source
+const DEFAULT_NOTES_OPTIONS = {
+    selector: 'aside.notes, div.notes',  // Elements holding notes (removed from the slide)
+    separator: '???',                    // Paragraph starting the trailing notes section
+    comments: 'notes:'                   // HTML comments with this prefix (true: all comments, false: none)
+};
+
+// Incremental reveals: reveal.js-style fragments (ordered by data-fragment-index) and
+// containers whose children, or list items, are revealed one at a time (see reveal.js)
+const REVEAL_SELECTORS = { fragment: '.fragment', incremental: '.incremental' };
+
+// Shows every step of the reveals, so that all content is measured and captured
+const REVEAL_ALL_CSS = `${REVEAL_SELECTORS.fragment}, ${REVEAL_SELECTORS.incremental} > *, ` +
+    `${REVEAL_SELECTORS.incremental} li { opacity: 1 !important; visibility: visible !important; }`;
+
+// How the HTML page is loaded and rendered
+// The page opens at `viewport`, which then follows the deck's aspect ratio unless a viewport is given
+export const DEFAULT_PAGE_OPTIONS = {
+    viewport: { width: 1920, height: 1080 },
+    timeout: 60000,         // Page load timeout (ms)
+    renderTimeout: 30000,   // Time allowed for Markdeep to produce the slides (ms)
+    renderWait: 2000        // Extra wait for MathJax and other rendering (ms)
+};
+
 /**
  * Extract slide content from a rendered Markdeep Slides HTML file
- * @param {string} htmlPath - Path to the HTML file
- * @returns {Promise<Object>} - Extracted slide data including slides array and metadata
+ * .md and .md.html sources are rendered offline with the local runtime (see markdeep-source.js).
+ * @param {string} htmlPath - Path to the HTML file, or to Markdeep source
+ * @param {Object} [options]
+ * @param {Object} [options.notes] - Speaker notes conventions, overrides DEFAULT_NOTES_OPTIONS
+ * @param {Object[]} [options.plugins] - Loaded plugins (see plugins.js) adding element types
+ * @param {string} [options.runtime] - Markdeep runtime directory for sources (default: runtime/)
+ * @param {{width: number, height: number}} [options.viewport] - Browser viewport size
+ *     (default: 1920 wide at the deck's aspect ratio)
+ * @param {number} [options.timeout] - Page load timeout (ms)
+ * @param {number} [options.renderTimeout] - Time allowed for the slides to appear (ms)
+ * @param {number} [options.renderWait] - Extra wait after the slides appear (ms)
+ * @param {import('playwright').Browser} [options.browser] - Shared browser (see launchBrowser);
+ *     by default a browser is launched for this call
+ * @param {function(string): void} [options.onWarning] - Receives warnings (default: printed)
+ * @returns {Promise<Object>} - Extracted slide data (see schema/slide-data.schema.json)
  */
-export async function extractSlides(htmlPath) {
-    const browser = await chromium.launch({
-        headless: true,
-        args: ['--disable-web-security', '--allow-file-access-from-files']
-    });
+export async function extractSlides(htmlPath, options = {}) {
+    // Device scale 2 keeps formula fallback images sharp
+    return withSlidesPage(htmlPath, { ...options, deviceScaleFactor: 2 }, page => extractFromPage(page, options));
+}
 
+/**
+ * Keep a page open to extract the same file repeatedly (watch mode)
+ * Each extract() after the first reloads the page instead of starting over.
+ * @param {string} htmlPath - Path to the HTML file
+ * @param {Object} [options] - Same options as extractSlides
+ * @returns {Promise<{extract: function(): Promise<Object>, dependencies: function(): Promise<string[]>,
+ *     close: function(): Promise<void>}>} - dependencies() lists the local files the page loaded
+ */
+export async function openExtractionSession(htmlPath, options = {}) {
+    const browser = options.browser || await launchBrowser();
     const context = await browser.newContext({
-        viewport: { width: 1920, height: 1080 }
+        viewport: options.viewport || DEFAULT_PAGE_OPTIONS.viewport,
+        deviceScaleFactor: 2
     });
-
     const page = await context.newPage();
+    let loaded = false;
 
-    // Convert to file:// URL if it's a local path
-    let fileUrl = htmlPath;
-    if (!htmlPath.startsWith('file://') && !htmlPath.startsWith('http')) {
-        const absolutePath = path.resolve(htmlPath);
-        fileUrl = `file://${absolutePath}`;
-    }
+    return {
+        async extract() {
+            if (loaded) {
+                await reloadSlides(page, htmlPath, options);
+            } else {
+                await loadSlides(page, htmlPath, options);
+                loaded = true;
+            }
+            return extractFromPage(page, options);
+        },
+
+        async dependencies() {
+            const urls = await page.evaluate(() => [
+                location.href,
+                ...performance.getEntriesByType('resource').map(entry => entry.name)
+            ]);
+            const files = urls
+                .filter(url => url.startsWith('file://'))
+                .map(url => fileURLToPath(url.split('#')[0].split('?')[0]));
+            // A source is read into the generated page rather than loaded by it
+            if (isMarkdeepSource(htmlPath)) {
+                return [...new Set([path.resolve(htmlPath), ...files.filter(file => file !== sourcePagePath(htmlPath))])];
+            }
+            return [...new Set(files)];
+        },
 
-    console.log(`Opening: ${fileUrl}`);
+        async close() {
+            await context.close();
+            if (!options.browser) await browser.close();
+            if (isMarkdeepSource(htmlPath)) await removeSourcePage(htmlPath);
+        }
+    };
+}
 
-    await page.goto(fileUrl, {
-        waitUntil: 'networkidle',
-        timeout: 60000
+/**
+ * Launch a browser that several extractSlides/captureSlideScreenshots calls can share
+ * The caller closes it when done.
+ * @returns {Promise<import('playwright').Browser>}
+ */
+export async function launchBrowser() {
+    return chromium.launch({
+        headless: true,
+        args: ['--disable-web-security', '--allow-file-access-from-files']
     });
+}
 
-    // Wait for Markdeep to render the slides
-    await page.waitForSelector('.slide', { timeout: 30000 });
-
-    // Give extra time for MathJax and other rendering to complete
-    await page.waitForTimeout(2000);
+/**
+ * Extract slide data from a page showing rendered Markdeep Slides
+ */
+async function extractFromPage(page, options) {
+    const notesOptions = { ...DEFAULT_NOTES_OPTIONS, ...options.notes };
+    const extractors = pluginExtractors(options.plugins);
 
-    // Extract slide data
-    const slideData = await page.evaluate(() => {
+    const { pluginErrors, ...slideData } = await page.evaluate(({ notesOptions, extractors, reveal }) => {
         const PT_PER_PX = 0.75;
         const PX_PER_IN = 96;
 
@@ -66,6 +152,91 @@ export async function extractSlides(htmlPath) {
             return match.slice(1).map(n => parseInt(n).toString(16).padStart(2, '0')).join('').toUpperCase();
         };
 
+        // MathJax 2 (HTML-CSS, CommonHTML, SVG output) and MathJax 3 formula containers
+        const MATH_SELECTOR = '.MathJax, .MathJax_CHTML, .MathJax_SVG, .MathJax_Display, .MathJax_SVG_Display, mjx-container';
+        const DISPLAY_MATH_SELECTOR = '.MathJax_Display, .MathJax_SVG_Display, mjx-container[display="true"]';
+        let mathCount = 0;
+
+        // Plugin extractors, rebuilt from their source
+        // (method shorthand such as "extract(el) {...}" is not an expression by itself)
+        const compileExtractor = (source) => {
+            try {
+                return new Function(`return (${source});`)();
+            } catch {
+                return Object.values(new Function(`return ({ ${source} });`)())[0];
+            }
+        };
+        const pluginHandlers = extractors.map(handler => ({ ...handler, extract: compileExtractor(handler.source) }));
+        const pluginErrors = [];
+
+        const isMathNode = (node) => node.matches(MATH_SELECTOR);
+
+        // Nodes that only exist to support MathJax and carry no visible text
+        const isMathSupportNode = (node) => node.tagName === 'SCRIPT' ||
+            node.classList.contains('MathJax_Preview') ||
+            node.classList.contains('MJX_Assistive_MathML');
+
+        // Capture the TeX source and MathML of a rendered formula
+        function getMathInfo(node) {
+            const frame = node.matches('.MathJax_Display, .MathJax_SVG_Display')
+                ? node.querySelector('.MathJax, .MathJax_CHTML, .MathJax_SVG') || node
+                : node;
+
+            // MathJax 2 keeps the source in <script id="MathJax-Element-N"> next to "MathJax-Element-N-Frame"
+            const script = frame.id ? document.getElementById(frame.id.replace(/-Frame$/, '')) : null;
+            let tex = script && script.tagName === 'SCRIPT' ? script.textContent : null;
+            let display = frame !== node || node.getAttribute('display') === 'true' ||
+                (script?.type || '').includes('mode=display');
+
+            // MathJax 3 keeps the source on its math items
+            if (!tex && window.MathJax?.startup?.document?.getMathItemsWithin) {
+                const item = window.MathJax.startup.document.getMathItemsWithin(node)[0];
+                if (item) {
+                    tex = item.math;
+                    display = display || item.display;
+                }
+            }
+
+            // Assistive MathML is on by default in both versions; otherwise ask MathJax 2 for it
+            let mathml = null;
+            const mathEl = node.querySelector('math');
+            if (mathEl) {
+                mathml = new XMLSerializer().serializeToString(mathEl);
+            } else if (script && window.MathJax?.Hub?.getJaxFor) {
+                try {
+                    mathml = window.MathJax.Hub.getJaxFor(script).root.toMathML('');
+                } catch (e) {
+                    // toMathML extension not loaded
+                }
+            }
+
+            if (!tex && !mathml) return null;
+
+            // Tag the container so the formula can be screenshotted after extraction
+            const id = mathCount++;
+            node.setAttribute('data-pptx-math', id);
+
+            return {
+                id,
+                tex: (tex || mathEl?.textContent || '').trim(),
+                mathml,
+                display
+            };
+        }
+
+        // Check whether an element has visible text outside of formulas
+        function hasTextOutsideMath(el) {
+            const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                const textNode = walker.currentNode;
+                if (textNode.textContent.trim() &&
+                    !textNode.parentElement.closest(`${MATH_SELECTOR}, script, .MathJax_Preview`)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
         // Get presentation dimensions from slide CSS
         const slideElement = document.querySelector('.slide');
         const slideStyle = window.getComputedStyle(slideElement);
@@ -81,12 +252,58 @@ export async function extractSlides(htmlPath) {
 
         const slides = document.querySelectorAll('.slide');
         const extractedSlides = [];
+        const slideList = Array.from(slides);
+
+        // Index of the slide containing a node (-1 if outside all slides)
+        const slideIndexOf = (node) => slideList.indexOf(node?.closest('.slide'));
+
+        // Resolve a link to { url } for external targets or { slide } (slide index) for in-document anchors
+        function resolveLink(anchor) {
+            const href = anchor?.getAttribute('href');
+            if (!href || href.startsWith('javascript:')) return null;
+
+            const url = new URL(anchor.href, document.baseURI);
+            const pageUrl = new URL(document.baseURI);
+            const samePage = url.origin === pageUrl.origin && url.pathname === pageUrl.pathname;
+
+            if (samePage && url.hash) {
+                const name = decodeURIComponent(url.hash.substring(1));
+                const target = document.getElementById(name) || document.getElementsByName(name)[0];
+                const index = slideIndexOf(target);
+                return index >= 0 ? { slide: index } : null;
+            }
+            if (samePage) return null;
+
+            return { url: url.href };
+        }
+
+        // Link of a navigation item that is, or wraps, an anchor
+        const navItemLink = (item) => resolveLink(item.matches('a[href]') ? item : item.querySelector('a[href]'));
+
+        // Slide a navigation tab jumps to: its own link, else the chapter's section slide
+        function resolveChapterLink(item, chapter) {
+            const link = navItemLink(item);
+            if (link) return link;
+
+            const sectionSlide = slideList.findIndex(s => s.classList.contains('h1-title-slide') &&
+                s.querySelector('h1')?.textContent.trim() === chapter);
+            if (sectionSlide >= 0) return { slide: sectionSlide };
+
+            const firstActive = slideList.findIndex(s =>
+                s.querySelector('.nav-section-item.active')?.textContent.trim() === chapter);
+            return firstActive >= 0 ? { slide: firstActive } : null;
+        }
+
+        // Slide holding the table of contents (target of the "目录" button)
+        const tocSlideIndex = slideIndexOf(document.querySelector('.slide .toc-list'));
 
         slides.forEach((slide, slideIndex) => {
             const slideContent = slide.querySelector('.slide-content');
             if (!slideContent) return;
 
             const elements = [];
+            const notes = [];
+            const diagnostics = [];
             const slideRect = slideContent.getBoundingClientRect();
             const parentRect = slide.getBoundingClientRect();
 
@@ -94,6 +311,9 @@ export async function extractSlides(htmlPath) {
             const scaleX = slideWidthInches / parentRect.width;
             const scaleY = slideHeightInches / parentRect.height;
 
+            // Rendered CSS pixels to points on the PPTX slide
+            const pxToSlidePoints = (pxStr) => parseFloat(pxStr) * scaleY * 72;
+
             // Extract slide classes for special handling
             const slideClasses = Array.from(slide.classList);
             const isSmallText = slideClasses.includes('small-text');
@@ -105,13 +325,25 @@ export async function extractSlides(htmlPath) {
             function extractTextWithFormatting(element) {
                 const runs = [];
 
-                function processNode(node, baseStyle = {}) {
+                function processNode(node, baseStyle = {}, link = null) {
                     if (node.nodeType === Node.TEXT_NODE) {
                         const text = node.textContent;
                         if (text.trim()) {
-                            runs.push({ text, options: { ...baseStyle } });
+                            runs.push(link ? { text, options: { ...baseStyle }, link } : { text, options: { ...baseStyle } });
                         }
                     } else if (node.nodeType === Node.ELEMENT_NODE) {
+                        // Keep formulas as a single run carrying their source instead of rendered glyphs
+                        if (isMathNode(node)) {
+                            const math = getMathInfo(node);
+                            if (math) {
+                                runs.push({ text: math.tex, options: { ...baseStyle }, math });
+                            } else {
+                                diagnose('skipped', node, 'Formula without TeX source or MathML skipped', 'math');
+                            }
+                            return;
+                        }
+                        if (isMathSupportNode(node)) return;
+
                         const computed = window.getComputedStyle(node);
                         const newStyle = { ...baseStyle };
 
@@ -130,6 +362,11 @@ export async function extractSlides(htmlPath) {
                             newStyle.underline = true;
                         }
 
+                        // Inline code keeps its monospace font
+                        if (node.tagName === 'CODE') {
+                            newStyle.code = true;
+                        }
+
                         // Check for color
                         if (computed.color && computed.color !== 'rgb(0, 0, 0)') {
                             newStyle.color = rgbToHex(computed.color);
@@ -141,8 +378,11 @@ export async function extractSlides(htmlPath) {
                             return;
                         }
 
+                        // Links: external URL or jump to the slide holding the anchor
+                        const nodeLink = node.tagName === 'A' ? resolveLink(node) || link : link;
+
                         // Process children
-                        node.childNodes.forEach(child => processNode(child, newStyle));
+                        node.childNodes.forEach(child => processNode(child, newStyle, nodeLink));
                     }
                 }
 
@@ -150,6 +390,41 @@ export async function extractSlides(htmlPath) {
                 return runs;
             }
 
+            // Reveal steps of the slide's fragments and incremental items, numbered from 1 in
+            // reveal order: by data-fragment-index, else following the previous one in document order
+            const revealSteps = new Map();
+            const revealUnits = new Set();
+            slideContent.querySelectorAll(`${reveal.fragment}, ${reveal.incremental}`).forEach(el => {
+                if (el.matches(reveal.fragment)) revealUnits.add(el);
+                if (!el.matches(reveal.incremental)) return;
+                // Lists reveal their items one by one, other containers their children
+                const children = el.matches('ul, ol') ? [el] : Array.from(el.children);
+                children.forEach(child => {
+                    (child.matches('ul, ol') ? child.querySelectorAll('li') : [child]).forEach(unit => revealUnits.add(unit));
+                });
+            });
+            const documentOrder = (a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+            let revealKey = 0;
+            const revealKeys = [...revealUnits].sort(documentOrder).map(el => {
+                const index = parseInt(el.getAttribute('data-fragment-index'), 10);
+                revealKey = Number.isInteger(index) ? index : revealKey + 1;
+                return [el, revealKey];
+            });
+            const distinctKeys = [...new Set(revealKeys.map(([, key]) => key))].sort((a, b) => a - b);
+            revealKeys.forEach(([el, key]) => revealSteps.set(el, distinctKeys.indexOf(key) + 1));
+
+            // Step at which an element appears: the latest step of the reveals containing it (undefined: always shown)
+            function revealStepOf(el) {
+                let step;
+                for (let node = el; node && node !== slideContent; node = node.parentElement) {
+                    if (revealSteps.has(node)) step = Math.max(step || 0, revealSteps.get(node));
+                }
+                return step;
+            }
+
+            // Reveals whose element was extracted (the others are shown at once, see the end of the slide)
+            const revealed = new Set();
+
             // Function to convert element position to PPTX coordinates
             function getPosition(el) {
                 const rect = el.getBoundingClientRect();
@@ -161,10 +436,57 @@ export async function extractSlides(htmlPath) {
                 };
             }
 
+            // CSS selector locating an element in its slide (from the nearest ancestor with an id)
+            function selectorOf(el) {
+                const parts = [];
+                for (let node = el; node && node !== slide; node = node.parentElement) {
+                    if (node.id) {
+                        parts.unshift(`#${CSS.escape(node.id)}`);
+                        return parts.join(' > ');
+                    }
+                    const classes = Array.from(node.classList).slice(0, 2).map(c => `.${CSS.escape(c)}`).join('');
+                    const sameTag = Array.from(node.parentElement?.children || []).filter(c => c.tagName === node.tagName);
+                    const nth = sameTag.length > 1 ? `:nth-of-type(${sameTag.indexOf(node) + 1})` : '';
+                    parts.unshift(node.tagName.toLowerCase() + classes + nth);
+                }
+                return parts.join(' > ');
+            }
+
+            // Record content that is not extracted faithfully (see diagnostics.js)
+            function diagnose(kind, el, message, type = null) {
+                diagnostics.push({ kind, element: type || el.tagName.toLowerCase(), selector: selectorOf(el), message });
+            }
+
+            // Tags of a node's descendants that carry formatting, for "formatting flattened" diagnostics
+            function formattingTags(el) {
+                const found = new Set();
+                el.querySelectorAll('strong, b, em, i, u, mark, code, a[href], sub, sup').forEach(node => {
+                    if (node.closest(MATH_SELECTOR)) return;
+                    found.add(node.tagName === 'A' ? 'links' : `<${node.tagName.toLowerCase()}>`);
+                });
+                if (el.querySelector(MATH_SELECTOR)) found.add('formulas');
+                return [...found];
+            }
+
+            // Record images (skipped) and code blocks or tables (flattened to text) nested in a text element,
+            // except for the tags the element keeps (e.g. ['pre'])
+            function diagnoseNested(el, type, where, kept = []) {
+                el.querySelectorAll('img, svg, pre, table').forEach(node => {
+                    if (node.closest(MATH_SELECTOR)) return;
+                    const tag = node.tagName.toLowerCase();
+                    if (kept.includes(tag)) return;
+                    if (tag === 'pre' || tag === 'table') {
+                        diagnose('degraded', node, `<${tag}> inside ${where} flattened to text`, type);
+                    } else {
+                        diagnose('skipped', node, `Image inside ${where} skipped`, type);
+                    }
+                });
+            }
+
             // Function to extract element styles
             function getElementStyle(el) {
                 const computed = window.getComputedStyle(el);
-                const fontSize = pxToPoints(computed.fontSize);
+                const fontSize = pxToSlidePoints(computed.fontSize);
 
                 // Apply text size modifiers
                 let adjustedFontSize = fontSize;
@@ -177,17 +499,376 @@ export async function extractSlides(htmlPath) {
                     color: rgbToHex(computed.color),
                     bold: computed.fontWeight === 'bold' || parseInt(computed.fontWeight) >= 600,
                     italic: computed.fontStyle === 'italic',
-                    underline: computed.textDecoration && computed.textDecoration.includes('underline'),
+                    underline: !!computed.textDecoration && computed.textDecoration.includes('underline'),
                     align: computed.textAlign === 'center' ? 'center' :
                         computed.textAlign === 'right' ? 'right' : 'left',
-                    lineSpacing: computed.lineHeight !== 'normal' ? pxToPoints(computed.lineHeight) : null,
+                    lineSpacing: computed.lineHeight !== 'normal' ? pxToSlidePoints(computed.lineHeight) : null,
                     backgroundColor: computed.backgroundColor !== 'rgba(0, 0, 0, 0)' ? rgbToHex(computed.backgroundColor) : null
                 };
             }
 
-            // Process all content elements
+            // Function to extract the items of a list with their nesting level
+            function extractListItems(listEl, items = [], level = 0) {
+                const listItems = listEl.querySelectorAll(':scope > li');
+
+                listItems.forEach(li => {
+                    // Extract text from this LI (excluding nested lists)
+                    const itemRuns = [];
+
+                    li.childNodes.forEach(child => {
+                        if (child.nodeType === Node.TEXT_NODE) {
+                            const text = child.textContent.trim();
+                            if (text) {
+                                itemRuns.push({ text, options: {} });
+                            }
+                        } else if (child.nodeType === Node.ELEMENT_NODE) {
+                            // Skip nested UL/OL - will process separately
+                            if (child.tagName !== 'UL' && child.tagName !== 'OL') {
+                                const runs = extractTextWithFormatting(child);
+                                itemRuns.push(...runs);
+                            }
+                        }
+                    });
+
+                    // Check for highlight classes
+                    const highlightSpan = li.querySelector('[class*="highlight-"]');
+                    if (highlightSpan) {
+                        const highlightClass = Array.from(highlightSpan.classList).find(c => c.startsWith('highlight-'));
+                        if (highlightClass) {
+                            const colorMap = {
+                                'highlight-red': 'C0392B',
+                                'highlight-orange': 'E67E22',
+                                'highlight-green': '27AE60',
+                                'highlight-blue': '2980B9',
+                                'highlight-purple': '8E44AD'
+                            };
+                            if (colorMap[highlightClass]) {
+                                itemRuns.forEach(run => run.options.highlightColor = colorMap[highlightClass]);
+                            }
+                        }
+                    }
+
+                    // Only add if there's content
+                    if (itemRuns.length > 0) {
+                        const step = revealStepOf(li);
+                        items.push({
+                            text: itemRuns,
+                            level: level,
+                            ...(step ? { step } : {})
+                        });
+                        revealed.add(li);
+                    }
+
+                    // Process nested lists
+                    const nestedLists = li.querySelectorAll(':scope > ul, :scope > ol');
+                    nestedLists.forEach(nestedList => {
+                        extractListItems(nestedList, items, level + 1);
+                    });
+                });
+
+                return items;
+            }
+
+            // Function to extract the body of an admonition as blocks: paragraphs (formatted runs),
+            // lists and code. Consecutive inline content forms one paragraph.
+            function extractAdmonitionBody(el, titleEl) {
+                const body = [];
+                let inline = [];
+
+                const isBlock = (node) => !window.getComputedStyle(node).display.startsWith('inline');
+                const flush = () => {
+                    const text = trimRuns(inline);
+                    if (text.length > 0) body.push({ type: 'paragraph', text });
+                    inline = [];
+                };
+
+                function visit(node) {
+                    if (node === titleEl) return;
+                    if (node.nodeType === Node.TEXT_NODE) {
+                        if (node.textContent.trim()) inline.push({ text: node.textContent, options: {} });
+                        return;
+                    }
+                    if (node.nodeType !== Node.ELEMENT_NODE) return;
+                    if (!isBlock(node) && !node.matches(DISPLAY_MATH_SELECTOR)) {
+                        inline.push(...extractTextWithFormatting(node));
+                        return;
+                    }
+
+                    flush();
+                    if (node.tagName === 'UL' || node.tagName === 'OL') {
+                        body.push({ type: 'list', ordered: node.tagName === 'OL', items: extractListItems(node) });
+                    } else if (node.tagName === 'PRE' || node.classList.contains('listing')) {
+                        const codeEl = node.querySelector('code') || node;
+                        body.push({ type: 'code', code: codeEl.textContent, tokens: extractCodeTokens(codeEl), language: codeEl.className || '' });
+                    } else if (isMathNode(node) || !Array.from(node.children).some(isBlock)) {
+                        const text = trimRuns(extractTextWithFormatting(node));
+                        if (text.length > 0) body.push({ type: 'paragraph', text });
+                    } else {
+                        node.childNodes.forEach(visit);
+                        flush();
+                    }
+                }
+
+                el.childNodes.forEach(visit);
+                flush();
+                return body;
+            }
+
+            // Runs without the source's leading and trailing whitespace
+            function trimRuns(runs) {
+                const trimmed = runs.map(run => run.math ? run : { ...run, text: run.text.replace(/\s+/g, ' ') });
+                if (trimmed.length > 0 && !trimmed[0].math) {
+                    trimmed[0] = { ...trimmed[0], text: trimmed[0].text.trimStart() };
+                }
+                const last = trimmed.length - 1;
+                if (last >= 0 && !trimmed[last].math) {
+                    trimmed[last] = { ...trimmed[last], text: trimmed[last].text.trimEnd() };
+                }
+                return trimmed.filter(run => run.math || run.text);
+            }
+
+            // Plain text of an admonition body block
+            function blockText(block) {
+                const runsText = (runs) => runs.map(run => run.math ? run.math.tex : run.text).join('');
+                if (block.type === 'code') return block.code.replace(/\n$/, '');
+                if (block.type === 'list') {
+                    return block.items.map(item => '    '.repeat(item.level) + '• ' + runsText(item.text)).join('\n');
+                }
+                return runsText(block.text);
+            }
+
+            // Function to extract a table: cells with formatting, spans, alignment and
+            // background (zebra stripes come from the row), and the rendered column widths
+            function extractTable(table) {
+                const background = (node) => {
+                    const color = window.getComputedStyle(node).backgroundColor;
+                    return color && color !== 'rgba(0, 0, 0, 0)' && color !== 'transparent' ? rgbToHex(color) : null;
+                };
+
+                const rows = [];
+                const columnWidths = [];
+                const covered = [];     // Grid slots taken by rowspans from rows above
+                Array.from(table.rows).forEach((tr, rowIdx) => {
+                    const rowFill = background(tr) || (tr.parentElement !== table && background(tr.parentElement));
+                    const cells = [];
+                    let col = 0;
+                    Array.from(tr.cells).forEach(cell => {
+                        while (covered[rowIdx]?.[col]) col++;
+                        const colspan = Math.max(1, cell.colSpan || 1);
+                        const rowspan = Math.max(1, Math.min(cell.rowSpan || 1, table.rows.length - rowIdx));
+                        for (let r = 1; r < rowspan; r++) {
+                            covered[rowIdx + r] = covered[rowIdx + r] || [];
+                            for (let c = 0; c < colspan; c++) covered[rowIdx + r][col + c] = true;
+                        }
+                        if (colspan === 1 && columnWidths[col] === undefined) {
+                            columnWidths[col] = cell.getBoundingClientRect().width * scaleX;
+                        }
+
+                        const computed = window.getComputedStyle(cell);
+                        const runs = extractTextWithFormatting(cell);
+                        cells.push({
+                            text: cell.textContent.trim(),
+                            runs,
+                            isHeader: cell.tagName === 'TH',
+                            ...(colspan > 1 ? { colspan } : {}),
+                            ...(rowspan > 1 ? { rowspan } : {}),
+                            align: computed.textAlign.includes('center') ? 'center' :
+                                computed.textAlign === 'right' || computed.textAlign === 'end' ? 'right' : 'left',
+                            fill: background(cell) || rowFill || null,
+                            color: rgbToHex(computed.color)
+                        });
+                        col += colspan;
+                    });
+                    if (cells.length > 0) rows.push(cells);
+                });
+
+                // Columns only spanned by merged cells share the rest of the width
+                const tableWidth = table.getBoundingClientRect().width * scaleX;
+                const columnCount = Math.max(columnWidths.length,
+                    ...rows.map(row => row.reduce((count, cell) => count + (cell.colspan || 1), 0)));
+                const known = columnWidths.filter(width => width !== undefined);
+                const unknownCount = columnCount - known.length;
+                const rest = Math.max(tableWidth - known.reduce((sum, width) => sum + width, 0), 0);
+                const widths = Array.from({ length: columnCount }, (_, idx) =>
+                    columnWidths[idx] ?? rest / Math.max(unknownCount, 1));
+
+                return { rows, columnWidths: widths };
+            }
+
+            // Function to extract highlighted code as tokens with their rendered color and hljs scope
+            function extractCodeTokens(codeEl) {
+                const tokens = [];
+
+                function walk(node) {
+                    if (node.nodeType === Node.TEXT_NODE) {
+                        if (!node.textContent) return;
+
+                        const parent = node.parentElement;
+                        const computed = window.getComputedStyle(parent);
+                        const scopeEl = parent.closest('[class*="hljs-"]');
+                        const scopeClass = scopeEl && codeEl.contains(scopeEl)
+                            ? Array.from(scopeEl.classList).find(c => c.startsWith('hljs-'))
+                            : null;
+
+                        const token = {
+                            text: node.textContent,
+                            color: rgbToHex(computed.color),
+                            bold: computed.fontWeight === 'bold' || parseInt(computed.fontWeight) >= 600,
+                            italic: computed.fontStyle === 'italic',
+                            scope: scopeClass ? scopeClass.substring(5) : null
+                        };
+
+                        // Merge with the previous token when the styling is identical
+                        const last = tokens[tokens.length - 1];
+                        if (last && last.color === token.color && last.bold === token.bold &&
+                            last.italic === token.italic && last.scope === token.scope) {
+                            last.text += token.text;
+                        } else {
+                            tokens.push(token);
+                        }
+                    } else if (node.nodeType === Node.ELEMENT_NODE) {
+                        if (node.tagName === 'BR') {
+                            tokens.push({ text: '\n', color: null, bold: false, italic: false, scope: null });
+                            return;
+                        }
+                        node.childNodes.forEach(walk);
+                    }
+                }
+
+                walk(codeEl);
+                return tokens;
+            }
+
+            // Function to extract the drawing primitives of an inline SVG (Markdeep diagrams)
+            // Coordinates stay in SVG user units; `matrix` maps them to slide inches.
+            function extractSvgPrimitives(svg) {
+                const primitives = [];
+                const paint = (value) => (!value || value === 'none' || value === 'transparent' ||
+                    value === 'rgba(0, 0, 0, 0)') ? null : rgbToHex(value);
+
+                svg.querySelectorAll('path, line, polyline, polygon, circle, ellipse, rect, text').forEach(node => {
+                    if (node.closest('defs, marker, clipPath, mask, symbol, pattern')) return;
+
+                    const computed = window.getComputedStyle(node);
+                    if (computed.display === 'none' || computed.visibility === 'hidden') return;
+
+                    const ctm = node.getScreenCTM();
+                    if (!ctm) return;
+
+                    const tag = node.tagName.toLowerCase();
+                    const num = (name) => parseFloat(node.getAttribute(name)) || 0;
+                    const base = {
+                        tag,
+                        matrix: [
+                            ctm.a * scaleX, ctm.b * scaleY, ctm.c * scaleX, ctm.d * scaleY,
+                            (ctm.e - parentRect.left) * scaleX, (ctm.f - parentRect.top) * scaleY
+                        ],
+                        stroke: paint(computed.stroke),
+                        fill: paint(computed.fill),
+                        strokeWidth: computed.stroke === 'none' ? 0 : parseFloat(computed.strokeWidth) || 0,
+                        dashed: !!computed.strokeDasharray && computed.strokeDasharray !== 'none'
+                    };
+
+                    switch (tag) {
+                        case 'path':
+                            primitives.push({ ...base, d: node.getAttribute('d') || '' });
+                            break;
+                        case 'line':
+                            primitives.push({ ...base, x1: num('x1'), y1: num('y1'), x2: num('x2'), y2: num('y2') });
+                            break;
+                        case 'polyline':
+                        case 'polygon':
+                            primitives.push({ ...base, points: Array.from(node.points, p => [p.x, p.y]) });
+                            break;
+                        case 'circle':
+                            primitives.push({ ...base, cx: num('cx'), cy: num('cy'), rx: num('r'), ry: num('r') });
+                            break;
+                        case 'ellipse':
+                            primitives.push({ ...base, cx: num('cx'), cy: num('cy'), rx: num('rx'), ry: num('ry') });
+                            break;
+                        case 'rect':
+                            primitives.push({ ...base, x: num('x'), y: num('y'), width: num('width'), height: num('height') });
+                            break;
+                        case 'text': {
+                            // Text is placed by its rendered box; font size scaled like the geometry
+                            const rect = node.getBoundingClientRect();
+                            const fontPx = parseFloat(computed.fontSize) * Math.hypot(ctm.c, ctm.d);
+                            primitives.push({
+                                tag,
+                                text: node.textContent,
+                                x: (rect.left - parentRect.left) * scaleX,
+                                y: (rect.top - parentRect.top) * scaleY,
+                                w: rect.width * scaleX,
+                                h: rect.height * scaleY,
+                                anchor: computed.textAnchor,
+                                fontSize: fontPx * scaleY * 72,
+                                fontFace: computed.fontFamily.split(',')[0].replace(/['"]/g, '').trim() || null,
+                                color: paint(computed.fill),
+                                bold: computed.fontWeight === 'bold' || parseInt(computed.fontWeight) >= 600,
+                                italic: computed.fontStyle === 'italic'
+                            });
+                            break;
+                        }
+                    }
+                });
+
+                return primitives;
+            }
+
+            // Run a plugin extractor; children it asks for are extracted after the element itself
+            function processPluginElement(el, handler, position, depth, inColumn) {
+                const childParents = [];
+                const helpers = {
+                    position: getPosition,
+                    style: getElementStyle,
+                    text: extractTextWithFormatting,
+                    color: rgbToHex,
+                    processChildren: (parent = el) => childParents.push(parent)
+                };
+
+                let data;
+                try {
+                    data = handler.extract(el, helpers);
+                } catch (error) {
+                    pluginErrors.push(`Slide ${slideIndex + 1}: "${handler.type}" extractor failed on ` +
+                        `<${el.tagName.toLowerCase()}> (${error.message})`);
+                    diagnose('skipped', el, `Plugin extractor failed (${error.message})`, handler.type);
+                    return;
+                }
+
+                if (data) {
+                    elements.push({ ...data, type: handler.type, position: data.position || position });
+                }
+                childParents.forEach(parent => {
+                    Array.from(parent.children).forEach(child => processElement(child, depth + 1, inColumn));
+                });
+            }
+
+            // Process a content element, labeling what it produced with its selector
+            // (elements from nested calls are labeled by those calls first)
             function processElement(el, depth = 0, inColumn = false) {
+                const first = elements.length;
+                extractElement(el, depth, inColumn);
+                const selector = selectorOf(el);
+                const step = revealStepOf(el);
+                elements.slice(first).forEach(element => {
+                    element.selector = element.selector || selector;
+                    if (step && !element.step) element.step = step;
+                });
+                if (elements.length > first) revealed.add(el);
+            }
+
+            // Extract the elements of one content element
+            function extractElement(el, depth, inColumn) {
                 const tagName = el.tagName;
+
+                // Speaker notes elements are usually hidden, so check before the size test
+                if (notesOptions.selector && el.matches(notesOptions.selector)) {
+                    const text = (el.innerText || el.textContent).trim();
+                    if (text) notes.push(text);
+                    return;
+                }
+
                 const position = getPosition(el);
                 position.inColumn = inColumn;  // Mark if inside a column
 
@@ -197,6 +878,29 @@ export async function extractSlides(htmlPath) {
                 // Skip anchor elements (navigation targets)
                 if (tagName === 'A' && el.classList.contains('target')) return;
 
+                // Plugin element types take precedence over the built-in handling
+                const pluginHandler = pluginHandlers.find(handler => el.matches(handler.selector));
+                if (pluginHandler) {
+                    processPluginElement(el, pluginHandler, position, depth, inColumn);
+                    return;
+                }
+
+                // Handle display formulas (MathJax)
+                if (isMathNode(el)) {
+                    const math = getMathInfo(el);
+                    if (math) {
+                        elements.push({
+                            type: 'math',
+                            math: { ...math, display: true },
+                            position,
+                            style: getElementStyle(el)
+                        });
+                    } else {
+                        diagnose('skipped', el, 'Formula without TeX source or MathML skipped', 'math');
+                    }
+                    return;
+                }
+
                 // Handle Markdeep-specific title div (used on title slide)
                 if (tagName === 'DIV' && el.classList.contains('title')) {
                     const style = getElementStyle(el);
@@ -257,9 +961,11 @@ export async function extractSlides(htmlPath) {
                     const listItems = el.querySelectorAll(':scope > li');
 
                     listItems.forEach(li => {
-                        const linkText = li.querySelector('a')?.textContent.trim() || li.textContent.trim();
+                        const anchor = li.querySelector('a');
+                        const linkText = anchor?.textContent.trim() || li.textContent.trim();
+                        const link = resolveLink(anchor);
                         items.push({
-                            text: [{ text: linkText, options: {} }],
+                            text: [link ? { text: linkText, options: {}, link } : { text: linkText, options: {} }],
                             level: 0
                         });
                     });
@@ -293,6 +999,19 @@ export async function extractSlides(htmlPath) {
 
                 // Handle paragraphs
                 if (tagName === 'P') {
+                    // Images inside the paragraph are placed separately
+                    el.querySelectorAll('img').forEach(img => processElement(img, depth + 1, inColumn));
+                    el.querySelectorAll('svg').forEach(svg => {
+                        if (!svg.closest(MATH_SELECTOR)) diagnose('skipped', svg, 'Inline SVG inside text skipped', 'image');
+                    });
+
+                    // Paragraphs holding only display formulas become equation blocks
+                    const displayMath = el.querySelectorAll(DISPLAY_MATH_SELECTOR);
+                    if (displayMath.length > 0 && !hasTextOutsideMath(el)) {
+                        displayMath.forEach(math => processElement(math, depth + 1, inColumn));
+                        return;
+                    }
+
                     const text = el.textContent.trim();
                     if (!text) return;
 
@@ -310,66 +1029,8 @@ export async function extractSlides(htmlPath) {
 
                 // Handle lists (UL, OL)
                 if (tagName === 'UL' || tagName === 'OL') {
-                    const items = [];
-
-                    // Recursive function to extract list items with nesting level
-                    function extractListItems(listEl, level = 0) {
-                        const listItems = listEl.querySelectorAll(':scope > li');
-
-                        listItems.forEach(li => {
-                            // Extract text from this LI (excluding nested lists)
-                            const itemRuns = [];
-
-                            li.childNodes.forEach(child => {
-                                if (child.nodeType === Node.TEXT_NODE) {
-                                    const text = child.textContent.trim();
-                                    if (text) {
-                                        itemRuns.push({ text, options: {} });
-                                    }
-                                } else if (child.nodeType === Node.ELEMENT_NODE) {
-                                    // Skip nested UL/OL - will process separately
-                                    if (child.tagName !== 'UL' && child.tagName !== 'OL') {
-                                        const runs = extractTextWithFormatting(child);
-                                        itemRuns.push(...runs);
-                                    }
-                                }
-                            });
-
-                            // Check for highlight classes
-                            const highlightSpan = li.querySelector('[class*="highlight-"]');
-                            if (highlightSpan) {
-                                const highlightClass = Array.from(highlightSpan.classList).find(c => c.startsWith('highlight-'));
-                                if (highlightClass) {
-                                    const colorMap = {
-                                        'highlight-red': 'C0392B',
-                                        'highlight-orange': 'E67E22',
-                                        'highlight-green': '27AE60',
-                                        'highlight-blue': '2980B9',
-                                        'highlight-purple': '8E44AD'
-                                    };
-                                    if (colorMap[highlightClass]) {
-                                        itemRuns.forEach(run => run.options.highlightColor = colorMap[highlightClass]);
-                                    }
-                                }
-                            }
-
-                            // Only add if there's content
-                            if (itemRuns.length > 0) {
-                                items.push({
-                                    text: itemRuns,
-                                    level: level
-                                });
-                            }
-
-                            // Process nested lists
-                            const nestedLists = li.querySelectorAll(':scope > ul, :scope > ol');
-                            nestedLists.forEach(nestedList => {
-                                extractListItems(nestedList, level + 1);
-                            });
-                        });
-                    }
-
-                    extractListItems(el, 0);
+                    const items = extractListItems(el);
+                    diagnoseNested(el, 'list', 'a list item');
 
                     elements.push({
                         type: 'list',
@@ -381,12 +1042,38 @@ export async function extractSlides(htmlPath) {
                     return;
                 }
 
+                // Handle inline SVG: Markdeep diagrams become native shapes, other drawings an image
+                if (tagName === 'svg') {
+                    if (el.classList.contains('diagram')) {
+                        elements.push({
+                            type: 'diagram',
+                            primitives: extractSvgPrimitives(el),
+                            position,
+                            style: getElementStyle(el)
+                        });
+                    } else {
+                        const rect = el.getBoundingClientRect();
+                        diagnose('approximated', el, 'Inline SVG embedded as a picture (not editable)', 'image');
+                        elements.push({
+                            type: 'image',
+                            src: 'data:image/svg+xml,' + encodeURIComponent(new XMLSerializer().serializeToString(el)),
+                            alt: el.getAttribute('aria-label') || '',
+                            naturalWidth: rect.width,
+                            naturalHeight: rect.height,
+                            position
+                        });
+                    }
+                    return;
+                }
+
                 // Handle images
                 if (tagName === 'IMG') {
                     elements.push({
                         type: 'image',
                         src: el.src,
-                        alt: el.alt || '',
+                        alt: el.alt || el.title || '',
+                        naturalWidth: el.naturalWidth || null,
+                        naturalHeight: el.naturalHeight || null,
                         position
                     });
                     return;
@@ -398,36 +1085,10 @@ export async function extractSlides(htmlPath) {
                     const titleEl = el.querySelector('.admonitionTitle');
                     const title = titleEl ? titleEl.textContent.trim() : null;
 
-                    // Get content (everything except title), preserving list formatting
-                    const contentParts = [];
-
-                    function extractAdmonitionContent(node) {
-                        if (node === titleEl) return;
-
-                        if (node.nodeType === Node.TEXT_NODE) {
-                            const text = node.textContent.trim();
-                            if (text) contentParts.push(text);
-                        } else if (node.nodeType === Node.ELEMENT_NODE) {
-                            if (node.tagName === 'UL' || node.tagName === 'OL') {
-                                // Handle lists with bullet characters
-                                const items = node.querySelectorAll(':scope > li');
-                                items.forEach((li, idx) => {
-                                    const prefix = node.tagName === 'OL' ? `${idx + 1}. ` : '• ';
-                                    contentParts.push(prefix + li.textContent.trim());
-                                });
-                            } else if (node.tagName === 'P') {
-                                const text = node.textContent.trim();
-                                if (text) contentParts.push(text);
-                            } else {
-                                // Recurse for other elements
-                                node.childNodes.forEach(child => extractAdmonitionContent(child));
-                            }
-                        }
-                    }
-
-                    el.childNodes.forEach(child => extractAdmonitionContent(child));
+                    const body = extractAdmonitionBody(el, titleEl);
+                    diagnoseNested(el, 'admonition', 'an admonition', ['pre']);
 
-                    // Color mapping for admonition types
+                    // Colors of built-in types where the page's CSS does not set them
                     const colorMap = {
                         'note': { bg: 'E8F4FD', border: '2196F3', text: '1565C0' },
                         'tip': { bg: 'E8F5E9', border: '4CAF50', text: '2E7D32' },
@@ -435,14 +1096,23 @@ export async function extractSlides(htmlPath) {
                         'error': { bg: 'FFEBEE', border: 'F44336', text: 'C62828' },
                         'question': { bg: 'FFF3E0', border: 'FF9800', text: 'E65100' }
                     };
+                    const fallback = colorMap[type] || colorMap['note'];
 
-                    const colors = colorMap[type] || colorMap['note'];
+                    // Custom types (any class next to "admonition") are styled by the page's CSS
+                    const computed = window.getComputedStyle(el);
+                    const hasBorder = computed.borderLeftStyle !== 'none' && parseFloat(computed.borderLeftWidth) > 0;
+                    const colors = {
+                        bg: computed.backgroundColor !== 'rgba(0, 0, 0, 0)' ? rgbToHex(computed.backgroundColor) : fallback.bg,
+                        border: hasBorder ? rgbToHex(computed.borderLeftColor) : fallback.border,
+                        text: titleEl ? rgbToHex(window.getComputedStyle(titleEl).color) : fallback.text
+                    };
 
                     elements.push({
                         type: 'admonition',
                         admonitionType: type,
                         title,
-                        content: contentParts.join('\n'),
+                        content: body.map(blockText).join('\n'),
+                        body,
                         position,
                         colors
                     });
@@ -455,6 +1125,7 @@ export async function extractSlides(htmlPath) {
                     elements.push({
                         type: 'code',
                         code: codeEl.textContent,
+                        tokens: extractCodeTokens(codeEl),
                         language: codeEl.className || '',
                         position,
                         style: getElementStyle(codeEl)
@@ -464,21 +1135,19 @@ export async function extractSlides(htmlPath) {
 
                 // Handle tables
                 if (tagName === 'TABLE') {
-                    const rows = [];
-                    el.querySelectorAll('tr').forEach(tr => {
-                        const cells = [];
-                        tr.querySelectorAll('th, td').forEach(cell => {
-                            cells.push({
-                                text: cell.textContent.trim(),
-                                isHeader: cell.tagName === 'TH'
-                            });
-                        });
-                        if (cells.length > 0) rows.push(cells);
-                    });
+                    if (el.querySelector('td img, th img, td svg, th svg')) {
+                        diagnose('skipped', el, 'Images inside table cells skipped', 'table');
+                    }
 
+                    const caption = el.querySelector(':scope > caption');
                     elements.push({
                         type: 'table',
-                        rows,
+                        ...extractTable(el),
+                        caption: caption ? {
+                            text: extractTextWithFormatting(caption),
+                            side: window.getComputedStyle(caption).captionSide === 'bottom' ? 'bottom' : 'top',
+                            position: getPosition(caption)
+                        } : null,
                         position,
                         style: getElementStyle(el)
                     });
@@ -487,6 +1156,7 @@ export async function extractSlides(htmlPath) {
 
                 // Handle blockquotes (those not converted to admonitions)
                 if (tagName === 'BLOCKQUOTE') {
+                    diagnoseNested(el, 'blockquote', 'a blockquote');
                     elements.push({
                         type: 'blockquote',
                         text: extractTextWithFormatting(el),
@@ -551,8 +1221,8 @@ export async function extractSlides(htmlPath) {
                     return;
                 }
 
-                // Handle generic divs - process children
-                if (tagName === 'DIV') {
+                // Handle generic divs (and Markdeep's centered image wrappers) - process children
+                if (tagName === 'DIV' || tagName === 'CENTER' || tagName === 'FIGURE') {
                     // Check if this div has a background (shape)
                     const computed = window.getComputedStyle(el);
                     const hasBg = computed.backgroundColor !== 'rgba(0, 0, 0, 0)';
@@ -575,19 +1245,63 @@ export async function extractSlides(htmlPath) {
                     el.childNodes.forEach(child => {
                         if (child.nodeType === Node.ELEMENT_NODE) {
                             processElement(child, depth + 1, inColumn);
+                        } else if (child.nodeType === Node.TEXT_NODE && child.textContent.trim()) {
+                            diagnose('skipped', el, `Text outside a paragraph skipped ("${child.textContent.trim().substring(0, 40)}")`);
                         }
                     });
                     return;
                 }
+
+                // Anything else has no handler
+                if ((el.innerText || '').trim() || el.matches('video, audio, iframe, canvas, object, embed')) {
+                    diagnose('skipped', el, `Unsupported element <${tagName.toLowerCase()}> skipped`);
+                }
             }
 
             // Process all direct children of slide content
+            // Everything after a notes separator paragraph ("???") is speaker notes
+            let inNotes = false;
             slideContent.childNodes.forEach(child => {
-                if (child.nodeType === Node.ELEMENT_NODE) {
+                if (child.nodeType === Node.TEXT_NODE && child.textContent.trim() && !inNotes) {
+                    diagnose('skipped', slideContent,
+                        `Text outside a paragraph skipped ("${child.textContent.trim().substring(0, 40)}")`);
+                }
+                if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+                const text = (child.innerText || child.textContent).trim();
+                if (!inNotes && notesOptions.separator && child.tagName === 'P' &&
+                    text.startsWith(notesOptions.separator)) {
+                    inNotes = true;
+                    const rest = text.substring(notesOptions.separator.length).trim();
+                    if (rest) notes.push(rest);
+                } else if (inNotes) {
+                    if (text) notes.push(text);
+                } else {
                     processElement(child);
                 }
             });
 
+            // Reveals inside an element extracted as a whole (e.g. a fragment in a paragraph)
+            revealUnits.forEach(el => {
+                if (revealed.has(el) || (notesOptions.selector && el.closest(notesOptions.selector))) return;
+                const container = el.parentElement?.closest('p, table, pre, blockquote, .admonition');
+                if (container) {
+                    diagnose('degraded', el, `Step-by-step reveal inside <${container.tagName.toLowerCase()}> shown at once`);
+                }
+            });
+
+            // HTML comments used as notes
+            if (notesOptions.comments) {
+                const prefix = typeof notesOptions.comments === 'string' ? notesOptions.comments.toLowerCase() : '';
+                const walker = document.createTreeWalker(slide, NodeFilter.SHOW_COMMENT);
+                while (walker.nextNode()) {
+                    const comment = walker.currentNode.textContent.trim();
+                    if (!comment.toLowerCase().startsWith(prefix)) continue;
+                    const text = comment.substring(prefix.length).trim();
+                    if (text) notes.push(text);
+                }
+            }
+
             // Extract chapter label if present
             const chapterLabel = slide.querySelector('.chapter-label');
 
@@ -598,12 +1312,17 @@ export async function extractSlides(htmlPath) {
             const navItems = slide.querySelectorAll('.nav-section-item');
             let activeChapterIndex = -1;
             const navChapters = [];
+            const navLinks = [];
+            let tocLink = null;
 
             navItems.forEach((item, idx) => {
                 const text = item.textContent.trim();
                 // Skip TOC button
-                if (!item.classList.contains('toc-button')) {
+                if (item.classList.contains('toc-button')) {
+                    tocLink = navItemLink(item) || (tocSlideIndex >= 0 ? { slide: tocSlideIndex } : null);
+                } else {
                     navChapters.push(text);
+                    navLinks.push(resolveChapterLink(item, text));
                     if (item.classList.contains('active')) {
                         activeChapterIndex = navChapters.length - 1;
                     }
@@ -615,6 +1334,8 @@ export async function extractSlides(htmlPath) {
                 id: slide.id,
                 classes: slideClasses,
                 elements,
+                notes: notes.length > 0 ? notes.join('\n\n') : null,
+                diagnostics,
                 metadata: {
                     isH1TitleSlide,
                     isTwoColumn,
@@ -623,11 +1344,64 @@ export async function extractSlides(htmlPath) {
                     chapterLabel: chapterLabel ? chapterLabel.textContent.trim() : null,
                     slideNumber: slideNumber ? slideNumber.textContent.trim() : null,
                     navChapters: navChapters.length > 0 ? navChapters : null,
+                    navLinks: navChapters.length > 0 ? navLinks : null,
+                    tocLink,
                     activeChapterIndex: activeChapterIndex >= 0 ? activeChapterIndex : null
                 }
             });
         });
 
+        // Computed styles of the page, used to derive a presentation theme
+        function collectThemeStyles() {
+            const styleOf = (selector, pseudo) => {
+                const el = document.querySelector(selector);
+                return el ? window.getComputedStyle(el, pseudo) : null;
+            };
+            // Transparent colors are left out so the base theme applies
+            const colorOf = (value) => {
+                if (!value || value === 'transparent' || /rgba\(.*,\s*0\)$/.test(value)) return null;
+                return rgbToHex(value);
+            };
+            const fontOf = (style) => {
+                const family = style?.fontFamily.split(',')[0].replace(/['"]/g, '').trim();
+                return family && !/^(serif|sans-serif|monospace|system-ui)$/.test(family) ? family : null;
+            };
+
+            const title = styleOf('.slide-content h2');
+            const body = styleOf('.slide-content p') || styleOf('.slide-content li');
+            const strong = styleOf('.slide-content strong');
+            const nav = styleOf('.nav-section-item:not(.active):not(.toc-button)');
+            const navBar = document.querySelector('.nav-section-item')?.parentElement;
+            const colors = {
+                primary: colorOf(navBar && window.getComputedStyle(navBar).backgroundColor) ||
+                    colorOf(title?.borderBottomColor) || colorOf(title?.color),
+                titleText: colorOf(title?.color),
+                bodyText: colorOf(body?.color),
+                lightText: colorOf(styleOf('.slide-number')?.color),
+                onPrimary: colorOf(nav?.color),
+                background: colorOf(styleOf('.slide')?.backgroundColor),
+                surface: colorOf(styleOf('.slide-content td')?.backgroundColor),
+                bulletColor: colorOf(styleOf('.slide-content ul > li', '::marker')?.color) || colorOf(strong?.color)
+            };
+
+            // Admonition colors come from the same type classes the extractor recognizes
+            ['note', 'tip', 'warning', 'error', 'question'].forEach(type => {
+                const box = styleOf(`.admonition.${type}`);
+                colors[`${type}Background`] = colorOf(box?.backgroundColor);
+                colors[`${type}Border`] = colorOf(box?.borderLeftColor);
+                colors[`${type}Text`] = colorOf(styleOf(`.admonition.${type} .admonitionTitle`)?.color);
+            });
+
+            return {
+                fonts: {
+                    body: fontOf(body),
+                    code: fontOf(styleOf('.slide-content pre code') || styleOf('.slide-content code')),
+                    quote: fontOf(styleOf('.slide-content blockquote'))
+                },
+                colors
+            };
+        }
+
         // Get document title - try multiple sources
         const titleSlide = extractedSlides[0];
         let documentTitle = 'Untitled Presentation';
@@ -669,75 +1443,239 @@ export async function extractSlides(htmlPath) {
 
         return {
             title: documentTitle,
+            source: document.baseURI,
             aspectRatio,
             dimensions: {
                 width: slideWidthInches,
                 height: slideHeightInches
             },
-            slides: extractedSlides
+            styles: collectThemeStyles(),
+            slides: extractedSlides,
+            pluginErrors
         };
-    });
+    }, { notesOptions, extractors, reveal: REVEAL_SELECTORS });
 
-    await browser.close();
+    const warn = options.onWarning || printWarning;
+    pluginErrors.forEach(message => warn(message));
 
-    return slideData;
+    // Screenshot the formulas that cannot be converted to equations
+    await captureFormulaImages(page, slideData, warn);
+
+    return { schemaVersion: SCHEMA_VERSION, ...slideData };
 }
 
 /**
- * Capture slide screenshots for reference
- * @param {string} htmlPath - Path to the HTML file
- * @param {string} outputDir - Directory to save screenshots
+ * Open an HTML file in a new browser page, wait for the slides to render and run a callback on it
+ * The page (and the browser, unless options.browser was given) is closed afterwards.
+ * @param {string} htmlPath - Path or URL of the HTML file
+ * @param {Object} options - Page options (see DEFAULT_PAGE_OPTIONS), deviceScaleFactor and browser
+ * @param {function(import('playwright').Page): Promise<*>} callback - Work to do on the page
+ * @returns {Promise<*>} - The callback's result
  */
-export async function captureSlideScreenshots(htmlPath, outputDir) {
-    const browser = await chromium.launch({ headless: true });
+async function withSlidesPage(htmlPath, options, callback) {
+    const browser = options.browser || await launchBrowser();
     const context = await browser.newContext({
-        viewport: { width: 1920, height: 1080 }
+        viewport: options.viewport || DEFAULT_PAGE_OPTIONS.viewport,
+        deviceScaleFactor: options.deviceScaleFactor || 1
     });
 
-    const page = await context.newPage();
+    try {
+        const page = await context.newPage();
+        await loadSlides(page, htmlPath, options);
+        return await callback(page);
+    } finally {
+        await context.close();
+        if (!options.browser) await browser.close();
+        if (isMarkdeepSource(htmlPath)) await removeSourcePage(htmlPath);
+    }
+}
 
+/**
+ * Load an HTML file and wait for the slides to render
+ */
+async function loadSlides(page, htmlPath, options) {
+    const { timeout, renderTimeout, renderWait } = { ...DEFAULT_PAGE_OPTIONS, ...dropUndefined(options) };
+
+    // Convert to file:// URL if it's a local path
     let fileUrl = htmlPath;
-    if (!htmlPath.startsWith('file://') && !htmlPath.startsWith('http')) {
+    if (isMarkdeepSource(htmlPath)) {
+        // Markdeep source: wrap it with the local runtime and keep the page offline
+        await routeOffline(page, options.runtime, options.onWarning || printWarning);
+        fileUrl = pathToFileURL(await writeSourcePage(htmlPath, options.runtime)).href;
+        log.debug(`Rendering ${htmlPath} with the local Markdeep runtime`);
+    } else if (!htmlPath.startsWith('file://') && !htmlPath.startsWith('http')) {
         const absolutePath = path.resolve(htmlPath);
         fileUrl = `file://${absolutePath}`;
     }
 
-    await page.goto(fileUrl, { waitUntil: 'networkidle' });
-    await page.waitForSelector('.slide', { timeout: 30000 });
-    await page.waitForTimeout(2000);
+    log.debug(`Opening: ${fileUrl}`);
+
+    await page.goto(fileUrl, {
+        waitUntil: 'networkidle',
+        timeout
+    });
+
+    // Wait for Markdeep to render the slides
+    await page.waitForSelector('.slide', { timeout: renderTimeout });
+    await matchViewportToSlides(page, options);
 
-    const slideCount = await page.evaluate(() => document.querySelectorAll('.slide').length);
+    // Incremental reveals are extracted (and captured) with every step shown
+    await page.addStyleTag({ content: REVEAL_ALL_CSS });
 
-    const screenshots = [];
+    // Give extra time for MathJax and other rendering to complete
+    await page.waitForTimeout(renderWait);
+}
 
-    for (let i = 0; i < slideCount; i++) {
-        // Navigate to each slide
-        await page.evaluate((index) => {
-            if (typeof gotoSlide === 'function') {
-                gotoSlide(index);
+/**
+ * Reload a page opened with loadSlides and wait for the slides to render again
+ */
+async function reloadSlides(page, htmlPath, options) {
+    const { timeout, renderTimeout, renderWait } = { ...DEFAULT_PAGE_OPTIONS, ...dropUndefined(options) };
+
+    // The generated page holds a copy of the source, so it is written again first
+    if (isMarkdeepSource(htmlPath)) await writeSourcePage(htmlPath, options.runtime);
+
+    await page.reload({ waitUntil: 'networkidle', timeout });
+    await page.waitForSelector('.slide', { timeout: renderTimeout });
+    await matchViewportToSlides(page, options);
+    await page.addStyleTag({ content: REVEAL_ALL_CSS });
+    await page.waitForTimeout(renderWait);
+}
+
+/**
+ * Resize the viewport to the deck's aspect ratio, so that a 4:3 or 16:10 deck is
+ * measured (and captured) the way it is laid out rather than letterboxed in 16:9
+ * An explicit options.viewport is kept as it is.
+ */
+async function matchViewportToSlides(page, options) {
+    if (options.viewport) return;
+
+    const size = await page.evaluate(() => {
+        const style = window.getComputedStyle(document.querySelector('.slide'));
+        return { width: parseFloat(style.width), height: parseFloat(style.height) };
+    });
+    if (!(size.width > 0 && size.height > 0)) return;
+
+    const viewport = viewportFor(size);
+    const current = page.viewportSize();
+    if (current && current.width === viewport.width && current.height === viewport.height) return;
+
+    log.debug(`Viewport: ${viewport.width}x${viewport.height} (slide aspect ratio ${(size.width / size.height).toFixed(2)})`);
+    await page.setViewportSize(viewport);
+}
+
+/**
+ * Copy of an object without its undefined properties (so they don't override defaults)
+ */
+function dropUndefined(values) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Attach a rendered PNG to every formula whose MathML does not convert to an equation
+ * Formulas in running text also get the position they were rendered at (in slide inches),
+ * where the generator draws the picture over the text.
+ * @param {import('playwright').Page} page - Page the slides were extracted from
+ * @param {Object} slideData - Extracted slide data (modified in place)
+ * @param {function(string): void} warn - Receives formulas that could not be captured
+ */
+async function captureFormulaImages(page, slideData, warn) {
+    for (const slide of slideData.slides) {
+        for (const { math, inline } of slideFormulas(slide)) {
+            if (math.mathml && checkMathml(math.mathml).ok) continue;
+
+            const locator = page.locator(`[data-pptx-math="${math.id}"]`);
+            try {
+                const buffer = await locator.screenshot({ omitBackground: true, timeout: 5000 });
+                math.image = `image/png;base64,${buffer.toString('base64')}`;
+                if (inline) {
+                    math.position = await locator.evaluate((node, dimensions) => {
+                        const slideRect = node.closest('.slide').getBoundingClientRect();
+                        const rect = node.getBoundingClientRect();
+                        const scaleX = dimensions.width / slideRect.width;
+                        const scaleY = dimensions.height / slideRect.height;
+                        return {
+                            x: (rect.left - slideRect.left) * scaleX,
+                            y: (rect.top - slideRect.top) * scaleY,
+                            w: rect.width * scaleX,
+                            h: rect.height * scaleY
+                        };
+                    }, slideData.dimensions);
+                }
+            } catch (error) {
+                warn(`Slide ${slide.index + 1}: could not capture formula image (${error.message})`);
             }
-        }, i);
-
-        await page.waitForTimeout(500);
-
-        const screenshotPath = path.join(outputDir, `slide-${i.toString().padStart(3, '0')}.png`);
-        await page.screenshot({
-            path: screenshotPath,
-            fullPage: false,
-            clip: await page.evaluate(() => {
-                const slide = document.querySelector('.slide:not([style*="display: none"])');
-                if (slide) {
-                    const rect = slide.getBoundingClientRect();
-                    return { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-                }
-                return null;
-            }) || undefined
-        });
+        }
+    }
+}
 
-        screenshots.push(screenshotPath);
+/**
+ * Formulas of a slide: display formula elements, and formulas in the text runs of any element
+ */
+function slideFormulas(slide) {
+    const formulas = [];
+    const visit = (value) => {
+        if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value && typeof value === 'object') {
+            if (typeof value.math?.id === 'number') formulas.push({ math: value.math, inline: true });
+            Object.values(value).forEach(visit);
+        }
+    };
+
+    for (const element of slide.elements) {
+        if (element.type === 'math') {
+            formulas.push({ math: element.math, inline: false });
+        } else {
+            visit(element);
+        }
     }
+    return formulas;
+}
 
-    await browser.close();
+/**
+ * Capture a PNG screenshot of every slide
+ * @param {string} htmlPath - Path to the HTML file
+ * @param {string} outputDir - Directory the screenshots are written to
+ * @param {Object} [options] - Page options (see DEFAULT_PAGE_OPTIONS)
+ * @param {string} [options.slides] - Slide range to capture, e.g. "1-5,8" (default: all)
+ * @param {import('playwright').Browser} [options.browser] - Shared browser (see launchBrowser)
+ * @returns {Promise<string[]>} - Paths of the written screenshots
+ */
+export async function captureSlideScreenshots(htmlPath, outputDir, options = {}) {
+    return withSlidesPage(htmlPath, options, async (page) => {
+        const slideCount = await page.evaluate(() => document.querySelectorAll('.slide').length);
+        const indices = options.slides ? parseSlideRange(options.slides, slideCount) : [...Array(slideCount).keys()];
+
+        const screenshots = [];
+
+        for (const i of indices) {
+            // Navigate to each slide
+            await page.evaluate((index) => {
+                if (typeof gotoSlide === 'function') {
+                    gotoSlide(index);
+                }
+            }, i);
+
+            await page.waitForTimeout(500);
+
+            const screenshotPath = path.join(outputDir, `slide-${i.toString().padStart(3, '0')}.png`);
+            await page.screenshot({
+                path: screenshotPath,
+                fullPage: false,
+                clip: await page.evaluate(() => {
+                    const slide = document.querySelector('.slide:not([style*="display: none"])');
+                    if (slide) {
+                        const rect = slide.getBoundingClientRect();
+                        return { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+                    }
+                    return null;
+                }) || undefined
+            });
+
+            screenshots.push(screenshotPath);
+        }
 
-    return screenshots;
+        return screenshots;
+    });
 }
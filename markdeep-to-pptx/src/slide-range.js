@@ -0,0 +1,155 @@
+/**
+ * Slide Range - Convert only part of a deck
+ *
+ * Ranges are written with 1-based slide numbers, as shown in the
+ * presentation: "3", "1-5", "2,4,7-9", "10-" (to the end).
+ * Selecting or adding slides renumbers the links between slides.
+ */
+
+/**
+ * Parse a slide range expression into slide indices
+ * @param {string} spec - Range expression, e.g. "1-5,8"
+ * @param {number} count - Number of slides in the deck
+ * @returns {number[]} - Sorted, unique 0-based slide indices
+ */
+export function parseSlideRange(spec, count) {
+    const indices = new Set();
+
+    for (const { part, first, last } of parseRanges(spec)) {
+        if (first > count) {
+            throw new Error(`Slide range "${part}" is outside the deck (${count} slides)`);
+        }
+        for (let n = first; n <= Math.min(last ?? count, count); n++) {
+            indices.add(n - 1);
+        }
+    }
+
+    return [...indices].sort((a, b) => a - b);
+}
+
+/**
+ * Check the syntax of a slide range expression before the deck is loaded
+ * @param {string} spec - Range expression
+ * @throws {Error} - If the expression is invalid
+ */
+export function checkSlideRange(spec) {
+    parseRanges(spec);
+}
+
+/**
+ * Keep only the given slides of extracted slide data
+ * Slides are renumbered; `sourceIndex` keeps the position in the original
+ * deck. Links to kept slides are renumbered, links to dropped slides removed.
+ * @param {Object} slideData - Extracted slide data
+ * @param {number[]} indices - 0-based indices of the slides to keep
+ * @returns {Object} - Slide data with the selected slides
+ */
+export function selectSlides(slideData, indices) {
+    const newIndex = new Map(indices.map((index, position) => [index, position]));
+
+    const slides = indices.map(index => ({
+        ...renumberSlide(slideData.slides[index], newIndex),
+        index: newIndex.get(index),
+        sourceIndex: slideData.slides[index].sourceIndex ?? index
+    }));
+
+    return { ...slideData, slides };
+}
+
+/**
+ * Replace each slide by one or more slides (e.g. continuation slides)
+ * Slides are renumbered; links to a slide point at the first slide replacing it.
+ * @param {Object} slideData - Extracted slide data
+ * @param {function(Object, number): Object[]} expand - Returns the slides replacing a slide
+ *     (usually the slide itself first)
+ * @returns {Object} - Slide data with the expanded slides
+ */
+export function expandSlides(slideData, expand) {
+    const expanded = slideData.slides.map((slide, index) => expand(slide, index));
+
+    const newIndex = new Map();
+    let position = 0;
+    expanded.forEach((parts, index) => {
+        newIndex.set(index, position);
+        position += parts.length;
+    });
+
+    const slides = expanded.flatMap(parts => parts).map((slide, index) => ({
+        ...renumberSlide(slide, newIndex),
+        index
+    }));
+
+    return { ...slideData, slides };
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Split a range expression into 1-based { first, last } ranges (last null: to the end)
+ */
+function parseRanges(spec) {
+    const ranges = String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = part.match(/^(\d+)?\s*(-)?\s*(\d+)?$/);
+        if (!match || (!match[1] && !match[3])) {
+            throw new Error(`Invalid slide range "${part}" (expected e.g. 3, 1-5, 10-)`);
+        }
+
+        const first = match[1] ? parseInt(match[1], 10) : 1;
+        const last = match[2] ? (match[3] ? parseInt(match[3], 10) : null) : first;
+        if (first < 1 || (last !== null && last < first)) {
+            throw new Error(`Invalid slide range "${part}"`);
+        }
+        return { part, first, last };
+    });
+
+    if (ranges.length === 0) {
+        throw new Error(`Empty slide range "${spec}"`);
+    }
+    return ranges;
+}
+
+/**
+ * Copy a slide with its links (runs, navigation tabs, TOC button) renumbered
+ */
+function renumberSlide(slide, newIndex) {
+    const remap = link => (Number.isInteger(link?.slide) ? mapSlideLink(link, newIndex) : link);
+    const metadata = slide.metadata || {};
+    return {
+        ...remapLinks(slide, newIndex),
+        metadata: {
+            ...metadata,
+            navLinks: metadata.navLinks ? metadata.navLinks.map(remap) : metadata.navLinks,
+            tocLink: remap(metadata.tocLink)
+        }
+    };
+}
+
+/**
+ * Point a slide link at the renumbered slide, or null if the slide was dropped
+ */
+function mapSlideLink(link, newIndex) {
+    return newIndex.has(link.slide) ? { ...link, slide: newIndex.get(link.slide) } : null;
+}
+
+/**
+ * Copy a value, renumbering the `link` of every run found in it
+ */
+function remapLinks(value, newIndex) {
+    if (Array.isArray(value)) {
+        return value.map(item => remapLinks(item, newIndex));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (key === 'link' && Number.isInteger(item?.slide)) {
+            const link = mapSlideLink(item, newIndex);
+            if (link) copy.link = link;
+        } else {
+            copy[key] = remapLinks(item, newIndex);
+        }
+    }
+    return copy;
+}
@@ -0,0 +1,284 @@
+/**
+ * Slide Schema - Versioned description of the slide data model
+ *
+ * The extractor produces, and the generator consumes, the object described
+ * by schema/slide-data.schema.json (JSON Schema 2020-12). SCHEMA_VERSION is
+ * raised whenever that shape changes incompatibly, so saved or hand-built
+ * slide data fails validation instead of converting wrongly.
+ *
+ * The validator covers the keywords the schema uses: type, enum, const,
+ * required, properties, items, minimum/maximum, exclusiveMinimum,
+ * pattern, $ref, anyOf and oneOf with a `type` discriminator.
+ *
+ * Element types added by plugins (see plugins.js) are not in the schema
+ * file; they are checked against the schema each plugin declares when the
+ * plugins are passed to the validation functions.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SCHEMA_PATH = path.join(__dirname, '..', 'schema', 'slide-data.schema.json');
+
+export const SLIDE_DATA_SCHEMA = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+
+export const SCHEMA_VERSION = SLIDE_DATA_SCHEMA.version;
+
+// Built-in element types, from the element discriminator
+export const ELEMENT_TYPES = SLIDE_DATA_SCHEMA.$defs.element.oneOf
+    .map(option => resolveRef(option.$ref).properties.type.const);
+
+// Errors reported before validation stops
+const MAX_ERRORS = 20;
+
+// File name suffix of saved slide data
+export const SLIDE_DATA_EXTENSION = '.slides.json';
+
+/**
+ * Slide data that does not match the schema
+ */
+export class SlideDataError extends Error {
+    /**
+     * @param {string[]} errors - One message per problem ("slides[2].elements[0].position: missing w")
+     */
+    constructor(errors) {
+        super(`Invalid slide data:\n  ${errors.join('\n  ')}`);
+        this.name = 'SlideDataError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Check slide data against the schema
+ * @param {Object} slideData - Slide data to check
+ * @param {Object} [options]
+ * @param {Object[]} [options.plugins] - Loaded plugins whose element types are allowed
+ * @returns {string[]} - Problems found (empty when the data is valid)
+ */
+export function validateSlideData(slideData, options = {}) {
+    const errors = [];
+
+    const version = slideData?.schemaVersion;
+    if (version !== undefined && version !== SCHEMA_VERSION) {
+        return [`schemaVersion: slide data has version ${version}, this converter reads version ${SCHEMA_VERSION}`];
+    }
+
+    validate(slideData, SLIDE_DATA_SCHEMA, '', errors, pluginBranches(options.plugins));
+    return errors;
+}
+
+/**
+ * Throw a SlideDataError if slide data does not match the schema
+ * @param {Object} slideData - Slide data to check
+ * @param {Object} [options] - Same options as validateSlideData
+ * @throws {SlideDataError}
+ */
+export function assertValidSlideData(slideData, options = {}) {
+    const errors = validateSlideData(slideData, options);
+    if (errors.length > 0) throw new SlideDataError(errors);
+}
+
+/**
+ * Save slide data as JSON (it already carries its schemaVersion)
+ * @param {Object} slideData - Extracted slide data
+ * @param {string} filePath - Where to write the file (usually *.slides.json)
+ */
+export async function writeSlideDataFile(slideData, filePath) {
+    const data = { schemaVersion: SCHEMA_VERSION, ...slideData };
+    await fs.promises.writeFile(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Read and validate slide data saved with writeSlideDataFile
+ * Files without a schemaVersion, or written for another version, are rejected.
+ * @param {string} filePath - Path to the JSON file
+ * @param {Object} [options] - Same options as validateSlideData
+ * @returns {Promise<Object>} - Slide data
+ * @throws {SlideDataError} - If the file does not hold valid slide data of this version
+ */
+export async function readSlideDataFile(filePath, options = {}) {
+    let slideData;
+    try {
+        slideData = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read slide data file ${filePath} (${error.message})`);
+    }
+
+    const version = slideData?.schemaVersion;
+    if (version === undefined) {
+        throw new SlideDataError([`${filePath} has no schemaVersion; export it again with --emit-json`]);
+    }
+    if (version !== SCHEMA_VERSION) {
+        throw new SlideDataError([
+            `${filePath} was written for slide data version ${version}, this converter reads version ${SCHEMA_VERSION}; ` +
+            'export it again with --emit-json'
+        ]);
+    }
+
+    assertValidSlideData(slideData, options);
+    return slideData;
+}
+
+/**
+ * Whether a path names saved slide data rather than an HTML page
+ * @param {string} filePath - Input path
+ * @returns {boolean}
+ */
+export function isSlideDataFile(filePath) {
+    return /\.json$/i.test(filePath);
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Validate a value against a schema node, appending problems to errors
+ */
+function validate(value, schema, where, errors, plugins) {
+    if (errors.length >= MAX_ERRORS) return;
+    const fail = (message) => {
+        if (errors.length < MAX_ERRORS) errors.push(`${where || '(root)'}: ${message}`);
+    };
+
+    if (schema.$ref) {
+        validate(value, resolveRef(schema.$ref), where, errors, plugins);
+        return;
+    }
+
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => {
+            const optionErrors = [];
+            validate(value, option, where, optionErrors, plugins);
+            return optionErrors.length === 0;
+        });
+        if (!matches) fail(`does not match any allowed form (${describeOptions(schema.anyOf)})`);
+        return;
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        fail(`expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+        return;
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => hasType(value, type))) {
+            fail(`expected ${types.join(' or ')}, got ${typeName(value)}`);
+            return;
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail(`must be greater than ${schema.exclusiveMinimum}`);
+        }
+    }
+
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        fail(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => validate(item, schema.items, `${where}[${i}]`, errors, plugins));
+    }
+
+    if (isObject(value)) {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) fail(`missing ${key}`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                validate(value[key], propertySchema, where ? `${where}.${key}` : key, errors, plugins);
+            }
+        }
+        if (schema.oneOf && schema.discriminator) {
+            validateDiscriminated(value, schema, where, errors, plugins);
+        }
+    }
+}
+
+/**
+ * Validate against the oneOf branch selected by the discriminator property
+ * Plugin element types are extra branches of the element discriminator.
+ */
+function validateDiscriminated(value, schema, where, errors, plugins) {
+    const property = schema.discriminator.propertyName;
+    const branches = schema.oneOf.map(option => resolveRef(option.$ref));
+    if (schema === SLIDE_DATA_SCHEMA.$defs.element) branches.push(...plugins);
+    const branch = branches.find(candidate => candidate.properties[property].const === value[property]);
+
+    if (!branch) {
+        const allowed = branches.map(candidate => candidate.properties[property].const);
+        errors.push(`${where}.${property}: unknown ${property} ${JSON.stringify(value[property])} (expected ${allowed.join(', ')})`);
+        return;
+    }
+    validate(value, branch, where, errors, plugins);
+}
+
+/**
+ * Element schemas of plugin element types: position, style and selector like
+ * the built-in elements, plus the properties the plugin declares
+ */
+function pluginBranches(plugins = []) {
+    return plugins.flatMap(plugin => plugin.elements.map(({ type, schema = {} }) => ({
+        type: 'object',
+        required: ['type', 'position', ...(schema.required || [])],
+        properties: {
+            type: { const: type },
+            selector: { $ref: '#/$defs/selector' },
+            position: { $ref: '#/$defs/position' },
+            style: { $ref: '#/$defs/style' },
+            ...schema.properties
+        }
+    })));
+}
+
+/**
+ * Look up a local reference ("#/$defs/name")
+ */
+function resolveRef(ref) {
+    const name = ref.replace(/^#\/\$defs\//, '');
+    const schema = SLIDE_DATA_SCHEMA.$defs[name];
+    if (!schema) throw new Error(`Unknown schema reference ${ref}`);
+    return schema;
+}
+
+function hasType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return isObject(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === type;
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeName(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Short description of anyOf options for error messages
+ */
+function describeOptions(options) {
+    return options.map(option => {
+        const schema = option.$ref ? resolveRef(option.$ref) : option;
+        if (schema.anyOf) return describeOptions(schema.anyOf);
+        return schema.required ? `object with ${schema.required.join(', ')}` : [].concat(schema.type).join('/');
+    }).join(' | ');
+}
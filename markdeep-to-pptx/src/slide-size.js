@@ -0,0 +1,191 @@
+/**
+ * Slide Size - Page size of the generated presentation
+ *
+ * Slides are laid out in a frame 10 inches wide, the unit the extractor
+ * measures positions in; its height follows the slide's aspect ratio. The
+ * page size defaults to the deck's own dimensions and can be overridden with
+ * a ratio ("4:3", keeps the 10 inch width) or explicit dimensions
+ * ("13.33x7.5in", "25.4x19.05cm"), in which case the laid-out slides are
+ * scaled to the page.
+ */
+
+// Width of the layout frame, in inches (see slide-extractor.js)
+export const FRAME_WIDTH = 10;
+
+// 16:9 at the frame width, used when the slide data has no dimensions
+export const DEFAULT_SLIDE_SIZE = { width: FRAME_WIDTH, height: FRAME_WIDTH * 9 / 16 };
+
+// Browser viewport width; the height follows the slide's aspect ratio
+const VIEWPORT_WIDTH = 1920;
+
+// Slide sizes PowerPoint accepts, in inches
+const MIN_SIZE = 1;
+const MAX_SIZE = 56;
+
+const INCHES_PER_UNIT = { in: 1, cm: 1 / 2.54, mm: 1 / 25.4 };
+
+/**
+ * Parse a slide size: a ratio ("4:3", "16:10") or dimensions ("13.33x7.5in", "254x190.5mm")
+ * @param {string|Object} value - Slide size, or { width, height } in inches
+ * @returns {{width: number, height: number}} - Size in inches
+ * @throws {Error} - If the size is malformed or outside PowerPoint's limits
+ */
+export function parseSlideSize(value) {
+    const description = typeof value === 'object' ? JSON.stringify(value) : value;
+    let size = null;
+
+    if (value && typeof value === 'object') {
+        size = { width: value.width, height: value.height };
+    } else {
+        const text = String(value).trim().toLowerCase();
+        const ratio = text.match(/^(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)$/);
+        const dimensions = text.match(/^(\d+(?:\.\d+)?)\s*[x×]\s*(\d+(?:\.\d+)?)\s*(in|cm|mm)?$/);
+        if (ratio && Number(ratio[1]) > 0 && Number(ratio[2]) > 0) {
+            size = { width: FRAME_WIDTH, height: FRAME_WIDTH * Number(ratio[2]) / Number(ratio[1]) };
+        } else if (dimensions) {
+            const unit = INCHES_PER_UNIT[dimensions[3] || 'in'];
+            size = { width: Number(dimensions[1]) * unit, height: Number(dimensions[2]) * unit };
+        }
+    }
+
+    if (!size || ![size.width, size.height].every(Number.isFinite)) {
+        throw new Error(`Invalid slide size "${description}" (expected a ratio such as 4:3 or dimensions such as 13.33x7.5in)`);
+    }
+    if ([size.width, size.height].some(length => length < MIN_SIZE || length > MAX_SIZE)) {
+        throw new Error(`Slide size "${description}" is outside PowerPoint's limits (${MIN_SIZE} to ${MAX_SIZE} inches per side)`);
+    }
+    return size;
+}
+
+/**
+ * Page size of a presentation: the override if given, else the deck's dimensions
+ * @param {Object} slideData - Extracted slide data
+ * @param {{width: number, height: number}} [override] - Parsed slide size
+ * @returns {{width: number, height: number}} - Size in inches
+ */
+export function resolveSlideSize(slideData, override) {
+    return override || slideData.dimensions || DEFAULT_SLIDE_SIZE;
+}
+
+/**
+ * Layout frame of a page size: 10 inches wide, same aspect ratio
+ * @param {{width: number, height: number}} size - Page size in inches
+ * @returns {{width: number, height: number, scale: number}} - Frame, and the page-to-frame width ratio
+ */
+export function layoutFrame(size) {
+    return {
+        width: FRAME_WIDTH,
+        height: FRAME_WIDTH * size.height / size.width,
+        scale: size.width / FRAME_WIDTH
+    };
+}
+
+/**
+ * Browser viewport matching a slide size's aspect ratio
+ * @param {{width: number, height: number}} size - Slide size
+ * @returns {{width: number, height: number}}
+ */
+export function viewportFor(size) {
+    return { width: VIEWPORT_WIDTH, height: Math.round(VIEWPORT_WIDTH * size.height / size.width) };
+}
+
+/**
+ * Fit extracted slides into a layout frame of another aspect ratio
+ * Positions (and the font sizes measured with them) are scaled uniformly so
+ * the slide fits the frame; the content is centered horizontally and keeps
+ * to the top, below the slide title.
+ * @param {Object} slideData - Extracted slide data
+ * @param {{width: number, height: number}} frame - Layout frame in inches
+ * @returns {Object} - Slide data in frame coordinates (the same object if nothing changes)
+ */
+export function fitSlidesToFrame(slideData, frame) {
+    const source = slideData.dimensions || DEFAULT_SLIDE_SIZE;
+    const scale = Math.min(frame.width / source.width, frame.height / source.height);
+    const offsetX = (frame.width - source.width * scale) / 2;
+
+    if (Math.abs(scale - 1) < 1e-6 && Math.abs(offsetX) < 1e-6) return slideData;
+
+    const transform = { scale, offsetX };
+    return {
+        ...slideData,
+        dimensions: { width: frame.width, height: frame.height },
+        aspectRatio: frame.width / frame.height,
+        slides: slideData.slides.map(slide => ({
+            ...slide,
+            elements: slide.elements.map(element => fitElement(element, transform))
+        }))
+    };
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Scale the geometry of one element
+ */
+function fitElement(element, transform) {
+    const { scale } = transform;
+    const fitted = fitFormulaPositions(element, transform);
+
+    if (element.position) fitted.position = fitPosition(element.position, transform);
+    if (element.caption?.position) {
+        fitted.caption = { ...element.caption, position: fitPosition(element.caption.position, transform) };
+    }
+    if (element.columnWidths) fitted.columnWidths = element.columnWidths.map(width => width * scale);
+    if (element.style) fitted.style = fitStyle(element.style, scale);
+
+    // Diagram primitives: the matrix maps SVG units to slide inches, text is placed directly
+    if (element.type === 'diagram') {
+        fitted.primitives = element.primitives.map(primitive => {
+            if (primitive.tag === 'text') {
+                return { ...fitPosition(primitive, transform), fontSize: primitive.fontSize * scale };
+            }
+            const [a, b, c, d, e, f] = primitive.matrix;
+            return {
+                ...primitive,
+                matrix: [a * scale, b * scale, c * scale, d * scale, e * scale + transform.offsetX, f * scale]
+            };
+        });
+    }
+
+    return fitted;
+}
+
+/**
+ * Copy of a value with the positions of formulas in running text (drawn as pictures) scaled
+ */
+function fitFormulaPositions(value, transform) {
+    if (Array.isArray(value)) return value.map(item => fitFormulaPositions(item, transform));
+    if (!value || typeof value !== 'object') return value;
+
+    // Formulas are the objects with a TeX source
+    const fitted = {};
+    for (const [key, item] of Object.entries(value)) {
+        fitted[key] = key === 'position' && value.tex !== undefined
+            ? fitPosition(item, transform)
+            : fitFormulaPositions(item, transform);
+    }
+    return fitted;
+}
+
+/**
+ * Scale a box (x, y, w, h in inches), keeping its other properties
+ */
+function fitPosition(position, { scale, offsetX }) {
+    return {
+        ...position,
+        x: position.x * scale + offsetX,
+        y: position.y * scale,
+        w: position.w * scale,
+        h: position.h * scale
+    };
+}
+
+/**
+ * Scale the point sizes of computed styles
+ */
+function fitStyle(style, scale) {
+    const fitted = { ...style };
+    if (style.fontSize) fitted.fontSize = style.fontSize * scale;
+    if (style.lineSpacing) fitted.lineSpacing = style.lineSpacing * scale;
+    return fitted;
+}
@@ -0,0 +1,490 @@
+/**
+ * SVG Diagram - Translate Markdeep diagrams into native PowerPoint shapes
+ *
+ * Markdeep renders its ASCII-art diagrams as inline SVG made of paths,
+ * arrowhead polygons, circles and text. The extractor records these
+ * primitives together with the matrix that maps SVG user units to slide
+ * inches; this module turns them into line, freeform, ellipse and text
+ * shape descriptions the generator can add with PptxGenJS, and groups the
+ * resulting shapes in the slide XML so each diagram moves as one object.
+ */
+
+// Primitives whose width and height are both below this (inches) are treated as arrowheads
+const ARROWHEAD_MAX_SIZE = 0.3;
+
+// Number of line segments used to approximate one SVG elliptical arc
+const ARC_SEGMENTS = 8;
+
+const POINTS_PER_INCH = 72;
+
+/**
+ * Translate an extracted diagram element into shape descriptions
+ * @param {Object} element - Diagram element ({ type: 'diagram', primitives })
+ * @returns {Array<Object>} - Shapes in slide inches ({ kind: 'line' | 'freeform' | 'ellipse' | 'text', ... })
+ */
+export function translateDiagram(element) {
+    const shapes = [];
+    const arrowheads = [];
+
+    for (const primitive of element.primitives || []) {
+        switch (primitive.tag) {
+            case 'path':
+                shapes.push(...pathShapes(primitive));
+                break;
+            case 'line':
+                shapes.push(lineShape(primitive, [primitive.x1, primitive.y1], [primitive.x2, primitive.y2]));
+                break;
+            case 'polyline':
+            case 'polygon': {
+                const shape = polygonShape(primitive);
+                if (shape && isArrowhead(primitive, shape)) {
+                    arrowheads.push(shape);
+                } else if (shape) {
+                    shapes.push(shape);
+                }
+                break;
+            }
+            case 'rect':
+                shapes.push(polygonShape({
+                    ...primitive,
+                    tag: 'polygon',
+                    points: [
+                        [primitive.x, primitive.y],
+                        [primitive.x + primitive.width, primitive.y],
+                        [primitive.x + primitive.width, primitive.y + primitive.height],
+                        [primitive.x, primitive.y + primitive.height]
+                    ]
+                }));
+                break;
+            case 'circle':
+            case 'ellipse':
+                shapes.push(ellipseShape(primitive));
+                break;
+            case 'text':
+                if (primitive.text.trim()) {
+                    shapes.push(textShape(primitive));
+                }
+                break;
+        }
+    }
+
+    // Arrowheads drawn as separate triangles become line end arrows where possible
+    for (const head of arrowheads) {
+        if (!attachArrowhead(head, shapes)) {
+            shapes.push(head);
+        }
+    }
+
+    return shapes;
+}
+
+/**
+ * Object name for a shape of one diagram (the prefix is used to group them)
+ * @param {number} diagramNumber - 1-based diagram number within the slide
+ * @param {string} label - Shape label, e.g. "line 3"
+ * @returns {string}
+ */
+export function diagramShapeName(diagramNumber, label) {
+    return `Diagram ${diagramNumber}: ${label}`;
+}
+
+/**
+ * Wrap the shapes of each diagram on a slide in a group shape
+ * @param {string} xml - Slide XML
+ * @returns {string} - Slide XML with diagram groups
+ */
+export function groupDiagramShapes(xml) {
+    if (!xml.includes('name="Diagram ')) return xml;
+
+    let nextId = Math.max(0, ...[...xml.matchAll(/<p:cNvPr id="(\d+)"/g)].map(m => parseInt(m[1]))) + 1;
+
+    // Consecutive shapes belonging to the same diagram
+    const shape = (number) => `<p:sp>(?:(?!<\\/p:sp>)[\\s\\S])*?name="Diagram ${number}: [\\s\\S]*?<\\/p:sp>`;
+    const runPattern = new RegExp(`${shape('(\\d+)')}(?:${shape('\\1')})*`, 'g');
+
+    return xml.replace(runPattern, (run) => {
+        const number = run.match(/name="Diagram (\d+): /)[1];
+        const offsets = [...run.matchAll(/<a:off x="(-?\d+)" y="(-?\d+)"\/><a:ext cx="(\d+)" cy="(\d+)"\/>/g)]
+            .map(m => m.slice(1).map(Number));
+        if (offsets.length < 2) return run;
+
+        const left = Math.min(...offsets.map(([x]) => x));
+        const top = Math.min(...offsets.map(([, y]) => y));
+        const right = Math.max(...offsets.map(([x, , cx]) => x + cx));
+        const bottom = Math.max(...offsets.map(([, y, , cy]) => y + cy));
+        const frame = `<a:off x="${left}" y="${top}"/><a:ext cx="${right - left}" cy="${bottom - top}"/>`;
+        const childFrame = `<a:chOff x="${left}" y="${top}"/><a:chExt cx="${right - left}" cy="${bottom - top}"/>`;
+
+        return '<p:grpSp>' +
+            `<p:nvGrpSpPr><p:cNvPr id="${nextId++}" name="Diagram ${number}"/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>` +
+            `<p:grpSpPr><a:xfrm>${frame}${childFrame}</a:xfrm></p:grpSpPr>` +
+            run +
+            '</p:grpSp>';
+    });
+}
+
+// ============ Primitive Translation ============
+
+function pathShapes(primitive) {
+    const subpaths = parsePath(primitive.d);
+    const shapes = [];
+
+    for (const subpath of subpaths) {
+        if (subpath.segments.length === 0) continue;
+
+        // A single straight segment is a connector line (can carry arrowheads)
+        const only = subpath.segments[0];
+        if (subpath.segments.length === 1 && only.type === 'L' && !subpath.closed) {
+            shapes.push(lineShape(primitive, subpath.start, only.to));
+            continue;
+        }
+
+        const shape = freeformShape(primitive, subpath);
+        if (shape) shapes.push(shape);
+    }
+
+    return shapes;
+}
+
+function lineShape(primitive, from, to) {
+    const [x1, y1] = applyMatrix(primitive.matrix, from);
+    const [x2, y2] = applyMatrix(primitive.matrix, to);
+    return {
+        kind: 'line',
+        x1, y1, x2, y2,
+        color: primitive.stroke || '000000',
+        width: strokeWidth(primitive),
+        dashed: primitive.dashed,
+        beginArrow: null,
+        endArrow: null
+    };
+}
+
+function polygonShape(primitive) {
+    if (!primitive.points || primitive.points.length < 2) return null;
+
+    const [start, ...rest] = primitive.points;
+    return freeformShape(primitive, {
+        start,
+        segments: rest.map(point => ({ type: 'L', to: point })),
+        closed: primitive.tag === 'polygon'
+    });
+}
+
+/**
+ * Freeform (custom geometry) shape, points relative to its bounding box
+ */
+function freeformShape(primitive, subpath) {
+    const transform = point => applyMatrix(primitive.matrix, point);
+    const start = transform(subpath.start);
+    const segments = subpath.segments.map(segment => ({
+        type: segment.type,
+        to: transform(segment.to),
+        c1: segment.c1 && transform(segment.c1),
+        c2: segment.c2 && transform(segment.c2)
+    }));
+
+    const allPoints = [start, ...segments.flatMap(s => [s.to, s.c1, s.c2].filter(Boolean))];
+    const xs = allPoints.map(p => p[0]);
+    const ys = allPoints.map(p => p[1]);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    const w = Math.max(Math.max(...xs) - x, 0.001);
+    const h = Math.max(Math.max(...ys) - y, 0.001);
+
+    const rel = ([px, py]) => ({ x: px - x, y: py - y });
+    const points = [rel(start)];
+    for (const segment of segments) {
+        const to = rel(segment.to);
+        if (segment.type === 'Q') {
+            const c1 = rel(segment.c1);
+            points.push({ ...to, curve: { type: 'quadratic', x1: c1.x, y1: c1.y } });
+        } else if (segment.type === 'C') {
+            const c1 = rel(segment.c1);
+            const c2 = rel(segment.c2);
+            points.push({ ...to, curve: { type: 'cubic', x1: c1.x, y1: c1.y, x2: c2.x, y2: c2.y } });
+        } else {
+            points.push(to);
+        }
+    }
+    if (subpath.closed) points.push({ close: true });
+
+    return {
+        kind: 'freeform',
+        x, y, w, h,
+        points,
+        color: primitive.stroke,
+        fill: subpath.closed ? primitive.fill : null,
+        width: strokeWidth(primitive),
+        dashed: primitive.dashed
+    };
+}
+
+function ellipseShape(primitive) {
+    const [cx, cy] = applyMatrix(primitive.matrix, [primitive.cx, primitive.cy]);
+    const [a, b, c, d] = primitive.matrix;
+    const rx = primitive.rx * Math.hypot(a, b);
+    const ry = primitive.ry * Math.hypot(c, d);
+    return {
+        kind: 'ellipse',
+        x: cx - rx,
+        y: cy - ry,
+        w: rx * 2,
+        h: ry * 2,
+        color: primitive.stroke,
+        fill: primitive.fill,
+        width: strokeWidth(primitive)
+    };
+}
+
+function textShape(primitive) {
+    const align = primitive.anchor === 'middle' ? 'center' : primitive.anchor === 'end' ? 'right' : 'left';
+    return {
+        kind: 'text',
+        x: primitive.x,
+        y: primitive.y,
+        w: primitive.w,
+        h: primitive.h,
+        text: primitive.text,
+        fontSize: primitive.fontSize,
+        fontFace: primitive.fontFace,
+        color: primitive.color || '000000',
+        bold: primitive.bold,
+        italic: primitive.italic,
+        align
+    };
+}
+
+// ============ Arrowheads ============
+
+function isArrowhead(primitive, shape) {
+    return primitive.tag === 'polygon' && primitive.points.length === 3 && !!primitive.fill &&
+        shape.w < ARROWHEAD_MAX_SIZE && shape.h < ARROWHEAD_MAX_SIZE;
+}
+
+/**
+ * Attach a triangle to the nearest line end it sits on; the line is extended to the triangle's tip
+ */
+function attachArrowhead(head, shapes) {
+    const vertices = head.points.filter(p => !p.close).map(p => [head.x + p.x, head.y + p.y]);
+    const centroid = [
+        vertices.reduce((sum, v) => sum + v[0], 0) / vertices.length,
+        vertices.reduce((sum, v) => sum + v[1], 0) / vertices.length
+    ];
+    const radius = Math.max(...vertices.map(v => distance(v, centroid))) * 1.2;
+
+    let best = null;
+    for (const shape of shapes) {
+        if (shape.kind !== 'line') continue;
+        for (const end of ['begin', 'end']) {
+            const point = end === 'begin' ? [shape.x1, shape.y1] : [shape.x2, shape.y2];
+            const other = end === 'begin' ? [shape.x2, shape.y2] : [shape.x1, shape.y1];
+            const dist = distance(point, centroid);
+            // The line must approach the triangle, not pass through it
+            if (dist <= radius && distance(other, centroid) > dist && (!best || dist < best.dist)) {
+                best = { shape, end, dist, other };
+            }
+        }
+    }
+    if (!best) return false;
+
+    // Tip: the vertex furthest along the line's direction
+    const { shape, end, other } = best;
+    const direction = end === 'begin' ? [shape.x1 - other[0], shape.y1 - other[1]] : [shape.x2 - other[0], shape.y2 - other[1]];
+    const tip = vertices.reduce((a, v) => dot(v, direction) > dot(a, direction) ? v : a);
+
+    if (end === 'begin') {
+        [shape.x1, shape.y1] = tip;
+        shape.beginArrow = 'triangle';
+    } else {
+        [shape.x2, shape.y2] = tip;
+        shape.endArrow = 'triangle';
+    }
+    return true;
+}
+
+// ============ Path Parsing ============
+
+/**
+ * Parse SVG path data into absolute subpaths of L, Q and C segments
+ */
+function parsePath(d) {
+    const tokens = (d || '').match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    const subpaths = [];
+    let current = null;
+    let point = [0, 0];
+    let lastControl = null;
+    let command = null;
+    let i = 0;
+
+    const isCommand = token => /^[a-z]$/i.test(token);
+    const num = () => parseFloat(tokens[i++]);
+
+    while (i < tokens.length) {
+        if (isCommand(tokens[i])) {
+            command = tokens[i++];
+        } else if (!command) {
+            throw new Error(`invalid path data: ${d}`);
+        }
+
+        const relative = command === command.toLowerCase();
+        const upper = command.toUpperCase();
+        const abs = (x, y) => relative ? [point[0] + x, point[1] + y] : [x, y];
+
+        switch (upper) {
+            case 'M': {
+                point = abs(num(), num());
+                current = { start: point, segments: [], closed: false };
+                subpaths.push(current);
+                // Further coordinate pairs after a moveto are implicit linetos
+                command = relative ? 'l' : 'L';
+                lastControl = null;
+                continue;
+            }
+            case 'Z':
+                if (current) {
+                    current.closed = true;
+                    point = current.start;
+                }
+                lastControl = null;
+                command = null;
+                continue;
+        }
+
+        if (!current) {
+            current = { start: point, segments: [], closed: false };
+            subpaths.push(current);
+        }
+
+        switch (upper) {
+            case 'L':
+                point = abs(num(), num());
+                current.segments.push({ type: 'L', to: point });
+                lastControl = null;
+                break;
+            case 'H': {
+                const x = num();
+                point = [relative ? point[0] + x : x, point[1]];
+                current.segments.push({ type: 'L', to: point });
+                lastControl = null;
+                break;
+            }
+            case 'V': {
+                const y = num();
+                point = [point[0], relative ? point[1] + y : y];
+                current.segments.push({ type: 'L', to: point });
+                lastControl = null;
+                break;
+            }
+            case 'Q':
+            case 'T': {
+                const c1 = upper === 'Q' ? abs(num(), num()) : reflect(lastControl, point);
+                point = abs(num(), num());
+                current.segments.push({ type: 'Q', c1, to: point });
+                lastControl = c1;
+                break;
+            }
+            case 'C':
+            case 'S': {
+                const c1 = upper === 'C' ? abs(num(), num()) : reflect(lastControl, point);
+                const c2 = abs(num(), num());
+                point = abs(num(), num());
+                current.segments.push({ type: 'C', c1, c2, to: point });
+                lastControl = c2;
+                break;
+            }
+            case 'A': {
+                const rx = num();
+                const ry = num();
+                const rotation = num();
+                const largeArc = num() !== 0;
+                const sweep = num() !== 0;
+                const to = abs(num(), num());
+                arcPoints(point, to, rx, ry, rotation, largeArc, sweep)
+                    .forEach(p => current.segments.push({ type: 'L', to: p }));
+                point = to;
+                lastControl = null;
+                break;
+            }
+            default:
+                throw new Error(`unsupported path command ${command}`);
+        }
+    }
+
+    return subpaths;
+}
+
+function reflect(control, point) {
+    return control ? [2 * point[0] - control[0], 2 * point[1] - control[1]] : point;
+}
+
+/**
+ * Approximate an SVG elliptical arc with points (SVG spec F.6.5 endpoint-to-center conversion)
+ */
+function arcPoints(from, to, rx, ry, rotationDeg, largeArc, sweep) {
+    if (rx === 0 || ry === 0) return [to];
+
+    const phi = rotationDeg * Math.PI / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+    const dx = (from[0] - to[0]) / 2;
+    const dy = (from[1] - to[1]) / 2;
+    const x1p = cosPhi * dx + sinPhi * dy;
+    const y1p = -sinPhi * dx + cosPhi * dy;
+
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coefficient = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = coefficient * (rx * y1p / ry);
+    const cyp = coefficient * -(ry * x1p / rx);
+    const cx = cosPhi * cxp - sinPhi * cyp + (from[0] + to[0]) / 2;
+    const cy = sinPhi * cxp + cosPhi * cyp + (from[1] + to[1]) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let deltaTheta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && deltaTheta > 0) deltaTheta -= 2 * Math.PI;
+    if (sweep && deltaTheta < 0) deltaTheta += 2 * Math.PI;
+
+    const points = [];
+    for (let step = 1; step <= ARC_SEGMENTS; step++) {
+        const theta = theta1 + deltaTheta * step / ARC_SEGMENTS;
+        points.push([
+            cx + rx * Math.cos(theta) * cosPhi - ry * Math.sin(theta) * sinPhi,
+            cy + rx * Math.cos(theta) * sinPhi + ry * Math.sin(theta) * cosPhi
+        ]);
+    }
+    points[points.length - 1] = to;
+    return points;
+}
+
+// ============ Helper Functions ============
+
+function applyMatrix([a, b, c, d, e, f], [x, y]) {
+    return [a * x + c * y + e, b * x + d * y + f];
+}
+
+/**
+ * Stroke width in points (user units scaled by the matrix)
+ */
+function strokeWidth(primitive) {
+    const [a, b, c, d] = primitive.matrix;
+    const scale = Math.sqrt(Math.abs(a * d - b * c));
+    return Math.max(primitive.strokeWidth * scale * POINTS_PER_INCH, 0.25);
+}
+
+function distance(p, q) {
+    return Math.hypot(p[0] - q[0], p[1] - q[1]);
+}
+
+function dot(p, q) {
+    return p[0] * q[0] + p[1] * q[1];
+}
@@ -0,0 +1,362 @@
+/**
+ * Text Fit - Estimate text height and make overflowing text fit
+ *
+ * PowerPoint text boxes do not grow: text taller than the space left on the
+ * slide runs off its bottom. The height of a text box is estimated from
+ * character widths (CJK characters are one em wide, most others about half
+ * an em), line wrapping and line spacing, and where it does not fit, one of
+ * FIT_STRATEGIES is applied:
+ *
+ *   shrink   Lower the font size until the text fits (default)
+ *   autofit  Turn on PowerPoint's "shrink text on overflow", with the estimated scale
+ *   split    Move what does not fit onto continuation slides ("(cont.)")
+ *   none     Leave the text as it is
+ *
+ * Fonts are never scaled below MIN_FIT_SCALE; text that still does not fit
+ * is reported as such, as is content left over after MAX_CONTINUATIONS
+ * continuation slides. Tables and code listings too long for the slide are
+ * paginated onto continuation slides with every strategy but none, between
+ * rows (repeating the header rows) and lines.
+ */
+
+import { expandSlides } from './slide-range.js';
+
+export const FIT_STRATEGIES = ['shrink', 'autofit', 'split', 'none'];
+
+// Smallest font scale shrink and autofit go down to
+export const MIN_FIT_SCALE = 0.6;
+
+// Appended to the title of continuation slides
+export const CONTINUED_SUFFIX = ' (cont.)';
+
+// Text box insets (PptxGenJS defaults, inches)
+export const TEXT_BOX_INSETS = { x: 0.1, y: 0.05 };
+
+// Height of a single-spaced line (em)
+const LINE_HEIGHT = 1.2;
+
+// Estimated widths are stretched a little because lines break at word boundaries
+const WRAP_SLACK = 1.05;
+
+// Elements split between their parts (list items, table row groups, code lines) when they do not fit
+const SPLIT_TYPES = ['list', 'table', 'code'];
+
+// Continuation slides made from one slide at most (guards against content that never fits)
+export const MAX_CONTINUATIONS = 20;
+
+/**
+ * Estimate the height of a text box
+ * @param {string[]} paragraphs - Paragraph texts (may contain '\n' line breaks)
+ * @param {number} fontSize - Font size (pt)
+ * @param {number} width - Box width (in)
+ * @param {Object} [spacing]
+ * @param {number} [spacing.lineSpacingMultiple] - Line spacing as a multiple of single spacing (default 1)
+ * @param {number} [spacing.lineSpacing] - Fixed line spacing (pt), instead of the multiple
+ * @param {number} [spacing.paraSpaceAfter] - Space after each paragraph (pt)
+ * @returns {number} - Height (in), including the box insets
+ */
+export function estimateTextHeight(paragraphs, fontSize, width, spacing = {}) {
+    const heights = paragraphHeights(paragraphs, fontSize, width, spacing);
+    return heights.reduce((sum, height) => sum + height, 0) + 2 * TEXT_BOX_INSETS.y;
+}
+
+/**
+ * Estimate the height of each paragraph of a text box (without insets)
+ * @param {string[]} paragraphs - Paragraph texts
+ * @param {number} fontSize - Font size (pt)
+ * @param {number} width - Box width (in)
+ * @param {Object} [spacing] - See estimateTextHeight
+ * @returns {number[]} - Heights (in)
+ */
+export function paragraphHeights(paragraphs, fontSize, width, spacing = {}) {
+    const { lineSpacingMultiple = 1, lineSpacing, paraSpaceAfter = 0 } = spacing;
+    const lineWidth = Math.max(width - 2 * TEXT_BOX_INSETS.x, 0.1) * 72;
+    const lineHeight = lineSpacing || fontSize * LINE_HEIGHT * lineSpacingMultiple;
+
+    return paragraphs.map(paragraph => {
+        const lines = String(paragraph).split('\n').reduce((count, line) =>
+            count + Math.max(1, Math.ceil(textWidth(line, fontSize) * WRAP_SLACK / lineWidth)), 0);
+        return (lines * lineHeight + paraSpaceAfter) / 72;
+    });
+}
+
+/**
+ * Largest font scale at which a text box fits a height
+ * @param {string[]} paragraphs - Paragraph texts
+ * @param {number} fontSize - Font size at scale 1 (pt)
+ * @param {number} width - Box width (in)
+ * @param {number} height - Available height (in)
+ * @param {Object} [spacing] - See estimateTextHeight; fixed line spacing is scaled too
+ * @returns {{scale: number, fits: boolean}} - MIN_FIT_SCALE and fits: false if even that is too tall
+ */
+export function fitScale(paragraphs, fontSize, width, height, spacing = {}) {
+    for (let scale = 1; scale >= MIN_FIT_SCALE; scale = Math.round((scale - 0.025) * 1000) / 1000) {
+        const scaled = { ...spacing, lineSpacing: spacing.lineSpacing && spacing.lineSpacing * scale };
+        if (estimateTextHeight(paragraphs, fontSize * scale, width, scaled) <= height) {
+            return { scale, fits: true };
+        }
+    }
+    return { scale: MIN_FIT_SCALE, fits: false };
+}
+
+/**
+ * Shape name marking a text box for PowerPoint autofit at a font scale
+ * @param {number} scale - Font scale (0-1)
+ * @param {string} label - What the box holds (e.g. "list")
+ * @returns {string}
+ */
+export function autofitShapeName(scale, label) {
+    return `Autofit ${Math.round(scale * 100)}%: ${label}`;
+}
+
+/**
+ * Write the font scale of autofit text boxes into their <a:normAutofit>
+ * PptxGenJS writes a bare <a:normAutofit/>, which PowerPoint only applies
+ * once the text is edited.
+ * @param {string} xml - Slide XML
+ * @returns {string} - Slide XML with font scales
+ */
+export function applyAutofitScales(xml) {
+    if (!xml.includes('name="Autofit ')) return xml;
+
+    return xml.replace(/<p:sp>(?:(?!<\/p:sp>)[\s\S])*?<\/p:sp>/g, (shape) => {
+        const percent = shape.match(/name="Autofit (\d+)%: /)?.[1];
+        if (!percent) return shape;
+        return shape.replace('<a:normAutofit/>', `<a:normAutofit fontScale="${Number(percent) * 1000}"/>`);
+    });
+}
+
+/**
+ * Split code tokens into lines of tokens (tabs expanded, trailing newline dropped)
+ * @param {Object[]} tokens - Code tokens ({ text, ... })
+ * @returns {Object[][]} - Tokens of each line
+ */
+export function splitCodeLines(tokens) {
+    const lines = [[]];
+
+    tokens.forEach(token => {
+        token.text.replace(/\t/g, '    ').split('\n').forEach((part, idx) => {
+            if (idx > 0) lines.push([]);
+            if (part) lines[lines.length - 1].push({ ...token, text: part });
+        });
+    });
+
+    if (lines.length > 1 && lines[lines.length - 1].length === 0) lines.pop();
+    return lines;
+}
+
+/**
+ * Lines of a code element (older extractions only have the plain code)
+ * @param {Object} element - Code element
+ * @returns {Object[][]} - Tokens of each line
+ */
+export function codeLines(element) {
+    return splitCodeLines(element.tokens?.length > 0 ? element.tokens : [{ text: element.code || '' }]);
+}
+
+/**
+ * Rows of a table that go together: the leading header rows (repeated on
+ * continuation slides) and groups of body rows tied together by rowspans
+ * @param {Object} element - Table element
+ * @returns {{header: number, groups: number[][]}} - Number of header rows, and the row indices of each group
+ */
+export function tableRowGroups(element) {
+    const rows = element.rows;
+    let header = 0;
+    while (header < rows.length - 1 && rows[header].every(cell => cell.isHeader)) header++;
+
+    const groups = [];
+    let reach = -1;     // Last row reached by a rowspan of the current group
+    for (let idx = header; idx < rows.length; idx++) {
+        if (idx > reach) groups.push([]);
+        groups[groups.length - 1].push(idx);
+        reach = Math.max(reach, idx + Math.max(1, ...rows[idx].map(cell => cell.rowspan || 1)) - 1);
+    }
+    return { header, groups };
+}
+
+/**
+ * Move content that does not fit onto continuation slides
+ * Lists are split between items, tables between row groups and code between
+ * lines; other elements move as a whole. Each continuation slide repeats the
+ * title (with CONTINUED_SUFFIX) and is marked `continued`; links to the slide
+ * keep pointing at its first part.
+ * @param {Object} slideData - Slide data
+ * @param {Object} layout
+ * @param {function(Object): {top: number, heights: number[]}} layout.measure - Estimated top
+ *     and height of each part (list item, table row group, code line; else one part) of an element (in)
+ * @param {number} layout.bottom - Lowest point content may reach (in)
+ * @param {function(Object): boolean} layout.splittable - Whether a slide may be split
+ * @param {function(Object): boolean} [layout.paginate] - Whether an element that does not fit
+ *     starts a continuation slide (default: all); others stay to be fitted on the slide
+ * @param {function(number, Object[]): void} [layout.onSplit] - Called with the index of the
+ *     split slide (in the result) and the elements moved, once per continuation slide
+ * @param {function(number, Object[]): void} [layout.onLimit] - Called with the index of the last
+ *     continuation slide and the elements that still do not fit on it, when MAX_CONTINUATIONS is reached
+ * @returns {Object} - Slide data with continuation slides
+ */
+export function splitOverflowingSlides(slideData, { measure, bottom, splittable, paginate = () => true, onSplit, onLimit }) {
+    let added = 0;  // Continuation slides before the current slide
+
+    return expandSlides(slideData, (slide, index) => {
+        if (!splittable(slide)) return [slide];
+
+        const parts = [slide];
+        for (;;) {
+            const split = splitSlide(parts[parts.length - 1], measure, bottom, paginate);
+            if (!split) break;
+            // The rest stays on the last continuation slide, too long for it
+            if (parts.length > MAX_CONTINUATIONS) {
+                onLimit?.(index + added + parts.length - 1, split.moved);
+                break;
+            }
+            parts[parts.length - 1] = split.kept;
+            parts.push(split.continued);
+            onSplit?.(index + added + parts.length - 2, split.moved);
+        }
+        added += parts.length - 1;
+        return parts;
+    });
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Approximate width of a line of text (pt)
+ */
+function textWidth(text, fontSize) {
+    let ems = 0;
+    for (const char of text) {
+        if (char.codePointAt(0) >= 0x2E80) ems += 1;         // CJK, full-width forms
+        else if (/[\silI.,;:'|!]/.test(char)) ems += 0.28;
+        else if (/[MW@%]/.test(char)) ems += 0.85;
+        else if (/[A-Z]/.test(char)) ems += 0.65;
+        else ems += 0.52;
+    }
+    return ems * fontSize;
+}
+
+/**
+ * Split one slide: the elements that fit, and a continuation slide with the rest
+ * Returns null when everything fits or nothing can be moved.
+ */
+function splitSlide(slide, measure, bottom, paginate) {
+    const isTitle = (element) => element.type === 'heading' && element.level <= 2;
+    const title = slide.elements.find(element => element.type === 'heading' && element.level === 2);
+    const content = slide.elements.filter(element => !isTitle(element));
+    if (content.length === 0) return null;
+
+    const contentTop = Math.min(...content.map(element => measure(element).top));
+    const kept = slide.elements.filter(isTitle);
+    const moved = [];
+    let splitTop = null;
+
+    for (const element of content) {
+        const { top, heights } = measure(element);
+
+        // Everything below the first element that did not fit follows it
+        if (splitTop !== null && element.position.y >= splitTop) {
+            moved.push(element);
+            continue;
+        }
+        if (top + sum(heights) <= bottom || !paginate(element)) {
+            kept.push(element);
+            continue;
+        }
+
+        // Keep the parts of a list, table or listing that fit, move the rest
+        const fitting = countFitting(top, heights, bottom);
+        if (SPLIT_TYPES.includes(element.type) && fitting > 0 && fitting < heights.length) {
+            const [keptPart, rest] = splitElement(element, fitting);
+            const keptHeight = sum(measure(keptPart).heights);
+            kept.push({ ...keptPart, position: { ...element.position, h: keptHeight } });
+            moved.push({ ...rest, position: { ...element.position, y: top + keptHeight, h: sum(measure(rest).heights) } });
+        } else if (top <= contentTop) {
+            // Already at the top of the slide: moving it would not help
+            kept.push(element);
+            continue;
+        } else {
+            moved.push(element);
+        }
+        splitTop = element.position.y;
+    }
+
+    if (moved.length === 0) return null;
+
+    // Move the continued content up to where the slide's content starts
+    const shift = Math.min(...moved.map(element => measure(element).top)) - contentTop;
+    const shifted = moved.map(element => ({ ...element, position: { ...element.position, y: element.position.y - shift } }));
+    // The title of a continuation slide already carries the suffix
+    const continuedTitle = title && (slide.continued ? title : {
+        ...title,
+        text: [...title.text, { text: CONTINUED_SUFFIX, options: {} }]
+    });
+
+    return {
+        kept: { ...slide, elements: kept },
+        continued: {
+            ...slide,
+            id: null,
+            notes: null,
+            diagnostics: [],    // Extraction diagnostics stay with the first part
+            continued: true,
+            elements: continuedTitle ? [continuedTitle, ...shifted] : shifted
+        },
+        moved
+    };
+}
+
+/**
+ * Split an element after its first `count` parts
+ * Numbered lists and line numbers go on counting, tables repeat their header
+ * rows; a table caption stays with the first part (with the last if below the table).
+ */
+function splitElement(element, count) {
+    if (element.type === 'list') {
+        const rest = { ...element, items: element.items.slice(count) };
+        if (element.ordered) {
+            rest.start = (element.start || 1) + element.items.slice(0, count).filter(item => !item.level).length;
+        }
+        return [{ ...element, items: element.items.slice(0, count) }, rest];
+    }
+
+    if (element.type === 'table') {
+        const { header, groups } = tableRowGroups(element);
+        const headerRows = element.rows.slice(0, header);
+        const rowsOf = (someGroups) => [...headerRows, ...someGroups.flat().map(idx => element.rows[idx])];
+        const below = element.caption?.side === 'bottom';
+        return [
+            { ...element, rows: rowsOf(groups.slice(0, count)), caption: below ? null : element.caption },
+            { ...element, rows: rowsOf(groups.slice(count)), caption: below ? element.caption : null }
+        ];
+    }
+
+    // Code
+    const lines = codeLines(element);
+    const startLine = element.startLine || 1;
+    const part = (partLines, start) => ({
+        ...element,
+        code: partLines.map(line => line.map(token => token.text).join('')).join('\n'),
+        tokens: partLines.flatMap((line, idx) => idx < partLines.length - 1 ? [...line, { text: '\n' }] : line),
+        startLine: start
+    });
+    return [part(lines.slice(0, count), startLine), part(lines.slice(count), startLine + count)];
+}
+
+/**
+ * Number of leading parts that fit above the bottom
+ */
+function countFitting(top, heights, bottom) {
+    let y = top;
+    let count = 0;
+    for (const height of heights) {
+        if (y + height > bottom) break;
+        y += height;
+        count++;
+    }
+    return count;
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
@@ -0,0 +1,213 @@
+/**
+ * Themes - Colors, fonts and font sizes of the generated presentation
+ *
+ * A theme is a plain object; theme files (JSON or JS) only need to list
+ * the values they change and are merged over the theme named in their
+ * `extends` field (default: markdeep). A theme can also be derived from
+ * the computed CSS of the rendered Markdeep page.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// Default theme, matching the Markdeep Slides default stylesheet
+const MARKDEEP_THEME = {
+    name: 'markdeep',
+    // Code block color scheme (see code-themes.js)
+    codeTheme: 'markdeep',
+    fonts: {
+        body: 'Microsoft YaHei',    // Supports Chinese text
+        code: 'Courier New',
+        quote: 'Georgia'
+    },
+    // Font sizes in points
+    fontSizes: {
+        titleSlideTitle: 36,
+        titleSlideSubtitle: 18,
+        sectionTitle: 32,
+        slideTitle: 24,
+        body: 16,
+        listItem: 16,
+        smallText: 14,
+        code: 12,
+        footer: 9
+    },
+    colors: {
+        primary: '2980B9',          // Blue (nav bar, underlines, bold text)
+        titleText: '2980B9',        // Blue title
+        bodyText: '333333',         // Dark gray
+        lightText: '666666',        // Light gray
+        onPrimary: 'FFFFFF',        // Text and highlights on primary-colored bars
+        background: 'FFFFFF',       // Slide background
+        surface: 'F5F5F5',          // Table cells and column backgrounds
+        // Admonition colors
+        noteBackground: 'E3F2FD',
+        noteBorder: '2196F3',
+        noteText: '1565C0',
+        tipBackground: 'E8F5E9',
+        tipBorder: '4CAF50',
+        tipText: '2E7D32',
+        warningBackground: 'FFF8E1',
+        warningBorder: 'FFC107',
+        warningText: 'F57F17',
+        errorBackground: 'FFEBEE',
+        errorBorder: 'F44336',
+        errorText: 'C62828',
+        questionBackground: 'FFF3E0',
+        questionBorder: 'FF9800',
+        questionText: 'E65100',
+        // Bullet point color
+        bulletColor: '2980B9'
+    }
+};
+
+export const THEMES = {
+    markdeep: MARKDEEP_THEME,
+    dark: mergeTheme(MARKDEEP_THEME, {
+        name: 'dark',
+        codeTheme: 'monokai',
+        colors: {
+            primary: '4FC3F7',
+            titleText: '4FC3F7',
+            bodyText: 'E0E0E0',
+            lightText: '9E9E9E',
+            onPrimary: '1E1E1E',
+            background: '1E1E1E',
+            surface: '2D2D2D',
+            noteBackground: '1A2A3A',
+            noteText: '90CAF9',
+            tipBackground: '1B2E1F',
+            tipText: 'A5D6A7',
+            warningBackground: '332B12',
+            warningText: 'FFE082',
+            errorBackground: '351C1C',
+            errorText: 'EF9A9A',
+            questionBackground: '33261A',
+            questionText: 'FFCC80',
+            bulletColor: '4FC3F7'
+        }
+    }),
+    forest: mergeTheme(MARKDEEP_THEME, {
+        name: 'forest',
+        codeTheme: 'solarized-light',
+        colors: {
+            primary: '2E7D32',
+            titleText: '1B5E20',
+            bodyText: '2F3B2F',
+            lightText: '5F6F5F',
+            surface: 'F1F8E9',
+            bulletColor: '43A047'
+        }
+    }),
+    academic: mergeTheme(MARKDEEP_THEME, {
+        name: 'academic',
+        codeTheme: 'github',
+        fonts: {
+            body: 'Georgia',
+            quote: 'Georgia'
+        },
+        colors: {
+            primary: '8B1E3F',
+            titleText: '8B1E3F',
+            bodyText: '222222',
+            lightText: '555555',
+            surface: 'F7F4EF',
+            bulletColor: '8B1E3F'
+        }
+    })
+};
+
+/**
+ * Look up a built-in theme by name
+ * @param {string} [name] - Theme name (default: markdeep)
+ * @returns {Object} - Theme definition
+ */
+export function getTheme(name = 'markdeep') {
+    const theme = THEMES[name];
+    if (!theme) {
+        throw new Error(`Unknown theme "${name}" (available: ${Object.keys(THEMES).join(', ')})`);
+    }
+    return theme;
+}
+
+/**
+ * Load a theme from a built-in name or a .json/.js theme file
+ * JS theme files export the theme as default export (or as `theme`).
+ * @param {string} spec - Built-in theme name or path to a theme file
+ * @returns {Promise<Object>} - Complete theme
+ */
+export async function loadTheme(spec) {
+    if (THEMES[spec]) return THEMES[spec];
+
+    const ext = path.extname(spec).toLowerCase();
+    let overrides;
+
+    if (ext === '.json') {
+        overrides = JSON.parse(await fs.readFile(spec, 'utf8'));
+    } else if (ext === '.js' || ext === '.mjs') {
+        const module = await import(pathToFileURL(path.resolve(spec)).href);
+        overrides = module.default || module.theme;
+    } else {
+        // Not a file name: report the built-in names
+        getTheme(spec);
+    }
+
+    if (!overrides || typeof overrides !== 'object') {
+        throw new Error(`Theme file ${spec} does not define a theme object`);
+    }
+
+    return resolveTheme({ name: path.basename(spec, ext), ...overrides });
+}
+
+/**
+ * Complete a partial theme object by merging it over the theme it extends
+ * @param {Object|string} [theme] - Theme object, built-in name, or nothing for the default
+ * @returns {Object} - Complete theme
+ */
+export function resolveTheme(theme) {
+    if (!theme || typeof theme === 'string') return getTheme(theme);
+
+    const { extends: baseName, ...overrides } = theme;
+    return mergeTheme(getTheme(baseName), overrides);
+}
+
+/**
+ * Derive a theme from styles read from the rendered page
+ * Styles the page does not define keep the base theme's values.
+ * @param {Object} styles - Computed styles from the extractor (slideData.styles)
+ * @param {Object} [base] - Theme to start from (default: markdeep)
+ * @returns {Object} - Derived theme
+ */
+export function deriveTheme(styles, base = MARKDEEP_THEME) {
+    if (!styles) return base;
+
+    const { fonts = {}, colors = {} } = styles;
+    return mergeTheme(base, {
+        name: `${base.name} (from CSS)`,
+        fonts: dropEmpty(fonts),
+        colors: dropEmpty(colors)
+    });
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Merge theme overrides over a base theme (one level deep for fonts, fontSizes and colors)
+ */
+function mergeTheme(base, overrides) {
+    return {
+        ...base,
+        ...overrides,
+        fonts: { ...base.fonts, ...overrides.fonts },
+        fontSizes: { ...base.fontSizes, ...overrides.fontSizes },
+        colors: { ...base.colors, ...overrides.colors }
+    };
+}
+
+/**
+ * Remove null/undefined/empty values from a flat object
+ */
+function dropEmpty(values) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value));
+}
@@ -0,0 +1,313 @@
+/**
+ * Visual Compare - How closely the generated PPTX matches the HTML slides
+ *
+ * Each PPTX slide is rendered to PNG with local tools (headless LibreOffice
+ * converts the presentation to PDF, pdftoppm rasterizes the pages), paired
+ * with the screenshot of its HTML slide and scored:
+ *
+ *   ssim       Structural similarity of the grayscale images (1 = identical)
+ *   pixelDiff  Share of pixels whose color differs noticeably (0 = none)
+ *
+ * Both images are scaled to COMPARE_WIDTH (and the HTML slide's aspect ratio) first. A diff image marks the
+ * differing pixels in red over a faded copy of the PPTX rendering, and an
+ * HTML report shows the three side by side, worst slides first in its summary.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import sharp from 'sharp';
+
+const run = promisify(execFile);
+
+// Width both images are compared at; the height follows the HTML slide's aspect ratio
+export const COMPARE_WIDTH = 960;
+
+// Slides flagged as the worst in the report
+export const WORST_SLIDE_COUNT = 3;
+
+// Channel difference (0-255) above which a pixel counts as different
+const PIXEL_THRESHOLD = 48;
+
+// SSIM window size (px) and stabilizing constants for 8-bit images
+const SSIM_WINDOW = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// Time allowed for LibreOffice and pdftoppm (ms)
+const RENDER_TIMEOUT = 180000;
+
+// Where LibreOffice is found when it is not on the PATH
+const SOFFICE_LOCATIONS = [
+    '/Applications/LibreOffice.app/Contents/MacOS/soffice',
+    'C:\\Program Files\\LibreOffice\\program\\soffice.exe'
+];
+
+/**
+ * Find the tools that render a PPTX to PNG
+ * @param {Object} [options]
+ * @param {string} [options.soffice] - LibreOffice executable (default: $SOFFICE, soffice or libreoffice on the PATH)
+ * @returns {{soffice: string, pdftoppm: string}}
+ * @throws {Error} - Naming the tools that are missing
+ */
+export function findRenderer(options = {}) {
+    const soffice = options.soffice || process.env.SOFFICE ||
+        findExecutable('soffice') || findExecutable('libreoffice') ||
+        SOFFICE_LOCATIONS.find(location => fs.existsSync(location));
+    const pdftoppm = findExecutable('pdftoppm');
+
+    const missing = [
+        !soffice && 'LibreOffice (soffice)',
+        !pdftoppm && 'pdftoppm (poppler-utils)'
+    ].filter(Boolean);
+    if (missing.length > 0) {
+        throw new Error(`Rendering PPTX slides needs ${missing.join(' and ')}; ` +
+            'install them or put them on the PATH (LibreOffice can also be given with SOFFICE=<path>)');
+    }
+    return { soffice, pdftoppm };
+}
+
+/**
+ * Render every slide of a PPTX file to PNG
+ * @param {string} pptxPath - Presentation to render
+ * @param {string} outputDir - Directory for slide-001.png, slide-002.png, ...
+ * @param {{soffice: string, pdftoppm: string}} renderer - Tools from findRenderer
+ * @returns {Promise<string[]>} - PNG paths in slide order
+ */
+export async function renderPptxSlides(pptxPath, outputDir, renderer) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markdeep-to-pptx-render-'));
+
+    try {
+        // A private profile keeps a running LibreOffice from taking over the conversion
+        const profile = `-env:UserInstallation=${pathToUri(path.join(workDir, 'profile'))}`;
+        await run(renderer.soffice, [profile, '--headless', '--convert-to', 'pdf', '--outdir', workDir, path.resolve(pptxPath)],
+            { timeout: RENDER_TIMEOUT });
+
+        const pdfPath = path.join(workDir, path.basename(pptxPath).replace(/\.pptx$/i, '') + '.pdf');
+        if (!fs.existsSync(pdfPath)) {
+            throw new Error(`LibreOffice did not convert ${pptxPath} to PDF`);
+        }
+
+        await run(renderer.pdftoppm, ['-png', '-scale-to-x', String(COMPARE_WIDTH * 2), '-scale-to-y', '-1',
+            pdfPath, path.join(workDir, 'page')], { timeout: RENDER_TIMEOUT });
+
+        // pdftoppm pads page numbers to the width of the page count (page-1.png or page-01.png)
+        const pages = fs.readdirSync(workDir)
+            .filter(name => /^page-\d+\.png$/.test(name))
+            .sort((a, b) => parseInt(a.slice(5)) - parseInt(b.slice(5)));
+
+        return pages.map((name, idx) => {
+            const target = path.join(outputDir, `slide-${String(idx + 1).padStart(3, '0')}.png`);
+            fs.copyFileSync(path.join(workDir, name), target);
+            return target;
+        });
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Score how similar two slide images are and write an image of their differences
+ * @param {string} expectedPath - HTML screenshot
+ * @param {string} actualPath - PPTX rendering
+ * @param {string} [diffPath] - Where to write the diff image (PNG)
+ * @returns {Promise<{ssim: number, pixelDiff: number}>}
+ */
+export async function compareImages(expectedPath, actualPath, diffPath) {
+    const { width: expectedWidth, height: expectedHeight } = await sharp(expectedPath).metadata();
+    const width = COMPARE_WIDTH;
+    const height = Math.round(COMPARE_WIDTH * expectedHeight / expectedWidth);
+    const [expected, actual] = await Promise.all([expectedPath, actualPath].map(file => loadPixels(file, width, height)));
+
+    const diff = Buffer.alloc(width * height * 3);
+    let differing = 0;
+    for (let i = 0; i < width * height; i++) {
+        const o = i * 3;
+        const delta = Math.max(
+            Math.abs(expected[o] - actual[o]),
+            Math.abs(expected[o + 1] - actual[o + 1]),
+            Math.abs(expected[o + 2] - actual[o + 2]));
+
+        if (delta > PIXEL_THRESHOLD) {
+            differing++;
+            diff[o] = 230;
+            diff[o + 1] = 40;
+            diff[o + 2] = 40;
+        } else {
+            // Faded PPTX rendering as the background
+            const faded = 255 - (255 - luma(actual, o)) * 0.25;
+            diff[o] = diff[o + 1] = diff[o + 2] = faded;
+        }
+    }
+
+    if (diffPath) {
+        fs.mkdirSync(path.dirname(diffPath), { recursive: true });
+        await sharp(diff, { raw: { width, height, channels: 3 } }).png().toFile(diffPath);
+    }
+
+    return {
+        ssim: ssim(expected, actual, width, height),
+        pixelDiff: differing / (width * height)
+    };
+}
+
+/**
+ * Write the side-by-side HTML report
+ * @param {Object[]} results - Per PPTX slide: { slide, htmlSlide, html, pptx, diff, ssim, pixelDiff, continued }
+ *     (image paths; htmlSlide is the 1-based HTML slide it is compared with, continued slides are not scored)
+ * @param {string} reportPath - Where to write the report; image paths are made relative to it
+ * @param {Object} info - { input, output, title }
+ * @returns {Object[]} - The worst scored slides, worst first
+ */
+export function writeCompareReport(results, reportPath, info) {
+    const worst = worstSlides(results);
+    const worstSet = new Set(worst);
+    const dir = path.dirname(path.resolve(reportPath));
+    const src = (file) => file ? escapeHtml(path.relative(dir, path.resolve(file)).split(path.sep).join('/')) : '';
+    const image = (file, alt) => file ? `<img src="${src(file)}" alt="${alt}" loading="lazy">` : '<div class="missing">—</div>';
+    const score = (result) => result.ssim === null
+        ? `continues HTML slide ${result.htmlSlide}`
+        : `SSIM ${result.ssim.toFixed(3)} · ${(result.pixelDiff * 100).toFixed(1)}% pixels differ`;
+
+    const summary = worst.map(result =>
+        `<li><a href="#slide-${result.slide}">Slide ${result.slide}</a>: ${score(result)}</li>`).join('\n');
+    const rows = results.map(result => `
+<section id="slide-${result.slide}" class="${worstSet.has(result) ? 'worst' : ''}">
+    <h2>Slide ${result.slide}${result.htmlSlide !== result.slide ? ` <small>(HTML slide ${result.htmlSlide})</small>` : ''}
+        <span class="score">${score(result)}</span></h2>
+    <div class="images">
+        <figure>${image(result.html, 'HTML')}<figcaption>HTML</figcaption></figure>
+        <figure>${image(result.pptx, 'PPTX')}<figcaption>PPTX</figcaption></figure>
+        <figure>${image(result.diff, 'Difference')}<figcaption>Difference</figcaption></figure>
+    </div>
+</section>`).join('\n');
+
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Visual comparison: ${escapeHtml(info.title || info.input)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+    section { border-top: 1px solid #ddd; padding: 0.5em 0 1em; }
+    section.worst { background: #FFEBEE; border-left: 6px solid #F44336; padding-left: 1em; }
+    h2 { font-size: 1.1em; }
+    .score { font-weight: normal; color: #666; margin-left: 1em; }
+    .images { display: grid; grid-template-columns: repeat(3, 1fr); gap: 1em; }
+    figure { margin: 0; }
+    img { width: 100%; border: 1px solid #ccc; }
+    figcaption { font-size: 0.85em; color: #666; }
+    .missing { aspect-ratio: 16 / 9; border: 1px dashed #ccc; display: flex; align-items: center; justify-content: center; color: #aaa; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(info.title || info.input)}</h1>
+<p>${escapeHtml(info.input)} → ${escapeHtml(info.output)}</p>
+${worst.length > 0 ? `<h2>Worst slides</h2>\n<ol>\n${summary}\n</ol>` : ''}
+${rows}
+</body>
+</html>
+`;
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(reportPath, html);
+    return worst;
+}
+
+/**
+ * The scored slides with the lowest SSIM, worst first
+ * @param {Object[]} results - Comparison results (see writeCompareReport)
+ * @param {number} [count] - How many
+ * @returns {Object[]}
+ */
+export function worstSlides(results, count = WORST_SLIDE_COUNT) {
+    return results
+        .filter(result => result.ssim !== null)
+        .sort((a, b) => a.ssim - b.ssim)
+        .slice(0, count);
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Decode an image to RGB pixels at the given size
+ */
+async function loadPixels(file, width, height) {
+    return sharp(file)
+        .flatten({ background: '#ffffff' })
+        .resize(width, height, { fit: 'fill' })
+        .removeAlpha()
+        .raw()
+        .toBuffer();
+}
+
+function luma(pixels, offset) {
+    return 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2];
+}
+
+/**
+ * Mean SSIM of the grayscale images over non-overlapping windows
+ */
+function ssim(a, b, width, height) {
+    let total = 0;
+    let windows = 0;
+
+    for (let y0 = 0; y0 + SSIM_WINDOW <= height; y0 += SSIM_WINDOW) {
+        for (let x0 = 0; x0 + SSIM_WINDOW <= width; x0 += SSIM_WINDOW) {
+            let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+            for (let y = y0; y < y0 + SSIM_WINDOW; y++) {
+                for (let x = x0; x < x0 + SSIM_WINDOW; x++) {
+                    const o = (y * width + x) * 3;
+                    const la = luma(a, o);
+                    const lb = luma(b, o);
+                    sumA += la;
+                    sumB += lb;
+                    sumAA += la * la;
+                    sumBB += lb * lb;
+                    sumAB += la * lb;
+                }
+            }
+
+            const n = SSIM_WINDOW * SSIM_WINDOW;
+            const meanA = sumA / n;
+            const meanB = sumB / n;
+            const varA = sumAA / n - meanA * meanA;
+            const varB = sumBB / n - meanB * meanB;
+            const covariance = sumAB / n - meanA * meanB;
+
+            total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+                ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+            windows++;
+        }
+    }
+
+    return windows > 0 ? total / windows : 1;
+}
+
+/**
+ * Full path of an executable on the PATH, or null
+ */
+function findExecutable(name) {
+    const extensions = process.platform === 'win32' ? ['.exe', '.cmd', ''] : [''];
+    for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+        for (const extension of extensions) {
+            const candidate = path.join(dir, name + extension);
+            if (dir && fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * file:// URI of a local path (LibreOffice's -env: options take URIs)
+ */
+function pathToUri(filePath) {
+    return 'file://' + (filePath.startsWith('/') ? '' : '/') + filePath.split(path.sep).join('/');
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
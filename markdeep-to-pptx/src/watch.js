@@ -0,0 +1,102 @@
+/**
+ * Watch - Rebuild when the input or the files it references change
+ *
+ * Directories are watched rather than the files themselves, because
+ * editors often save by writing a new file and renaming it over the
+ * old one, which ends a watch on the old file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Quiet period after the last change before rebuilding (ms)
+export const WATCH_DEBOUNCE = 300;
+
+/**
+ * Watch a set of files and call back once changes have settled
+ * @param {string[]} files - Files to watch
+ * @param {function(string[]): void} onChange - Called with the changed files
+ * @param {number} [debounce] - Quiet period before calling back (ms)
+ * @returns {{update: function(string[]): void, close: function(): void}}
+ *     update() replaces the watched files, close() stops watching
+ */
+export function watchFiles(files, onChange, debounce = WATCH_DEBOUNCE) {
+    const watchers = new Map();     // directory -> fs.FSWatcher
+    let watched = new Set();
+    let changed = new Set();
+    let timer = null;
+
+    function handleEvent(dir, filename) {
+        if (!filename) return;
+        const file = path.join(dir, filename.toString());
+        if (!watched.has(file)) return;
+
+        changed.add(file);
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const files = [...changed];
+            changed = new Set();
+            onChange(files);
+        }, debounce);
+    }
+
+    function update(newFiles) {
+        watched = new Set(newFiles.map(file => path.resolve(file)));
+        const dirs = new Set([...watched].map(file => path.dirname(file)));
+
+        for (const [dir, watcher] of watchers) {
+            if (!dirs.has(dir)) {
+                watcher.close();
+                watchers.delete(dir);
+            }
+        }
+        for (const dir of dirs) {
+            if (watchers.has(dir) || !fs.existsSync(dir)) continue;
+            watchers.set(dir, fs.watch(dir, (eventType, filename) => handleEvent(dir, filename)));
+        }
+    }
+
+    function close() {
+        clearTimeout(timer);
+        watchers.forEach(watcher => watcher.close());
+        watchers.clear();
+    }
+
+    update(files);
+    return { update, close };
+}
+
+/**
+ * Compare two builds slide by slide
+ * @param {Object|null} previous - Slide data of the previous build
+ * @param {Object} current - Slide data of this build
+ * @returns {{changed: number[], added: number[], removed: number[]}} - 1-based slide numbers
+ */
+export function diffSlides(previous, current) {
+    const before = (previous?.slides || []).map(slideFingerprint);
+    const after = current.slides.map(slideFingerprint);
+    const diff = { changed: [], added: [], removed: [] };
+
+    after.forEach((fingerprint, i) => {
+        if (i >= before.length) diff.added.push(i + 1);
+        else if (fingerprint !== before[i]) diff.changed.push(i + 1);
+    });
+    for (let i = after.length; i < before.length; i++) {
+        diff.removed.push(i + 1);
+    }
+
+    return diff;
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Hash of everything that ends up on a slide
+ */
+function slideFingerprint(slide) {
+    const { elements, notes, metadata, classes } = slide;
+    return crypto.createHash('sha1')
+        .update(JSON.stringify({ elements, notes, metadata, classes }))
+        .digest('hex');
+}
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDeck, build, paragraphRuns, shapeWithText } from './helpers.js';
+
+// Paragraphs of the admonition body on the extras slide (slide 6): [text, color, bold, font] of each run
+async function admonitionBody(deck, options) {
+    const { pptx } = await build(deck, options);
+    const shape = shapeWithText(await pptx.slide(6), 'Use ');
+    assert.ok(shape, 'no admonition body');
+    return paragraphRuns(shape).map(runs => runs.map(run => [run.text, run.color, run.bold, run.font]));
+}
+
+test('admonition bodies keep their paragraphs, list items and code lines', async () => {
+    const body = await admonitionBody(await loadDeck());
+    assert.deepEqual(body, [
+        [['Use ', '2E7D32', false, 'Microsoft YaHei'], ['the tests', '2E7D32', true, 'Microsoft YaHei'],
+            ['.', '2E7D32', false, 'Microsoft YaHei']],
+        [['• ', '4CAF50', false, 'Microsoft YaHei'], ['Run them often', '2E7D32', false, 'Microsoft YaHei']],
+        [['npm test', '333333', false, 'Courier New']]
+    ]);
+});
+
+test('admonitions take the colors of their type from the theme', async () => {
+    const deck = await loadDeck();
+    const { pptx } = await build(deck, { theme: 'dark' });
+    const xml = await pptx.slide(6);
+    assert.match(xml, /<a:prstGeom prst="roundRect">[\s\S]*?<a:srgbClr val="1B2E1F"\/>/);
+    assert.equal(paragraphRuns(shapeWithText(xml, 'Use '))[0][0].color, 'A5D6A7');
+
+    deck.slides[5].elements[1].admonitionType = 'warning';
+    const warning = await admonitionBody(deck);
+    assert.deepEqual(warning[1].map(([, color]) => color), ['FFC107', 'F57F17']);
+});
+
+test('ordered lists in admonitions are numbered', async () => {
+    const deck = await loadDeck();
+    const [, list] = deck.slides[5].elements[1].body;
+    list.ordered = true;
+    list.start = 3;
+    list.items.push({ text: [{ text: 'Before committing', options: {} }] });
+    const body = await admonitionBody(deck);
+    assert.deepEqual(body.slice(1, 3).map(runs => runs.map(([text]) => text)),
+        [['3. ', 'Run them often'], ['4. ', 'Before committing']]);
+});
+
+test('older extractions without a body show the plain content', async () => {
+    const deck = await loadDeck();
+    const admonition = deck.slides[5].elements[1];
+    delete admonition.body;
+    admonition.content = 'Use the tests';
+    const { pptx } = await build(deck);
+    const shape = shapeWithText(await pptx.slide(6), 'Use the tests');
+    assert.equal(paragraphRuns(shape).length, 1);
+});
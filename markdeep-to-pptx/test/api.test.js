@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { convert, SlideDataError, validateSlideData, assertValidSlideData } from '../src/api.js';
+import { ELEMENT_TYPES } from '../src/slide-schema.js';
+import { DECK_PATH, loadDeck, openPptx } from './helpers.js';
+
+test('convert builds a PPTX from saved slide data', async () => {
+    const slides = [];
+    const result = await convert(DECK_PATH, { slides: '2-4', onSlides: laidOut => slides.push(...laidOut) });
+    assert.equal(result.slideData.slides.length, 3);
+    assert.deepEqual(slides.map(slide => slide.id), ['chapter-one', 'basics', 'media']);
+    assert.deepEqual(result.warnings, []);
+    assert.deepEqual(result.diagnostics, []);
+    assert.equal((await openPptx(result.buffer)).slideCount, 3);
+});
+
+test('convert takes slide data objects and writes the output file', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'markdeep-api-'));
+    try {
+        const deck = await loadDeck();
+        deck.slides[3].elements[1].src = 'missing.png';
+        const warnings = [];
+        const output = path.join(dir, 'nested', 'deck.pptx');
+        const result = await convert(deck, { output, theme: 'forest', onWarning: message => warnings.push(message) });
+        assert.deepEqual(await fs.readFile(output), result.buffer);
+        assert.equal(result.warnings.length, 1);
+        assert.deepEqual(warnings, result.warnings);
+    } finally {
+        await fs.rm(dir, { recursive: true });
+    }
+});
+
+test('convert checks the options before reading the input', async () => {
+    const missing = path.join(os.tmpdir(), 'missing.slides.json');
+    const rejects = (options, message) => assert.rejects(convert(missing, options), { message });
+    await rejects({ style: 'exact' }, 'Unknown style mode "exact" (available: normalized, fidelity)');
+    await rejects({ fit: 'squeeze' }, 'Unknown fit strategy "squeeze" (available: shrink, autofit, split, none)');
+    await rejects({ reveal: 'wipe' }, 'Unknown reveal mode "wipe" (available: appear, fade, slides, none)');
+    await rejects({ slides: 'x' }, 'Invalid slide range "x" (expected e.g. 3, 1-5, 10-)');
+    await assert.rejects(convert(missing, { codeTheme: 'dracula' }), /^Error: Unknown code theme "dracula"/);
+    await assert.rejects(convert(missing, { size: 'huge' }), /^Error: Invalid slide size "huge"/);
+});
+
+test('slide data is checked against the schema', async () => {
+    const deck = await loadDeck();
+    assert.deepEqual(validateSlideData(deck), []);
+
+    delete deck.slides[2].elements[1].position.w;
+    deck.slides[0].elements[0].level = 'one';
+    deck.slides[3].elements.push({ type: 'timeline', position: { x: 0, y: 0, w: 1, h: 1 } });
+    deck.slides[5].elements[0].text[0].options.color = 'red';
+    const errors = [
+        'slides[0].elements[0].level: expected integer, got string',
+        'slides[2].elements[1].position: missing w',
+        `slides[3].elements[4].type: unknown type "timeline" (expected ${ELEMENT_TYPES.join(', ')})`,
+        'slides[5].elements[0].text[0].options.color: "red" does not match ^[0-9A-Fa-f]{6}$'
+    ];
+    assert.deepEqual(validateSlideData(deck), errors);
+    assert.deepEqual(validateSlideData({}), ['(root): missing title', '(root): missing slides']);
+
+    assert.throws(() => assertValidSlideData(deck), (error) => {
+        assert.ok(error instanceof SlideDataError);
+        assert.deepEqual(error.errors, errors);
+        assert.equal(error.message, `Invalid slide data:\n  ${errors.join('\n  ')}`);
+        return true;
+    });
+    await assert.rejects(convert(deck), SlideDataError);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { expandInputs, batchOutputPaths, runWithConcurrency, formatTable } from '../src/batch.js';
+
+// Run a test in a temporary directory holding some decks
+async function withDecks(files, fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'markdeep-batch-'));
+    const cwd = process.cwd();
+    try {
+        for (const file of files) {
+            await fs.mkdir(path.join(dir, path.dirname(file)), { recursive: true });
+            await fs.writeFile(path.join(dir, file), '');
+        }
+        process.chdir(dir);
+        return await fn(dir);
+    } finally {
+        process.chdir(cwd);
+        await fs.rm(dir, { recursive: true });
+    }
+}
+
+const DECKS = ['a.html', 'talks/b.html', 'talks/2024/c.html', 'talks/notes.md', 'node_modules/x/index.html'];
+
+test('expandInputs expands directories, skipping node_modules', () => withDecks(DECKS, () => {
+    assert.deepEqual(expandInputs(['.']), {
+        files: ['a.html', 'talks/2024/c.html', 'talks/b.html'],
+        unmatched: []
+    });
+}));
+
+test('expandInputs expands glob patterns and reports inputs matching nothing', () => withDecks(DECKS, () => {
+    assert.deepEqual(expandInputs(['talks/*.html', 'talks/**/*.html', 'talks/notes.md', 'missing.html', '*.htm']), {
+        files: ['talks/b.html', 'talks/2024/c.html', 'talks/notes.md'],
+        unmatched: ['missing.html', '*.htm']
+    });
+    assert.deepEqual(expandInputs(['**/?.html']).files, ['a.html', 'talks/2024/c.html', 'talks/b.html']);
+}));
+
+test('batchOutputPaths mirrors the inputs below their common directory', () => {
+    const files = ['decks/a.html', 'decks/talks/b.md.html', 'decks/talks/c.slides.json'];
+    assert.deepEqual(batchOutputPaths(files, 'out', '.pptx'),
+        ['out/a.pptx', 'out/talks/b.pptx', 'out/talks/c.pptx']);
+    assert.deepEqual(batchOutputPaths(['x/deck.html'], 'out', '.pptx'), ['out/deck.pptx']);
+});
+
+test('runWithConcurrency limits parallel tasks and keeps going after failures', async () => {
+    let running = 0;
+    let most = 0;
+    const results = await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+        running++;
+        most = Math.max(most, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        if (item === 3) throw new Error('broken deck');
+        return item * 10;
+    });
+    assert.equal(most, 2);
+    assert.deepEqual(results.map(result => [result.item, result.ok, result.value ?? result.error.message]),
+        [[1, true, 10], [2, true, 20], [3, false, 'broken deck'], [4, true, 40], [5, true, 50]]);
+    assert.ok(results.every(result => result.duration >= 0));
+});
+
+test('formatTable aligns columns, counting CJK characters as two', () => {
+    assert.equal(formatTable(['File', 'Slides'], [['目录.html', 3], ['a.html', 12]]), [
+        'File       Slides',
+        '─────────  ──────',
+        '目录.html  3',
+        'a.html     12'
+    ].join('\n'));
+});
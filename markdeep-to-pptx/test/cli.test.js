@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { DECK_PATH, openPptx } from './helpers.js';
+
+const CLI_PATH = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+// Run the CLI; resolves with its output whether or not it fails
+async function cli(args, cwd) {
+    try {
+        const { stdout, stderr } = await promisify(execFile)(process.execPath, [CLI_PATH, ...args], { cwd, timeout: 60000 });
+        return { code: 0, stdout, stderr };
+    } catch (error) {
+        return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+    }
+}
+
+// Run a test with a copy of the fixture deck in a temporary directory
+async function withDeckCopy(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'markdeep-cli-'));
+    try {
+        await fs.copyFile(DECK_PATH, path.join(dir, 'deck.slides.json'));
+        return await fn(dir);
+    } finally {
+        await fs.rm(dir, { recursive: true });
+    }
+}
+
+test('convert takes options from the config file next to the input', () => withDeckCopy(async (dir) => {
+    await fs.writeFile(path.join(dir, 'markdeep-to-pptx.config.json'), JSON.stringify({ slides: '1-3', outputDir: '.' }));
+    const result = await cli(['deck.slides.json', '--author', 'Jane'], dir);
+    assert.equal(result.code, 0, result.stderr);
+
+    const pptx = await openPptx(await fs.readFile(path.join(dir, 'deck.pptx')));
+    assert.equal(pptx.slideCount, 3);
+    assert.match(await pptx.part('docProps/core.xml'), /<dc:creator>Jane<\/dc:creator>/);
+}));
+
+test('command line flags override the config file', () => withDeckCopy(async (dir) => {
+    await fs.writeFile(path.join(dir, 'markdeep-to-pptx.config.json'), JSON.stringify({ slides: '1-3' }));
+    const result = await cli(['convert', 'deck.slides.json', 'out/talk.pptx', '--slides', '2'], dir);
+    assert.equal(result.code, 0, result.stderr);
+    assert.equal((await openPptx(await fs.readFile(path.join(dir, 'out/talk.pptx')))).slideCount, 1);
+}));
+
+test('invalid options fail before converting', () => withDeckCopy(async (dir) => {
+    const result = await cli(['deck.slides.json', '--fit', 'squeeze'], dir);
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /Unknown fit strategy "squeeze" \(available: shrink, autofit, split, none\)/);
+    await assert.rejects(fs.access(path.join(dir, 'deck.pptx')));
+
+    const missing = await cli(['missing.html'], dir);
+    assert.equal(missing.code, 1);
+    assert.match(missing.stderr, /Input file not found: missing\.html/);
+}));
+
+test('inspect --json prints the slide data', () => withDeckCopy(async (dir) => {
+    const result = await cli(['inspect', 'deck.slides.json', '--json', '--slides', '3', '-q'], dir);
+    assert.equal(result.code, 0, result.stderr);
+    const slideData = JSON.parse(result.stdout);
+    assert.deepEqual(slideData.slides.map(slide => slide.id), ['basics']);
+}));
+
+test('--emit-json saves slide data that converts again', () => withDeckCopy(async (dir) => {
+    const result = await cli(['deck.slides.json', 'out/talk.pptx', '--emit-json', '--slides', '3-4'], dir);
+    assert.equal(result.code, 0, result.stderr);
+    const saved = JSON.parse(await fs.readFile(path.join(dir, 'out/talk.slides.json'), 'utf8'));
+    assert.deepEqual(saved.slides.map(slide => slide.id), ['basics', 'media']);
+
+    const again = await cli(['out/talk.slides.json', 'again.pptx'], dir);
+    assert.equal(again.code, 0, again.stderr);
+    assert.equal((await openPptx(await fs.readFile(path.join(dir, 'again.pptx')))).slideCount, 2);
+}));
+
+test('--report saves the diagnostics next to the output', () => withDeckCopy(async (dir) => {
+    const deckPath = path.join(dir, 'deck.slides.json');
+    const deck = JSON.parse(await fs.readFile(deckPath, 'utf8'));
+    deck.slides[3].elements[1].src = 'missing.png';
+    await fs.writeFile(deckPath, JSON.stringify(deck));
+
+    const result = await cli(['deck.slides.json', 'out/talk.pptx', '--report', 'json'], dir);
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /📋 1 issues:\n\s+Slide 4: 1 skipped \(image\)/);
+    const report = JSON.parse(await fs.readFile(path.join(dir, 'out/talk.report.json'), 'utf8'));
+    assert.equal(report.output, 'out/talk.pptx');
+    assert.deepEqual(report.counts, { skipped: 1, degraded: 0, clamped: 0, approximated: 0 });
+
+    const invalid = await cli(['deck.slides.json', '--report', 'xml'], dir);
+    assert.equal(invalid.code, 1);
+    assert.match(invalid.stderr, /Unknown report format "xml" \(available: json, html\)/);
+}));
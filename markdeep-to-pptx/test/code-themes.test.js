@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCodeTheme, tokenStyle } from '../src/code-themes.js';
+import { codeLines } from '../src/text-fit.js';
+import { loadDeck, build, runTexts } from './helpers.js';
+
+const codeBox = xml => xml.match(/<p:sp>(?:(?!<\/p:sp>)[\s\S])*?const(?:(?!<\/p:sp>)[\s\S])*<\/p:sp>/)[0];
+
+test('the markdeep code theme keeps the rendered token colors', () => {
+    const theme = getCodeTheme();
+    assert.deepEqual(tokenStyle({ text: 'if', color: '0000FF', bold: true, scope: 'keyword' }, theme),
+        { color: '0000FF', bold: true, italic: false });
+    assert.deepEqual(tokenStyle({ text: 'x' }, theme), { color: '333333', bold: false, italic: false });
+});
+
+test('other code themes recolor tokens by scope', () => {
+    const theme = getCodeTheme('github');
+    assert.deepEqual(tokenStyle({ text: 'if', color: '0000FF', bold: true, scope: 'keyword' }, theme),
+        { color: 'D73A49', bold: false, italic: false });
+    assert.deepEqual(tokenStyle({ text: '// x', scope: 'comment' }, theme), { color: '6A737D', bold: false, italic: true });
+    assert.equal(tokenStyle({ text: 'x', scope: 'unknown' }, theme).color, '24292E');
+});
+
+test('getCodeTheme rejects unknown themes', () => {
+    assert.throws(() => getCodeTheme('dracula'), {
+        message: 'Unknown code theme "dracula" (available: markdeep, github, monokai, solarized-light)'
+    });
+});
+
+test('codeLines splits tokens at line breaks', async () => {
+    const deck = await loadDeck();
+    const lines = codeLines(deck.slides[3].elements.find(e => e.type === 'code'));
+    assert.deepEqual(lines.map(line => line.map(token => token.text).join('')), ['const a = 1;', 'return a;']);
+    assert.equal(lines[0][0].scope, 'keyword');
+    assert.deepEqual(codeLines({ code: 'a\n\nb' }).map(line => line.length), [1, 0, 1]);
+});
+
+test('code blocks get one colored run per token and one paragraph per line', async () => {
+    const { pptx } = await build(await loadDeck());
+    const xml = codeBox(await pptx.slide(4));
+    assert.equal(xml.match(/<a:p>/g).length, 2);
+    assert.deepEqual(runTexts(xml), ['const', ' a = ', '1', ';', 'return', ' a;']);
+    assert.match(xml, /<a:rPr [^>]*b="1"[^>]*><a:solidFill><a:srgbClr val="0000FF"\/>/);
+    assert.match(xml, /Courier New/);
+});
+
+test('code themes and line numbers apply to the listing', async () => {
+    const { pptx } = await build(await loadDeck(), { codeTheme: 'monokai', lineNumbers: true });
+    const slide = await pptx.slide(4);
+    assert.match(slide, /<a:srgbClr val="272822"\/>/);
+    const xml = codeBox(slide);
+    assert.deepEqual(runTexts(xml), ['1 ', 'const', ' a = ', '1', ';', '2 ', 'return', ' a;']);
+    assert.match(xml, /<a:srgbClr val="F92672"\/><\/a:solidFill>(?:(?!<\/a:r>).)*<a:t>const</);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_OPTIONS, findConfigFile, loadConfig, mergeOptions, parseViewport } from '../src/config.js';
+
+// Run a test with a temporary directory
+async function withTempDir(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'markdeep-config-'));
+    try {
+        return await fn(dir);
+    } finally {
+        await fs.rm(dir, { recursive: true });
+    }
+}
+
+test('the config file is found next to the input', () => withTempDir(async (dir) => {
+    const input = path.join(dir, 'deck.html');
+    assert.equal(findConfigFile(input), null);
+    await fs.writeFile(path.join(dir, 'markdeep-to-pptx.config.js'), 'export default {};');
+    await fs.writeFile(path.join(dir, 'markdeep-to-pptx.config.json'), '{}');
+    assert.equal(findConfigFile(input), path.join(dir, 'markdeep-to-pptx.config.json'));
+}));
+
+test('config paths are resolved against the config file', () => withTempDir(async (dir) => {
+    const file = path.join(dir, 'markdeep-to-pptx.config.json');
+    await fs.writeFile(file, JSON.stringify({
+        theme: 'brand.json', outputDir: 'build', plugins: ['./plugins/timeline.js'], fit: 'split'
+    }));
+    assert.deepEqual(await loadConfig(file), {
+        theme: path.join(dir, 'brand.json'),
+        outputDir: path.join(dir, 'build'),
+        plugins: [path.join(dir, 'plugins/timeline.js')],
+        fit: 'split'
+    });
+
+    await fs.writeFile(file, JSON.stringify({ theme: 'dark' }));
+    assert.deepEqual(await loadConfig(file), { theme: 'dark' });
+}));
+
+test('JS config files export the config', () => withTempDir(async (dir) => {
+    const file = path.join(dir, 'markdeep-to-pptx.config.mjs');
+    await fs.writeFile(file, 'export const config = { author: "Jane", lineNumbers: true };');
+    assert.deepEqual(await loadConfig(file), { author: 'Jane', lineNumbers: true });
+}));
+
+test('invalid config files are rejected', () => withTempDir(async (dir) => {
+    const file = path.join(dir, 'markdeep-to-pptx.config.json');
+    const rejects = async (content, message) => {
+        await fs.writeFile(file, content);
+        await assert.rejects(loadConfig(file), { message: message.replace('FILE', file) });
+    };
+    await fs.writeFile(file, '{"author": "x",}');
+    await assert.rejects(loadConfig(file), { message: new RegExp(`^Could not read config file ${file} \\(`) });
+    await rejects('[]', 'Config file FILE does not define a config object');
+    await rejects('{"colour": "red"}', 'Unknown option "colour" in config file FILE (available: author, theme, style, ' +
+        'fit, reveal, size, codeTheme, lineNumbers, emitJson, report, slides, timeout, renderWait, viewport, outputDir, ' +
+        'verbosity, notes, plugins, runtime)');
+    await rejects('{"timeout": "10s"}', 'Option "timeout" in config file FILE must be a number');
+    await rejects('{"theme": null}', 'Option "theme" in config file FILE must be a string or object');
+    await rejects('{"plugins": [1]}', 'Option "plugins" in config file FILE must be an array of module paths');
+}));
+
+test('command line options override the config, which overrides the defaults', () => {
+    const options = mergeOptions({ fit: 'split', author: 'Config' }, { author: 'CLI', theme: undefined });
+    assert.deepEqual(options, { ...DEFAULT_OPTIONS, fit: 'split', author: 'CLI' });
+});
+
+test('parseViewport reads WIDTHxHEIGHT and objects', () => {
+    assert.deepEqual(parseViewport('1600x900'), { width: 1600, height: 900 });
+    assert.deepEqual(parseViewport(' 800 × 600 '), { width: 800, height: 600 });
+    assert.deepEqual(parseViewport({ width: 1024, height: 768 }), { width: 1024, height: 768 });
+    assert.throws(() => parseViewport('0x900'), { message: 'Invalid viewport "0x900" (expected WIDTHxHEIGHT, e.g. 1920x1080)' });
+    assert.throws(() => parseViewport({ width: 10.5, height: 2 }), /^Error: Invalid viewport "\{"width":10.5,"height":2\}"/);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DIAGNOSTIC_KINDS, countDiagnostics, summarizeDiagnostics, createReport, writeReport,
+    formatReportHtml } from '../src/diagnostics.js';
+import { selectSlides } from '../src/slide-range.js';
+import { loadDeck, build } from './helpers.js';
+
+const DIAGNOSTICS = [
+    { slide: 4, kind: 'degraded', element: 'blockquote', selector: 'blockquote', message: 'Bold text lost' },
+    { slide: 2, kind: 'skipped', element: 'details', selector: 'details', message: 'Unsupported <details> element' },
+    { slide: 4, kind: 'degraded', element: 'list', selector: 'ul', message: 'Nested list flattened' },
+    { slide: 4, kind: 'skipped', element: null, selector: null, message: 'Slide background image' }
+];
+
+test('diagnostics are counted by kind and summarized per slide', () => {
+    assert.deepEqual(countDiagnostics(DIAGNOSTICS), { skipped: 2, degraded: 2, clamped: 0, approximated: 0 });
+    assert.deepEqual(countDiagnostics([]), Object.fromEntries(DIAGNOSTIC_KINDS.map(kind => [kind, 0])));
+    assert.deepEqual(summarizeDiagnostics(DIAGNOSTICS), [
+        'Slide 2: 1 skipped (details)',
+        'Slide 4: 1 skipped (slide), 2 degraded (blockquote, list)'
+    ]);
+});
+
+test('reports group diagnostics by slide', () => {
+    const report = createReport(DIAGNOSTICS, { input: 'talk.html', output: 'talk.pptx', title: 'Talk' });
+    assert.equal(report.input, 'talk.html');
+    assert.equal(report.output, 'talk.pptx');
+    assert.equal(report.title, 'Talk');
+    assert.ok(!Number.isNaN(Date.parse(report.created)));
+    assert.deepEqual(report.counts, countDiagnostics(DIAGNOSTICS));
+    assert.deepEqual(report.slides.map(({ slide, diagnostics }) => [slide, diagnostics.length]), [[2, 1], [4, 3]]);
+});
+
+test('HTML reports escape the diagnostics and say when there is nothing to report', () => {
+    const html = formatReportHtml(createReport(DIAGNOSTICS, { input: 'talk.html' }));
+    assert.match(html, /<title>Conversion report: talk\.html<\/title>/);
+    assert.match(html, /Unsupported &lt;details&gt; element/);
+    assert.match(html, /<th rowspan="3">4<\/th>/);
+    assert.match(html, /4 issues: <span class="kind skipped">2 skipped<\/span>/);
+
+    const empty = formatReportHtml(createReport([], { input: 'talk.html', title: 'A & B' }));
+    assert.match(empty, /<h1>A &amp; B<\/h1>/);
+    assert.match(empty, /Everything was converted as it is\./);
+    assert.doesNotMatch(empty, /<table>/);
+});
+
+test('writeReport writes JSON or HTML and rejects other formats', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'markdeep-report-'));
+    try {
+        const report = createReport(DIAGNOSTICS, { input: 'talk.html' });
+        await writeReport(report, path.join(dir, 'nested', 'talk.report.json'), 'json');
+        assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, 'nested', 'talk.report.json'), 'utf8')), report);
+        await writeReport(report, path.join(dir, 'talk.report.html'), 'html');
+        assert.equal(await fs.readFile(path.join(dir, 'talk.report.html'), 'utf8'), formatReportHtml(report));
+        await assert.rejects(writeReport(report, path.join(dir, 'talk.report.xml'), 'xml'),
+            { message: 'Unknown report format "xml" (available: json, html)' });
+    } finally {
+        await fs.rm(dir, { recursive: true });
+    }
+});
+
+test('extraction diagnostics are reported with the generator\'s, numbered by output slide', async () => {
+    const deck = await loadDeck();
+    deck.slides[5].diagnostics = [{ kind: 'skipped', element: 'details', selector: 'details', message: 'Unsupported element' }];
+    deck.slides[3].elements[1].src = 'missing.png';
+
+    const { diagnostics } = await build(selectSlides(deck, [3, 4, 5]));
+    assert.deepEqual(diagnostics.map(diagnostic => [diagnostic.slide, diagnostic.kind, diagnostic.element]), [
+        [1, 'skipped', 'image'],
+        [3, 'skipped', 'details']
+    ]);
+});
@@ -0,0 +1,19 @@
+// Plugin used by the tests: draws a timeline's events as one line of text
+export default {
+    name: 'timeline',
+    elements: [{
+        type: 'timeline',
+        selector: 'div.timeline',
+        schema: {
+            required: ['events'],
+            properties: { events: { type: 'array', items: { type: 'string' } } }
+        },
+        extract(el) {
+            return { events: Array.from(el.querySelectorAll('li'), li => li.textContent.trim()) };
+        },
+        render(slide, element, pptx, context) {
+            if (element.events.length === 0) throw new Error('no events');
+            slide.addText(element.events.join(' → '), { ...element.position, fontSize: 14, color: context.theme.colors.primary });
+        }
+    }]
+};
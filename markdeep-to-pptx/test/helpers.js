@@ -0,0 +1,130 @@
+/**
+ * Shared helpers for the tests
+ * Tests run from saved slide data (test/fixtures/*.slides.json), so no browser is needed
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import JSZip from 'jszip';
+import { buildPptx } from '../src/pptx-generator.js';
+import { readSlideDataFile } from '../src/slide-schema.js';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+export const DECK_PATH = path.join(FIXTURES_DIR, 'deck.slides.json');
+
+/**
+ * Read the fixture deck (a fresh copy each time, so tests can change it)
+ * @param {string} [name] - Fixture file name
+ * @returns {Promise<Object>} Slide data
+ */
+export async function loadDeck(name = 'deck.slides.json') {
+    return readSlideDataFile(path.join(FIXTURES_DIR, name));
+}
+
+/**
+ * Build a PPTX from slide data and open it
+ * @param {Object} slideData - Slide data
+ * @param {Object} [options] - buildPptx options
+ * @returns {Promise<{pptx: Pptx, warnings: string[], diagnostics: Object[], slides: Object[]}>}
+ *     slides: the slides as laid out (after splitting and reveal expansion)
+ */
+export async function build(slideData, options = {}) {
+    const warnings = [];
+    const diagnostics = [];
+    let slides = [];
+    const buffer = await buildPptx(slideData, {
+        ...options,
+        onWarning: message => warnings.push(message),
+        onDiagnostic: diagnostic => diagnostics.push(diagnostic),
+        onSlides: laidOut => { slides = laidOut; }
+    });
+    return { pptx: await openPptx(buffer), warnings, diagnostics, slides };
+}
+
+/**
+ * Open a PPTX file for inspection
+ * @param {Buffer} buffer - PPTX file contents
+ * @returns {Promise<Pptx>}
+ */
+export async function openPptx(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    return new Pptx(zip);
+}
+
+/**
+ * Read access to the parts of a PPTX file
+ */
+export class Pptx {
+    constructor(zip) {
+        this.zip = zip;
+    }
+
+    /** Number of slides */
+    get slideCount() {
+        return Object.keys(this.zip.files).filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name)).length;
+    }
+
+    /** Contents of a part, or null if it does not exist */
+    async part(name) {
+        const file = this.zip.file(name);
+        return file ? file.async('string') : null;
+    }
+
+    /** XML of a slide (1-based) */
+    async slide(number) {
+        return this.part(`ppt/slides/slide${number}.xml`);
+    }
+
+    /** Relationships of a slide (1-based) */
+    async slideRels(number) {
+        return this.part(`ppt/slides/_rels/slide${number}.xml.rels`);
+    }
+
+    /** Names of the parts matching a pattern */
+    parts(pattern) {
+        return Object.keys(this.zip.files).filter(name => pattern.test(name));
+    }
+}
+
+/**
+ * Texts of the <a:t> runs in some XML
+ * @param {string} xml - XML
+ * @returns {string[]}
+ */
+export function runTexts(xml) {
+    return [...xml.matchAll(/<a:t>([^<]*)<\/a:t>/g)].map(match => match[1]);
+}
+
+/**
+ * Names of the shapes in a slide
+ * @param {string} xml - Slide XML
+ * @returns {string[]}
+ */
+export function shapeNames(xml) {
+    return [...xml.matchAll(/<p:cNvPr [^>]*name="([^"]*)"/g)].map(match => match[1]);
+}
+
+/**
+ * Runs of each paragraph in some XML, with their formatting
+ * @param {string} xml - XML of a shape (or a whole slide)
+ * @returns {{text: string, color: string|null, bold: boolean, font: string|null}[][]}
+ */
+export function paragraphRuns(xml) {
+    return [...xml.matchAll(/<a:p>([\s\S]*?)<\/a:p>/g)].map(([, paragraph]) =>
+        [...paragraph.matchAll(/<a:r>([\s\S]*?)<\/a:r>/g)].map(([, run]) => ({
+            text: run.match(/<a:t>([^<]*)<\/a:t>/)?.[1] ?? '',
+            color: run.match(/<a:srgbClr val="(\w+)"/)?.[1] ?? null,
+            bold: /<a:rPr [^>]*b="1"/.test(run),
+            font: run.match(/<a:latin typeface="([^"]*)"/)?.[1] ?? null
+        })));
+}
+
+/**
+ * XML of the first shape in a slide containing a text
+ * @param {string} xml - Slide XML
+ * @param {string} text - Text of one of the shape's runs
+ * @returns {string|undefined}
+ */
+export function shapeWithText(xml, text) {
+    return xml.split('<p:sp>').slice(1).find(shape => runTexts(shape).includes(text));
+}
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { resolveImage, shortenSource } from '../src/image-resolver.js';
+import { FIXTURES_DIR, loadDeck, build } from './helpers.js';
+
+// Relative sources resolve against the page URL
+const BASE_URL = pathToFileURL(path.join(FIXTURES_DIR, 'deck.html')).href;
+
+// SVG is rasterized at a density that rounds the 40 x 20 pixel size
+const assertRatio = (width, height) => assert.ok(Math.abs(width / height - 2) < 0.05, `${width} x ${height}`);
+
+test('resolveImage rasterizes SVG files to PNG', async () => {
+    const image = await resolveImage('square.svg', BASE_URL);
+    assert.match(image.data, /^image\/png;base64,/);
+    assertRatio(image.width, image.height);
+});
+
+test('resolveImage decodes data URIs', async () => {
+    const deck = await loadDeck();
+    const element = deck.slides[3].elements.find(e => e.type === 'image');
+    const image = await resolveImage(element.src);
+    assert.match(image.data, /^image\/png;base64,/);
+    assertRatio(image.width, image.height);
+});
+
+test('images are embedded in the slide, contained in their box', async () => {
+    const { pptx, warnings } = await build(await loadDeck());
+    assert.deepEqual(warnings, []);
+    const xml = await pptx.slide(4);
+    assert.match(xml, /<p:pic>/);
+    assert.match(xml, /descr="Red box"/);
+    assert.match(await pptx.slideRels(4), /Target="\.\.\/media\/image[^"]*\.png"/);
+
+    // 2 x 1 inch box, 2:1 image: fills it exactly
+    const ext = xml.match(/<p:pic>[\s\S]*?<a:ext cx="(\d+)" cy="(\d+)"/);
+    assertRatio(Number(ext[1]), Number(ext[2]));
+});
+
+test('images that cannot be loaded are reported and left out', async () => {
+    const deck = await loadDeck();
+    deck.slides[3].elements.find(e => e.type === 'image').src = 'missing.png';
+    const { pptx, warnings } = await build(deck, { baseUrl: BASE_URL });
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /^Slide 4: could not load image missing\.png/);
+    assert.doesNotMatch(await pptx.slide(4), /<p:pic>/);
+});
+
+test('shortenSource keeps log lines short', () => {
+    assert.equal(shortenSource('a.png'), 'a.png');
+    assert.equal(shortenSource('data:' + 'x'.repeat(100)).length, 80);
+});
+
+test('BMP images are reported as unsupported and left out', async () => {
+    // 1 x 1 pixel, 24-bit BMP
+    const bmp = Buffer.alloc(58);
+    bmp.write('BM', 0);
+    bmp.writeUInt32LE(58, 2);
+    bmp.writeUInt32LE(54, 10);
+    bmp.writeUInt32LE(40, 14);
+    bmp.writeInt32LE(1, 18);
+    bmp.writeInt32LE(1, 22);
+    bmp.writeUInt16LE(1, 26);
+    bmp.writeUInt16LE(24, 28);
+    const src = 'data:image/bmp;base64,' + bmp.toString('base64');
+    await assert.rejects(resolveImage(src), /BMP images are not supported/);
+
+    const deck = await loadDeck();
+    deck.slides[3].elements.find(e => e.type === 'image').src = src;
+    const { pptx, warnings } = await build(deck);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /BMP images are not supported/);
+    assert.doesNotMatch(await pptx.slide(4), /<p:pic>/);
+});
+
+test('remote images time out after the timeout option', async () => {
+    // Accepts connections but never answers
+    const server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const url = `http://127.0.0.1:${server.address().port}/slow.png`;
+        await assert.rejects(resolveImage(url, undefined, { timeout: 200 }), /timed out after 200 ms/);
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDeck, build } from './helpers.js';
+
+// Targets of the hyperlink relationships of a slide, by id
+async function linkTargets(pptx, number) {
+    const rels = await pptx.slideRels(number);
+    return new Map([...rels.matchAll(/Id="(rId\d+)" Type="[^"]*\/(hyperlink|slide)" Target="([^"]*)"/g)]
+        .map(([, id, type, target]) => [id, `${type} ${target}`]));
+}
+
+// Hyperlink of the run showing some text
+function runLink(xml, text) {
+    const run = xml.match(new RegExp(`<a:r><a:rPr (?:(?!<\\/a:r>).)*<a:t>${text}<\\/a:t><\\/a:r>`))?.[0];
+    return run?.match(/<a:hlinkClick r:id="(rId\d+)"(?: [^>]*action="([^"]*)")?/)?.slice(1) || null;
+}
+
+test('links in text become hyperlinks to web pages and slides', async () => {
+    const { pptx } = await build(await loadDeck());
+    const xml = await pptx.slide(3);
+    const targets = await linkTargets(pptx, 3);
+
+    const [urlId, urlAction] = runLink(xml, 'Example site');
+    assert.equal(targets.get(urlId), 'hyperlink https://example.com/');
+    assert.equal(urlAction, '');
+    assert.match(await pptx.slideRels(3), /Target="https:\/\/example.com\/" TargetMode="External"/);
+
+    const [slideId, slideAction] = runLink(xml, 'media slide');
+    assert.equal(targets.get(slideId), 'slide slide4.xml');
+    assert.equal(slideAction, 'ppaction://hlinksldjump');
+
+    assert.equal(runLink(xml, 'Plain item'), null);
+});
+
+test('navigation tabs and the TOC button jump to their slides', async () => {
+    const { pptx } = await build(await loadDeck());
+    const xml = await pptx.slide(6);
+    const targets = await linkTargets(pptx, 6);
+    assert.equal(targets.get(runLink(xml, 'Chapter One')[0]), 'slide slide2.xml');
+    assert.equal(targets.get(runLink(xml, 'Chapter Two')[0]), 'slide slide5.xml');
+    assert.equal(targets.get(runLink(xml, '目录')[0]), 'slide slide1.xml');
+});
+
+test('links in table cells are kept', async () => {
+    const deck = await loadDeck();
+    const cell = deck.slides[3].elements.find(e => e.type === 'table').rows[2][0];
+    cell.runs = [{ text: 'a', options: {}, link: { url: 'https://example.org/a' } }];
+    const { pptx } = await build(deck);
+    const [id] = runLink(await pptx.slide(4), 'a');
+    assert.equal((await linkTargets(pptx, 4)).get(id), 'hyperlink https://example.org/a');
+});
@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import vm from 'vm';
+import { RUNTIME_FILES, MATHJAX_DIR, isMarkdeepSource, checkRuntime, writeSourcePage, removeSourcePage, sourcePagePath,
+    routeOffline } from '../src/markdeep-source.js';
+
+// Run a test with a runtime directory and a source file in a temporary directory
+async function withRuntime(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'markdeep-source-'));
+    const runtimeDir = path.join(dir, 'runtime');
+    try {
+        await fs.mkdir(path.join(runtimeDir, 'mathjax', 'config'), { recursive: true });
+        for (const name of [...Object.values(RUNTIME_FILES), 'slides.css', 'base.css', 'mathjax/config/TeX.js']) {
+            await fs.writeFile(path.join(runtimeDir, name), '');
+        }
+        return await fn(dir, runtimeDir);
+    } finally {
+        await fs.rm(dir, { recursive: true });
+    }
+}
+
+test('isMarkdeepSource recognizes .md and .md.html files', () => {
+    assert.equal(isMarkdeepSource('talk.md'), true);
+    assert.equal(isMarkdeepSource('talk.MD.html'), true);
+    assert.equal(isMarkdeepSource('talk.html'), false);
+    assert.equal(isMarkdeepSource('talk.slides.json'), false);
+});
+
+test('checkRuntime names the missing runtime files', () => withRuntime(async (dir, runtimeDir) => {
+    const source = path.join(dir, 'talk.md');
+    await fs.writeFile(source, '# Talk');
+    checkRuntime(source, runtimeDir);
+    await fs.rm(path.join(runtimeDir, RUNTIME_FILES.slides));
+    assert.throws(() => checkRuntime(source, runtimeDir), {
+        message: `Markdeep runtime for ${source} is incomplete (missing markdeep-slides.js); ` +
+            `put the files in ${runtimeDir}, give another runtime directory with --runtime, ` +
+            'or load local copies from the source'
+    });
+}));
+
+test('runtime files missing from the runtime directory come from the source\'s local copies', () => withRuntime(async (dir, runtimeDir) => {
+    // A markdeep-slides deck with its own copy of the runtime
+    const files = ['markdeep-slides/markdeep-slides.js', 'markdeep-slides/markdeep-slides.css',
+        'markdeep-slides/lib/markdeep/markdeep.min.js', 'markdeep-slides/lib/markdeep-relative-sizes/1.11/relativize.css'];
+    await fs.mkdir(path.join(dir, 'markdeep-slides/lib/markdeep'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'markdeep-slides/lib/markdeep-relative-sizes/1.11'), { recursive: true });
+    for (const file of files) await fs.writeFile(path.join(dir, file), '');
+    const source = path.join(dir, 'talk.md.html');
+    await fs.writeFile(source, [
+        '<link rel="stylesheet" href="markdeep-slides/lib/markdeep-relative-sizes/1.11/relativize.css">',
+        '<link rel="stylesheet" href="markdeep-slides/markdeep-slides.css">',
+        '# Talk',
+        '<script src="markdeep-slides/markdeep-slides.js"></script>',
+        '<script src="markdeep-slides/lib/markdeep/markdeep.min.js?" charset="utf-8"></script>'
+    ].join('\n'));
+    const url = file => pathToFileURL(path.join(dir, file)).href;
+
+    // Markdeep from the runtime directory, the slides runtime and its styles from the source
+    await fs.rm(path.join(runtimeDir, RUNTIME_FILES.slides));
+    checkRuntime(source, runtimeDir);
+    let html = await fs.readFile(await writeSourcePage(source, runtimeDir), 'utf8');
+    assert.match(html, new RegExp(`src="${pathToFileURL(path.join(runtimeDir, 'markdeep.min.js')).href}"`));
+    assert.match(html, new RegExp(`src="${url(files[0])}"`));
+    assert.ok(html.indexOf(`href="${url(files[3])}"`) < html.indexOf(`href="${url(files[1])}"`));
+    assert.equal(html.match(/<link /g).length, 2);
+
+    // Nothing in the runtime directory
+    await fs.rm(runtimeDir, { recursive: true });
+    html = await fs.readFile(await writeSourcePage(source, runtimeDir), 'utf8');
+    await removeSourcePage(source);
+    assert.match(html, new RegExp(`src="${url(files[2])}" charset="utf-8"`));
+    assert.equal(html.match(/<script src=/g).length, 2);
+}));
+
+test('sources are wrapped in a page loading the local runtime', () => withRuntime(async (dir, runtimeDir) => {
+    const source = path.join(dir, 'talk.md.html');
+    await fs.writeFile(source, [
+        '<meta charset="utf-8">',
+        '<link rel="stylesheet" href="https://casual-effects.com/markdeep/latest/slides.css?">',
+        '# Talk',
+        '<script>markdeepSlidesOptions = { aspectRatio: 4 / 3 };</script>',
+        '<script src="markdeep-slides/markdeep-slides.js"></script>',
+        '<script src="https://casual-effects.com/markdeep/latest/markdeep.min.js" charset="utf-8"></script>'
+    ].join('\n'));
+
+    const pagePath = await writeSourcePage(source, runtimeDir);
+    assert.equal(pagePath, sourcePagePath(source));
+    assert.equal(path.dirname(pagePath), os.tmpdir());
+    const html = await fs.readFile(pagePath, 'utf8');
+    const url = name => pathToFileURL(path.join(runtimeDir, name)).href;
+
+    assert.match(html, new RegExp(`<base href="${pathToFileURL(source).href}">`));
+    assert.doesNotMatch(html, /casual-effects|src="markdeep-slides/);
+    assert.match(html, /markdeepSlidesOptions = \{ aspectRatio: 4 \/ 3 \};/);
+    // Styles in name order, then the slides runtime before Markdeep
+    const order = [`href="${url('base.css')}"`, `href="${url('slides.css')}"`,
+        `src="${url('markdeep-slides.js')}"`, `src="${url('markdeep.min.js')}"`].map(tag => html.indexOf(tag));
+    assert.ok(order.every((position, idx) => position > (order[idx - 1] ?? 0)), order.join(', '));
+
+    await removeSourcePage(source);
+    await assert.rejects(fs.access(pagePath));
+    await removeSourcePage(source);
+}));
+
+test('offline pages get MathJax from the runtime or the mathjax package and nothing else from the network', () => withRuntime(async (dir, runtimeDir) => {
+    let handler;
+    const page = { route: async (pattern, fn) => { handler = fn; } };
+    const warnings = [];
+    await routeOffline(page, runtimeDir, message => warnings.push(message));
+
+    const request = (url) => {
+        const calls = [];
+        handler({
+            request: () => ({ url: () => url }),
+            fulfill: options => calls.push(['fulfill', options.path]),
+            abort: reason => calls.push(['abort', reason])
+        });
+        return calls;
+    };
+    assert.deepEqual(request('https://cdn.example.org/mathjax/2.7.9/config/TeX.js'),
+        [['fulfill', path.join(runtimeDir, 'mathjax/config/TeX.js')]]);
+    assert.deepEqual(request('https://cdn.example.org/mathjax/2.7.9/MathJax.js?config=TeX-AMS-MML_HTMLorMML'),
+        [['fulfill', path.join(MATHJAX_DIR, 'MathJax.js')]]);
+    assert.deepEqual(request('https://cdn.example.org/mathjax/2.7.9/extensions/AMSmath.js'),
+        [['abort', 'internetdisconnected']]);
+    assert.deepEqual(request('https://fonts.example.com/a.woff'), [['abort', 'internetdisconnected']]);
+    request('https://fonts.example.com/b.woff');
+    assert.deepEqual(warnings, [
+        'Offline rendering: blocked request to cdn.example.org (https://cdn.example.org/mathjax/2.7.9/extensions/AMSmath.js)',
+        'Offline rendering: blocked request to fonts.example.com (https://fonts.example.com/a.woff)'
+    ]);
+}));
+
+// Run a page's inline scripts in order in a global that is its own window, as in a browser
+function runInlineScripts(html) {
+    const window = vm.createContext({ initSlides: () => { window.started = true; } });
+    window.window = window;
+    for (const [, script] of html.matchAll(/<script>([\s\S]*?)<\/script>/g)) {
+        vm.runInContext(script, window);
+    }
+    return window;
+}
+
+test('the source\'s own markdeepOptions are kept and start the slides runtime', () => withRuntime(async (dir, runtimeDir) => {
+    const source = path.join(dir, 'talk.md.html');
+    await fs.writeFile(source, '<script>markdeepOptions = { tocStyle: \'long\', definitionStyle: \'long\' };</script>\n# Talk');
+    const window = runInlineScripts(await fs.readFile(await writeSourcePage(source, runtimeDir), 'utf8'));
+    assert.equal(window.markdeepOptions.tocStyle, 'long');
+    assert.equal(window.markdeepOptions.definitionStyle, 'long');
+    window.markdeepOptions.onLoad();
+    assert.equal(window.started, true);
+
+    // An onLoad of the source's own is left alone
+    await fs.writeFile(source, '<script>markdeepOptions = { onLoad: function () { window.own = true; } };</script>');
+    const own = runInlineScripts(await fs.readFile(await writeSourcePage(source, runtimeDir), 'utf8'));
+    own.markdeepOptions.onLoad();
+    assert.equal(own.own, true);
+    assert.equal(own.started, undefined);
+
+    // Without options the source gets the defaults
+    await fs.writeFile(source, '# Talk');
+    const bare = runInlineScripts(await fs.readFile(await writeSourcePage(source, runtimeDir), 'utf8'));
+    await removeSourcePage(source);
+    assert.equal(bare.markdeepOptions.tocStyle, 'none');
+    assert.equal(bare.markdeepOptions.detectMath, false);
+    bare.markdeepOptions.onLoad();
+    assert.equal(bare.started, true);
+}));
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mathmlToOmml, checkMathml, mathToken, prepareEquations, replaceMathTokens } from '../src/math-omml.js';
+import { TEXT_BOX_INSETS } from '../src/text-fit.js';
+import { loadDeck, build, runTexts, paragraphRuns, shapeWithText } from './helpers.js';
+
+const math = body => `<math xmlns="http://www.w3.org/1998/Math/MathML">${body}</math>`;
+
+test('mathmlToOmml converts fractions, scripts and roots', () => {
+    const omml = mathmlToOmml(math('<mfrac><mi>a</mi><mi>b</mi></mfrac>'));
+    assert.match(omml, /^<m:oMath>/);
+    assert.match(omml, /<m:f><m:num>.*<m:t[^>]*>a<\/m:t>.*<\/m:num><m:den>.*<m:t[^>]*>b<\/m:t>.*<\/m:den><\/m:f>/);
+    assert.match(mathmlToOmml(math('<msup><mi>x</mi><mn>2</mn></msup>')), /<m:sSup>/);
+    assert.match(mathmlToOmml(math('<msqrt><mi>x</mi></msqrt>')), /<m:rad>/);
+});
+
+test('checkMathml reports what cannot be converted', () => {
+    assert.deepEqual(checkMathml(math('<mi>x</mi>')), { ok: true });
+    assert.deepEqual(checkMathml(math('<mglyph/>')), { ok: false, error: 'unsupported MathML element <mglyph>' });
+    assert.equal(checkMathml('<mrow/>').ok, false);
+    assert.equal(checkMathml(math('<mfrac><mi>a</mi></mfrac>')).ok, false);
+});
+
+test('prepareEquations collects display and inline formulas by id', async () => {
+    const equations = prepareEquations(await loadDeck());
+    assert.deepEqual([...equations.keys()].sort(), [1, 2]);
+    assert.equal(equations.get(1).math.tex, 'x^2');
+    assert.ok(equations.get(2).ok);
+});
+
+test('replaceMathTokens puts equations in place of the tokens', () => {
+    const equations = new Map([[1, { math: { tex: 'x', mathml: math('<mi>x</mi>') }, ok: true }]]);
+    const xml = `<a:p><a:r><a:rPr sz="1800"/><a:t>a ${mathToken(1)} b</a:t></a:r></a:p>`;
+    const result = replaceMathTokens(xml, equations);
+    assert.doesNotMatch(result, /pptx-math/);
+    assert.match(result, /<a:t>a <\/a:t>.*<m:oMath .*<m:t[^>]*>x<\/m:t>.*<a:t> b<\/a:t>/);
+});
+
+test('formulas that fail fall back to their TeX', () => {
+    const equations = new Map([[1, { math: { tex: 'x &lt; y', mathml: math('<mglyph/>') }, ok: false }]]);
+    const result = replaceMathTokens(`<a:p><a:r><a:t>${mathToken(1)}</a:t></a:r></a:p>`, equations);
+    assert.equal(result, '<a:p><a:r><a:t>x &amp;lt; y</a:t></a:r></a:p>');
+});
+
+test('formulas drawn as pictures leave blank space in the text', () => {
+    const equations = new Map([[1, { math: { tex: 'x', mathml: '', position: { x: 0, y: 0, w: 0.5, h: 0.2 } }, ok: false }]]);
+    const result = replaceMathTokens(`<a:p><a:r><a:rPr sz="1800"/><a:t>${mathToken(1)}</a:t></a:r></a:p>`,
+        equations, new Set([1]));
+    // 0.5 in = 36 pt at 18 pt type, a quarter em per space
+    assert.equal(result, `<a:p><a:r><a:rPr sz="1800"/><a:t>${' '.repeat(8)}</a:t></a:r></a:p>`);
+});
+
+test('decks get native equations, display formulas as equation paragraphs', async () => {
+    const { pptx, warnings } = await build(await loadDeck());
+    assert.deepEqual(warnings, []);
+    const inline = await pptx.slide(3);
+    assert.match(inline, /<m:oMath xmlns:m=[^>]*>.*<m:sSup>/);
+    assert.doesNotMatch(inline, /pptx-math|<p:pic>/);
+    assert.match(await pptx.slide(6), /<m:oMathPara .*<m:f>/);
+});
+
+// Deck whose inline formula fails to convert and has a picture
+async function failedFormulaDeck() {
+    const deck = await loadDeck();
+    const paragraph = deck.slides[2].elements[2];
+    const formula = paragraph.text[1].math;
+    formula.mathml = math('<mglyph/>');
+    formula.image = deck.slides[3].elements[1].src;
+    return { deck, paragraph, formula };
+}
+
+test('failed inline formulas in normalized text keep their TeX', async () => {
+    const { deck, formula } = await failedFormulaDeck();
+    formula.position = { x: 1.6, y: 3.15, w: 0.4, h: 0.3 };
+
+    const { pptx, warnings, diagnostics } = await build(deck);
+    assert.match(warnings[0], /^1 of 2 formulas could not be converted/);
+    const xml = await pptx.slide(3);
+    assert.doesNotMatch(xml, /<p:pic>|<m:oMath/);
+    assert.ok(runTexts(xml).includes('x^2'));
+    assert.deepEqual(diagnostics, [{
+        slide: 3, kind: 'approximated', element: 'paragraph', selector: null,
+        message: 'Formula x^2 is TeX text, not an equation'
+    }]);
+});
+
+test('failed inline formulas in fidelity mode become pictures on the room left in the text', async () => {
+    const { deck, paragraph, formula } = await failedFormulaDeck();
+    // The formula starts the paragraph, 0.5 in wide at 18 pt type
+    paragraph.style = { fontSize: 18 };
+    paragraph.text.shift();
+    formula.position = { x: 0.6, y: 3.1, w: 0.5, h: 0.3 };
+
+    const { pptx, diagnostics } = await build(deck, { styleMode: 'fidelity' });
+    const xml = await pptx.slide(3);
+    assert.equal(xml.match(/<p:pic>/g).length, 1);
+    assert.match(xml, /<p:pic>.*descr="x\^2"/);
+    assert.doesNotMatch(xml, /<m:oMath/);
+    assert.equal(diagnostics[0].message, 'Formula x^2 is a picture, not an equation');
+
+    // The text starts with the room for the picture: 8 quarter-em spaces, 0.5 in
+    const shape = shapeWithText(xml, ' is inline.');
+    const [gap] = paragraphRuns(shape)[0];
+    assert.equal(gap.text, '\u00A0'.repeat(8));
+    assert.equal(gap.text.length * 0.25 * 18 / 72, formula.position.w);
+
+    // and the picture sits on it, where the text box's insets put the start of the text
+    const emu = inches => Math.round(inches * 914400);
+    const [, boxX, boxY] = shape.match(/<a:off x="(\d+)" y="(\d+)"/).map(Number);
+    const [, picX, picY, picW] = xml.match(/<p:pic>[\s\S]*?<a:off x="(\d+)" y="(\d+)"\/>\s*<a:ext cx="(\d+)"/).map(Number);
+    assert.equal(picX, boxX + emu(TEXT_BOX_INSETS.x));
+    assert.equal(picY, boxY + emu(TEXT_BOX_INSETS.y));
+    assert.equal(picW, emu(formula.position.w));
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDeck, build, runTexts } from './helpers.js';
+
+const notesText = async (pptx, number) => runTexts(await pptx.part(`ppt/notesSlides/notesSlide${number}.xml`))[0];
+
+test('speaker notes go to the notes page of their slide', async () => {
+    const { pptx } = await build(await loadDeck());
+    assert.equal(await notesText(pptx, 3), 'Speaker notes for the basics slide');
+    assert.equal(await notesText(pptx, 2), '');
+});
+
+test('notes keep their line breaks and special characters', async () => {
+    const deck = await loadDeck();
+    deck.slides[2].notes = 'First point\n\nSecond <point> & more';
+    const { pptx } = await build(deck);
+    assert.equal(await notesText(pptx, 3), 'First point\r\n\r\nSecond &lt;point&gt; &amp; more');
+});
+
+test('continuation slides do not repeat the notes', async () => {
+    const deck = await loadDeck();
+    const list = deck.slides[2].elements[1];
+    list.items = Array.from({ length: 30 }, (_, idx) => ({ text: [{ text: `Item ${idx + 1}`, options: {} }] }));
+    list.position.h = 10;
+    const { pptx, slides } = await build(deck, { fit: 'split' });
+    assert.equal(slides[3].continued, true);
+    assert.equal(await notesText(pptx, 3), 'Speaker notes for the basics slide');
+    assert.equal(await notesText(pptx, 4), '');
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_CONTINUATIONS } from '../src/text-fit.js';
+import { loadDeck, build, runTexts } from './helpers.js';
+
+// The fixture deck with the media slide (slide 4) holding only its title and one long element
+async function longElementDeck(type, count) {
+    const deck = await loadDeck();
+    const media = deck.slides[3];
+    const element = media.elements.find(candidate => candidate.type === type);
+    if (type === 'code') {
+        element.code = Array.from({ length: count }, (_, idx) => `line(${idx + 1});`).join('\n');
+        element.tokens = [{ text: element.code }];
+    } else {
+        element.caption = null;
+        element.rows = [
+            element.rows[0],
+            ...Array.from({ length: count }, (_, idx) => [{ text: `row ${idx + 1}` }, { text: String(idx + 1) }])
+        ];
+    }
+    media.elements = [media.elements[0], element];
+    return deck;
+}
+
+// Texts of slides first..last matching a pattern, per slide
+async function slideTexts(pptx, first, last, pattern) {
+    const texts = [];
+    for (let number = first; number <= last; number++) {
+        texts.push(runTexts(await pptx.slide(number)).filter(text => pattern.test(text)));
+    }
+    return texts;
+}
+
+test('long listings continue on the next slides at their preferred font size', async () => {
+    const { pptx, diagnostics, slides } = await build(await longElementDeck('code', 60), { lineNumbers: true });
+    const added = slides.filter(slide => slide.continued).length;
+    assert.ok(added > 0);
+    assert.equal(pptx.slideCount, 6 + added);
+
+    const last = 4 + added;
+    const lines = await slideTexts(pptx, 4, last, /^line\(/);
+    assert.deepEqual(lines.flat(), Array.from({ length: 60 }, (_, idx) => `line(${idx + 1});`));
+    // Line numbers go on counting
+    const numbers = await slideTexts(pptx, 4, last, /^\s*\d+ $/);
+    assert.deepEqual(numbers.flat().map(Number), Array.from({ length: 60 }, (_, idx) => idx + 1));
+
+    assert.deepEqual(await slideTexts(pptx, 5, last, /^Media/), Array(added).fill(['Media (cont.)']));
+    assert.ok(diagnostics.every(diagnostic => diagnostic.message === 'Moved to a continuation slide'),
+        diagnostics.map(diagnostic => diagnostic.message).join('\n'));
+});
+
+test('long tables continue on the next slides with their header row', async () => {
+    const { pptx, warnings } = await build(await longElementDeck('table', 30));
+    const added = pptx.slideCount - 6;
+    assert.ok(added > 0);
+    assert.equal(warnings.length, added);
+
+    const headers = await slideTexts(pptx, 4, 4 + added, /^(Name|Value)$/);
+    assert.deepEqual(headers, Array(added + 1).fill(['Name', 'Value']));
+    const rows = await slideTexts(pptx, 4, 4 + added, /^row /);
+    assert.deepEqual(rows.flat(), Array.from({ length: 30 }, (_, idx) => `row ${idx + 1}`));
+});
+
+test('listings too long for the continuation slides are reported', async () => {
+    const { pptx, warnings, diagnostics } = await build(await longElementDeck('code', 1000));
+    assert.equal(pptx.slideCount, 6 + MAX_CONTINUATIONS);
+    assert.match(warnings[warnings.length - 1], new RegExp(`^Slide ${4 + MAX_CONTINUATIONS}: content still does not fit ` +
+        `after ${MAX_CONTINUATIONS} continuation slides \\(code\\), left on the last one$`));
+    const leftOver = diagnostics.filter(diagnostic => diagnostic.message.startsWith('Still'));
+    assert.deepEqual(leftOver.map(diagnostic => [diagnostic.slide, diagnostic.kind, diagnostic.message]),
+        [[4 + MAX_CONTINUATIONS, 'clamped', `Still does not fit after ${MAX_CONTINUATIONS} continuation slides`]]);
+});
+
+test('fit none leaves long listings on their slide', async () => {
+    const { pptx, warnings, diagnostics } = await build(await longElementDeck('code', 60), { fit: 'none' });
+    assert.equal(pptx.slideCount, 6);
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(diagnostics.map(diagnostic => diagnostic.kind), ['clamped']);
+    assert.match(diagnostics[0].message, /^Font reduced from \d+ to \d+(\.5)? pt to fit the box/);
+});
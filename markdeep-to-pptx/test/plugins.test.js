@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { loadPlugins, resolvePluginPath, pluginExtractors, pluginRenderers } from '../src/plugins.js';
+import { validateSlideData } from '../src/slide-schema.js';
+import { FIXTURES_DIR, loadDeck, build, runTexts } from './helpers.js';
+
+const PLUGIN_PATH = path.join(FIXTURES_DIR, 'timeline-plugin.js');
+
+// Deck with a timeline on the media slide
+async function timelineDeck(events) {
+    const deck = await loadDeck();
+    deck.slides[3].elements.push({ type: 'timeline', events, position: { x: 7, y: 1.4, w: 2.5, h: 0.5 } });
+    return deck;
+}
+
+const element = (fields = {}) => ({ type: 'timeline', selector: 'div.timeline', extract() {}, render() {}, ...fields });
+
+test('plugins load from module paths relative to a directory', async () => {
+    const [plugin] = await loadPlugins(['./timeline-plugin.js'], FIXTURES_DIR);
+    assert.equal(plugin.name, 'timeline');
+    assert.equal(resolvePluginPath('./timeline-plugin.js', FIXTURES_DIR), PLUGIN_PATH);
+    assert.equal(resolvePluginPath('markdeep-timeline', FIXTURES_DIR), 'markdeep-timeline');
+
+    const [extractor] = pluginExtractors([plugin]);
+    assert.deepEqual({ ...extractor, source: undefined }, { type: 'timeline', selector: 'div.timeline', source: undefined });
+    assert.match(extractor.source, /^extract\(el\) \{/);
+    assert.equal(pluginRenderers([plugin]).get('timeline').plugin, 'timeline');
+});
+
+test('plugins of the wrong shape are rejected', async () => {
+    const rejects = (plugin, message) => assert.rejects(loadPlugins([plugin]), { message });
+    await rejects({ elements: [element()] }, 'Plugin object has no name');
+    await rejects({ name: 'x', elements: [] }, 'Plugin "x" defines no elements');
+    await rejects({ name: 'x', elements: [element({ type: 'has space' })] }, 'Plugin "x" has an element without a valid type name');
+    await rejects({ name: 'x', elements: [element({ type: 'table' })] }, /^Element type "table" of plugin "x" is a built-in element type/);
+    await rejects({ name: 'x', elements: [element({ selector: '' })] }, 'Element type "timeline" of plugin "x" has no selector');
+    await rejects({ name: 'x', elements: [element({ render: null })] }, 'Element type "timeline" of plugin "x" has no render function');
+    await rejects({ name: 'x', elements: [element({ schema: 'any' })] }, 'Element type "timeline" of plugin "x" has a schema that is not an object');
+    await assert.rejects(loadPlugins([PLUGIN_PATH, { name: 'other', elements: [element()] }]), {
+        message: 'Plugin "other" defines element type "timeline", which plugin "timeline" already defines'
+    });
+    await assert.rejects(loadPlugins(['./missing-plugin.js'], FIXTURES_DIR), /^Error: Could not load plugin \.\/missing-plugin\.js \(/);
+});
+
+test('plugin element types are validated with their schema', async () => {
+    const plugins = await loadPlugins([PLUGIN_PATH]);
+    const deck = await timelineDeck(['Plan', 'Build']);
+    assert.deepEqual(validateSlideData(deck, { plugins }), []);
+    assert.match(validateSlideData(deck)[0], /^slides\[3\]\.elements\[4\]\.type: unknown type "timeline"/);
+
+    delete deck.slides[3].elements[4].events;
+    assert.deepEqual(validateSlideData(deck, { plugins }), ['slides[3].elements[4]: missing events']);
+});
+
+test('plugin renderers draw their elements', async () => {
+    const plugins = await loadPlugins([PLUGIN_PATH]);
+    const { pptx, diagnostics } = await build(await timelineDeck(['Plan', 'Build']), { plugins });
+    assert.ok(runTexts(await pptx.slide(4)).includes('Plan → Build'));
+    assert.deepEqual(diagnostics, []);
+});
+
+test('a failing renderer skips only its element', async () => {
+    const plugins = await loadPlugins([PLUGIN_PATH]);
+    const { pptx, warnings, diagnostics } = await build(await timelineDeck([]), { plugins });
+    assert.deepEqual(warnings, ['Slide 4: plugin "timeline" could not render "timeline" (no events)']);
+    assert.deepEqual(diagnostics, [{
+        slide: 4, kind: 'skipped', element: 'timeline', selector: null,
+        message: 'Plugin "timeline" could not render it (no events)'
+    }]);
+    assert.ok(runTexts(await pptx.slide(4)).includes('Media'));
+});
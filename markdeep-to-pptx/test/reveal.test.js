@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { REVEAL_MODES, revealShapeName, slideRevealSteps, expandRevealSteps, applyRevealAnimations } from '../src/reveal.js';
+import { loadDeck, build, paragraphRuns, runTexts, shapeNames } from './helpers.js';
+
+// The fixture deck with the items of the basics slide's list (slide 3) revealed one click each
+async function steppedListDeck() {
+    const deck = await loadDeck();
+    const [, list] = deck.slides[2].elements;
+    list.items.forEach((item, idx) => { item.step = idx + 1; });
+    // A line break within an item stays within its paragraph
+    list.items[0].text = [{ text: 'Plain', options: {} }, { text: '\n', options: {} }, { text: 'item', options: {} }];
+    return deck;
+}
+
+// XML of the shape with the given id
+function shapeById(xml, id) {
+    return xml.split('<p:sp>').slice(1).find(shape => shape.includes(`<p:cNvPr id="${id}" `));
+}
+
+test('list items are revealed paragraph by paragraph', async () => {
+    const { pptx } = await build(await steppedListDeck(), { reveal: 'appear' });
+    const xml = await pptx.slide(3);
+
+    const targets = [...xml.matchAll(/<p:spTgt spid="(\d+)"><p:txEl><p:pRg st="(\d+)" end="(\d+)"\/>/g)]
+        .map(([, id, st, end]) => ({ id, st: Number(st), end: Number(end) }));
+    assert.deepEqual(targets.map(({ st, end }) => [st, end]), [[0, 0], [1, 1], [2, 2], [3, 3]]);
+    assert.equal(new Set(targets.map(({ id }) => id)).size, 1);
+    assert.match(xml, new RegExp(`<p:bldP spid="${targets[0].id}" grpId="0" build="p"/>`));
+
+    // Every animated paragraph exists, and holds its item
+    const paragraphs = paragraphRuns(shapeById(xml, targets[0].id));
+    assert.ok(paragraphs.length >= Math.max(...targets.map(({ end }) => end)) + 1);
+    assert.deepEqual(paragraphs.map(runs => runs.map(run => run.text).join('')),
+        ['• Plainitem', '• Bold and italic', '    • Nested item', '• Example site and media slide']);
+    assert.match(shapeById(xml, targets[0].id), /<a:t>Plain<\/a:t><\/a:r><a:br\/>/);
+});
+
+test('steps are collected from elements and list items', async () => {
+    const deck = await steppedListDeck();
+    deck.slides[2].elements[2].step = 2;
+    assert.deepEqual(slideRevealSteps(deck.slides[2]), [1, 2, 3, 4]);
+    assert.deepEqual(slideRevealSteps(deck.slides[3]), []);
+    assert.equal(revealShapeName('list', [1, 2, 0]), 'list [reveal 1,2,0]');
+    assert.equal(revealShapeName('image', 3), 'image [reveal 3]');
+});
+
+test('the slides mode shows the steps on slides of their own', async () => {
+    const deck = await loadDeck();
+    const [, list, paragraph] = deck.slides[2].elements;
+    list.items[2].step = 1;
+    paragraph.step = 2;
+
+    const expanded = expandRevealSteps(deck);
+    assert.equal(expanded.slides.length, 8);
+    const steps = expanded.slides.slice(2, 5);
+    assert.deepEqual(steps.map(slide => [slide.id, slide.revealStep]), [['basics', 0], [null, 1], [null, 2]]);
+    assert.deepEqual(steps.map(slide => slide.elements.map(element => element.type)),
+        [['heading', 'list'], ['heading', 'list'], ['heading', 'list', 'paragraph']]);
+    assert.deepEqual(steps.map(slide => slide.elements[1].items.length), [3, 4, 4]);
+    // Links to the following slides are renumbered
+    assert.deepEqual(steps[0].metadata.navLinks, [{ slide: 1 }, { slide: 6 }]);
+
+    const { pptx } = await build(deck, { reveal: 'slides' });
+    assert.equal(pptx.slideCount, 8);
+    assert.ok(!(await pptx.slide(3)).includes('<p:timing>'));
+    assert.ok(runTexts(await pptx.slide(5)).includes(' is inline.'));
+    assert.ok(!runTexts(await pptx.slide(4)).includes(' is inline.'));
+});
+
+test('elements revealed on a click appear or fade in', async () => {
+    const deck = await loadDeck();
+    deck.slides[3].elements[1].step = 1;    // Image
+    deck.slides[3].elements[3].step = 2;    // Table
+
+    const appear = await (await build(deck)).pptx.slide(4);
+    assert.ok(shapeNames(appear).includes('image [reveal 1]'));
+    assert.equal((appear.match(/<p:cond delay="indefinite"\/>/g) || []).length, 2);
+    // The table appears with its caption
+    assert.equal((appear.match(/presetID="1" presetClass="entr"/g) || []).length, 3);
+    assert.equal((appear.match(/nodeType="clickEffect"/g) || []).length, 2);
+    assert.equal((appear.match(/nodeType="withEffect"/g) || []).length, 1);
+    assert.match(appear, /<p:bldGraphic spid="\d+" grpId="0"><p:bldAsOne\/><\/p:bldGraphic>/);
+    assert.doesNotMatch(appear, /<p:animEffect/);
+
+    const fade = await (await build(deck, { reveal: 'fade' })).pptx.slide(4);
+    assert.equal((fade.match(/presetID="10" presetClass="entr"/g) || []).length, 3);
+    assert.match(fade, /<p:animEffect transition="in" filter="fade"><p:cBhvr><p:cTn id="\d+" dur="500"\/>/);
+
+    const none = await (await build(deck, { reveal: 'none' })).pptx.slide(4);
+    assert.doesNotMatch(none, /<p:timing>|\[reveal /);
+});
+
+test('shapes without reveal steps are left alone', () => {
+    const xml = '<p:sld><p:cSld><p:spTree><p:sp><p:nvSpPr><p:cNvPr id="2" name="Text 0"/></p:nvSpPr></p:sp>' +
+        '</p:spTree></p:cSld></p:sld>';
+    assert.equal(applyRevealAnimations(xml, 'appear'), xml);
+    assert.deepEqual(REVEAL_MODES, ['appear', 'fade', 'slides', 'none']);
+});
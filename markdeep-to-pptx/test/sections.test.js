@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDeck, build } from './helpers.js';
+
+// Sections of the presentation with the positions (1-based) of their slides
+async function sections(pptx) {
+    const xml = await pptx.part('ppt/presentation.xml');
+    const ids = [...xml.matchAll(/<p:sldId id="(\d+)"/g)].map(match => match[1]);
+    return [...xml.matchAll(/<p14:section name="([^"]*)"[^>]*>(.*?)<\/p14:section>/g)].map(([, name, body]) =>
+        [name, [...body.matchAll(/<p14:sldId id="(\d+)"/g)].map(match => ids.indexOf(match[1]) + 1)]);
+}
+
+test('each H1 section slide starts a section named after its chapter', async () => {
+    const { pptx } = await build(await loadDeck());
+    assert.deepEqual(await sections(pptx), [
+        ['Test Deck', [1]],
+        ['Chapter One', [2, 3, 4]],
+        ['Chapter Two', [5, 6]]
+    ]);
+});
+
+test('repeated chapter names get a counter', async () => {
+    const deck = await loadDeck();
+    deck.slides[4].elements[0].text = [{ text: 'Chapter One', options: {} }];
+    const { pptx } = await build(deck);
+    assert.deepEqual((await sections(pptx)).map(([name]) => name), ['Test Deck', 'Chapter One', 'Chapter One (2)']);
+});
+
+test('decks without H1 section slides have no sections', async () => {
+    const deck = await loadDeck();
+    deck.slides = deck.slides.filter(slide => !slide.metadata.isH1TitleSlide);
+    deck.slides.forEach((slide, idx) => { slide.index = idx; });
+    const { pptx } = await build(deck);
+    assert.deepEqual(await sections(pptx), []);
+});
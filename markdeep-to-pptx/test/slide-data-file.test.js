@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { convert } from '../src/api.js';
+import { SCHEMA_VERSION, SlideDataError, writeSlideDataFile, readSlideDataFile, isSlideDataFile } from '../src/slide-schema.js';
+import { loadDeck, openPptx } from './helpers.js';
+
+// Run a test with a temporary directory
+async function withTempDir(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'markdeep-json-'));
+    try {
+        return await fn(dir);
+    } finally {
+        await fs.rm(dir, { recursive: true });
+    }
+}
+
+test('slide data survives a round trip through a file', () => withTempDir(async (dir) => {
+    const deck = await loadDeck();
+    delete deck.schemaVersion;
+    const file = path.join(dir, 'deck.slides.json');
+    await writeSlideDataFile(deck, file);
+
+    const read = await readSlideDataFile(file);
+    assert.equal(read.schemaVersion, SCHEMA_VERSION);
+    assert.deepEqual({ ...read, schemaVersion: undefined }, { ...deck, schemaVersion: undefined });
+
+    // Converting the saved data gives the same presentation
+    const fromFile = await openPptx((await convert(file)).buffer);
+    const fromObject = await openPptx((await convert(deck)).buffer);
+    assert.equal(await fromFile.slide(3), await fromObject.slide(3));
+}));
+
+test('files of another version, or without one, are rejected', () => withTempDir(async (dir) => {
+    const deck = await loadDeck();
+    const file = path.join(dir, 'old.slides.json');
+
+    await fs.writeFile(file, JSON.stringify({ ...deck, schemaVersion: SCHEMA_VERSION + 1 }));
+    await assert.rejects(readSlideDataFile(file), (error) => {
+        assert.ok(error instanceof SlideDataError);
+        assert.deepEqual(error.errors, [`${file} was written for slide data version ${SCHEMA_VERSION + 1}, ` +
+            `this converter reads version ${SCHEMA_VERSION}; export it again with --emit-json`]);
+        return true;
+    });
+    // Slide data objects are checked too
+    await assert.rejects(convert({ ...deck, schemaVersion: SCHEMA_VERSION + 1 }), {
+        errors: [`schemaVersion: slide data has version ${SCHEMA_VERSION + 1}, this converter reads version ${SCHEMA_VERSION}`]
+    });
+
+    delete deck.schemaVersion;
+    await fs.writeFile(file, JSON.stringify(deck));
+    await assert.rejects(readSlideDataFile(file), {
+        errors: [`${file} has no schemaVersion; export it again with --emit-json`]
+    });
+
+    await fs.writeFile(file, '{');
+    await assert.rejects(readSlideDataFile(file), { message: new RegExp(`^Could not read slide data file ${file} \\(`) });
+}));
+
+test('.json inputs are read as slide data, other names with fromJson', () => withTempDir(async (dir) => {
+    assert.equal(isSlideDataFile('talk.slides.json'), true);
+    assert.equal(isSlideDataFile('talk.JSON'), true);
+    assert.equal(isSlideDataFile('talk.html'), false);
+
+    const file = path.join(dir, 'deck.txt');
+    await writeSlideDataFile(await loadDeck(), file);
+    const { slideData } = await convert(file, { fromJson: true });
+    assert.equal(slideData.slides.length, 6);
+}));
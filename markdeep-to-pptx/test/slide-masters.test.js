@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDeck, build, runTexts } from './helpers.js';
+
+// Name of the layout (master) each slide uses
+async function layoutNames(pptx) {
+    const names = [];
+    for (let number = 1; number <= pptx.slideCount; number++) {
+        const layout = (await pptx.slideRels(number)).match(/slideLayouts\/(slideLayout\d+\.xml)/)[1];
+        names.push((await pptx.part(`ppt/slideLayouts/${layout}`)).match(/<p:cSld name="([^"]*)"/)[1]);
+    }
+    return names;
+}
+
+// Texts of the placeholder shape of some type
+function placeholderTexts(xml, type) {
+    const shape = xml.match(new RegExp(`<p:sp>(?:(?!<\\/p:sp>)[\\s\\S])*<p:ph\\s+idx="\\d+"\\s+type="${type}"(?:(?!<\\/p:sp>)[\\s\\S])*<\\/p:sp>`));
+    return shape ? runTexts(shape[0]) : null;
+}
+
+test('slides use the master of their kind', async () => {
+    const { pptx } = await build(await loadDeck());
+    assert.deepEqual(await layoutNames(pptx), ['Markdeep Title', 'Markdeep Section', 'Markdeep Content',
+        'Markdeep Content', 'Markdeep Section', 'Markdeep Content']);
+});
+
+test('slides without chapters use masters without the navigation bar', async () => {
+    const deck = await loadDeck();
+    delete deck.slides[3].metadata.navChapters;
+    deck.slides[5].elements[0] = { ...deck.slides[5].elements[0], text: [{ text: '目录', options: {} }] };
+    deck.slides[5].elements = deck.slides[5].elements.slice(0, 1);
+    deck.slides[2].elements.shift();
+    const { pptx } = await build(deck);
+    const names = await layoutNames(pptx);
+    assert.deepEqual(names.slice(2), ['Markdeep Blank', 'Markdeep Content (No Nav)', 'Markdeep Section', 'Markdeep TOC']);
+
+    // The navigation bar is drawn by the master
+    const layouts = await Promise.all(pptx.parts(/^ppt\/slideLayouts\/slideLayout\d+\.xml$/).map(part => pptx.part(part)));
+    const navBar = /<a:off x="0" y="0"\/><a:ext cx="9144000" cy="320040"\/>/;
+    assert.match(layouts.find(xml => xml.includes('name="Markdeep Blank"')), navBar);
+    assert.doesNotMatch(layouts.find(xml => xml.includes('name="Markdeep Content (No Nav)"')), navBar);
+});
+
+test('titles, subtitles and footers fill the master placeholders', async () => {
+    const { pptx } = await build(await loadDeck());
+    const title = await pptx.slide(1);
+    assert.deepEqual(placeholderTexts(title, 'title'), ['Test Deck']);
+    assert.deepEqual(placeholderTexts(title, 'body'), ['A deck for the tests']);
+    assert.deepEqual(placeholderTexts(await pptx.slide(2), 'title'), ['Chapter One']);
+
+    const content = await pptx.slide(6);
+    assert.deepEqual(placeholderTexts(content, 'title'), ['Extras']);
+    assert.deepEqual(placeholderTexts(content, 'body'), ['Chapter Two']);
+    assert.match(content, /<p:ph type="sldNum"/);
+    assert.doesNotMatch(title, /type="sldNum"/);
+});
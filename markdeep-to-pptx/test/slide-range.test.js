@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSlideRange, checkSlideRange, selectSlides, expandSlides } from '../src/slide-range.js';
+import { loadDeck } from './helpers.js';
+
+// Slide links of a slide: in runs, navigation tabs and the TOC button
+const slideLinks = slide => ({
+    runs: JSON.stringify(slide.elements).match(/"link":\{"slide":\d+\}/g) || [],
+    nav: slide.metadata.navLinks,
+    toc: slide.metadata.tocLink
+});
+
+test('parseSlideRange reads 1-based ranges', () => {
+    assert.deepEqual(parseSlideRange('3', 10), [2]);
+    assert.deepEqual(parseSlideRange('2,4, 7-9', 10), [1, 3, 6, 7, 8]);
+    assert.deepEqual(parseSlideRange('8-', 10), [7, 8, 9]);
+    assert.deepEqual(parseSlideRange('-2,1', 10), [0, 1]);
+    assert.deepEqual(parseSlideRange('9-20', 10), [8, 9]);
+    assert.deepEqual(parseSlideRange(4, 10), [3]);
+});
+
+test('invalid slide ranges are rejected', () => {
+    assert.throws(() => parseSlideRange('11', 10), { message: 'Slide range "11" is outside the deck (10 slides)' });
+    assert.throws(() => checkSlideRange('a-b'), { message: 'Invalid slide range "a-b" (expected e.g. 3, 1-5, 10-)' });
+    assert.throws(() => checkSlideRange('5-2'), { message: 'Invalid slide range "5-2"' });
+    assert.throws(() => checkSlideRange('0'), { message: 'Invalid slide range "0"' });
+    assert.throws(() => checkSlideRange(' , '), { message: 'Empty slide range " , "' });
+});
+
+test('selectSlides renumbers the slides and the links between them', async () => {
+    const deck = await loadDeck();
+    const selected = selectSlides(deck, [2, 3, 4]);
+    assert.deepEqual(selected.slides.map(slide => [slide.index, slide.sourceIndex, slide.id]),
+        [[0, 2, 'basics'], [1, 3, 'media'], [2, 4, 'chapter-two']]);
+
+    // Links to kept slides follow them, links to dropped slides are removed
+    assert.deepEqual(slideLinks(selected.slides[0]), {
+        runs: ['"link":{"slide":1}'],
+        nav: [null, { slide: 2 }],
+        toc: null
+    });
+    const dropped = selected.slides[0].elements[1].items[3].text;
+    assert.deepEqual(dropped.map(run => run.link), [{ url: 'https://example.com/' }, undefined, { slide: 1 }]);
+
+    // The deck itself is left alone
+    assert.deepEqual(slideLinks(deck.slides[2]).nav, [{ slide: 1 }, { slide: 4 }]);
+});
+
+test('selecting from a selection keeps the original position', async () => {
+    const deck = await loadDeck();
+    const selected = selectSlides(selectSlides(deck, [2, 3, 4]), [1]);
+    assert.equal(selected.slides[0].sourceIndex, 3);
+});
+
+test('expandSlides points links at the first slide replacing their target', async () => {
+    const deck = await loadDeck();
+    const expanded = expandSlides(deck, (slide, index) =>
+        index === 1 ? [slide, { ...slide, id: 'chapter-one-2' }] : [slide]);
+    assert.equal(expanded.slides.length, 7);
+    assert.deepEqual(expanded.slides.map(slide => slide.index), [0, 1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(slideLinks(expanded.slides[3]), {
+        runs: ['"link":{"slide":4}'],
+        nav: [{ slide: 1 }, { slide: 5 }],
+        toc: { slide: 0 }
+    });
+});
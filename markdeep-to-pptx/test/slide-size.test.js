@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FRAME_WIDTH, DEFAULT_SLIDE_SIZE, parseSlideSize, resolveSlideSize, layoutFrame, viewportFor,
+    fitSlidesToFrame } from '../src/slide-size.js';
+import { loadDeck, build, shapeWithText } from './helpers.js';
+
+const EMU_PER_INCH = 914400;
+
+// Page size written into presentation.xml (in)
+async function pageSize(pptx) {
+    const [, cx, cy] = (await pptx.part('ppt/presentation.xml')).match(/<p:sldSz cx="(\d+)" cy="(\d+)"/);
+    return { width: Number(cx) / EMU_PER_INCH, height: Number(cy) / EMU_PER_INCH };
+}
+
+test('slide sizes are ratios or dimensions', () => {
+    assert.deepEqual(parseSlideSize('4:3'), { width: 10, height: 7.5 });
+    assert.deepEqual(parseSlideSize(' 16 : 10 '), { width: 10, height: 6.25 });
+    assert.deepEqual(parseSlideSize('13.33x7.5in'), { width: 13.33, height: 7.5 });
+    assert.deepEqual(parseSlideSize('13.33×7.5'), { width: 13.33, height: 7.5 });
+    const cm = parseSlideSize('25.4x19.05cm');
+    assert.ok(Math.abs(cm.width - 10) < 1e-9 && Math.abs(cm.height - 7.5) < 1e-9);
+    assert.deepEqual(parseSlideSize('254X190.5mm'), { width: 10, height: 7.5 });
+    assert.deepEqual(parseSlideSize({ width: 12, height: 9 }), { width: 12, height: 9 });
+});
+
+test('malformed or oversized slide sizes are rejected', () => {
+    const invalid = (value, description = value) => assert.throws(() => parseSlideSize(value), {
+        message: `Invalid slide size "${description}" (expected a ratio such as 4:3 or dimensions such as 13.33x7.5in)`
+    });
+    invalid('huge');
+    invalid('4:0');
+    invalid('10x7.5pt');
+    invalid({ width: '10' }, '{"width":"10"}');
+
+    assert.throws(() => parseSlideSize('100x50in'), {
+        message: 'Slide size "100x50in" is outside PowerPoint\'s limits (1 to 56 inches per side)'
+    });
+    assert.throws(() => parseSlideSize('40:1'), /outside PowerPoint's limits/);
+});
+
+test('the page size defaults to the deck\'s dimensions', () => {
+    const dimensions = { width: 10, height: 7.5 };
+    assert.equal(resolveSlideSize({ dimensions }), dimensions);
+    assert.equal(resolveSlideSize({}), DEFAULT_SLIDE_SIZE);
+    assert.deepEqual(resolveSlideSize({ dimensions }, { width: 20, height: 10 }), { width: 20, height: 10 });
+});
+
+test('layout frames and viewports keep the aspect ratio', () => {
+    assert.deepEqual(layoutFrame({ width: 20, height: 10 }), { width: FRAME_WIDTH, height: 5, scale: 2 });
+    assert.deepEqual(layoutFrame({ width: 10, height: 7.5 }), { width: 10, height: 7.5, scale: 1 });
+    assert.deepEqual(viewportFor({ width: 10, height: 7.5 }), { width: 1920, height: 1440 });
+    assert.deepEqual(viewportFor(DEFAULT_SLIDE_SIZE), { width: 1920, height: 1080 });
+});
+
+test('slides are scaled and centered into frames of another aspect ratio', async () => {
+    const deck = await loadDeck();
+    assert.equal(fitSlidesToFrame(deck, { width: 10, height: 5.625 }), deck);
+
+    // 16:9 into 2:1: scaled to the frame height, centered horizontally
+    const fitted = fitSlidesToFrame(deck, { width: 10, height: 5 });
+    const scale = 5 / 5.625;
+    const offsetX = (10 - 10 * scale) / 2;
+    assert.deepEqual(fitted.dimensions, { width: 10, height: 5 });
+    assert.equal(fitted.aspectRatio, 2);
+
+    const [, list] = fitted.slides[2].elements;
+    const [, original] = deck.slides[2].elements;
+    const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+    close(list.position.x, original.position.x * scale + offsetX);
+    close(list.position.w, original.position.w * scale);
+    close(list.position.y, original.position.y * scale);
+
+    const [, , , table] = fitted.slides[3].elements;
+    table.columnWidths.forEach(width => close(width, 3 * scale));
+    const diagram = fitted.slides[5].elements.find(element => element.type === 'diagram');
+    const [a, , , d, e, f] = diagram.primitives[0].matrix;
+    [[a, 0.01 * scale], [d, 0.01 * scale], [e, 1 * scale + offsetX], [f, 3.4 * scale]].forEach(([value, expected]) => close(value, expected));
+});
+
+test('the page size of the presentation can be overridden', async () => {
+    const deck = await loadDeck();
+    assert.deepEqual(await pageSize((await build(deck)).pptx), { width: 10, height: 5.625 });
+    assert.deepEqual(await pageSize((await build(deck, { size: '4:3' })).pptx), { width: 10, height: 7.5 });
+
+    const { pptx } = await build(deck, { size: '20x11.25in' });
+    assert.deepEqual(await pageSize(pptx), { width: 20, height: 11.25 });
+    // Slides are drawn in the 10 inch frame and scaled to the page
+    const titleBox = async (presentation) => {
+        const title = shapeWithText(await presentation.slide(3), 'Basics');
+        return title.match(/<a:xfrm><a:off x="(\d+)" y="(\d+)"\/><a:ext cx="(\d+)" cy="(\d+)"\/>/).slice(1).map(Number);
+    };
+    const frameBox = await titleBox((await build(deck)).pptx);
+    (await titleBox(pptx)).forEach((value, idx) => assert.ok(Math.abs(value - 2 * frameBox[idx]) <= 2, `${value}`));
+});
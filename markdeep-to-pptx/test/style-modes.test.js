@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STYLE_MODES } from '../src/pptx-generator.js';
+import { loadDeck, build } from './helpers.js';
+
+// Text box showing some text
+const textBox = (xml, text) =>
+    xml.match(new RegExp(`<p:sp>(?:(?!<\\/p:sp>)[\\s\\S])*<a:t>${text}<\\/a:t>(?:(?!<\\/p:sp>)[\\s\\S])*<\\/p:sp>`))[0];
+
+async function styledDeck() {
+    const deck = await loadDeck();
+    deck.slides[2].elements[2].style = { fontSize: 20.3, color: 'AA0000', align: 'center', lineSpacing: 30 };
+    return deck;
+}
+
+test('normalized mode uses the theme, whatever the page styles', async () => {
+    const { pptx } = await build(await styledDeck());
+    const xml = textBox(await pptx.slide(3), ' is inline.');
+    assert.match(xml, /sz="1600"/);
+    assert.doesNotMatch(xml, /AA0000|algn="ctr"|spcPts val="3000"/);
+});
+
+test('fidelity mode keeps the computed font size, color, alignment and line spacing', async () => {
+    const { pptx } = await build(await styledDeck(), { styleMode: 'fidelity' });
+    const xml = textBox(await pptx.slide(3), ' is inline.');
+    assert.match(xml, /sz="2050"/);
+    assert.match(xml, /<a:srgbClr val="AA0000"\/><\/a:solidFill>(?:(?!<\/a:r>).)*<a:t> is inline\.<\/a:t>/);
+    assert.match(xml, /<a:pPr [^>]*algn="ctr"/);
+    assert.match(xml, /<a:lnSpc><a:spcPts val="3000"\/><\/a:lnSpc>/);
+});
+
+test('unknown style modes are rejected', async () => {
+    assert.deepEqual(STYLE_MODES, ['normalized', 'fidelity']);
+    await assert.rejects(build(await loadDeck(), { styleMode: 'exact' }), {
+        message: 'Unknown style mode "exact" (available: normalized, fidelity)'
+    });
+});
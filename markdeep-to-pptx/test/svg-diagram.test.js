@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { translateDiagram, diagramShapeName, groupDiagramShapes } from '../src/svg-diagram.js';
+import { loadDeck, build, shapeNames } from './helpers.js';
+
+const diagramOf = deck => deck.slides[5].elements.find(e => e.type === 'diagram');
+
+test('translateDiagram maps SVG primitives to shapes in slide inches', async () => {
+    const shapes = translateDiagram(diagramOf(await loadDeck()));
+    assert.deepEqual(shapes.map(shape => shape.kind), ['line', 'freeform', 'ellipse', 'text']);
+
+    const [line, freeform, ellipse, text] = shapes;
+    assert.deepEqual([line.x1, line.y1], [1, 3.4]);
+    assert.equal(freeform.x, 1);
+    assert.ok(Math.abs(freeform.y - 3.9) < 1e-9);
+    assert.ok(Math.abs(ellipse.x - 2.3) < 1e-9 && Math.abs(ellipse.w - 0.4) < 1e-9);
+    assert.equal(text.align, 'center');
+});
+
+test('arrowhead triangles become line end arrows', async () => {
+    const [line] = translateDiagram(diagramOf(await loadDeck()));
+    assert.equal(line.beginArrow, null);
+    assert.equal(line.endArrow, 'triangle');
+    // The line is extended to the tip of the triangle
+    assert.ok(Math.abs(line.x2 - 2.04) < 1e-9);
+});
+
+test('groupDiagramShapes wraps the shapes of each diagram in a group', () => {
+    const shape = (id, name, x) => `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${name}"/></p:nvSpPr>` +
+        `<p:spPr><a:xfrm><a:off x="${x}" y="0"/><a:ext cx="10" cy="10"/></a:xfrm></p:spPr></p:sp>`;
+    const xml = shape(2, 'Title', 0) + shape(3, diagramShapeName(1, 'line 1'), 100) +
+        shape(4, diagramShapeName(1, 'text 2'), 200);
+    const grouped = groupDiagramShapes(xml);
+    assert.ok(grouped.startsWith(shape(2, 'Title', 0) + '<p:grpSp>'));
+    assert.match(grouped, /<p:cNvPr id="5" name="Diagram 1"\/>/);
+    assert.match(grouped, /<a:off x="100" y="0"\/><a:ext cx="110" cy="10"\/><a:chOff x="100" y="0"\/>/);
+    assert.equal(groupDiagramShapes(shape(2, 'Title', 0)), shape(2, 'Title', 0));
+});
+
+test('diagrams become one group of native shapes', async () => {
+    const { pptx } = await build(await loadDeck());
+    const xml = await pptx.slide(6);
+    assert.equal(xml.match(/<p:grpSp>/g).length, 1);
+    const names = shapeNames(xml).filter(name => name.startsWith('Diagram'));
+    assert.deepEqual(names, ['Diagram 1', 'Diagram 1: line 1', 'Diagram 1: freeform 2',
+        'Diagram 1: ellipse 3', 'Diagram 1: text 4']);
+    assert.match(xml, /<a:tailEnd type="triangle"\/>/);
+    assert.doesNotMatch(xml, /<p:pic>/);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDeck, build, runTexts } from './helpers.js';
+
+// Rows of the first table in a slide: each cell's attributes (gridSpan, rowSpan, hMerge, vMerge), alignment and texts
+function tableCells(xml) {
+    const table = xml.match(/<a:tbl>[\s\S]*?<\/a:tbl>/)[0];
+    return [...table.matchAll(/<a:tr [^>]*>([\s\S]*?)<\/a:tr>/g)].map(([, row]) =>
+        [...row.matchAll(/<a:tc([^>]*)>([\s\S]*?)<\/a:tc>/g)].map(([, attributes, cell]) => ({
+            merge: attributes.trim(),
+            align: cell.match(/<a:pPr algn="(\w+)"/)?.[1] ?? null,
+            bold: /<a:rPr [^>]*b="1"/.test(cell),
+            texts: runTexts(cell)
+        })));
+}
+
+// Widths of the table's grid columns (EMU)
+function gridColumns(xml) {
+    return [...xml.matchAll(/<a:gridCol w="(\d+)"\/>/g)].map(match => Number(match[1]));
+}
+
+test('merged cells, run formatting and alignment carry over', async () => {
+    const { pptx } = await build(await loadDeck());
+    const rows = tableCells(await pptx.slide(4));
+
+    assert.deepEqual(rows.map(row => row.map(cell => cell.texts.join(''))), [['Name', 'Value'], ['Merged', ''], ['a', '1']]);
+    assert.equal(rows[1][0].merge, 'gridSpan="2"');
+    assert.equal(rows[1][1].merge, 'hMerge="1"');
+    assert.deepEqual(rows[0].map(cell => cell.bold), [true, true]);
+    assert.deepEqual(rows[2].map(cell => [cell.bold, cell.align]), [[true, 'ctr'], [false, 'r']]);
+});
+
+test('rowspans become vertical merges', async () => {
+    const deck = await loadDeck();
+    const [, , , table] = deck.slides[3].elements;
+    table.rows = [
+        [{ text: 'Group', rowspan: 2 }, { text: 'one' }],
+        [{ text: 'two' }],
+        [{ text: 'Other' }, { text: 'three' }]
+    ];
+    const { pptx } = await build(deck);
+    const rows = tableCells(await pptx.slide(4));
+
+    assert.deepEqual(rows.map(row => row.map(cell => cell.merge)), [['rowSpan="2"', ''], ['vMerge="1"', ''], ['', '']]);
+    assert.deepEqual(rows.map(row => row.map(cell => cell.texts.join(''))), [['Group', 'one'], ['', 'two'], ['Other', 'three']]);
+});
+
+test('column widths follow the page, scaled to the table width', async () => {
+    const deck = await loadDeck();
+    const [, , , table] = deck.slides[3].elements;
+    table.columnWidths = [1, 3];
+    let { pptx } = await build(deck);
+    assert.deepEqual(gridColumns(await pptx.slide(4)), [1371600, 4114800]);
+
+    // Widths that do not match the columns are replaced by equal ones
+    table.columnWidths = [1, 2, 3];
+    ({ pptx } = await build(deck));
+    assert.deepEqual(gridColumns(await pptx.slide(4)), [2743200, 2743200]);
+});
+
+test('captions are drawn above or below the table', async () => {
+    const captionY = async (side) => {
+        const deck = await loadDeck();
+        deck.slides[3].elements[3].caption.side = side;
+        const xml = await (await build(deck)).pptx.slide(4);
+        const shape = xml.split('<p:sp>').find(part => part.includes('Table 1: values'));
+        assert.ok(shape, `no caption (${side})`);
+        return Number(shape.match(/<a:off x="\d+" y="(\d+)"\/>/)[1]);
+    };
+    const top = await captionY('top');
+    const bottom = await captionY('bottom');
+    // The table's box is at 2.6 in and 1.4 in tall
+    assert.equal(top, 2.6 * 914400);
+    assert.ok(bottom > top + 914400, `${bottom}`);
+});
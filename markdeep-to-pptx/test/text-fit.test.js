@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTextHeight, fitScale, applyAutofitScales, autofitShapeName, splitCodeLines, tableRowGroups,
+    splitOverflowingSlides, MIN_FIT_SCALE, MAX_CONTINUATIONS, CONTINUED_SUFFIX, TEXT_BOX_INSETS } from '../src/text-fit.js';
+import { loadDeck, build, runTexts, shapeNames } from './helpers.js';
+
+// The fixture deck with a list of `count` items on the basics slide (slide 3)
+async function longListDeck(count) {
+    const deck = await loadDeck();
+    const [, list] = deck.slides[2].elements;
+    list.items = Array.from({ length: count }, (_, idx) => ({ text: [{ text: `Item ${idx + 1}`, options: {} }] }));
+    deck.slides[2].elements.splice(2, 1);
+    return deck;
+}
+
+test('text height grows with wrapped lines and line spacing', () => {
+    const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+    const line = estimateTextHeight(['Short'], 18, 8);
+    close(line, 18 * 1.2 / 72 + 2 * TEXT_BOX_INSETS.y);
+    close(estimateTextHeight(['Short', 'Short'], 18, 8), 2 * line - 2 * TEXT_BOX_INSETS.y);
+    close(estimateTextHeight(['Short\nShort'], 18, 8), estimateTextHeight(['Short', 'Short'], 18, 8));
+    assert.ok(estimateTextHeight(['word '.repeat(40)], 18, 4) > 3 * line);
+    assert.ok(estimateTextHeight(['中文'.repeat(10)], 18, 3) > estimateTextHeight(['ab'.repeat(10)], 18, 3));
+    close(estimateTextHeight(['Short'], 18, 8, { lineSpacing: 36, paraSpaceAfter: 6 }),
+        (36 + 6) / 72 + 2 * TEXT_BOX_INSETS.y);
+});
+
+test('fitScale finds the largest scale that fits, down to MIN_FIT_SCALE', () => {
+    const paragraphs = Array(10).fill('A line of text');
+    const height = estimateTextHeight(paragraphs, 18, 8);
+    assert.deepEqual(fitScale(paragraphs, 18, 8, height), { scale: 1, fits: true });
+
+    const { scale, fits } = fitScale(paragraphs, 18, 8, height * 0.8);
+    assert.ok(fits && scale < 1 && scale > MIN_FIT_SCALE, String(scale));
+    assert.ok(estimateTextHeight(paragraphs, 18 * scale, 8) <= height * 0.8);
+    assert.ok(estimateTextHeight(paragraphs, 18 * (scale + 0.025), 8) > height * 0.8);
+
+    assert.deepEqual(fitScale(paragraphs, 18, 8, 0.5), { scale: MIN_FIT_SCALE, fits: false });
+});
+
+test('autofit scales are written into the marked text boxes only', () => {
+    const shape = (name) => `<p:sp><p:nvSpPr><p:cNvPr id="2" name="${name}"/></p:nvSpPr>` +
+        '<p:txBody><a:bodyPr><a:normAutofit/></a:bodyPr></p:txBody></p:sp>';
+    const xml = shape(autofitShapeName(0.725, 'list')) + shape('Text 1');
+    assert.equal(autofitShapeName(0.725, 'list'), 'Autofit 73%: list');
+    assert.equal(applyAutofitScales(xml),
+        xml.replace('<a:normAutofit/>', '<a:normAutofit fontScale="73000"/>'));
+    assert.equal(applyAutofitScales(shape('Text 1')), shape('Text 1'));
+});
+
+test('code tokens are split into lines', () => {
+    const lines = splitCodeLines([{ text: 'if (a)\n\t', color: '0000FF' }, { text: 'b();\n' }]);
+    assert.deepEqual(lines, [[{ text: 'if (a)', color: '0000FF' }], [{ text: '    ', color: '0000FF' }, { text: 'b();' }]]);
+});
+
+test('table rows are grouped by header rows and rowspans', () => {
+    const cell = (options = {}) => ({ text: [], ...options });
+    const rows = [
+        [cell({ isHeader: true }), cell({ isHeader: true })],
+        [cell({ rowspan: 2 }), cell()],
+        [cell()],
+        [cell(), cell()]
+    ];
+    assert.deepEqual(tableRowGroups({ rows }), { header: 1, groups: [[1, 2], [3]] });
+    // A table of header cells only keeps its last row as body
+    assert.deepEqual(tableRowGroups({ rows: [rows[0], rows[0]] }), { header: 1, groups: [[1]] });
+});
+
+test('splitOverflowingSlides moves what does not fit onto continuation slides', async () => {
+    const deck = await longListDeck(6);
+    const splits = [];
+    const result = splitOverflowingSlides(deck, {
+        // Each list item is 1 in tall; the content may reach 4 in
+        measure: element => element.type === 'list' ?
+            { top: element.position.y, heights: element.items.map(() => 1) } :
+            { top: element.position.y, heights: [element.position.h] },
+        bottom: 4,
+        splittable: slide => slide.id === 'basics' || slide.id === null,
+        onSplit: (index, moved) => splits.push([index, moved.map(element => element.items.length)])
+    });
+
+    const items = slide => slide.elements[1].items.map(item => item.text[0].text);
+    assert.deepEqual(result.slides.map(slide => slide.id),
+        ['title', 'chapter-one', 'basics', null, null, 'media', 'chapter-two', 'extras']);
+    assert.deepEqual(items(result.slides[2]), ['Item 1', 'Item 2']);
+    assert.deepEqual(items(result.slides[4]), ['Item 5', 'Item 6']);
+    assert.deepEqual(splits, [[2, [4]], [3, [2]]]);
+
+    const continued = result.slides[3];
+    assert.equal(continued.continued, true);
+    assert.equal(continued.notes, null);
+    assert.deepEqual(continued.elements[0].text.map(run => run.text), ['Basics', CONTINUED_SUFFIX]);
+    assert.deepEqual(result.slides[4].elements[0].text.map(run => run.text), ['Basics', CONTINUED_SUFFIX]);
+    assert.equal(continued.elements[1].position.y, deck.slides[2].elements[1].position.y);
+    // Links to slides after the split slide follow them
+    assert.deepEqual(result.slides[2].metadata.navLinks, [{ slide: 1 }, { slide: 6 }]);
+});
+
+test('content left over after the last continuation slide is reported', async () => {
+    const deck = await longListDeck(30);
+    const limits = [];
+    const result = splitOverflowingSlides(deck, {
+        // One item per slide
+        measure: element => element.type === 'list' ?
+            { top: element.position.y, heights: element.items.map(() => 1) } :
+            { top: element.position.y, heights: [element.position.h] },
+        bottom: deck.slides[2].elements[1].position.y + 1,
+        splittable: slide => slide.id === 'basics' || slide.id === null,
+        onLimit: (index, left) => limits.push([index, left.map(element => element.items.length)])
+    });
+
+    assert.equal(result.slides.length, 6 + MAX_CONTINUATIONS);
+    const last = result.slides[2 + MAX_CONTINUATIONS];
+    assert.equal(last.elements[1].items.length, 30 - MAX_CONTINUATIONS);
+    assert.deepEqual(limits, [[2 + MAX_CONTINUATIONS, [30 - MAX_CONTINUATIONS - 1]]]);
+});
+
+test('fit strategies handle a list that does not fit', async (t) => {
+    await t.test('shrink lowers the font size', async () => {
+        const { pptx, warnings, diagnostics } = await build(await longListDeck(8), { fit: 'shrink' });
+        assert.equal(pptx.slideCount, 6);
+        assert.match(warnings[0], /^Slide 3: list does not fit \(\d+\.\d in needed, \d+\.\d in available\); font reduced from 16 to \d+(\.5)? pt$/);
+        assert.deepEqual(diagnostics.map(diagnostic => [diagnostic.slide, diagnostic.kind]), [[3, 'clamped']]);
+    });
+
+    await t.test('autofit leaves the shrinking to PowerPoint', async () => {
+        const { pptx, warnings } = await build(await longListDeck(20), { fit: 'autofit' });
+        const xml = await pptx.slide(3);
+        assert.ok(shapeNames(xml).includes('Autofit 60%: list'));
+        assert.match(xml, /<a:normAutofit fontScale="60000"\/>/);
+        assert.match(warnings[0], /; PowerPoint autofit at 60%, still too tall$/);
+    });
+
+    await t.test('split moves items onto continuation slides', async () => {
+        const { pptx, warnings, diagnostics } = await build(await longListDeck(20), { fit: 'split' });
+        assert.equal(pptx.slideCount, 8);
+        assert.deepEqual(warnings, [
+            'Slide 3: content does not fit (list), moved to a continuation slide',
+            'Slide 4: content does not fit (list), moved to a continuation slide'
+        ]);
+        assert.deepEqual(diagnostics.map(diagnostic => diagnostic.message), Array(2).fill('Moved to a continuation slide'));
+        const texts = runTexts(await pptx.slide(4));
+        assert.ok(texts.includes(`Basics${CONTINUED_SUFFIX}`));
+        const items = [3, 4, 5].map(async number => runTexts(await pptx.slide(number)).filter(text => /^Item /.test(text)));
+        assert.deepEqual((await Promise.all(items)).flat(), Array.from({ length: 20 }, (_, idx) => `Item ${idx + 1}`));
+    });
+
+    await t.test('none leaves the text as it is', async () => {
+        const { pptx, warnings, diagnostics } = await build(await longListDeck(20), { fit: 'none' });
+        assert.equal(pptx.slideCount, 6);
+        assert.match(warnings[0], /; left as is$/);
+        assert.deepEqual(diagnostics.map(diagnostic => diagnostic.kind), ['degraded']);
+    });
+});
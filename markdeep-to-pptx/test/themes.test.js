@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { THEMES, getTheme, loadTheme, resolveTheme, deriveTheme } from '../src/themes.js';
+import { loadDeck, build } from './helpers.js';
+
+// Color of the run showing some text
+const runColor = (xml, text) =>
+    xml.match(new RegExp(`<a:srgbClr val="(\\w+)"\\/><\\/a:solidFill>(?:(?!<\\/a:r>).)*<a:t>${text}<\\/a:t>`))?.[1];
+
+test('built-in themes are complete', () => {
+    for (const theme of Object.values(THEMES)) {
+        assert.deepEqual(Object.keys(theme.colors).sort(), Object.keys(THEMES.markdeep.colors).sort(), theme.name);
+        assert.deepEqual(Object.keys(theme.fontSizes), Object.keys(THEMES.markdeep.fontSizes), theme.name);
+    }
+    assert.throws(() => getTheme('neon'), {
+        message: 'Unknown theme "neon" (available: markdeep, dark, forest, academic)'
+    });
+});
+
+test('partial themes are merged over the theme they extend', () => {
+    const theme = resolveTheme({ extends: 'dark', colors: { primary: 'FF0000' }, fontSizes: { body: 20 } });
+    assert.equal(theme.colors.primary, 'FF0000');
+    assert.equal(theme.colors.background, '1E1E1E');
+    assert.equal(theme.fontSizes.body, 20);
+    assert.equal(theme.fontSizes.code, 12);
+    assert.equal(resolveTheme().name, 'markdeep');
+    assert.equal(resolveTheme({ colors: {} }).colors.background, 'FFFFFF');
+});
+
+test('loadTheme reads theme files', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'markdeep-theme-'));
+    try {
+        const file = path.join(dir, 'brand.json');
+        await fs.writeFile(file, JSON.stringify({ extends: 'forest', fonts: { body: 'Arial' } }));
+        const theme = await loadTheme(file);
+        assert.equal(theme.name, 'brand');
+        assert.equal(theme.fonts.body, 'Arial');
+        assert.equal(theme.colors.primary, THEMES.forest.colors.primary);
+
+        await fs.writeFile(file, '42');
+        await assert.rejects(loadTheme(file), { message: `Theme file ${file} does not define a theme object` });
+    } finally {
+        await fs.rm(dir, { recursive: true });
+    }
+    assert.equal(await loadTheme('dark'), THEMES.dark);
+    await assert.rejects(loadTheme('neon'), /^Error: Unknown theme "neon"/);
+});
+
+test('deriveTheme takes the colors and fonts the page defines', () => {
+    const theme = deriveTheme({ fonts: { body: 'Helvetica', code: '' }, colors: { titleText: '112233', primary: null } });
+    assert.equal(theme.name, 'markdeep (from CSS)');
+    assert.equal(theme.fonts.body, 'Helvetica');
+    assert.equal(theme.fonts.code, 'Courier New');
+    assert.equal(theme.colors.titleText, '112233');
+    assert.equal(theme.colors.primary, '2980B9');
+    assert.equal(deriveTheme(undefined), THEMES.markdeep);
+});
+
+test('the theme colors the slides, layouts and code blocks', async () => {
+    const { pptx } = await build(await loadDeck(), { theme: 'dark' });
+    assert.match(await pptx.part('ppt/slideLayouts/slideLayout4.xml'), /<p:bg><p:bgPr><a:solidFill><a:srgbClr val="1E1E1E"\/>/);
+    const xml = await pptx.slide(3);
+    assert.equal(runColor(xml, 'Basics'), '4FC3F7');
+    assert.equal(runColor(xml, 'Plain item'), 'E0E0E0');
+    // The dark theme uses the monokai code theme
+    assert.match(await pptx.slide(4), /<a:srgbClr val="272822"\/>/);
+});
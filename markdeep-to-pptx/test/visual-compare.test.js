@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { COMPARE_WIDTH, compareImages, worstSlides, writeCompareReport, findRenderer } from '../src/visual-compare.js';
+
+// Run a test in a temporary directory
+async function withTempDir(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'markdeep-compare-'));
+    try {
+        return await fn(dir);
+    } finally {
+        await fs.rm(dir, { recursive: true });
+    }
+}
+
+// Write a white PNG, optionally with a black rectangle ({ left, top, width, height })
+async function writeImage(file, width, height, box) {
+    const image = sharp({ create: { width, height, channels: 3, background: '#ffffff' } });
+    const composite = box ? [{
+        input: { create: { width: box.width, height: box.height, channels: 3, background: '#000000' } },
+        left: box.left,
+        top: box.top
+    }] : [];
+    await image.composite(composite).png().toFile(file);
+    return file;
+}
+
+test('identical images score as identical, whatever their size', () => withTempDir(async (dir) => {
+    const expected = await writeImage(path.join(dir, 'html.png'), 1920, 1080, { left: 0, top: 0, width: 960, height: 540 });
+    const actual = await writeImage(path.join(dir, 'pptx.png'), 960, 540, { left: 0, top: 0, width: 480, height: 270 });
+    const { ssim, pixelDiff } = await compareImages(expected, actual);
+    assert.ok(ssim > 0.99, String(ssim));
+    assert.ok(pixelDiff < 0.01, String(pixelDiff));
+}));
+
+test('differing pixels are counted and marked in red', () => withTempDir(async (dir) => {
+    const expected = await writeImage(path.join(dir, 'html.png'), 960, 540);
+    const actual = await writeImage(path.join(dir, 'pptx.png'), 960, 540, { left: 0, top: 0, width: 480, height: 270 });
+    const diffPath = path.join(dir, 'diff', 'slide-001.png');
+    const { ssim, pixelDiff } = await compareImages(expected, actual, diffPath);
+    assert.ok(Math.abs(pixelDiff - 0.25) < 0.001, String(pixelDiff));
+    assert.ok(ssim < 0.9, String(ssim));
+
+    const { data, info } = await sharp(diffPath).raw().toBuffer({ resolveWithObject: true });
+    assert.equal(info.width, COMPARE_WIDTH);
+    assert.equal(info.height, 540);
+    const pixel = (x, y) => [...data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3)];
+    assert.deepEqual(pixel(10, 10), [230, 40, 40]);
+    assert.deepEqual(pixel(900, 500), [255, 255, 255]);
+}));
+
+test('the report lists the worst scored slides first', () => withTempDir(async (dir) => {
+    const result = (slide, ssim, options = {}) => ({
+        slide,
+        htmlSlide: slide,
+        html: path.join(dir, 'html', `slide-${slide}.png`),
+        pptx: path.join(dir, 'pptx', `slide-${slide}.png`),
+        diff: path.join(dir, 'diff', `slide-${slide}.png`),
+        ssim,
+        pixelDiff: ssim === null ? null : 1 - ssim,
+        ...options
+    });
+    const results = [result(1, 0.9), result(2, 0.5), result(3, null, { htmlSlide: 2, diff: null }), result(4, 0.7), result(5, 0.99)];
+
+    assert.deepEqual(worstSlides(results).map(({ slide }) => slide), [2, 4, 1]);
+    assert.deepEqual(worstSlides(results, 1).map(({ slide }) => slide), [2]);
+
+    const reportPath = path.join(dir, 'index.html');
+    const worst = writeCompareReport(results, reportPath, { input: 'talk.html', output: 'talk.pptx', title: 'Talk' });
+    assert.deepEqual(worst, worstSlides(results));
+
+    const html = await fs.readFile(reportPath, 'utf8');
+    assert.match(html, /<h2>Worst slides<\/h2>\n<ol>\n<li><a href="#slide-2">Slide 2<\/a>: SSIM 0\.500 · 50\.0% pixels differ<\/li>/);
+    assert.match(html, /<img src="html\/slide-1\.png" alt="HTML"/);
+    assert.match(html, /<section id="slide-2" class="worst">/);
+    assert.match(html, /<section id="slide-5" class="">/);
+    assert.match(html, /Slide 3 <small>\(HTML slide 2\)<\/small>\s*<span class="score">continues HTML slide 2<\/span>/);
+    assert.match(html, /<div class="missing">—<\/div>/);
+}));
+
+test('findRenderer names the missing tools', () => {
+    const { PATH } = process.env;
+    process.env.PATH = '';
+    try {
+        assert.throws(() => findRenderer({ soffice: '/opt/libreoffice/soffice' }), {
+            message: 'Rendering PPTX slides needs pdftoppm (poppler-utils); ' +
+                'install them or put them on the PATH (LibreOffice can also be given with SOFFICE=<path>)'
+        });
+    } finally {
+        process.env.PATH = PATH;
+    }
+});
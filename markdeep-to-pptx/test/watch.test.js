@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { watchFiles, diffSlides } from '../src/watch.js';
+import { loadDeck } from './helpers.js';
+
+test('diffSlides reports changed, added and removed slides', async () => {
+    const previous = await loadDeck();
+    const current = await loadDeck();
+    assert.deepEqual(diffSlides(previous, current), { changed: [], added: [], removed: [] });
+
+    current.slides[2].notes = 'New notes';
+    current.slides[3].elements[0].text[0].text = 'Pictures';
+    current.slides[5].position = 'ignored';
+    assert.deepEqual(diffSlides(previous, current), { changed: [3, 4], added: [], removed: [] });
+
+    assert.deepEqual(diffSlides(previous, { ...current, slides: current.slides.slice(0, 4) }),
+        { changed: [3, 4], added: [], removed: [5, 6] });
+    assert.deepEqual(diffSlides(null, previous), { changed: [], added: [1, 2, 3, 4, 5, 6], removed: [] });
+});
+
+test('watchFiles reports the changed files once changes settle', { timeout: 5000 }, async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'markdeep-watch-'));
+    const deck = path.join(dir, 'deck.md');
+    const image = path.join(dir, 'figure.svg');
+    await fs.writeFile(deck, '# One');
+    await fs.writeFile(image, '<svg/>');
+    await fs.writeFile(path.join(dir, 'other.txt'), '');
+
+    const calls = [];
+    let settled;
+    const watcher = watchFiles([deck, image], files => {
+        calls.push(files.sort());
+        settled();
+    }, 50);
+    try {
+        const changes = new Promise(resolve => { settled = resolve; });
+        await fs.writeFile(path.join(dir, 'other.txt'), 'not watched');
+        await fs.writeFile(deck, '# Two');
+        await fs.writeFile(image, '<svg></svg>');
+        await fs.writeFile(deck, '# Three');
+        await changes;
+        assert.deepEqual(calls, [[deck, image].sort()]);
+    } finally {
+        watcher.close();
+        await fs.rm(dir, { recursive: true });
+    }
+});